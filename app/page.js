@@ -1,6 +1,21 @@
 'use client';
 
-import { useState } from 'react';
+import { useEffect, useState } from 'react';
+import Link from 'next/link';
+import { History } from 'lucide-react';
+import GenerationProgress from '@/components/GenerationProgress';
+import AuthGate from '@/components/AuthGate';
+import BrandKitPicker from '@/components/BrandKitPicker';
+import DocumentUpload from '@/components/DocumentUpload';
+import FormatPicker from '@/components/FormatPicker';
+import MarkdownDeckForm from '@/components/MarkdownDeckForm';
+import OutlineEditor from '@/components/OutlineEditor';
+import TemplatePicker from '@/components/TemplatePicker';
+import ThemePicker from '@/components/ThemePicker';
+import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/components/ui/tabs';
+import { describeError, downloadJobFile, downloadTextFile, getJson, postJson, runJob, safeFileName } from '@/lib/api';
+import { documentTitle } from '@/lib/documents';
+import { TALK_LENGTHS, slideCountForTalk } from '@/lib/outline';
 
 export default function Home() {
   const [topic, setTopic] = useState('');
@@ -8,15 +23,98 @@ export default function Home() {
   const [presentationStyle, setPresentationStyle] = useState('professional');
   const [audienceLevel, setAudienceLevel] = useState('general');
   const [includeConclusion, setIncludeConclusion] = useState(true);
+  const [creditCaptions, setCreditCaptions] = useState(true);
+  const [creditsSlide, setCreditsSlide] = useState(true);
+  const [talkLength, setTalkLength] = useState(null);
   const [colorTheme, setColorTheme] = useState('blue');
+  const [brandKit, setBrandKit] = useState(null);
+  const [template, setTemplate] = useState(null);
+  const [documents, setDocuments] = useState([]);
+  const [format, setFormat] = useState('pptx');
+  const [markdown, setMarkdown] = useState('');
   const [isLoading, setIsLoading] = useState(false);
   const [message, setMessage] = useState('');
+  const [outline, setOutline] = useState(null);
+  const [regeneratingIndex, setRegeneratingIndex] = useState(null);
+  const [progress, setProgress] = useState(null);
 
+  // "Open in editor" from My presentations: /?deck=<id> loads a saved deck's outline and settings for review
+  useEffect(() => {
+    const deckId = new URLSearchParams(window.location.search).get('deck');
+    if (!deckId) return;
+    window.history.replaceState(null, '', window.location.pathname);
+
+    getJson(`/decks/${encodeURIComponent(deckId)}`)
+      .then(({ deck }) => {
+        const { inputs, theme } = deck;
+        setTopic(deck.topic || '');
+        if (inputs.slideCount) setSlideCount(inputs.slideCount);
+        if (inputs.presentationStyle) setPresentationStyle(inputs.presentationStyle);
+        if (inputs.audienceLevel) setAudienceLevel(inputs.audienceLevel);
+        if (inputs.includeConclusion !== undefined) setIncludeConclusion(inputs.includeConclusion);
+        if (inputs.creditCaptions !== undefined) setCreditCaptions(inputs.creditCaptions);
+        if (inputs.creditsSlide !== undefined) setCreditsSlide(inputs.creditsSlide);
+        setTalkLength(inputs.talkLength || null);
+        setColorTheme(theme.colorTheme);
+        setBrandKit(theme.brandKit);
+        setTemplate(theme.template);
+        setFormat(deck.format);
+        setOutline(deck.outline);
+      })
+      .catch((error) => setMessage(`Error: ${describeError(error)}`));
+  }, []);
+
+  const buildOptions = () => ({
+    topic: topic.trim(),
+    slideCount,
+    presentationStyle,
+    audienceLevel,
+    includeConclusion,
+    talkLength,
+    colorTheme,
+    brandKit,
+    template,
+    creditCaptions,
+    creditsSlide,
+    format,
+    ...(documents.length > 0 && { documents })
+  });
+
+  // Decks built from documents may leave the topic empty; the backend then names them after the first document
+  const canSubmit = Boolean(topic.trim()) || documents.length > 0;
+
+  // Step 1: ask the backend for an outline to review
   const handleSubmit = async (e) => {
     e.preventDefault();
-    
-    if (!topic.trim()) {
-      setMessage('Please enter a presentation topic');
+
+    if (!canSubmit) {
+      setMessage('Please enter a presentation topic or add source documents');
+      return;
+    }
+
+    setIsLoading(true);
+    setMessage('');
+
+    try {
+      const options = buildOptions();
+      console.log('Requesting outline with options:', options);
+
+      const job = await runJob({ type: 'outline', ...options }, { onProgress: setProgress });
+      setTopic(job.result.topic);
+      setOutline(job.result.outline);
+    } catch (error) {
+      console.error('Error generating outline:', error);
+      setMessage(`Error: ${describeError(error)}`);
+    } finally {
+      setIsLoading(false);
+      setProgress(null);
+    }
+  };
+
+  // Skip the review step: generate and download the deck in one go
+  const handleQuickGenerate = async () => {
+    if (!canSubmit) {
+      setMessage('Please enter a presentation topic or add source documents');
       return;
     }
 
@@ -24,93 +122,155 @@ export default function Home() {
     setMessage('');
 
     try {
-      console.log('Sending request with options:', {
+      const job = await runJob({ type: 'generate', ...buildOptions() }, { onProgress: setProgress });
+      await downloadJobFile(job, topic.trim() || documentTitle(documents));
+
+      setMessage('Presentation downloaded successfully!');
+      setTopic('');
+      setDocuments([]);
+    } catch (error) {
+      console.error('Error generating presentation:', error);
+      setMessage(`Error: ${describeError(error)}`);
+    } finally {
+      setIsLoading(false);
+      setProgress(null);
+    }
+  };
+
+  // Ask the backend to rewrite a single slide in the context of the current outline,
+  // following the optional instruction (e.g. "add a comparison table")
+  const handleRegenerateSlide = async (index, instruction) => {
+    setRegeneratingIndex(index);
+    setMessage('');
+
+    try {
+      const response = await postJson('/outline/slide', {
         topic: topic.trim(),
-        slideCount,
+        outline,
+        slideIndex: index,
         presentationStyle,
         audienceLevel,
-        includeConclusion,
-        colorTheme
+        talkLength,
+        ...(instruction && { instruction })
       });
-      
-      const backendUrl = process.env.NEXT_PUBLIC_BACKEND_URL;
-      if (!backendUrl) {
-        throw new Error('Backend URL not configured. Please check your environment variables.');
-      }
-      
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), 60000); // 60 second timeout
-      
-      const response = await fetch(`${backendUrl}/generate-ppt`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ 
-          topic: topic.trim(),
-          slideCount,
-          presentationStyle,
-          audienceLevel,
-          includeConclusion,
-          colorTheme
-        }),
-        signal: controller.signal
+      const { slide } = await response.json();
+      setOutline((current) => ({
+        ...current,
+        slides: current.slides.map((s, i) => (i === index ? slide : s))
+      }));
+    } catch (error) {
+      console.error('Error regenerating slide:', error);
+      setMessage(`Error: ${describeError(error)}`);
+    } finally {
+      setRegeneratingIndex(null);
+    }
+  };
+
+  // Replace a slide's chart or table with data mapped from a CSV or Excel file
+  const handleImportData = async (index, { file, mapping, commentary }) => {
+    setRegeneratingIndex(index);
+    setMessage('');
+
+    try {
+      const response = await postJson('/data/slide', {
+        topic: topic.trim(),
+        outline,
+        slideIndex: index,
+        file,
+        mapping,
+        commentary,
+        presentationStyle,
+        audienceLevel,
+        talkLength
       });
-      
-      clearTimeout(timeoutId);
-
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        throw new Error(errorData.error || `Server error: ${response.status}`);
-      }
-
-      // Handle file download
-      const contentType = response.headers.get('content-type');
-      if (contentType && contentType.includes('application/json')) {
-        // Response is JSON (error), not a file
-        const errorData = await response.json();
-        throw new Error(errorData.error || 'Unknown server error');
-      }
-      
-      const blob = await response.blob();
-      if (blob.size === 0) {
-        throw new Error('Empty file received from server');
-      }
-      
-      const url = window.URL.createObjectURL(blob);
-      const a = document.createElement('a');
-      a.href = url;
-      a.download = `${topic.trim().replace(/[^a-zA-Z0-9]/g, '_')}_presentation.pptx`;
-      a.style.display = 'none';
-      document.body.appendChild(a);
-      a.click();
-      document.body.removeChild(a);
-      window.URL.revokeObjectURL(url);
+      const { slide } = await response.json();
+      setOutline((current) => ({
+        ...current,
+        slides: current.slides.map((s, i) => (i === index ? slide : s))
+      }));
+    } catch (error) {
+      console.error('Error importing data:', error);
+      setMessage(`Error: ${describeError(error)}`);
+    } finally {
+      setRegeneratingIndex(null);
+    }
+  };
+
+  // Step 2: render the reviewed outline and download it in the chosen format
+  const handleRender = async () => {
+    setIsLoading(true);
+    setMessage('');
+
+    try {
+      const job = await runJob({
+        type: 'render',
+        outline,
+        topic: topic.trim(),
+        colorTheme,
+        brandKit,
+        template,
+        creditCaptions,
+        creditsSlide,
+        format
+      }, { onProgress: setProgress });
+      await downloadJobFile(job, topic.trim() || outline.title);
 
       setMessage('Presentation downloaded successfully!');
+      setOutline(null);
       setTopic('');
+      setDocuments([]);
     } catch (error) {
       console.error('Error generating presentation:', error);
-      
-      let errorMessage = 'Unknown error occurred';
-      if (error.name === 'AbortError') {
-        errorMessage = 'Request timed out. Please try again with a simpler topic.';
-      } else if (error.message.includes('fetch')) {
-        errorMessage = 'Cannot connect to server. Please check your internet connection.';
-      } else {
-        errorMessage = error.message;
-      }
-      
-      setMessage(`Error: ${errorMessage}`);
+      setMessage(`Error: ${describeError(error)}`);
     } finally {
       setIsLoading(false);
+      setProgress(null);
+    }
+  };
+
+  // Save the outline under review as a Markdown deck that renders the same slides again
+  const handleExportMarkdown = async () => {
+    setMessage('');
+
+    try {
+      const response = await postJson('/markdown/export', {
+        outline,
+        topic: topic.trim(),
+        colorTheme,
+        brandKit,
+        template
+      }, { timeout: 15000 });
+      const data = await response.json();
+      downloadTextFile(data.markdown, `${safeFileName(topic.trim() || outline.title)}.md`, 'text/markdown');
+    } catch (error) {
+      console.error('Error exporting Markdown:', error);
+      setMessage(`Error: ${describeError(error)}`);
+    }
+  };
+
+  // Markdown mode: render the deck exactly as written, no AI involved
+  const handleMarkdownRender = async () => {
+    setIsLoading(true);
+    setMessage('');
+
+    try {
+      const job = await runJob({ type: 'markdown', markdown, creditCaptions, creditsSlide, format }, { onProgress: setProgress });
+      await downloadJobFile(job, job.name || 'markdown');
+
+      setMessage('Presentation downloaded successfully!');
+    } catch (error) {
+      console.error('Error rendering Markdown:', error);
+      setMessage(`Error: ${describeError(error)}`);
+    } finally {
+      setIsLoading(false);
+      setProgress(null);
     }
   };
 
   return (
     <div className="min-h-screen bg-gradient-to-br from-blue-50 via-indigo-50 to-purple-50">
       <div className="container mx-auto px-4 py-16">
-        <div className="max-w-2xl mx-auto">
+        <div className={`${outline ? 'max-w-4xl' : 'max-w-2xl'} mx-auto`}>
           {/* Header */}
           <div className="text-center mb-12">
             <h1 className="text-5xl font-bold bg-gradient-to-r from-blue-600 via-purple-600 to-indigo-600 bg-clip-text text-transparent mb-4">
@@ -119,148 +279,271 @@ export default function Home() {
             <p className="text-xl text-gray-600 font-light">
               Generate professional presentations instantly with AI
             </p>
+            <Link href="/presentations" className="mt-4 inline-flex items-center text-sm font-medium text-blue-700 hover:text-blue-900">
+              <History className="mr-1 h-4 w-4" /> My presentations
+            </Link>
           </div>
 
           {/* Main Form Card */}
-          <div className="bg-white/80 backdrop-blur-sm rounded-2xl shadow-xl border border-white/20 p-8 transition-all duration-300 hover:shadow-2xl">
-            <form onSubmit={handleSubmit} className="space-y-6">
-              <div className="space-y-2">
-                <label 
-                  htmlFor="topic" 
-                  className="block text-sm font-semibold text-gray-700 mb-2"
-                >
-                  Presentation Topic
-                </label>
-                <input
-                  type="text"
-                  id="topic"
-                  value={topic}
-                  onChange={(e) => setTopic(e.target.value)}
-                  placeholder="Enter your presentation topic (e.g., Climate Change, AI in Healthcare)"
-                  className="w-full px-4 py-3 border border-gray-200 rounded-xl focus:ring-4 focus:ring-blue-500/20 focus:border-blue-500 transition-all duration-200 text-gray-800 placeholder-gray-400"
-                  disabled={isLoading}
+          <AuthGate>
+            <div className="bg-white/80 backdrop-blur-sm rounded-2xl shadow-xl border border-white/20 p-8 transition-all duration-300 hover:shadow-2xl">
+              {outline ? (
+                <OutlineEditor
+                  outline={outline}
+                  topic={topic.trim()}
+                  colorTheme={colorTheme}
+                  template={template}
+                  creditCaptions={creditCaptions}
+                  creditsSlide={creditsSlide}
+                  onChange={setOutline}
+                  onRegenerateSlide={handleRegenerateSlide}
+                  onImportData={handleImportData}
+                  regeneratingIndex={regeneratingIndex}
+                  onRender={handleRender}
+                  onBack={() => setOutline(null)}
+                  onExportMarkdown={handleExportMarkdown}
+                  format={format}
+                  onFormatChange={setFormat}
+                  isRendering={isLoading}
                 />
-              </div>
+              ) : (
+                <Tabs defaultValue="ai">
+                  <TabsList className="mb-6 grid w-full grid-cols-2">
+                    <TabsTrigger value="ai">Generate with AI</TabsTrigger>
+                    <TabsTrigger value="markdown">From Markdown</TabsTrigger>
+                  </TabsList>
 
-              {/* Customization Options */}
-              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-                <div className="space-y-2">
-                  <label className="block text-sm font-semibold text-gray-700">
-                    Number of Slides
-                  </label>
-                  <select
-                    value={slideCount}
-                    onChange={(e) => setSlideCount(Number(e.target.value))}
-                    className="w-full px-4 py-3 border border-gray-200 rounded-xl focus:ring-4 focus:ring-blue-500/20 focus:border-blue-500 transition-all duration-200"
-                    disabled={isLoading}
-                  >
-                    <option value={3}>3 slides</option>
-                    <option value={5}>5 slides</option>
-                    <option value={7}>7 slides</option>
-                    <option value={10}>10 slides</option>
-                  </select>
-                </div>
+                  <TabsContent value="ai">
+                    <form onSubmit={handleSubmit} className="space-y-6">
+                      <div className="space-y-2">
+                        <label 
+                          htmlFor="topic" 
+                          className="block text-sm font-semibold text-gray-700 mb-2"
+                        >
+                          Presentation Topic
+                        </label>
+                        <input
+                          type="text"
+                          id="topic"
+                          value={topic}
+                          onChange={(e) => setTopic(e.target.value)}
+                          placeholder={documents.length > 0
+                            ? 'Optional: defaults to the first document\'s name'
+                            : 'Enter your presentation topic (e.g., Climate Change, AI in Healthcare)'}
+                          className="w-full px-4 py-3 border border-gray-200 rounded-xl focus:ring-4 focus:ring-blue-500/20 focus:border-blue-500 transition-all duration-200 text-gray-800 placeholder-gray-400"
+                          disabled={isLoading}
+                        />
+                      </div>
 
-                <div className="space-y-2">
-                  <label className="block text-sm font-semibold text-gray-700">
-                    Presentation Style
-                  </label>
-                  <select
-                    value={presentationStyle}
-                    onChange={(e) => setPresentationStyle(e.target.value)}
-                    className="w-full px-4 py-3 border border-gray-200 rounded-xl focus:ring-4 focus:ring-blue-500/20 focus:border-blue-500 transition-all duration-200"
-                    disabled={isLoading}
-                  >
-                    <option value="professional">Professional</option>
-                    <option value="casual">Casual</option>
-                    <option value="academic">Academic</option>
-                    <option value="creative">Creative</option>
-                  </select>
-                </div>
+                      <div className="space-y-2">
+                        <label className="block text-sm font-semibold text-gray-700">
+                          Source Documents
+                        </label>
+                        <DocumentUpload value={documents} onChange={setDocuments} disabled={isLoading} />
+                      </div>
 
-                <div className="space-y-2">
-                  <label className="block text-sm font-semibold text-gray-700">
-                    Audience Level
-                  </label>
-                  <select
-                    value={audienceLevel}
-                    onChange={(e) => setAudienceLevel(e.target.value)}
-                    className="w-full px-4 py-3 border border-gray-200 rounded-xl focus:ring-4 focus:ring-blue-500/20 focus:border-blue-500 transition-all duration-200"
-                    disabled={isLoading}
-                  >
-                    <option value="beginner">Beginner</option>
-                    <option value="general">General</option>
-                    <option value="expert">Expert</option>
-                  </select>
-                </div>
+                      {/* Customization Options */}
+                      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                        <div className="space-y-2">
+                          <label className="block text-sm font-semibold text-gray-700">
+                            Number of Slides
+                          </label>
+                          <select
+                            value={slideCount}
+                            onChange={(e) => setSlideCount(Number(e.target.value))}
+                            className="w-full px-4 py-3 border border-gray-200 rounded-xl focus:ring-4 focus:ring-blue-500/20 focus:border-blue-500 transition-all duration-200"
+                            disabled={isLoading}
+                          >
+                            <option value={3}>3 slides</option>
+                            <option value={5}>5 slides</option>
+                            <option value={7}>7 slides</option>
+                            <option value={10}>10 slides</option>
+                          </select>
+                        </div>
 
-                <div className="space-y-2">
-                  <label className="block text-sm font-semibold text-gray-700">
-                    Color Theme
-                  </label>
-                  <select
-                    value={colorTheme}
-                    onChange={(e) => setColorTheme(e.target.value)}
-                    className="w-full px-4 py-3 border border-gray-200 rounded-xl focus:ring-4 focus:ring-blue-500/20 focus:border-blue-500 transition-all duration-200"
-                    disabled={isLoading}
-                  >
-                    <option value="blue">Blue</option>
-                    <option value="green">Green</option>
-                    <option value="purple">Purple</option>
-                    <option value="red">Red</option>
-                    <option value="orange">Orange</option>
-                    <option value="teal">Teal</option>
-                    <option value="gray">Gray</option>
-                  </select>
-                </div>
+                        <div className="space-y-2">
+                          <label className="block text-sm font-semibold text-gray-700">
+                            Presentation Style
+                          </label>
+                          <select
+                            value={presentationStyle}
+                            onChange={(e) => setPresentationStyle(e.target.value)}
+                            className="w-full px-4 py-3 border border-gray-200 rounded-xl focus:ring-4 focus:ring-blue-500/20 focus:border-blue-500 transition-all duration-200"
+                            disabled={isLoading}
+                          >
+                            <option value="professional">Professional</option>
+                            <option value="casual">Casual</option>
+                            <option value="academic">Academic</option>
+                            <option value="creative">Creative</option>
+                          </select>
+                        </div>
+
+                        <div className="space-y-2">
+                          <label className="block text-sm font-semibold text-gray-700">
+                            Audience Level
+                          </label>
+                          <select
+                            value={audienceLevel}
+                            onChange={(e) => setAudienceLevel(e.target.value)}
+                            className="w-full px-4 py-3 border border-gray-200 rounded-xl focus:ring-4 focus:ring-blue-500/20 focus:border-blue-500 transition-all duration-200"
+                            disabled={isLoading}
+                          >
+                            <option value="beginner">Beginner</option>
+                            <option value="general">General</option>
+                            <option value="expert">Expert</option>
+                          </select>
+                        </div>
+
+                        <div className="space-y-2">
+                          <label className="block text-sm font-semibold text-gray-700">
+                            Talk Length
+                          </label>
+                          <select
+                            value={talkLength || ''}
+                            onChange={(e) => {
+                              const minutes = e.target.value ? Number(e.target.value) : null;
+                              setTalkLength(minutes);
+                              if (minutes) setSlideCount(slideCountForTalk(minutes));
+                            }}
+                            className="w-full px-4 py-3 border border-gray-200 rounded-xl focus:ring-4 focus:ring-blue-500/20 focus:border-blue-500 transition-all duration-200"
+                            disabled={isLoading}
+                          >
+                            <option value="">Not set</option>
+                            {TALK_LENGTHS.map((minutes) => (
+                              <option key={minutes} value={minutes}>{minutes} minutes</option>
+                            ))}
+                          </select>
+                        </div>
+
+                        <div className="space-y-2 md:col-span-2">
+                          <label className="block text-sm font-semibold text-gray-700">
+                            Corporate Template
+                          </label>
+                          <TemplatePicker value={template} onChange={setTemplate} disabled={isLoading} />
+                        </div>
+
+                        {!template && (
+                          <div className="space-y-2 md:col-span-2">
+                            <label className="block text-sm font-semibold text-gray-700">
+                              Theme
+                            </label>
+                            <ThemePicker value={colorTheme} onChange={setColorTheme} disabled={isLoading} />
+                          </div>
+                        )}
+
+                        <div className="space-y-2 md:col-span-2">
+                          <label className="block text-sm font-semibold text-gray-700">
+                            Brand Kit
+                          </label>
+                          <BrandKitPicker value={brandKit} onChange={setBrandKit} disabled={isLoading} />
+                        </div>
 
-                <div className="space-y-2">
-                  <label className="block text-sm font-semibold text-gray-700">
-                    Options
-                  </label>
-                  <div className="flex items-center space-x-3 mt-3">
-                    <input
-                      type="checkbox"
-                      id="conclusion"
-                      checked={includeConclusion}
-                      onChange={(e) => setIncludeConclusion(e.target.checked)}
-                      className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
-                      disabled={isLoading}
+                        <div className="space-y-2 md:col-span-2">
+                          <label className="block text-sm font-semibold text-gray-700">
+                            Download Format
+                          </label>
+                          <FormatPicker value={format} onChange={setFormat} disabled={isLoading} />
+                        </div>
+
+                        <div className="space-y-2">
+                          <label className="block text-sm font-semibold text-gray-700">
+                            Options
+                          </label>
+                          <div className="flex items-center space-x-3 mt-3">
+                            <input
+                              type="checkbox"
+                              id="conclusion"
+                              checked={includeConclusion}
+                              onChange={(e) => setIncludeConclusion(e.target.checked)}
+                              className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                              disabled={isLoading}
+                            />
+                            <label htmlFor="conclusion" className="text-sm text-gray-700">
+                              Include conclusion slide
+                            </label>
+                          </div>
+                          <div className="flex items-center space-x-3">
+                            <input
+                              type="checkbox"
+                              id="creditCaptions"
+                              checked={creditCaptions}
+                              onChange={(e) => setCreditCaptions(e.target.checked)}
+                              className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                              disabled={isLoading}
+                            />
+                            <label htmlFor="creditCaptions" className="text-sm text-gray-700">
+                              Photo credit under each image
+                            </label>
+                          </div>
+                          <div className="flex items-center space-x-3">
+                            <input
+                              type="checkbox"
+                              id="creditsSlide"
+                              checked={creditsSlide}
+                              onChange={(e) => setCreditsSlide(e.target.checked)}
+                              className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                              disabled={isLoading}
+                            />
+                            <label htmlFor="creditsSlide" className="text-sm text-gray-700">
+                              Image credits slide at the end
+                            </label>
+                          </div>
+                        </div>
+                      </div>
+
+                      <button
+                        type="submit"
+                        disabled={isLoading || !canSubmit}
+                        className="w-full bg-gradient-to-r from-blue-600 to-indigo-600 hover:from-blue-700 hover:to-indigo-700 disabled:from-gray-300 disabled:to-gray-400 text-white font-semibold py-4 px-6 rounded-xl transition-all duration-200 transform hover:scale-[1.02] disabled:hover:scale-100 disabled:cursor-not-allowed shadow-lg hover:shadow-xl"
+                      >
+                        {isLoading ? (
+                          <div className="flex items-center justify-center space-x-2">
+                            <div className="w-5 h-5 border-2 border-white/30 border-t-white rounded-full animate-spin"></div>
+                            <span>Generating outline...</span>
+                          </div>
+                        ) : (
+                          'Generate Outline'
+                        )}
+                      </button>
+
+                      <button
+                        type="button"
+                        onClick={handleQuickGenerate}
+                        disabled={isLoading || !canSubmit}
+                        className="w-full text-sm font-medium text-blue-700 hover:text-blue-900 disabled:text-gray-400 disabled:cursor-not-allowed"
+                      >
+                        Skip review and download directly
+                      </button>
+                    </form>
+                  </TabsContent>
+
+                  <TabsContent value="markdown">
+                    <MarkdownDeckForm
+                      value={markdown}
+                      onChange={setMarkdown}
+                      onRender={handleMarkdownRender}
+                      format={format}
+                      onFormatChange={setFormat}
+                      isLoading={isLoading}
                     />
-                    <label htmlFor="conclusion" className="text-sm text-gray-700">
-                      Include conclusion slide
-                    </label>
-                  </div>
-                </div>
-              </div>
+                  </TabsContent>
+                </Tabs>
+              )}
 
-              <button
-                type="submit"
-                disabled={isLoading || !topic.trim()}
-                className="w-full bg-gradient-to-r from-blue-600 to-indigo-600 hover:from-blue-700 hover:to-indigo-700 disabled:from-gray-300 disabled:to-gray-400 text-white font-semibold py-4 px-6 rounded-xl transition-all duration-200 transform hover:scale-[1.02] disabled:hover:scale-100 disabled:cursor-not-allowed shadow-lg hover:shadow-xl"
-              >
-                {isLoading ? (
-                  <div className="flex items-center justify-center space-x-2">
-                    <div className="w-5 h-5 border-2 border-white/30 border-t-white rounded-full animate-spin"></div>
-                    <span>Generating...</span>
-                  </div>
-                ) : (
-                  'Generate PPT'
-                )}
-              </button>
-            </form>
-
-            {/* Status Message */}
-            {message && (
-              <div className={`mt-6 p-4 rounded-xl text-center font-medium ${
-                message.includes('Error') 
-                  ? 'bg-red-50 text-red-700 border border-red-200' 
-                  : 'bg-green-50 text-green-700 border border-green-200'
-              }`}>
-                {message}
-              </div>
-            )}
-          </div>
+              <GenerationProgress progress={progress} />
+
+              {/* Status Message */}
+              {message && (
+                <div className={`mt-6 p-4 rounded-xl text-center font-medium ${
+                  message.includes('Error') 
+                    ? 'bg-red-50 text-red-700 border border-red-200' 
+                    : 'bg-green-50 text-green-700 border border-green-200'
+                }`}>
+                  {message}
+                </div>
+              )}
+            </div>
+          </AuthGate>
 
           {/* Features */}
           <div className="mt-16 grid md:grid-cols-3 gap-6">
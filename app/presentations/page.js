@@ -0,0 +1,31 @@
+'use client';
+
+import Link from 'next/link';
+import { ArrowLeft } from 'lucide-react';
+import AuthGate from '@/components/AuthGate';
+import DeckHistory from '@/components/DeckHistory';
+
+export default function Presentations() {
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 via-indigo-50 to-purple-50">
+      <div className="container mx-auto px-4 py-16">
+        <div className="max-w-4xl mx-auto">
+          <div className="mb-8 flex items-center justify-between">
+            <h1 className="text-4xl font-bold bg-gradient-to-r from-blue-600 via-purple-600 to-indigo-600 bg-clip-text text-transparent">
+              My presentations
+            </h1>
+            <Link href="/" className="flex items-center text-sm font-medium text-blue-700 hover:text-blue-900">
+              <ArrowLeft className="mr-1 h-4 w-4" /> New presentation
+            </Link>
+          </div>
+
+          <AuthGate>
+            <div className="bg-white/80 backdrop-blur-sm rounded-2xl shadow-xl border border-white/20 p-8">
+              <DeckHistory />
+            </div>
+          </AuthGate>
+        </div>
+      </div>
+    </div>
+  );
+}
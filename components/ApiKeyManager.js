@@ -0,0 +1,124 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import { Copy, Plus, Trash2 } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { deleteResource, describeError, getJson, getBackendUrl, postJson } from '@/lib/api';
+
+// The user's API keys for programmatic access: create (the key is shown once), list and revoke
+export default function ApiKeyManager() {
+  const [apiKeys, setApiKeys] = useState(null);
+  const [name, setName] = useState('');
+  const [newKey, setNewKey] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    getJson('/auth/api-keys')
+      .then((data) => setApiKeys(data.apiKeys))
+      .catch((err) => {
+        setApiKeys([]);
+        setError(describeError(err));
+      });
+  }, []);
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setError('');
+
+    try {
+      const response = await postJson('/auth/api-keys', { name: name.trim() }, { timeout: 15000 });
+      const { apiKey, key } = await response.json();
+      setApiKeys((current) => [...current, apiKey]);
+      setNewKey(key);
+      setName('');
+    } catch (err) {
+      setError(describeError(err));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleRevoke = async (apiKey) => {
+    if (!window.confirm(`Revoke "${apiKey.name}"? Scripts using it will stop working.`)) return;
+
+    setBusy(true);
+    setError('');
+    try {
+      await deleteResource(`/auth/api-keys/${apiKey.id}`);
+      setApiKeys((current) => current.filter(k => k.id !== apiKey.id));
+    } catch (err) {
+      setError(describeError(err));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (apiKeys === null) {
+    return <p className="text-center text-sm text-gray-500">Loading API keys...</p>;
+  }
+
+  return (
+    <div className="space-y-6">
+      <p className="text-sm text-gray-600">
+        Send a key as <code>Authorization: Bearer &lt;key&gt;</code> or <code>X-API-Key</code> to call the API from scripts,
+        e.g. <code>POST {getBackendUrl()}/generate-ppt</code>. Requests made with a key count towards your quota.
+      </p>
+
+      <form onSubmit={handleCreate} className="flex items-end gap-2">
+        <div className="flex-1 space-y-2">
+          <Label htmlFor="api-key-name">New key</Label>
+          <Input
+            id="api-key-name"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder="e.g. Weekly report script"
+            maxLength={60}
+            disabled={busy}
+          />
+        </div>
+        <Button type="submit" disabled={busy || !name.trim()}>
+          <Plus className="mr-1 h-4 w-4" /> Create
+        </Button>
+      </form>
+
+      {newKey && (
+        <div className="space-y-2 rounded-xl border border-green-200 bg-green-50 p-4">
+          <p className="text-sm font-medium text-green-800">Copy your new key now; it won&apos;t be shown again.</p>
+          <div className="flex items-center gap-2">
+            <code className="flex-1 break-all rounded bg-white px-2 py-1 text-sm">{newKey}</code>
+            <Button type="button" variant="outline" size="sm" onClick={() => navigator.clipboard.writeText(newKey)}>
+              <Copy className="mr-1 h-4 w-4" /> Copy
+            </Button>
+          </div>
+        </div>
+      )}
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+
+      {apiKeys.length === 0 ? (
+        <p className="text-center text-sm text-gray-500">No API keys yet.</p>
+      ) : (
+        <ul className="divide-y rounded-xl border border-gray-200 bg-white">
+          {apiKeys.map((apiKey) => (
+            <li key={apiKey.id} className="flex items-center justify-between gap-3 p-3">
+              <div>
+                <p className="font-medium text-gray-800">{apiKey.name}</p>
+                <p className="text-xs text-gray-500">
+                  <code>{apiKey.prefix}…</code> · created {new Date(apiKey.createdAt).toLocaleDateString()} ·{' '}
+                  {apiKey.lastUsedAt ? `last used ${new Date(apiKey.lastUsedAt).toLocaleString()}` : 'never used'}
+                </p>
+              </div>
+              <Button type="button" variant="ghost" size="sm" onClick={() => handleRevoke(apiKey)} disabled={busy} aria-label={`Revoke ${apiKey.name}`}>
+                <Trash2 className="h-4 w-4" />
+              </Button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,86 @@
+'use client';
+
+import { useState } from 'react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/components/ui/tabs';
+import { describeError, postJson } from '@/lib/api';
+import { setSessionToken } from '@/lib/session';
+
+// Login and signup forms; a successful one stores the session token, which re-renders AuthGate
+export default function AuthForm({ signupEnabled = true }) {
+  const [mode, setMode] = useState('login');
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [name, setName] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setError('');
+
+    try {
+      const body = mode === 'signup' ? { email, password, ...(name.trim() && { name: name.trim() }) } : { email, password };
+      const response = await postJson(`/auth/${mode}`, body, { timeout: 15000 });
+      const { token } = await response.json();
+      setSessionToken(token);
+    } catch (err) {
+      setError(describeError(err));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const fields = (
+    <div className="space-y-4">
+      {mode === 'signup' && (
+        <div className="space-y-2">
+          <Label htmlFor="auth-name">Name (optional)</Label>
+          <Input id="auth-name" value={name} onChange={(e) => setName(e.target.value)} maxLength={80} disabled={busy} />
+        </div>
+      )}
+      <div className="space-y-2">
+        <Label htmlFor="auth-email">Email</Label>
+        <Input id="auth-email" type="email" autoComplete="email" value={email} onChange={(e) => setEmail(e.target.value)} required disabled={busy} />
+      </div>
+      <div className="space-y-2">
+        <Label htmlFor="auth-password">Password</Label>
+        <Input
+          id="auth-password"
+          type="password"
+          autoComplete={mode === 'signup' ? 'new-password' : 'current-password'}
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          minLength={mode === 'signup' ? 8 : undefined}
+          required
+          disabled={busy}
+        />
+        {mode === 'signup' && <p className="text-xs text-gray-500">At least 8 characters.</p>}
+      </div>
+      {error && <p className="text-sm text-red-600">{error}</p>}
+      <Button type="submit" className="w-full" disabled={busy}>
+        {mode === 'signup' ? 'Create account' : 'Log in'}
+      </Button>
+    </div>
+  );
+
+  return (
+    <form onSubmit={handleSubmit}>
+      {signupEnabled ? (
+        <Tabs value={mode} onValueChange={(value) => { setMode(value); setError(''); }}>
+          <TabsList className="mb-6 grid w-full grid-cols-2">
+            <TabsTrigger value="login">Log in</TabsTrigger>
+            <TabsTrigger value="signup">Sign up</TabsTrigger>
+          </TabsList>
+          <TabsContent value="login">{fields}</TabsContent>
+          <TabsContent value="signup">{fields}</TabsContent>
+        </Tabs>
+      ) : (
+        fields
+      )}
+    </form>
+  );
+}
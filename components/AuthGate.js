@@ -0,0 +1,71 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import Link from 'next/link';
+import { KeyRound, LogOut } from 'lucide-react';
+import AuthForm from '@/components/AuthForm';
+import { Button } from '@/components/ui/button';
+import { describeError, getJson } from '@/lib/api';
+import { SESSION_EVENT, clearSession } from '@/lib/session';
+
+// Shows its children to logged-in users (or to everyone when the backend doesn't require login),
+// with an account bar for the user's quota, API keys and logout; otherwise the login form
+export default function AuthGate({ children }) {
+  const [session, setSession] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const load = () => {
+      getJson('/auth/me')
+        .then((data) => {
+          setSession(data);
+          setError('');
+        })
+        .catch((err) => setError(describeError(err)));
+    };
+
+    load();
+    window.addEventListener(SESSION_EVENT, load);
+    return () => window.removeEventListener(SESSION_EVENT, load);
+  }, []);
+
+  if (error) {
+    return <p className="text-center text-sm text-red-600">{error}</p>;
+  }
+  if (!session) {
+    return <p className="text-center text-sm text-gray-500">Loading...</p>;
+  }
+
+  const { user, quota } = session;
+
+  if (session.authRequired && !user) {
+    return (
+      <div className="mx-auto max-w-md bg-white/80 backdrop-blur-sm rounded-2xl shadow-xl border border-white/20 p-8">
+        <h2 className="mb-6 text-center text-lg font-semibold text-gray-800">Log in to create presentations</h2>
+        <AuthForm signupEnabled={session.signupEnabled} />
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap items-center justify-end gap-x-4 gap-y-1 text-sm text-gray-600">
+        {user && <span className="font-medium text-gray-800">{user.name || user.email}</span>}
+        <span>
+          {quota.remaining} of {quota.limit} requests left (per {quota.windowMinutes} min)
+        </span>
+        {user && (
+          <>
+            <Link href="/account" className="inline-flex items-center font-medium text-blue-700 hover:text-blue-900">
+              <KeyRound className="mr-1 h-4 w-4" /> API keys
+            </Link>
+            <Button type="button" variant="ghost" size="sm" onClick={clearSession}>
+              <LogOut className="mr-1 h-4 w-4" /> Log out
+            </Button>
+          </>
+        )}
+      </div>
+      {children}
+    </div>
+  );
+}
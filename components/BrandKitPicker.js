@@ -0,0 +1,281 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import Image from 'next/image';
+import { Pencil, Plus, Trash2, X } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+import { Switch } from '@/components/ui/switch';
+import { deleteResource, describeError, getJson, postJson } from '@/lib/api';
+import { LOGO_POSITIONS, createBrandKit, readLogoFile } from '@/lib/brandKits';
+
+const NONE = '__none';
+const CUSTOM = '__custom';
+
+const LOGO_CORNERS = {
+  'top-left': 'left-2 top-2',
+  'top-right': 'right-2 top-2',
+  'bottom-left': 'bottom-2 left-2',
+  'bottom-right': 'bottom-2 right-2'
+};
+
+// Content slide mock-up showing where the logo, footer and slide number will go
+function BrandKitPreview({ kit }) {
+  const footer = [kit.footerText, kit.showDate ? new Date().toLocaleDateString() : ''].filter(Boolean).join('  |  ');
+  const logoBottomLeft = kit.logo && kit.logoPosition === 'bottom-left';
+  const logoBottomRight = kit.logo && kit.logoPosition === 'bottom-right';
+
+  return (
+    <div className="relative aspect-video w-full overflow-hidden rounded-md border bg-white">
+      <div className="h-2 bg-blue-500" />
+      <div className="px-4 pt-3 text-sm font-bold text-blue-900">Slide heading</div>
+      {kit.logo && (
+        <Image
+          src={kit.logo.data}
+          alt="Logo"
+          width={kit.logo.width}
+          height={kit.logo.height}
+          unoptimized
+          className={`absolute h-auto max-h-[9%] w-auto max-w-[14%] object-contain ${LOGO_CORNERS[kit.logoPosition]}`}
+        />
+      )}
+      {footer && (
+        <span className={`absolute bottom-2 truncate text-[10px] text-gray-500 ${logoBottomLeft ? 'left-[19%]' : 'left-[5%]'}`}>
+          {footer}
+        </span>
+      )}
+      {kit.showSlideNumbers && (
+        <span className={`absolute bottom-2 text-[10px] text-gray-500 ${logoBottomRight ? 'right-[25%]' : 'right-[11%]'}`}>
+          2
+        </span>
+      )}
+    </div>
+  );
+}
+
+// Brand kit selector: saved kits, no branding, or a custom kit edited in a dialog.
+// `value` is null, a saved kit name, or an inline brand kit object; all are accepted by the backend as brandKit.
+export default function BrandKitPicker({ value, onChange, disabled }) {
+  const [kits, setKits] = useState([]);
+  const [draft, setDraft] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    getJson('/brand-kits')
+      .then((data) => setKits(data.brandKits))
+      .catch((err) => console.warn('Could not load brand kits:', err.message));
+  }, []);
+
+  const isCustom = value && typeof value === 'object';
+  const selected = isCustom ? CUSTOM : value || NONE;
+  // Only the user who saved a kit may delete it
+  const savedKit = !isCustom && kits.find(k => k.name === value);
+
+  const handleSelect = (next) => {
+    if (next === NONE) onChange(null);
+    else if (next !== CUSTOM) onChange(next);
+  };
+
+  const openEditor = (base) => {
+    setDraft({ ...createBrandKit(), ...base });
+    setError('');
+  };
+
+  const editSelected = () => {
+    if (isCustom) openEditor(value);
+    else openEditor(kits.find(k => k.name === value));
+  };
+
+  const updateDraft = (patch) => setDraft((current) => ({ ...current, ...patch }));
+
+  const handleLogo = async (e) => {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      setError('');
+      updateDraft({ logo: await readLogoFile(file) });
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const useDraft = () => {
+    const { name, ...kit } = draft;
+    onChange({ ...kit, label: kit.label || undefined });
+    setDraft(null);
+  };
+
+  const saveDraft = async () => {
+    setSaving(true);
+    setError('');
+
+    try {
+      const response = await postJson('/brand-kits', { ...draft, label: draft.label || undefined }, { timeout: 15000 });
+      const { brandKit } = await response.json();
+      setKits((current) => [...current.filter(k => k.name !== brandKit.name), brandKit]);
+      onChange(brandKit.name);
+      setDraft(null);
+    } catch (err) {
+      setError(describeError(err));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const deleteSelected = async () => {
+    try {
+      await deleteResource(`/brand-kits/${encodeURIComponent(value)}`);
+      setKits((current) => current.filter(k => k.name !== value));
+      onChange(null);
+    } catch (err) {
+      console.error('Error deleting brand kit:', err);
+    }
+  };
+
+  return (
+    <div className="flex gap-2">
+      <Select value={selected} onValueChange={handleSelect} disabled={disabled}>
+        <SelectTrigger className="h-12 rounded-xl">
+          <SelectValue />
+        </SelectTrigger>
+        <SelectContent>
+          <SelectItem value={NONE}>No branding</SelectItem>
+          {kits.map((kit) => (
+            <SelectItem key={kit.name} value={kit.name}>{kit.label || kit.name}</SelectItem>
+          ))}
+          {isCustom && <SelectItem value={CUSTOM}>{value.label || 'Custom kit'}</SelectItem>}
+        </SelectContent>
+      </Select>
+
+      {selected !== NONE && (
+        <Button type="button" variant="outline" size="icon" className="h-12 w-12 shrink-0" onClick={editSelected} disabled={disabled} aria-label="Edit brand kit">
+          <Pencil className="h-4 w-4" />
+        </Button>
+      )}
+      {savedKit && savedKit.editable && (
+        <Button type="button" variant="outline" size="icon" className="h-12 w-12 shrink-0" onClick={deleteSelected} disabled={disabled} aria-label="Delete brand kit">
+          <Trash2 className="h-4 w-4" />
+        </Button>
+      )}
+      <Button type="button" variant="outline" size="icon" className="h-12 w-12 shrink-0" onClick={() => openEditor()} disabled={disabled} aria-label="New brand kit">
+        <Plus className="h-4 w-4" />
+      </Button>
+
+      <Dialog open={Boolean(draft)} onOpenChange={(open) => !open && setDraft(null)}>
+        {draft && (
+          <DialogContent className="sm:max-w-lg">
+            <DialogHeader>
+              <DialogTitle>Brand kit</DialogTitle>
+              <DialogDescription>
+                Logo, footer and slide numbers are added to every slide. Give the kit a name to reuse it later.
+              </DialogDescription>
+            </DialogHeader>
+
+            <BrandKitPreview kit={draft} />
+
+            <div className="grid grid-cols-2 gap-3">
+              <div className="col-span-2 space-y-1">
+                <Label htmlFor="brand-logo">Logo</Label>
+                <div className="flex items-center gap-2">
+                  <Input id="brand-logo" type="file" accept="image/png,image/jpeg,image/gif" onChange={handleLogo} />
+                  {draft.logo && (
+                    <Button type="button" variant="ghost" size="icon" onClick={() => updateDraft({ logo: null })} aria-label="Remove logo">
+                      <X className="h-4 w-4" />
+                    </Button>
+                  )}
+                </div>
+              </div>
+
+              <div className="space-y-1">
+                <Label>Logo position</Label>
+                <Select value={draft.logoPosition} onValueChange={(logoPosition) => updateDraft({ logoPosition })}>
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {LOGO_POSITIONS.map((position) => (
+                      <SelectItem key={position.value} value={position.value}>{position.label}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+              <div className="space-y-1">
+                <Label htmlFor="brand-footer">Footer text</Label>
+                <Input
+                  id="brand-footer"
+                  value={draft.footerText}
+                  onChange={(e) => updateDraft({ footerText: e.target.value })}
+                  placeholder="e.g. Confidential"
+                  maxLength={120}
+                />
+              </div>
+
+              <div className="flex items-center gap-2">
+                <Switch id="brand-date" checked={draft.showDate} onCheckedChange={(showDate) => updateDraft({ showDate })} />
+                <Label htmlFor="brand-date">Show date</Label>
+              </div>
+              <div className="flex items-center gap-2">
+                <Switch
+                  id="brand-numbers"
+                  checked={draft.showSlideNumbers}
+                  onCheckedChange={(showSlideNumbers) => updateDraft({ showSlideNumbers })}
+                />
+                <Label htmlFor="brand-numbers">Slide numbers</Label>
+              </div>
+
+              <div className="space-y-1">
+                <Label htmlFor="brand-label">Display name</Label>
+                <Input
+                  id="brand-label"
+                  value={draft.label || ''}
+                  onChange={(e) => updateDraft({ label: e.target.value })}
+                  maxLength={40}
+                />
+              </div>
+              <div className="space-y-1">
+                <Label htmlFor="brand-name">Save as (optional)</Label>
+                <Input
+                  id="brand-name"
+                  value={draft.name}
+                  onChange={(e) => updateDraft({ name: e.target.value.toLowerCase() })}
+                  placeholder="e.g. acme-client"
+                  maxLength={40}
+                />
+              </div>
+            </div>
+
+            {error && <p className="text-sm text-red-600">{error}</p>}
+
+            <DialogFooter>
+              <Button type="button" variant="outline" onClick={saveDraft} disabled={saving || !draft.name}>
+                {saving ? 'Saving...' : 'Save kit'}
+              </Button>
+              <Button type="button" onClick={useDraft} disabled={saving}>
+                Use for this deck
+              </Button>
+            </DialogFooter>
+          </DialogContent>
+        )}
+      </Dialog>
+    </div>
+  );
+}
@@ -0,0 +1,329 @@
+'use client';
+
+import { useRef, useState } from 'react';
+import { FileSpreadsheet, Upload } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+  DialogTrigger,
+} from '@/components/ui/dialog';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+import { describeError, postJson } from '@/lib/api';
+import { DATA_EXTENSIONS, MAX_CHART_POINTS, MAX_TABLE_ROWS, readDataFile } from '@/lib/data';
+import { CHART_TYPES, MAX_CHART_SERIES } from '@/lib/outline';
+
+const CHECKBOX_CLASS = 'h-4 w-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500';
+
+// Mapping defaults for a sheet: the first text column as labels and up to three numeric series
+function defaultMapping(sheet) {
+  const numeric = sheet.headers.map((_, idx) => idx).filter(idx => sheet.columnTypes[idx] === 'number');
+  const label = sheet.columnTypes.indexOf('text');
+  return {
+    labelColumn: label >= 0 ? label : 0,
+    seriesColumns: numeric.filter(idx => idx !== label).slice(0, 3),
+    columns: sheet.headers.map((_, idx) => idx).slice(0, 6),
+    from: 1,
+    to: Math.min(sheet.rowCount, MAX_CHART_POINTS)
+  };
+}
+
+// Per-slide "import data" action: upload a CSV or Excel file, map its columns to the slide's chart
+// series or table columns, and optionally have the model write bullets about the imported numbers
+export default function DataImportDialog({ index, onImport, isImporting, disabled }) {
+  const [open, setOpen] = useState(false);
+  const [file, setFile] = useState(null);
+  const [sheets, setSheets] = useState([]);
+  const [sheetIndex, setSheetIndex] = useState(0);
+  const [kind, setKind] = useState('chart');
+  const [type, setType] = useState('column');
+  const [mapping, setMapping] = useState(null);
+  const [commentary, setCommentary] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+  const fileInput = useRef(null);
+
+  const sheet = sheets[sheetIndex];
+  const scatter = type === 'scatter';
+  const round = type === 'pie' || type === 'doughnut';
+  const maxRows = kind === 'chart' ? MAX_CHART_POINTS : MAX_TABLE_ROWS;
+
+  const chooseSheet = (idx, list = sheets) => {
+    setSheetIndex(idx);
+    setMapping(defaultMapping(list[idx]));
+  };
+
+  // Scatter charts plot numeric columns against a numeric x column
+  const changeType = (next) => {
+    setType(next);
+    if (next === 'scatter' && sheet.columnTypes[mapping.labelColumn] !== 'number') {
+      const x = sheet.columnTypes.indexOf('number');
+      setMapping({ ...mapping, labelColumn: Math.max(x, 0), seriesColumns: mapping.seriesColumns.filter(c => c !== x) });
+    }
+  };
+
+  const handleUpload = async (e) => {
+    const picked = e.target.files && e.target.files[0];
+    e.target.value = '';
+    if (!picked) return;
+
+    setBusy(true);
+    setError('');
+    try {
+      const data = await readDataFile(picked);
+      const response = await postJson('/data/parse', { file: data }, { timeout: 30000 });
+      const result = await response.json();
+      setFile(data);
+      setSheets(result.sheets);
+      chooseSheet(0, result.sheets);
+    } catch (err) {
+      setError(describeError(err));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const toggle = (key, idx, limit) => {
+    const current = mapping[key];
+    const next = current.includes(idx)
+      ? current.filter(c => c !== idx)
+      : [...current, idx].sort((a, b) => a - b).slice(-limit);
+    setMapping({ ...mapping, [key]: next });
+  };
+
+  const setRow = (key, value) => {
+    const row = Math.min(Math.max(parseInt(value, 10) || 1, 1), sheet.rowCount);
+    setMapping({ ...mapping, [key]: row });
+  };
+
+  const rowCount = mapping ? mapping.to - mapping.from + 1 : 0;
+  const ready = sheet && mapping && rowCount >= 1 && rowCount <= maxRows && (kind === 'chart'
+    ? mapping.seriesColumns.length > 0 && (!round || mapping.seriesColumns.length === 1)
+    : mapping.columns.length > 0);
+
+  const submit = () => {
+    setOpen(false);
+    onImport(index, {
+      file,
+      commentary,
+      mapping: {
+        sheet: sheetIndex,
+        kind,
+        rows: { from: mapping.from, to: mapping.to },
+        ...(kind === 'chart'
+          ? { type, labelColumn: mapping.labelColumn, seriesColumns: mapping.seriesColumns }
+          : { columns: mapping.columns })
+      }
+    });
+  };
+
+  const numericColumns = sheet ? sheet.headers.map((header, idx) => ({ header, idx })).filter(c => sheet.columnTypes[c.idx] === 'number') : [];
+
+  return (
+    <Dialog open={open} onOpenChange={setOpen}>
+      <DialogTrigger asChild>
+        <Button type="button" variant="ghost" size="icon" disabled={disabled} aria-label="Import data">
+          <FileSpreadsheet className={`h-4 w-4 ${isImporting ? 'animate-pulse' : ''}`} />
+        </Button>
+      </DialogTrigger>
+      <DialogContent className="max-h-[90vh] overflow-y-auto sm:max-w-2xl">
+        <DialogHeader>
+          <DialogTitle>Import data into slide {index + 1}</DialogTitle>
+          <DialogDescription>
+            Turn columns of a CSV or Excel file into this slide&rsquo;s chart or table. The file, sheet, rows and
+            columns are cited as the slide&rsquo;s source.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-4">
+          <div className="flex items-center gap-3">
+            <Button type="button" variant="outline" size="sm" onClick={() => fileInput.current?.click()} disabled={busy}>
+              <Upload className="mr-1 h-4 w-4" /> {busy ? 'Reading...' : file ? 'Choose another file' : 'Choose file'}
+            </Button>
+            <input
+              ref={fileInput}
+              type="file"
+              accept={DATA_EXTENSIONS.join(',')}
+              onChange={handleUpload}
+              className="hidden"
+            />
+            {file && <span className="truncate text-sm text-gray-600">{file.name}</span>}
+          </div>
+
+          {error && <p className="text-sm text-red-600">{error}</p>}
+
+          {sheet && mapping && (
+            <>
+              <div className="grid grid-cols-1 gap-3 md:grid-cols-3">
+                {sheets.length > 1 && (
+                  <div className="space-y-1">
+                    <Label>Sheet</Label>
+                    <Select value={String(sheetIndex)} onValueChange={(value) => chooseSheet(Number(value))}>
+                      <SelectTrigger>
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent>
+                        {sheets.map((s, idx) => (
+                          <SelectItem key={s.name} value={String(idx)}>{s.name}</SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                  </div>
+                )}
+                <div className="space-y-1">
+                  <Label>Import as</Label>
+                  <Select value={kind} onValueChange={setKind}>
+                    <SelectTrigger>
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value="chart">Chart</SelectItem>
+                      <SelectItem value="table">Table</SelectItem>
+                    </SelectContent>
+                  </Select>
+                </div>
+                {kind === 'chart' && (
+                  <div className="space-y-1">
+                    <Label>Chart type</Label>
+                    <Select value={type} onValueChange={changeType}>
+                      <SelectTrigger>
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent>
+                        {CHART_TYPES.map(t => (
+                          <SelectItem key={t.value} value={t.value}>{t.label}</SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                  </div>
+                )}
+              </div>
+
+              {kind === 'chart' ? (
+                <div className="grid grid-cols-1 gap-3 md:grid-cols-2">
+                  <div className="space-y-1">
+                    <Label>{scatter ? 'X values' : 'Labels'}</Label>
+                    <Select value={String(mapping.labelColumn)} onValueChange={(value) => setMapping({ ...mapping, labelColumn: Number(value) })}>
+                      <SelectTrigger>
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent>
+                        {(scatter ? numericColumns : sheet.headers.map((header, idx) => ({ header, idx }))).map(c => (
+                          <SelectItem key={c.idx} value={String(c.idx)}>{c.header}</SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                  </div>
+                  <div className="space-y-1">
+                    <Label>{round ? 'Values (one column)' : 'Series'}</Label>
+                    {numericColumns.length === 0 && <p className="text-sm text-gray-500">This sheet has no numeric columns.</p>}
+                    <div className="flex flex-wrap gap-x-4 gap-y-1 text-sm text-gray-700">
+                      {numericColumns.map(c => (
+                        <label key={c.idx} className="flex items-center gap-2">
+                          <input
+                            type="checkbox"
+                            checked={mapping.seriesColumns.includes(c.idx)}
+                            onChange={() => toggle('seriesColumns', c.idx, round ? 1 : MAX_CHART_SERIES)}
+                            className={CHECKBOX_CLASS}
+                          />
+                          {c.header}
+                        </label>
+                      ))}
+                    </div>
+                  </div>
+                </div>
+              ) : (
+                <div className="space-y-1">
+                  <Label>Columns</Label>
+                  <div className="flex flex-wrap gap-x-4 gap-y-1 text-sm text-gray-700">
+                    {sheet.headers.map((header, idx) => (
+                      <label key={idx} className="flex items-center gap-2">
+                        <input
+                          type="checkbox"
+                          checked={mapping.columns.includes(idx)}
+                          onChange={() => toggle('columns', idx, 10)}
+                          className={CHECKBOX_CLASS}
+                        />
+                        {header}
+                      </label>
+                    ))}
+                  </div>
+                </div>
+              )}
+
+              <div className="flex flex-wrap items-end gap-3">
+                <div className="space-y-1">
+                  <Label htmlFor={`data-from-${index}`}>From row</Label>
+                  <Input id={`data-from-${index}`} type="number" min={1} max={sheet.rowCount} value={mapping.from} onChange={(e) => setRow('from', e.target.value)} className="w-24" />
+                </div>
+                <div className="space-y-1">
+                  <Label htmlFor={`data-to-${index}`}>To row</Label>
+                  <Input id={`data-to-${index}`} type="number" min={1} max={sheet.rowCount} value={mapping.to} onChange={(e) => setRow('to', e.target.value)} className="w-24" />
+                </div>
+                <p className={`pb-2 text-xs ${rowCount > maxRows || rowCount < 1 ? 'text-red-600' : 'text-gray-500'}`}>
+                  {sheet.rowCount} data rows in the sheet; a {kind} takes up to {maxRows}.
+                </p>
+              </div>
+
+              <div className="overflow-x-auto rounded border border-gray-200">
+                <table className="w-full text-xs">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      {sheet.headers.map((header, idx) => (
+                        <th key={idx} className="px-2 py-1 text-left font-semibold text-gray-600">
+                          {header}
+                          <span className="ml-1 font-normal text-gray-400">{sheet.columnTypes[idx] === 'number' ? '123' : 'abc'}</span>
+                        </th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {sheet.rows.map((row, r) => (
+                      <tr key={r} className="border-t border-gray-100">
+                        {row.map((cell, idx) => <td key={idx} className="px-2 py-1 text-gray-700">{cell}</td>)}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                {sheet.rowCount > sheet.rows.length && (
+                  <p className="px-2 py-1 text-xs text-gray-500">First {sheet.rows.length} of {sheet.rowCount} rows</p>
+                )}
+              </div>
+
+              <label className="flex items-center gap-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={commentary}
+                  onChange={(e) => setCommentary(e.target.checked)}
+                  className={CHECKBOX_CLASS}
+                />
+                Write the bullets and notes from the data (every number is checked against the file)
+              </label>
+            </>
+          )}
+        </div>
+
+        <DialogFooter>
+          <Button type="button" variant="outline" onClick={() => setOpen(false)}>
+            Cancel
+          </Button>
+          <Button type="button" onClick={submit} disabled={!ready}>
+            <FileSpreadsheet className="mr-1 h-4 w-4" /> Import
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
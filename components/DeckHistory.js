@@ -0,0 +1,146 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import Link from 'next/link';
+import { Download, Pencil, Trash2 } from 'lucide-react';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { deleteResource, describeError, downloadSavedDeck, getJson } from '@/lib/api';
+import { formatInfo } from '@/lib/formats';
+import { PROVIDER_LABELS } from '@/lib/imageCredits';
+
+const SOURCE_LABELS = {
+  generate: 'Generated with AI',
+  render: 'Reviewed outline',
+  markdown: 'From Markdown'
+};
+
+const creditLabel = (credit) => {
+  const provider = PROVIDER_LABELS[credit.provider] || credit.provider;
+  return credit.photographer ? `${credit.photographer} (${provider})` : provider;
+};
+
+const themeLabel = ({ colorTheme, template }) => {
+  if (template) return `Template: ${template}`;
+  if (colorTheme && typeof colorTheme === 'object') return colorTheme.label || 'Custom theme';
+  return `Theme: ${colorTheme}`;
+};
+
+const fileSize = (bytes) => (bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} MB` : `${Math.max(1, Math.round(bytes / 1024))} KB`);
+
+// "My presentations": every deck saved by the backend, newest first, with re-download,
+// open-in-editor (on the home page, via ?deck=<id>) and delete
+export default function DeckHistory() {
+  const [decks, setDecks] = useState(null);
+  const [busyId, setBusyId] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    getJson('/decks')
+      .then((data) => setDecks(data.decks))
+      .catch((err) => {
+        setDecks([]);
+        setError(describeError(err));
+      });
+  }, []);
+
+  const handleDownload = async (deck) => {
+    setBusyId(deck.id);
+    setError('');
+    try {
+      await downloadSavedDeck(deck);
+    } catch (err) {
+      setError(describeError(err));
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleDelete = async (deck) => {
+    if (!window.confirm(`Delete "${deck.name}"? This cannot be undone.`)) return;
+
+    setBusyId(deck.id);
+    setError('');
+    try {
+      await deleteResource(`/decks/${deck.id}`);
+      setDecks((current) => current.filter(d => d.id !== deck.id));
+    } catch (err) {
+      setError(describeError(err));
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  if (decks === null) {
+    return <p className="text-center text-sm text-gray-500">Loading presentations...</p>;
+  }
+
+  return (
+    <div className="space-y-4">
+      {error && <p className="text-sm text-red-600">{error}</p>}
+
+      {decks.length === 0 && !error && (
+        <p className="text-center text-sm text-gray-500">
+          No presentations yet. Decks you download are saved here automatically.
+        </p>
+      )}
+
+      {decks.map((deck) => (
+        <div key={deck.id} className="rounded-xl border border-gray-200 bg-white p-4 space-y-3">
+          <div className="flex flex-col gap-1 md:flex-row md:items-start md:justify-between">
+            <div className="space-y-1">
+              <h2 className="font-semibold text-gray-800">{deck.name}</h2>
+              <p className="text-xs text-gray-500">
+                {new Date(deck.createdAt).toLocaleString()} · {deck.slideCount} slides · {fileSize(deck.fileSize)}
+              </p>
+            </div>
+            <div className="flex flex-wrap gap-1">
+              <Badge variant="secondary">{formatInfo(deck.format).label}</Badge>
+              <Badge variant="outline">{SOURCE_LABELS[deck.source] || deck.source}</Badge>
+              <Badge variant="outline">{themeLabel(deck.theme)}</Badge>
+            </div>
+          </div>
+
+          {deck.imageAttributions.length > 0 && (
+            <p className="text-xs text-gray-500">
+              Images:{' '}
+              {deck.imageAttributions.map((credit, i) => (
+                <span key={i}>
+                  {i > 0 && ', '}
+                  {credit.photoUrl ? (
+                    <a href={credit.photoUrl} target="_blank" rel="noreferrer" className="underline">
+                      {creditLabel(credit)}
+                    </a>
+                  ) : (
+                    creditLabel(credit)
+                  )}
+                </span>
+              ))}
+            </p>
+          )}
+
+          <div className="flex flex-wrap gap-2">
+            <Button type="button" size="sm" onClick={() => handleDownload(deck)} disabled={busyId === deck.id}>
+              <Download className="mr-1 h-4 w-4" /> Download
+            </Button>
+            <Button type="button" size="sm" variant="outline" asChild>
+              <Link href={`/?deck=${deck.id}`}>
+                <Pencil className="mr-1 h-4 w-4" /> Open in editor
+              </Link>
+            </Button>
+            <Button
+              type="button"
+              size="sm"
+              variant="ghost"
+              onClick={() => handleDelete(deck)}
+              disabled={busyId === deck.id}
+              aria-label={`Delete ${deck.name}`}
+            >
+              <Trash2 className="h-4 w-4" />
+            </Button>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
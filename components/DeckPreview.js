@@ -0,0 +1,74 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import SlidePreview from '@/components/SlidePreview';
+import { getJson } from '@/lib/api';
+import { LAYOUTS } from '@/lib/outline';
+import { outlineCredits } from '@/lib/imageCredits';
+import { agendaItems, contentSlide, creditsSlide as drawCreditsSlide, imageSource, titleSlide } from '@/lib/slidePreview';
+import { BUILT_IN_THEMES } from '@/lib/themes';
+
+const layoutLabel = (value) => (LAYOUTS.find(l => l.value === value) || {}).label;
+
+// Live preview of the whole deck: the title slide and every content slide, drawn with the same
+// layouts, theme colors, tables and charts as the PPTX, plus the closing image credits slide.
+// `colorTheme` is a theme name or a custom theme object.
+export default function DeckPreview({ outline, topic, colorTheme, template, creditCaptions = true, creditsSlide = true }) {
+  const [savedThemes, setSavedThemes] = useState([]);
+  const themeName = typeof colorTheme === 'string' ? colorTheme : null;
+  const builtIn = BUILT_IN_THEMES.find(t => t.name === themeName);
+
+  // Saved themes are only known to the backend
+  useEffect(() => {
+    if (!themeName || builtIn) return;
+    getJson('/themes')
+      .then((data) => setSavedThemes(data.themes))
+      .catch((err) => console.warn('Could not load saved themes:', err.message));
+  }, [themeName, builtIn]);
+
+  const theme = (colorTheme && typeof colorTheme === 'object' && colorTheme)
+    || builtIn
+    || savedThemes.find(t => t.name === themeName)
+    || BUILT_IN_THEMES[0];
+
+  const agenda = agendaItems(outline.slides);
+  const slides = (outline.slides || []).map((slide, index) => contentSlide(slide, index, theme, { creditCaptions, agenda }));
+
+  // Deck numbers of the content slides, counting the title slide and the "(cont.)" slides of tables
+  const slideNumbers = [];
+  let next = 2;
+  slides.forEach((slide, index) => {
+    slideNumbers[index] = next;
+    next += 1 + slide.continuations.length;
+  });
+
+  const credits = creditsSlide
+    ? outlineCredits(
+      outline,
+      (slide, index) => slides[index].elements.some(e => e.kind === 'image' && imageSource(e.image)),
+      index => slideNumbers[index]
+    )
+    : [];
+
+  return (
+    <div className="space-y-3">
+      {template && (
+        <p className="text-xs text-gray-500">
+          The preview shows the built-in layouts; the template places the same content into its own layouts.
+        </p>
+      )}
+      <div className="grid gap-4 md:grid-cols-2">
+        <SlidePreview slide={titleSlide(outline, topic, theme)} number={1} label="Title slide" />
+        {slides.map((slide, index) => [
+          <SlidePreview key={index} slide={slide} number={slideNumbers[index]} label={layoutLabel(slide.layout)} />,
+          ...slide.continuations.map((continuation, page) => (
+            <SlidePreview key={`${index}-${page}`} slide={continuation} number={slideNumbers[index] + page + 1} label="Table (cont.)" />
+          ))
+        ])}
+        {credits.length > 0 && (
+          <SlidePreview slide={drawCreditsSlide(credits, theme)} number={next} label="Image credits" />
+        )}
+      </div>
+    </div>
+  );
+}
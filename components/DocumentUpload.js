@@ -0,0 +1,94 @@
+'use client';
+
+import { useRef, useState } from 'react';
+import { FileText, Upload, X } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { DOCUMENT_EXTENSIONS, MAX_DOCUMENTS, MAX_DOCUMENTS_BYTES, readDocumentFile } from '@/lib/documents';
+
+// Approximate size of a base64 payload, for display
+const formatSize = (data) => {
+  const bytes = Math.round(data.length * 0.75);
+  return bytes < 1024 * 1024 ? `${Math.max(1, Math.round(bytes / 1024))} KB` : `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+};
+
+// Source documents the deck is built from. `value` is a list of { name, data } (base64).
+export default function DocumentUpload({ value, onChange, disabled }) {
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+  const fileInput = useRef(null);
+
+  const handleFiles = async (e) => {
+    const files = Array.from(e.target.files || []);
+    e.target.value = '';
+    if (files.length === 0) return;
+
+    setError('');
+    if (value.length + files.length > MAX_DOCUMENTS) {
+      setError(`Upload at most ${MAX_DOCUMENTS} documents`);
+      return;
+    }
+
+    setBusy(true);
+    try {
+      const documents = await Promise.all(files.map(readDocumentFile));
+      const next = [...value.filter(doc => !documents.some(d => d.name === doc.name)), ...documents];
+      if (next.reduce((sum, doc) => sum + doc.data.length * 0.75, 0) > MAX_DOCUMENTS_BYTES) {
+        throw new Error('Documents must be smaller than 6.5 MB in total');
+      }
+      onChange(next);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="space-y-2">
+      {value.map((doc) => (
+        <div key={doc.name} className="flex items-center gap-2 rounded-xl border border-gray-200 px-3 py-2">
+          <FileText className="h-4 w-4 shrink-0 text-gray-500" />
+          <span className="flex-1 truncate text-sm text-gray-800">{doc.name}</span>
+          <span className="text-xs text-gray-500">{formatSize(doc.data)}</span>
+          <Button
+            type="button"
+            variant="ghost"
+            size="icon"
+            className="h-7 w-7"
+            onClick={() => onChange(value.filter(d => d.name !== doc.name))}
+            disabled={disabled}
+            aria-label={`Remove ${doc.name}`}
+          >
+            <X className="h-4 w-4" />
+          </Button>
+        </div>
+      ))}
+
+      <Button
+        type="button"
+        variant="outline"
+        className="h-12 w-full"
+        onClick={() => fileInput.current && fileInput.current.click()}
+        disabled={disabled || busy || value.length >= MAX_DOCUMENTS}
+      >
+        <Upload className="mr-2 h-4 w-4" />
+        {busy ? 'Reading...' : 'Add PDF, Word, Markdown or text files'}
+      </Button>
+      <input
+        ref={fileInput}
+        type="file"
+        multiple
+        accept={DOCUMENT_EXTENSIONS.join(',')}
+        onChange={handleFiles}
+        className="hidden"
+      />
+
+      {value.length > 0 && (
+        <p className="text-xs text-gray-500">
+          The deck summarizes these documents and each slide lists the pages or sections it draws on.
+        </p>
+      )}
+      {error && <p className="text-sm text-red-600">{error}</p>}
+    </div>
+  );
+}
@@ -0,0 +1,25 @@
+'use client';
+
+import { ToggleGroup, ToggleGroupItem } from '@/components/ui/toggle-group';
+import { EXPORT_FORMATS } from '@/lib/formats';
+
+// Download format of the deck: the PPTX itself, a PDF, or a zip with one PNG per slide
+// (for recipients who can't open PowerPoint files)
+export default function FormatPicker({ value, onChange, disabled }) {
+  return (
+    <ToggleGroup
+      type="single"
+      variant="outline"
+      value={value}
+      onValueChange={(next) => next && onChange(next)}
+      disabled={disabled}
+      className="justify-start"
+    >
+      {EXPORT_FORMATS.map((format) => (
+        <ToggleGroupItem key={format.value} value={format.value} aria-label={`Download as ${format.label}`}>
+          {format.label}
+        </ToggleGroupItem>
+      ))}
+    </ToggleGroup>
+  );
+}
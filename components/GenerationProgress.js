@@ -0,0 +1,18 @@
+'use client';
+
+import { Progress } from '@/components/ui/progress';
+
+// Progress bar fed by the backend's `progress` events ({ stage, percent, message })
+export default function GenerationProgress({ progress }) {
+  if (!progress) return null;
+
+  return (
+    <div className="mt-6 space-y-2" role="status" aria-live="polite">
+      <div className="flex items-center justify-between text-sm text-gray-600">
+        <span>{progress.message}</span>
+        <span className="font-semibold">{progress.percent}%</span>
+      </div>
+      <Progress value={progress.percent} className="h-3" />
+    </div>
+  );
+}
@@ -0,0 +1,208 @@
+'use client';
+
+import { useRef, useState } from 'react';
+import Image from 'next/image';
+import { ImageOff, Search, Upload, Wand2 } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Slider } from '@/components/ui/slider';
+import { describeError, getJson } from '@/lib/api';
+import { imageCredit, PROVIDER_LABELS } from '@/lib/imageCredits';
+import { MAX_IMAGE_ZOOM, readSlideImageFile } from '@/lib/images';
+import { imageSource } from '@/lib/slidePreview';
+
+// Image of one slide: picked automatically from the image search terms when the deck is built
+// (`image` undefined), none (`null`), a candidate picked from the image search, or an upload.
+// A chosen image gets a focal point (click on it) and a zoom, which the deck's crop is centered on.
+export default function ImagePicker({ image, query, onChange, disabled }) {
+  const [search, setSearch] = useState(query || '');
+  const [candidates, setCandidates] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+  const fileInput = useRef(null);
+
+  const source = image ? imageSource(image) : null;
+  const credit = image && imageCredit(image);
+  const focus = (image && image.focus) || { x: 0.5, y: 0.5 };
+
+  const runSearch = async (e) => {
+    e.preventDefault();
+    const q = search.trim() || (query || '').trim();
+    if (!q) return;
+
+    setBusy(true);
+    setError('');
+    try {
+      const data = await getJson(`/images/search?q=${encodeURIComponent(q)}`, { timeout: 30000 });
+      setCandidates(data.candidates);
+    } catch (err) {
+      setError(describeError(err));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const pick = ({ provider, ref, url, thumbnail, width, height, attribution }) => {
+    onChange({ provider, ref, url, thumbnail, width, height, attribution });
+  };
+
+  const handleUpload = async (e) => {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setError('');
+    try {
+      onChange({ ...(await readSlideImageFile(file)), attribution: null });
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const setFocus = (e) => {
+    if (disabled) return;
+    const rect = e.currentTarget.getBoundingClientRect();
+    const clamp = (value) => Math.round(Math.min(Math.max(value, 0), 1) * 100) / 100;
+    onChange({
+      ...image,
+      focus: { x: clamp((e.clientX - rect.left) / rect.width), y: clamp((e.clientY - rect.top) / rect.height) }
+    });
+  };
+
+  return (
+    <div className="space-y-3">
+      {image === null && <p className="text-sm text-gray-500">This slide has no image.</p>}
+      {!source && image !== null && (
+        <p className="text-sm text-gray-500">
+          An image is picked automatically from the image search terms when the deck is built.
+        </p>
+      )}
+
+      {source && (
+        <div className="flex flex-col gap-3 md:flex-row md:items-start">
+          <button
+            type="button"
+            onClick={setFocus}
+            disabled={disabled}
+            className="relative w-full max-w-[320px] shrink-0 overflow-hidden rounded border border-gray-200"
+            aria-label="Set the focal point of the image"
+          >
+            <Image
+              src={source}
+              alt=""
+              width={image.width || 1600}
+              height={image.height || 900}
+              unoptimized
+              className="block h-auto w-full"
+            />
+            <span
+              className="pointer-events-none absolute h-4 w-4 -translate-x-1/2 -translate-y-1/2 rounded-full border-2 border-white bg-blue-600 shadow"
+              style={{ left: `${focus.x * 100}%`, top: `${focus.y * 100}%` }}
+            />
+          </button>
+          <div className="w-full space-y-3 text-sm">
+            <p className="text-xs text-gray-500">
+              Click the image to set its focal point: the slide crops the image around it.
+            </p>
+            <div className="space-y-1">
+              <label className="block text-xs font-semibold uppercase text-gray-500">
+                Zoom ({(image.zoom || 1).toFixed(1)}x)
+              </label>
+              <Slider
+                value={[image.zoom || 1]}
+                min={1}
+                max={MAX_IMAGE_ZOOM}
+                step={0.1}
+                onValueChange={([zoom]) => onChange({ ...image, zoom })}
+                disabled={disabled}
+              />
+            </div>
+            {credit && (
+              <p className="text-xs text-gray-500">
+                {credit.url ? (
+                  <a href={credit.url} target="_blank" rel="noreferrer" className="underline">{credit.line}</a>
+                ) : (
+                  credit.line
+                )}
+              </p>
+            )}
+          </div>
+        </div>
+      )}
+
+      <div className="flex flex-wrap gap-2">
+        <Button type="button" variant="outline" size="sm" onClick={() => fileInput.current?.click()} disabled={disabled}>
+          <Upload className="mr-1 h-4 w-4" /> Upload image
+        </Button>
+        <input
+          ref={fileInput}
+          type="file"
+          accept="image/png,image/jpeg,image/gif,image/webp"
+          onChange={handleUpload}
+          className="hidden"
+        />
+        {image !== undefined && (
+          <Button type="button" variant="outline" size="sm" onClick={() => onChange(undefined)} disabled={disabled}>
+            <Wand2 className="mr-1 h-4 w-4" /> Pick automatically
+          </Button>
+        )}
+        {image !== null && (
+          <Button type="button" variant="ghost" size="sm" onClick={() => onChange(null)} disabled={disabled}>
+            <ImageOff className="mr-1 h-4 w-4" /> No image
+          </Button>
+        )}
+      </div>
+
+      <form onSubmit={runSearch} className="flex items-center gap-2">
+        <Input
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          placeholder={query || 'Search images'}
+          maxLength={100}
+          disabled={disabled || busy}
+        />
+        <Button type="submit" variant="outline" size="sm" disabled={disabled || busy}>
+          <Search className="mr-1 h-4 w-4" /> {busy ? 'Searching...' : 'Search'}
+        </Button>
+      </form>
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+
+      {candidates && candidates.length === 0 && (
+        <p className="text-sm text-gray-500">No images found. Try other search terms.</p>
+      )}
+
+      {candidates && candidates.length > 0 && (
+        <div className="grid grid-cols-2 gap-2 md:grid-cols-4">
+          {candidates.map((candidate) => {
+            const selected = image && image.provider === candidate.provider && image.ref === candidate.ref;
+            const label = PROVIDER_LABELS[candidate.provider] || candidate.provider;
+            return (
+              <button
+                key={`${candidate.provider}:${candidate.ref}`}
+                type="button"
+                onClick={() => pick(candidate)}
+                disabled={disabled}
+                className={`overflow-hidden rounded border text-left ${selected ? 'border-blue-600 ring-2 ring-blue-600' : 'border-gray-200'}`}
+              >
+                <Image
+                  src={candidate.thumbnail}
+                  alt=""
+                  width={320}
+                  height={180}
+                  unoptimized
+                  className="aspect-video w-full object-cover"
+                />
+                <span className="block truncate px-2 py-1 text-xs text-gray-500">
+                  {candidate.attribution && candidate.attribution.photographer
+                    ? `${candidate.attribution.photographer} · ${label}`
+                    : label}
+                </span>
+              </button>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,137 @@
+'use client';
+
+import { Plus, X } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { LAYOUTS, MAX_LAYOUT_ITEMS, createLayoutContent } from '@/lib/outline';
+
+// Fields of the items of the list layouts, in the order they are edited
+const ITEM_FIELDS = {
+  timeline: [
+    { key: 'label', placeholder: 'Date or phase', className: 'md:w-32' },
+    { key: 'title', placeholder: 'Event' },
+    { key: 'detail', placeholder: 'Detail (optional)' }
+  ],
+  'card-grid': [
+    { key: 'title', placeholder: 'Title' },
+    { key: 'subtitle', placeholder: 'Subtitle (optional)', className: 'md:w-40' },
+    { key: 'text', placeholder: 'Text (optional)' }
+  ],
+  process: [
+    { key: 'title', placeholder: 'Step', className: 'md:w-48' },
+    { key: 'detail', placeholder: 'Detail (optional)' }
+  ]
+};
+
+const layoutLabel = (layout) => (LAYOUTS.find(l => l.value === layout) || {}).label;
+
+// Rows of items with one input per field (timeline events, cards, process steps)
+function ItemList({ layout, items, onChange, disabled }) {
+  const fields = ITEM_FIELDS[layout];
+  const setField = (idx, key, value) => onChange(items.map((item, i) => (i === idx ? { ...item, [key]: value } : item)));
+
+  return (
+    <div className="space-y-2">
+      {items.map((item, idx) => (
+        <div key={idx} className="flex flex-col gap-2 md:flex-row md:items-center">
+          {fields.map(field => (
+            <Input
+              key={field.key}
+              value={item[field.key] || ''}
+              onChange={(e) => setField(idx, field.key, e.target.value)}
+              placeholder={field.placeholder}
+              className={field.className}
+              disabled={disabled}
+            />
+          ))}
+          <Button type="button" variant="ghost" size="icon" onClick={() => onChange(items.filter((_, i) => i !== idx))} disabled={disabled || items.length <= 2} aria-label="Remove item">
+            <X className="h-4 w-4" />
+          </Button>
+        </div>
+      ))}
+      <Button
+        type="button"
+        variant="outline"
+        size="sm"
+        onClick={() => onChange([...items, Object.fromEntries(fields.slice(0, 1).map(f => [f.key, '']))])}
+        disabled={disabled || items.length >= MAX_LAYOUT_ITEMS}
+      >
+        <Plus className="mr-1 h-4 w-4" /> Item
+      </Button>
+    </div>
+  );
+}
+
+// One side of a comparison: its heading and points
+function ComparisonSide({ side, onChange, disabled }) {
+  const points = side.points || [];
+  return (
+    <div className="space-y-2">
+      <Input value={side.heading || ''} onChange={(e) => onChange({ ...side, heading: e.target.value })} placeholder="Heading" className="font-semibold" disabled={disabled} />
+      {points.map((point, idx) => (
+        <div key={idx} className="flex items-center gap-2">
+          <Input value={point} onChange={(e) => onChange({ ...side, points: points.map((p, i) => (i === idx ? e.target.value : p)) })} disabled={disabled} />
+          <Button type="button" variant="ghost" size="icon" onClick={() => onChange({ ...side, points: points.filter((_, i) => i !== idx) })} disabled={disabled || points.length <= 1} aria-label="Remove point">
+            <X className="h-4 w-4" />
+          </Button>
+        </div>
+      ))}
+      <Button type="button" variant="outline" size="sm" onClick={() => onChange({ ...side, points: [...points, ''] })} disabled={disabled || points.length >= 6}>
+        <Plus className="mr-1 h-4 w-4" /> Point
+      </Button>
+    </div>
+  );
+}
+
+// Editor for the content of a structured layout (`timeline`, `comparison`, `stat`, `cards` or
+// `steps`); without it the layout is drawn from the slide's bullets
+export default function LayoutContentEditor({ layout, content, onChange, disabled }) {
+  if (layout === 'agenda') {
+    return (
+      <p className="text-sm text-gray-500">
+        Agenda slides list the titles of the deck&apos;s section dividers, or of its other slides when it has none.
+      </p>
+    );
+  }
+
+  if (!content) {
+    return (
+      <div className="space-y-2">
+        <p className="text-sm text-gray-500">Without its own content, the {layoutLabel(layout)?.toLowerCase()} layout is drawn from the bullets (&quot;Label: text&quot; bullets are split).</p>
+        <Button type="button" variant="outline" size="sm" onClick={() => onChange(createLayoutContent(layout))} disabled={disabled}>
+          <Plus className="mr-1 h-4 w-4" /> Add {layoutLabel(layout)?.toLowerCase()} content
+        </Button>
+      </div>
+    );
+  }
+
+  let editor;
+  if (layout === 'comparison') {
+    editor = (
+      <div className="grid grid-cols-1 gap-4 md:grid-cols-2">
+        <ComparisonSide side={content.left || {}} onChange={(left) => onChange({ ...content, left })} disabled={disabled} />
+        <ComparisonSide side={content.right || {}} onChange={(right) => onChange({ ...content, right })} disabled={disabled} />
+      </div>
+    );
+  } else if (layout === 'big-stat') {
+    const set = (key, value) => onChange({ ...content, [key]: value });
+    editor = (
+      <div className="grid grid-cols-1 gap-2 md:grid-cols-3">
+        <Input value={content.value || ''} onChange={(e) => set('value', e.target.value)} placeholder="Number, e.g. 42%" maxLength={12} className="font-semibold" disabled={disabled} />
+        <Input value={content.label || ''} onChange={(e) => set('label', e.target.value)} placeholder="What it measures" disabled={disabled} />
+        <Input value={content.context || ''} onChange={(e) => set('context', e.target.value)} placeholder="Context (optional)" disabled={disabled} />
+      </div>
+    );
+  } else {
+    editor = <ItemList layout={layout} items={Array.isArray(content) ? content : []} onChange={onChange} disabled={disabled} />;
+  }
+
+  return (
+    <div className="space-y-3">
+      {editor}
+      <Button type="button" variant="ghost" size="sm" onClick={() => onChange(undefined)} disabled={disabled}>
+        Use bullets instead
+      </Button>
+    </div>
+  );
+}
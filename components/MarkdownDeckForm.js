@@ -0,0 +1,105 @@
+'use client';
+
+import { useRef } from 'react';
+import { FileUp } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Textarea } from '@/components/ui/textarea';
+import FormatPicker from '@/components/FormatPicker';
+import { downloadLabel } from '@/lib/formats';
+
+const EXAMPLE = `---
+theme: green
+subtitle: Quarterly review
+---
+# Solar Energy 2024
+
+## Highlights
+- Output grew 24% year over year
+- Panel prices fell below $0.20 per watt
+
+## Installed capacity
+| Region | GW |
+| --- | --- |
+| Europe | 56 |
+| United States | 40 |
+
+\`\`\`chart
+type: pie
+title: Capacity by segment
+Rooftop: 40
+Utility: 60
+\`\`\`
+
+<!-- notes: Mention that rooftop growth slowed in Q4. -->`;
+
+// Markdown deck editor: the deck is rendered as written, without any AI
+export default function MarkdownDeckForm({ value, onChange, onRender, format, onFormatChange, isLoading }) {
+  const fileInput = useRef(null);
+
+  const handleFile = async (e) => {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = '';
+    if (file) {
+      onChange(await file.text());
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="space-y-2">
+        <div className="flex items-center justify-between">
+          <label htmlFor="markdown" className="block text-sm font-semibold text-gray-700">
+            Markdown
+          </label>
+          <div className="flex gap-2">
+            <Button type="button" variant="ghost" size="sm" onClick={() => onChange(EXAMPLE)} disabled={isLoading}>
+              Load example
+            </Button>
+            <Button type="button" variant="outline" size="sm" onClick={() => fileInput.current && fileInput.current.click()} disabled={isLoading}>
+              <FileUp className="mr-1 h-4 w-4" /> Open .md file
+            </Button>
+            <input ref={fileInput} type="file" accept=".md,.markdown,text/markdown,text/plain" onChange={handleFile} className="hidden" />
+          </div>
+        </div>
+        <Textarea
+          id="markdown"
+          value={value}
+          onChange={(e) => onChange(e.target.value)}
+          placeholder={EXAMPLE}
+          rows={18}
+          className="font-mono text-sm"
+          disabled={isLoading}
+        />
+        <p className="text-xs text-gray-500">
+          <code># Title</code> names the deck and each <code>## Heading</code> starts a slide. Lists, quotes, pipe tables
+          and <code>```chart</code> blocks fill the slide; <code>&lt;!-- layout: two-column --&gt;</code> and{' '}
+          <code>&lt;!-- notes: ... --&gt;</code> set its layout and speaker notes. Front matter picks the theme, brand kit
+          and template.
+        </p>
+      </div>
+
+      <div className="space-y-2">
+        <label className="block text-sm font-semibold text-gray-700">
+          Download Format
+        </label>
+        <FormatPicker value={format} onChange={onFormatChange} disabled={isLoading} />
+      </div>
+
+      <button
+        type="button"
+        onClick={onRender}
+        disabled={isLoading || !value.trim()}
+        className="w-full bg-gradient-to-r from-blue-600 to-indigo-600 hover:from-blue-700 hover:to-indigo-700 disabled:from-gray-300 disabled:to-gray-400 text-white font-semibold py-4 px-6 rounded-xl transition-all duration-200 transform hover:scale-[1.02] disabled:hover:scale-100 disabled:cursor-not-allowed shadow-lg hover:shadow-xl"
+      >
+        {isLoading ? (
+          <div className="flex items-center justify-center space-x-2">
+            <div className="w-5 h-5 border-2 border-white/30 border-t-white rounded-full animate-spin"></div>
+            <span>Building presentation...</span>
+          </div>
+        ) : (
+          downloadLabel(format)
+        )}
+      </button>
+    </div>
+  );
+}
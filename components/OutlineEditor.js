@@ -0,0 +1,143 @@
+'use client';
+
+import { FileDown, Plus } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/components/ui/tabs';
+import DeckPreview from '@/components/DeckPreview';
+import FormatPicker from '@/components/FormatPicker';
+import SlideCard from '@/components/SlideCard';
+import { downloadLabel } from '@/lib/formats';
+import { createSlide } from '@/lib/outline';
+
+// Review screen for a generated outline: edit, reorder, add, delete and regenerate slides, import data into them,
+// and preview them with the deck's theme before downloading
+export default function OutlineEditor({
+  outline,
+  topic,
+  colorTheme,
+  template,
+  creditCaptions,
+  creditsSlide,
+  onChange,
+  onRegenerateSlide,
+  onImportData,
+  regeneratingIndex,
+  onRender,
+  onBack,
+  onExportMarkdown,
+  format,
+  onFormatChange,
+  isRendering
+}) {
+  const slides = outline.slides || [];
+  const busy = isRendering || regeneratingIndex !== null;
+
+  const setSlides = (next) => onChange({ ...outline, slides: next });
+
+  const updateSlide = (index, slide) => {
+    setSlides(slides.map((s, i) => (i === index ? slide : s)));
+  };
+
+  const moveSlide = (index, direction) => {
+    const target = index + direction;
+    if (target < 0 || target >= slides.length) return;
+    const next = [...slides];
+    [next[index], next[target]] = [next[target], next[index]];
+    setSlides(next);
+  };
+
+  const deleteSlide = (index) => {
+    setSlides(slides.filter((_, i) => i !== index));
+  };
+
+  const addSlide = () => {
+    setSlides([...slides, createSlide()]);
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="space-y-2">
+        <label htmlFor="deck-title" className="block text-sm font-semibold text-gray-700">
+          Presentation Title
+        </label>
+        <Input
+          id="deck-title"
+          value={outline.title || ''}
+          onChange={(e) => onChange({ ...outline, title: e.target.value })}
+          className="text-lg font-semibold"
+          disabled={isRendering}
+        />
+      </div>
+
+      <Tabs defaultValue="edit">
+        <TabsList className="grid w-full grid-cols-2">
+          <TabsTrigger value="edit">Edit</TabsTrigger>
+          <TabsTrigger value="preview">Preview</TabsTrigger>
+        </TabsList>
+
+        <TabsContent value="edit" className="space-y-6">
+          {slides.map((slide, index) => (
+            <SlideCard
+              key={index}
+              slide={slide}
+              index={index}
+              total={slides.length}
+              onChange={(next) => updateSlide(index, next)}
+              onMove={moveSlide}
+              onDelete={deleteSlide}
+              onRegenerate={onRegenerateSlide}
+              onImportData={onImportData}
+              isRegenerating={regeneratingIndex === index}
+              disabled={busy && regeneratingIndex !== index}
+            />
+          ))}
+
+          <Button type="button" variant="outline" className="w-full" onClick={addSlide} disabled={busy}>
+            <Plus className="mr-1 h-4 w-4" /> Add slide
+          </Button>
+        </TabsContent>
+
+        <TabsContent value="preview">
+          <DeckPreview
+            outline={outline}
+            topic={topic}
+            colorTheme={colorTheme}
+            template={template}
+            creditCaptions={creditCaptions}
+            creditsSlide={creditsSlide}
+          />
+        </TabsContent>
+      </Tabs>
+
+      <div className="flex items-center justify-between gap-3">
+        <span className="text-sm font-semibold text-gray-700">Download format</span>
+        <FormatPicker value={format} onChange={onFormatChange} disabled={busy} />
+      </div>
+
+      <div className="flex flex-col gap-3 md:flex-row">
+        <Button type="button" variant="outline" className="md:w-1/4" onClick={onBack} disabled={isRendering}>
+          Back
+        </Button>
+        <Button type="button" variant="outline" className="md:w-1/4" onClick={onExportMarkdown} disabled={busy || slides.length === 0}>
+          <FileDown className="mr-1 h-4 w-4" /> Markdown
+        </Button>
+        <button
+          type="button"
+          onClick={onRender}
+          disabled={busy || slides.length === 0}
+          className="flex-1 bg-gradient-to-r from-blue-600 to-indigo-600 hover:from-blue-700 hover:to-indigo-700 disabled:from-gray-300 disabled:to-gray-400 text-white font-semibold py-3 px-6 rounded-xl transition-all duration-200 disabled:cursor-not-allowed shadow-lg hover:shadow-xl"
+        >
+          {isRendering ? (
+            <div className="flex items-center justify-center space-x-2">
+              <div className="w-5 h-5 border-2 border-white/30 border-t-white rounded-full animate-spin"></div>
+              <span>Building presentation...</span>
+            </div>
+          ) : (
+            downloadLabel(format)
+          )}
+        </button>
+      </div>
+    </div>
+  );
+}
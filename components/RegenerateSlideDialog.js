@@ -0,0 +1,84 @@
+'use client';
+
+import { useState } from 'react';
+import { RefreshCw } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+  DialogTrigger,
+} from '@/components/ui/dialog';
+import { Label } from '@/components/ui/label';
+import { Textarea } from '@/components/ui/textarea';
+
+// Keep in sync with MAX_INSTRUCTION_LENGTH in services/outline.js
+const MAX_INSTRUCTION_LENGTH = 300;
+
+const SUGGESTIONS = [
+  'Make it more technical',
+  'Simplify for beginners',
+  'Add a comparison table',
+  'Add a chart with key figures',
+  'Shorter, punchier bullets'
+];
+
+// Per-slide "regenerate" action: asks the model to rewrite only this slide, optionally following an instruction
+export default function RegenerateSlideDialog({ index, slideTitle, onRegenerate, isRegenerating, disabled }) {
+  const [open, setOpen] = useState(false);
+  const [instruction, setInstruction] = useState('');
+
+  const submit = () => {
+    setOpen(false);
+    onRegenerate(index, instruction.trim());
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={setOpen}>
+      <DialogTrigger asChild>
+        <Button type="button" variant="ghost" size="icon" disabled={disabled} aria-label="Regenerate slide">
+          <RefreshCw className={`h-4 w-4 ${isRegenerating ? 'animate-spin' : ''}`} />
+        </Button>
+      </DialogTrigger>
+      <DialogContent className="sm:max-w-lg">
+        <DialogHeader>
+          <DialogTitle>Regenerate slide {index + 1}</DialogTitle>
+          <DialogDescription>
+            Only &ldquo;{slideTitle || 'this slide'}&rdquo; is rewritten; the rest of the deck is kept and used as context.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-2">
+          <Label htmlFor={`instruction-${index}`}>What should change? (optional)</Label>
+          <Textarea
+            id={`instruction-${index}`}
+            value={instruction}
+            onChange={(e) => setInstruction(e.target.value)}
+            placeholder="e.g. make it more technical"
+            maxLength={MAX_INSTRUCTION_LENGTH}
+            rows={3}
+          />
+          <div className="flex flex-wrap gap-2">
+            {SUGGESTIONS.map((suggestion) => (
+              <Button key={suggestion} type="button" variant="outline" size="sm" onClick={() => setInstruction(suggestion)}>
+                {suggestion}
+              </Button>
+            ))}
+          </div>
+        </div>
+
+        <DialogFooter>
+          <Button type="button" variant="outline" onClick={() => setOpen(false)}>
+            Cancel
+          </Button>
+          <Button type="button" onClick={submit}>
+            <RefreshCw className="mr-1 h-4 w-4" /> Regenerate
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,225 @@
+'use client';
+
+import { ArrowDown, ArrowUp, FileText, Plus, Trash2, X } from 'lucide-react';
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+  AlertDialogTrigger,
+} from '@/components/ui/alert-dialog';
+import { Button } from '@/components/ui/button';
+import { Card, CardContent, CardHeader } from '@/components/ui/card';
+import { Input } from '@/components/ui/input';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/components/ui/tabs';
+import { Textarea } from '@/components/ui/textarea';
+import DataImportDialog from '@/components/DataImportDialog';
+import ImagePicker from '@/components/ImagePicker';
+import LayoutContentEditor from '@/components/LayoutContentEditor';
+import RegenerateSlideDialog from '@/components/RegenerateSlideDialog';
+import { ChartEditor, TableEditor } from '@/components/SlideDataEditor';
+import { LAYOUTS, LAYOUT_FIELDS } from '@/lib/outline';
+
+// Editable card for one slide of the outline under review
+export default function SlideCard({
+  slide,
+  index,
+  total,
+  onChange,
+  onMove,
+  onDelete,
+  onRegenerate,
+  onImportData,
+  isRegenerating,
+  disabled
+}) {
+  const bullets = Array.isArray(slide.bulletPoints) ? slide.bulletPoints : [];
+  const sources = Array.isArray(slide.sources) ? slide.sources : [];
+  const locked = disabled || isRegenerating;
+
+  // Timeline, comparison, big-stat, card grid and process slides have content of their own; agenda
+  // slides are filled from the deck
+  const layout = slide.layout || LAYOUTS[0].value;
+  const layoutField = LAYOUT_FIELDS[layout];
+  const hasLayoutTab = Boolean(layoutField) || layout === 'agenda';
+  const layoutLabel = (LAYOUTS.find(l => l.value === layout) || {}).label;
+
+  const update = (patch) => onChange({ ...slide, ...patch });
+
+  const setBullet = (idx, value) => {
+    update({ bulletPoints: bullets.map((b, i) => (i === idx ? value : b)) });
+  };
+
+  return (
+    <Card className={isRegenerating ? 'opacity-60' : undefined}>
+      <CardHeader className="flex flex-row items-center gap-3 space-y-0 pb-3">
+        <span className="flex h-8 w-8 shrink-0 items-center justify-center rounded-full bg-blue-100 text-sm font-semibold text-blue-700">
+          {index + 1}
+        </span>
+        <Input
+          value={slide.slideTitle || ''}
+          onChange={(e) => update({ slideTitle: e.target.value })}
+          placeholder="Slide title"
+          className="font-semibold"
+          disabled={locked}
+        />
+        <div className="flex shrink-0 items-center">
+          <Button type="button" variant="ghost" size="icon" onClick={() => onMove(index, -1)} disabled={locked || index === 0} aria-label="Move slide up">
+            <ArrowUp className="h-4 w-4" />
+          </Button>
+          <Button type="button" variant="ghost" size="icon" onClick={() => onMove(index, 1)} disabled={locked || index === total - 1} aria-label="Move slide down">
+            <ArrowDown className="h-4 w-4" />
+          </Button>
+          <RegenerateSlideDialog
+            index={index}
+            slideTitle={slide.slideTitle}
+            onRegenerate={onRegenerate}
+            isRegenerating={isRegenerating}
+            disabled={locked}
+          />
+          <DataImportDialog
+            index={index}
+            onImport={onImportData}
+            isImporting={isRegenerating}
+            disabled={locked}
+          />
+          <AlertDialog>
+            <AlertDialogTrigger asChild>
+              <Button type="button" variant="ghost" size="icon" disabled={locked || total <= 1} aria-label="Delete slide">
+                <Trash2 className="h-4 w-4 text-red-600" />
+              </Button>
+            </AlertDialogTrigger>
+            <AlertDialogContent>
+              <AlertDialogHeader>
+                <AlertDialogTitle>Delete slide {index + 1}?</AlertDialogTitle>
+                <AlertDialogDescription>
+                  &ldquo;{slide.slideTitle}&rdquo; will be removed from the outline.
+                </AlertDialogDescription>
+              </AlertDialogHeader>
+              <AlertDialogFooter>
+                <AlertDialogCancel>Cancel</AlertDialogCancel>
+                <AlertDialogAction onClick={() => onDelete(index)}>Delete</AlertDialogAction>
+              </AlertDialogFooter>
+            </AlertDialogContent>
+          </AlertDialog>
+        </div>
+      </CardHeader>
+
+      <CardContent className="space-y-4">
+        <div className="grid grid-cols-1 gap-3 md:grid-cols-2">
+          <div className="space-y-1">
+            <label className="block text-xs font-semibold uppercase text-gray-500">Layout</label>
+            <Select value={layout} onValueChange={(layout) => update({ layout })} disabled={locked}>
+              <SelectTrigger>
+                <SelectValue placeholder="Layout" />
+              </SelectTrigger>
+              <SelectContent>
+                {LAYOUTS.map(l => (
+                  <SelectItem key={l.value} value={l.value}>{l.label}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+          <div className="space-y-1">
+            <label className="block text-xs font-semibold uppercase text-gray-500">Image search</label>
+            <Input
+              value={slide.visualHint || ''}
+              onChange={(e) => update({ visualHint: e.target.value })}
+              placeholder="e.g. technology"
+              disabled={locked}
+            />
+          </div>
+        </div>
+
+        <Tabs defaultValue="bullets">
+          <TabsList>
+            {hasLayoutTab && <TabsTrigger value="layout">{layoutLabel}{layoutField && slide[layoutField] ? ' ✓' : ''}</TabsTrigger>}
+            <TabsTrigger value="bullets">Bullets ({bullets.length})</TabsTrigger>
+            <TabsTrigger value="table">Table{slide.table ? ' ✓' : ''}</TabsTrigger>
+            <TabsTrigger value="chart">Chart{slide.chart ? ' ✓' : ''}</TabsTrigger>
+            <TabsTrigger value="image">Image{slide.image === null ? ' ✗' : slide.image ? ' ✓' : ''}</TabsTrigger>
+            <TabsTrigger value="notes">Notes{slide.speakerNotes ? ' ✓' : ''}</TabsTrigger>
+          </TabsList>
+
+          <TabsContent value="bullets" className="space-y-2">
+            {bullets.map((bullet, idx) => (
+              <div key={idx} className="flex items-center gap-2">
+                <Input value={bullet} onChange={(e) => setBullet(idx, e.target.value)} disabled={locked} />
+                <Button
+                  type="button"
+                  variant="ghost"
+                  size="icon"
+                  onClick={() => update({ bulletPoints: bullets.filter((_, i) => i !== idx) })}
+                  disabled={locked}
+                  aria-label="Remove bullet"
+                >
+                  <X className="h-4 w-4" />
+                </Button>
+              </div>
+            ))}
+            <Button type="button" variant="outline" size="sm" onClick={() => update({ bulletPoints: [...bullets, ''] })} disabled={locked}>
+              <Plus className="mr-1 h-4 w-4" /> Bullet
+            </Button>
+          </TabsContent>
+
+          {hasLayoutTab && (
+            <TabsContent value="layout">
+              <LayoutContentEditor
+                layout={layout}
+                content={layoutField ? slide[layoutField] : undefined}
+                onChange={(content) => update({ [layoutField]: content })}
+                disabled={locked}
+              />
+            </TabsContent>
+          )}
+
+          <TabsContent value="table">
+            <TableEditor table={slide.table} onChange={(table) => update({ table })} disabled={locked} />
+          </TabsContent>
+
+          <TabsContent value="chart">
+            <ChartEditor chart={slide.chart} onChange={(chart) => update({ chart })} disabled={locked} />
+          </TabsContent>
+
+          <TabsContent value="image">
+            <ImagePicker image={slide.image} query={slide.visualHint} onChange={(image) => update({ image })} disabled={locked} />
+          </TabsContent>
+
+          <TabsContent value="notes">
+            <Textarea
+              value={slide.speakerNotes || ''}
+              onChange={(e) => update({ speakerNotes: e.target.value })}
+              placeholder="What to say while this slide is shown"
+              rows={5}
+              maxLength={5000}
+              disabled={locked}
+            />
+          </TabsContent>
+        </Tabs>
+
+        {sources.length > 0 && (
+          <div className="flex flex-wrap items-center gap-2 text-xs text-gray-500">
+            <span className="font-semibold uppercase">Sources</span>
+            {sources.map((source, idx) => (
+              <span key={idx} title={source.excerpt} className="inline-flex items-center gap-1 rounded-full bg-gray-100 px-2 py-0.5">
+                <FileText className="h-3 w-3" />
+                {[source.document, source.location].filter(Boolean).join(', ')}
+              </span>
+            ))}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,324 @@
+'use client';
+
+import { Plus, X } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+import { CHART_TYPES, MAX_CHART_SERIES, chartSeries, createChart, createTable } from '@/lib/outline';
+
+// Editable grid for a slide's `table` ({ headers, rows })
+export function TableEditor({ table, onChange, disabled }) {
+  if (!table) {
+    return (
+      <Button type="button" variant="outline" size="sm" onClick={() => onChange(createTable())} disabled={disabled}>
+        <Plus className="mr-1 h-4 w-4" /> Add table
+      </Button>
+    );
+  }
+
+  const setHeader = (col, value) => {
+    onChange({ ...table, headers: table.headers.map((h, i) => (i === col ? value : h)) });
+  };
+
+  const setCell = (row, col, value) => {
+    onChange({
+      ...table,
+      rows: table.rows.map((r, i) => (i === row ? r.map((c, j) => (j === col ? value : c)) : r))
+    });
+  };
+
+  const addColumn = () => {
+    onChange({
+      headers: [...table.headers, `Column ${table.headers.length + 1}`],
+      rows: table.rows.map(r => [...r, ''])
+    });
+  };
+
+  const removeColumn = (col) => {
+    onChange({
+      headers: table.headers.filter((_, i) => i !== col),
+      rows: table.rows.map(r => r.filter((_, i) => i !== col))
+    });
+  };
+
+  const addRow = () => {
+    onChange({ ...table, rows: [...table.rows, table.headers.map(() => '')] });
+  };
+
+  const removeRow = (row) => {
+    onChange({ ...table, rows: table.rows.filter((_, i) => i !== row) });
+  };
+
+  return (
+    <div className="space-y-2">
+      <div className="overflow-x-auto">
+        <table className="w-full border-separate border-spacing-1">
+          <thead>
+            <tr>
+              {table.headers.map((header, col) => (
+                <th key={col} className="min-w-[120px]">
+                  <div className="flex items-center gap-1">
+                    <Input
+                      value={header}
+                      onChange={(e) => setHeader(col, e.target.value)}
+                      className="font-semibold"
+                      disabled={disabled}
+                    />
+                    <Button type="button" variant="ghost" size="icon" onClick={() => removeColumn(col)} disabled={disabled || table.headers.length <= 1} aria-label="Remove column">
+                      <X className="h-4 w-4" />
+                    </Button>
+                  </div>
+                </th>
+              ))}
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {table.rows.map((row, r) => (
+              <tr key={r}>
+                {table.headers.map((_, col) => (
+                  <td key={col}>
+                    <Input value={row[col] || ''} onChange={(e) => setCell(r, col, e.target.value)} disabled={disabled} />
+                  </td>
+                ))}
+                <td>
+                  <Button type="button" variant="ghost" size="icon" onClick={() => removeRow(r)} disabled={disabled} aria-label="Remove row">
+                    <X className="h-4 w-4" />
+                  </Button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <div className="flex flex-wrap gap-2">
+        <Button type="button" variant="outline" size="sm" onClick={addRow} disabled={disabled}>
+          <Plus className="mr-1 h-4 w-4" /> Row
+        </Button>
+        <Button type="button" variant="outline" size="sm" onClick={addColumn} disabled={disabled}>
+          <Plus className="mr-1 h-4 w-4" /> Column
+        </Button>
+        <Button type="button" variant="ghost" size="sm" onClick={() => onChange(undefined)} disabled={disabled}>
+          Remove table
+        </Button>
+      </div>
+    </div>
+  );
+}
+
+// Editable grid for a slide's `chart`: one row per label (x value for scatter charts), one column
+// per series, plus the chart type, title, axis titles and display options
+export function ChartEditor({ chart, onChange, disabled }) {
+  if (!chart) {
+    return (
+      <Button type="button" variant="outline" size="sm" onClick={() => onChange(createChart())} disabled={disabled}>
+        <Plus className="mr-1 h-4 w-4" /> Add chart
+      </Button>
+    );
+  }
+
+  const type = chart.type || 'bar';
+  const scatter = type === 'scatter';
+  const round = type === 'pie' || type === 'doughnut';
+  const series = chartSeries(chart);
+  const points = (scatter ? chart.xValues : chart.labels) || [];
+
+  // Edits always store named `series` (a single-series `values` chart is converted)
+  const update = (patch) => {
+    const { values, ...rest } = chart;
+    onChange({ ...rest, series, ...patch });
+  };
+
+  const setType = (next) => {
+    const patch = { type: next };
+    if (next === 'scatter' && !chart.xValues) patch.xValues = points.map((_, i) => i + 1);
+    if (next !== 'scatter' && !chart.labels) patch.labels = points.map(String);
+    // Pie and doughnut charts show a single series
+    if (next === 'pie' || next === 'doughnut') patch.series = series.slice(0, 1);
+    update(patch);
+  };
+
+  const setPoint = (idx, value) => {
+    update(scatter
+      ? { xValues: points.map((x, i) => (i === idx ? value : x)) }
+      : { labels: points.map((l, i) => (i === idx ? value : l)) });
+  };
+
+  const setValue = (s, idx, value) => {
+    update({ series: series.map((ser, i) => (i === s ? { ...ser, values: ser.values.map((v, j) => (j === idx ? value : v)) } : ser)) });
+  };
+
+  const setSeriesName = (s, name) => {
+    update({ series: series.map((ser, i) => (i === s ? { ...ser, name } : ser)) });
+  };
+
+  const addPoint = () => {
+    update({
+      ...(scatter
+        ? { xValues: [...points, (points[points.length - 1] || 0) + 1] }
+        : { labels: [...points, `Item ${points.length + 1}`] }),
+      series: series.map(ser => ({ ...ser, values: [...ser.values, 0] }))
+    });
+  };
+
+  const removePoint = (idx) => {
+    update({
+      ...(scatter ? { xValues: points.filter((_, i) => i !== idx) } : { labels: points.filter((_, i) => i !== idx) }),
+      series: series.map(ser => ({ ...ser, values: ser.values.filter((_, i) => i !== idx) }))
+    });
+  };
+
+  const addSeries = () => {
+    update({ series: [...series, { name: `Series ${series.length + 1}`, values: points.map(() => 0) }] });
+  };
+
+  const removeSeries = (s) => {
+    update({ series: series.filter((_, i) => i !== s) });
+  };
+
+  const setOption = (key, value) => {
+    const next = { ...chart, [key]: value };
+    if (value === undefined) delete next[key];
+    onChange(next);
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="grid grid-cols-1 gap-2 md:grid-cols-2">
+        <Select value={type} onValueChange={setType} disabled={disabled}>
+          <SelectTrigger>
+            <SelectValue placeholder="Chart type" />
+          </SelectTrigger>
+          <SelectContent>
+            {CHART_TYPES.map(t => (
+              <SelectItem key={t.value} value={t.value}>{t.label}</SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+        <Input
+          value={chart.title || ''}
+          onChange={(e) => onChange({ ...chart, title: e.target.value })}
+          placeholder="Chart title"
+          disabled={disabled}
+        />
+        {!round && (
+          <>
+            <Input
+              value={chart.xAxisTitle || ''}
+              onChange={(e) => setOption('xAxisTitle', e.target.value || undefined)}
+              placeholder={scatter ? 'X axis title' : 'Category axis title'}
+              maxLength={60}
+              disabled={disabled}
+            />
+            <Input
+              value={chart.yAxisTitle || ''}
+              onChange={(e) => setOption('yAxisTitle', e.target.value || undefined)}
+              placeholder={scatter ? 'Y axis title' : 'Value axis title'}
+              maxLength={60}
+              disabled={disabled}
+            />
+          </>
+        )}
+      </div>
+
+      <div className="flex flex-wrap items-center gap-4 text-sm text-gray-700">
+        {['bar', 'column', 'area'].includes(type) && (
+          <label className="flex items-center gap-2">
+            <input
+              type="checkbox"
+              checked={Boolean(chart.stacked)}
+              onChange={(e) => setOption('stacked', e.target.checked || undefined)}
+              className="h-4 w-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+              disabled={disabled}
+            />
+            Stacked
+          </label>
+        )}
+        <label className="flex items-center gap-2">
+          <input
+            type="checkbox"
+            checked={round ? chart.dataLabels !== false : chart.dataLabels === true}
+            onChange={(e) => setOption('dataLabels', e.target.checked)}
+            className="h-4 w-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+            disabled={disabled}
+          />
+          {round ? 'Percentages' : 'Data labels'}
+        </label>
+        <label className="flex items-center gap-2">
+          <input
+            type="checkbox"
+            checked={chart.legend !== undefined ? chart.legend : round || series.length > 1}
+            onChange={(e) => setOption('legend', e.target.checked)}
+            className="h-4 w-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+            disabled={disabled}
+          />
+          Legend
+        </label>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="w-full border-separate border-spacing-1">
+          <thead>
+            <tr>
+              <th className="min-w-[120px] text-left text-xs font-semibold uppercase text-gray-500">
+                {scatter ? 'X value' : 'Label'}
+              </th>
+              {series.map((ser, s) => (
+                <th key={s} className="min-w-[120px]">
+                  <div className="flex items-center gap-1">
+                    <Input value={ser.name} onChange={(e) => setSeriesName(s, e.target.value)} placeholder="Series name" className="font-semibold" disabled={disabled} />
+                    <Button type="button" variant="ghost" size="icon" onClick={() => removeSeries(s)} disabled={disabled || series.length <= 1} aria-label="Remove series">
+                      <X className="h-4 w-4" />
+                    </Button>
+                  </div>
+                </th>
+              ))}
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {points.map((point, idx) => (
+              <tr key={idx}>
+                <td>
+                  {scatter ? (
+                    <Input type="number" value={point ?? 0} onChange={(e) => setPoint(idx, Number(e.target.value) || 0)} disabled={disabled} />
+                  ) : (
+                    <Input value={point} onChange={(e) => setPoint(idx, e.target.value)} placeholder="Label" disabled={disabled} />
+                  )}
+                </td>
+                {series.map((ser, s) => (
+                  <td key={s}>
+                    <Input type="number" value={ser.values[idx] ?? 0} onChange={(e) => setValue(s, idx, Number(e.target.value) || 0)} disabled={disabled} />
+                  </td>
+                ))}
+                <td>
+                  <Button type="button" variant="ghost" size="icon" onClick={() => removePoint(idx)} disabled={disabled || points.length <= 1} aria-label="Remove data point">
+                    <X className="h-4 w-4" />
+                  </Button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="flex flex-wrap gap-2">
+        <Button type="button" variant="outline" size="sm" onClick={addPoint} disabled={disabled}>
+          <Plus className="mr-1 h-4 w-4" /> Data point
+        </Button>
+        <Button type="button" variant="outline" size="sm" onClick={addSeries} disabled={disabled || round || series.length >= MAX_CHART_SERIES}>
+          <Plus className="mr-1 h-4 w-4" /> Series
+        </Button>
+        <Button type="button" variant="ghost" size="sm" onClick={() => onChange(undefined)} disabled={disabled}>
+          Remove chart
+        </Button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,352 @@
+'use client';
+
+import { useEffect, useLayoutEffect, useRef, useState } from 'react';
+import Image from 'next/image';
+import { Area, AreaChart, Bar, BarChart, CartesianGrid, Cell, Legend, Line, LineChart, Pie, PieChart, Scatter, ScatterChart, XAxis, YAxis } from 'recharts';
+import { chartSeries } from '@/lib/outline';
+import { SLIDE_H, SLIDE_W, imageCrop, imageSource } from '@/lib/slidePreview';
+
+const css = (hex) => `#${String(hex).replace('#', '')}`;
+
+// Positioned box in slide inches, scaled to pixels
+const boxStyle = (box, scale) => ({
+  position: 'absolute',
+  left: box.x * scale,
+  top: box.y * scale,
+  width: box.w * scale,
+  height: box.h * scale
+});
+
+const fontStack = (font) => `'${font || 'Arial'}', Arial, sans-serif`;
+
+// Text box with PowerPoint's insets; like shrinkText, the font shrinks (down to 8pt) until the text fits
+function PreviewText({ element, scale }) {
+  const ref = useRef(null);
+  const pt = scale / 72;
+
+  // The fitted size is kept per text and scale, and starts over at the element's size when either changes
+  const fitKey = `${element.text}|${element.fontSize}|${scale}`;
+  const [fit, setFit] = useState({ key: fitKey, size: element.fontSize });
+  const fontSize = fit.key === fitKey ? fit.size : element.fontSize;
+
+  useLayoutEffect(() => {
+    const node = ref.current;
+    if (node && node.scrollHeight > node.clientHeight + 1 && fontSize > 8) {
+      setFit({ key: fitKey, size: Math.max(8, fontSize - 1) });
+    }
+  }, [fitKey, fontSize]);
+
+  const lineHeight = element.lineSpacing ? element.lineSpacing * (fontSize / element.fontSize) * pt : 1.2 * fontSize * pt;
+  const justify = { middle: 'center', bottom: 'flex-end' }[element.valign] || 'flex-start';
+
+  return (
+    <div
+      ref={ref}
+      style={{
+        ...boxStyle(element.box, scale),
+        display: 'flex',
+        flexDirection: 'column',
+        justifyContent: justify,
+        padding: element.margin === 0 ? 0 : `${0.05 * scale}px ${0.1 * scale}px`,
+        overflow: 'hidden',
+        fontFamily: fontStack(element.font),
+        fontSize: fontSize * pt,
+        lineHeight: `${lineHeight}px`,
+        fontWeight: element.bold ? 700 : 400,
+        fontStyle: element.italic ? 'italic' : 'normal',
+        color: css(element.color),
+        textAlign: element.align || 'left',
+        whiteSpace: 'pre-wrap',
+        overflowWrap: 'break-word'
+      }}
+    >
+      {element.text}
+    </div>
+  );
+}
+
+// Slide image cropped around its focal point, or the placeholder block with the image idea the
+// renderer draws while none is fetched
+function PreviewImage({ element, scale }) {
+  const { image } = element;
+  const source = imageSource(image);
+  if (source) {
+    const src = source.startsWith('data:') || source.startsWith('http') ? source : `data:image/jpeg;base64,${source}`;
+    const crop = imageCrop(image, element.box);
+    return (
+      <div style={{ ...boxStyle(element.box, scale), overflow: 'hidden' }}>
+        <Image
+          src={src}
+          alt={image.idea || ''}
+          width={Math.max(1, Math.round(crop.w * scale))}
+          height={Math.max(1, Math.round(crop.h * scale))}
+          unoptimized
+          style={{ position: 'absolute', left: crop.x * scale, top: crop.y * scale, width: crop.w * scale, height: crop.h * scale, maxWidth: 'none' }}
+        />
+      </div>
+    );
+  }
+
+  const { box } = element;
+  return (
+    <>
+      <div style={{ ...boxStyle(box, scale), background: css(element.fill), border: `${Math.max(1, scale / 72)}px solid ${css(element.color)}` }} />
+      <PreviewText
+        scale={scale}
+        element={{
+          text: image.idea || 'Image placeholder',
+          box: { x: box.x + 0.2, y: box.y + box.h - 0.5, w: box.w - 0.4, h: 0.4 },
+          fontSize: 12,
+          font: element.font,
+          color: element.color,
+          align: 'right'
+        }}
+      />
+    </>
+  );
+}
+
+// One page of a table laid out by tableLayout: its column widths, row heights, font size and
+// alignments, a header row in the theme's title colors and zebra-striped body rows
+function PreviewTable({ element, scale }) {
+  const { layout, page, colors } = element;
+  const pt = scale / 72;
+  const rows = [layout.headers, ...page.rows];
+
+  return (
+    <div style={{ ...boxStyle(element.box, scale), overflow: 'visible' }}>
+      <table style={{ width: '100%', borderCollapse: 'collapse', tableLayout: 'fixed', fontFamily: fontStack(element.font), fontSize: layout.fontSize * pt, lineHeight: 1.2 }}>
+        <colgroup>
+          {page.colW.map((w, c) => <col key={c} style={{ width: w * scale }} />)}
+        </colgroup>
+        <tbody>
+          {rows.map((row, r) => (
+            <tr key={r} style={{ height: page.rowH[r] * scale }}>
+              {row.map((cell, c) => (
+                <td
+                  key={c}
+                  style={{
+                    border: `${0.5 * pt}px solid ${css(colors.border)}`,
+                    padding: `${0.05 * scale}px ${0.1 * scale}px`,
+                    background: css(r === 0 ? colors.header : r % 2 === 0 ? colors.stripe : 'FFFFFF'),
+                    color: css(r === 0 ? colors.headerText : colors.text),
+                    fontWeight: r === 0 ? 700 : 400,
+                    textAlign: layout.align[c],
+                    verticalAlign: 'middle',
+                    overflowWrap: 'break-word'
+                  }}
+                >
+                  {cell}
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+// Percentage inside a pie or doughnut slice, like PowerPoint's default pie data labels
+const pieLabel = (fontSize) => function PieLabel({ cx, cy, midAngle, innerRadius, outerRadius, percent }) {
+  const r = innerRadius ? (innerRadius + outerRadius) / 2 : outerRadius * 0.65;
+  const angle = (-midAngle * Math.PI) / 180;
+  return (
+    <text x={cx + r * Math.cos(angle)} y={cy + r * Math.sin(angle)} fill="#FFFFFF" fontSize={fontSize} fontWeight="bold" textAnchor="middle" dominantBaseline="central">
+      {`${Math.round(percent * 100)}%`}
+    </text>
+  );
+};
+
+// Chart drawn like the renderer's pptxgenjs chart (bars, columns, lines, areas, scatter points, pie
+// or doughnut) with the theme's series colors, axis titles, data labels and legend
+function PreviewChart({ element, scale }) {
+  const { chart, box, colors } = element;
+  const type = chart.type || 'bar';
+  const scatter = type === 'scatter';
+  const round = type === 'pie' || type === 'doughnut';
+  const points = (scatter ? chart.xValues : chart.labels) || [];
+  const series = chartSeries(chart);
+  const n = Math.min(points.length, ...series.map(ser => ser.values.length));
+  const width = box.w * scale;
+  const height = box.h * scale;
+  const fontSize = Math.max(7, (9 * scale) / 72);
+  const tick = { fontSize, fill: css(element.color), fontFamily: fontStack(element.font) };
+  const color = (i) => css(colors[i % colors.length]);
+
+  const showLegend = chart.legend !== undefined ? chart.legend : round || series.length > 1;
+  const dataLabels = chart.dataLabels === true;
+  const legendStyle = { fontSize, fontFamily: fontStack(element.font), color: css(element.color) };
+  const axisTitle = (value, vertical) => (value
+    ? { value, angle: vertical ? -90 : 0, position: vertical ? 'insideLeft' : 'insideBottom', style: { ...tick, textAnchor: 'middle' } }
+    : undefined);
+  const margin = { top: 6, right: 10, bottom: chart.xAxisTitle || chart.yAxisTitle ? 10 : 0, left: 0 };
+  const legend = showLegend && <Legend iconType="square" iconSize={fontSize} wrapperStyle={legendStyle} />;
+
+  let content;
+  if (round) {
+    const data = points.slice(0, n).map((label, i) => ({ label, value: Number(series[0].values[i]) || 0 }));
+    const outer = Math.min(width * (showLegend ? 0.7 : 1), height) / 2 - 4;
+    content = (
+      <PieChart width={width} height={height}>
+        <Pie
+          data={data}
+          dataKey="value"
+          nameKey="label"
+          cx={showLegend ? outer + 4 : '50%'}
+          outerRadius={outer}
+          innerRadius={type === 'doughnut' ? outer / 2 : 0}
+          startAngle={90}
+          endAngle={-270}
+          isAnimationActive={false}
+          stroke="#FFFFFF"
+          labelLine={false}
+          label={chart.dataLabels !== false ? pieLabel(fontSize) : false}
+        >
+          {data.map((_, i) => <Cell key={i} fill={color(i)} />)}
+        </Pie>
+        {showLegend && <Legend layout="vertical" align="right" verticalAlign="middle" iconType="square" iconSize={fontSize} wrapperStyle={legendStyle} />}
+      </PieChart>
+    );
+  } else if (scatter) {
+    content = (
+      <ScatterChart width={width} height={height} margin={margin}>
+        <CartesianGrid vertical={false} stroke="#D9D9D9" />
+        <XAxis type="number" dataKey="x" tick={tick} label={axisTitle(chart.xAxisTitle)} />
+        <YAxis type="number" dataKey="y" tick={tick} width={36} label={axisTitle(chart.yAxisTitle, true)} />
+        {series.map((ser, s) => (
+          <Scatter
+            key={s}
+            name={ser.name}
+            data={points.slice(0, n).map((x, i) => ({ x: Number(x) || 0, y: Number(ser.values[i]) || 0 }))}
+            fill={color(s)}
+            isAnimationActive={false}
+            label={dataLabels ? { position: 'top', fontSize } : false}
+          />
+        ))}
+        {legend}
+      </ScatterChart>
+    );
+  } else {
+    const data = points.slice(0, n).map((label, i) => Object.fromEntries([
+      ['label', label],
+      ...series.map((ser, s) => [`s${s}`, Number(ser.values[i]) || 0])
+    ]));
+    const stackId = chart.stacked && ['bar', 'column', 'area'].includes(type) ? 'stack' : undefined;
+    // Labels inside stacked bars sit on the series color
+    const valueLabel = (position) => (dataLabels ? { position, fontSize, fill: position === 'center' ? '#FFFFFF' : css(element.color) } : false);
+
+    if (type === 'line' || type === 'area') {
+      const Chart = type === 'line' ? LineChart : AreaChart;
+      content = (
+        <Chart width={width} height={height} data={data} margin={margin}>
+          <CartesianGrid vertical={false} stroke="#D9D9D9" />
+          <XAxis dataKey="label" tick={tick} label={axisTitle(chart.xAxisTitle)} />
+          <YAxis tick={tick} width={36} label={axisTitle(chart.yAxisTitle, true)} />
+          {series.map((ser, s) => (type === 'line'
+            ? <Line key={s} dataKey={`s${s}`} name={ser.name} stroke={color(s)} strokeWidth={(2.25 * scale) / 72} isAnimationActive={false} label={valueLabel('top')} />
+            : <Area key={s} dataKey={`s${s}`} name={ser.name} stackId={stackId} stroke={color(s)} fill={color(s)} fillOpacity={0.7} isAnimationActive={false} label={valueLabel('top')} />
+          ))}
+          {legend}
+        </Chart>
+      );
+    } else if (type === 'column') {
+      content = (
+        <BarChart width={width} height={height} data={data} margin={margin}>
+          <CartesianGrid vertical={false} stroke="#D9D9D9" />
+          <XAxis dataKey="label" tick={tick} label={axisTitle(chart.xAxisTitle)} />
+          <YAxis tick={tick} width={36} label={axisTitle(chart.yAxisTitle, true)} />
+          {series.map((ser, s) => (
+            <Bar key={s} dataKey={`s${s}`} name={ser.name} stackId={stackId} fill={color(s)} isAnimationActive={false} label={valueLabel(stackId ? 'center' : 'top')} />
+          ))}
+          {legend}
+        </BarChart>
+      );
+    } else {
+      // barDir 'bar': horizontal bars with the first category at the bottom
+      content = (
+        <BarChart width={width} height={height} data={data} layout="vertical" margin={margin}>
+          <CartesianGrid horizontal={false} stroke="#D9D9D9" />
+          <XAxis type="number" tick={tick} label={axisTitle(chart.yAxisTitle)} />
+          <YAxis type="category" dataKey="label" tick={tick} reversed width={Math.min(width * 0.3, 60)} label={axisTitle(chart.xAxisTitle, true)} />
+          {series.map((ser, s) => (
+            <Bar key={s} dataKey={`s${s}`} name={ser.name} stackId={stackId} fill={color(s)} isAnimationActive={false} label={valueLabel(stackId ? 'center' : 'right')} />
+          ))}
+          {legend}
+        </BarChart>
+      );
+    }
+  }
+
+  return <div style={boxStyle(box, scale)}>{content}</div>;
+}
+
+// Block arrow outline with PowerPoint's default proportions (see drawShape in services/export/svg.js)
+const arrowPath = (box) => {
+  const head = 100 - (Math.min(box.w, box.h) / 2 / box.w) * 100;
+  return `polygon(0 25%, ${head}% 25%, ${head}% 0, 100% 50%, ${head}% 100%, ${head}% 75%, 0 75%)`;
+};
+
+// Rectangle, rounded rectangle, ellipse, line or right arrow, with an optional outline
+function PreviewShape({ element, scale }) {
+  const { box, shape, line } = element;
+  const stroke = line ? `${Math.max(1, (line.pt * scale) / 72)}px solid ${css(line.color)}` : undefined;
+
+  if (shape === 'line') {
+    return <div style={{ ...boxStyle(box, scale), height: 0, borderTop: stroke }} />;
+  }
+  return (
+    <div
+      style={{
+        ...boxStyle(box, scale),
+        boxSizing: 'border-box',
+        background: element.fill ? css(element.fill) : 'transparent',
+        border: stroke,
+        borderRadius: shape === 'ellipse' ? '50%' : shape === 'roundRect' ? Math.min(box.w, box.h) * 0.1 * scale : 0,
+        clipPath: shape === 'rightArrow' ? arrowPath(box) : undefined
+      }}
+    />
+  );
+}
+
+const ELEMENTS = {
+  shape: PreviewShape,
+  text: PreviewText,
+  image: PreviewImage,
+  table: PreviewTable,
+  chart: PreviewChart
+};
+
+// One slide of the preview, scaled to the width of its container (16:9, like the 10 x 5.625 in. PPTX slide)
+export default function SlidePreview({ slide, number, label }) {
+  const ref = useRef(null);
+  const [width, setWidth] = useState(0);
+
+  useEffect(() => {
+    const node = ref.current;
+    if (!node) return undefined;
+    const observer = new ResizeObserver(([entry]) => setWidth(entry.contentRect.width));
+    observer.observe(node);
+    return () => observer.disconnect();
+  }, []);
+
+  const scale = width / SLIDE_W;
+
+  return (
+    <figure className="space-y-1">
+      <div
+        ref={ref}
+        className="relative w-full overflow-hidden rounded-md border shadow-sm"
+        style={{ aspectRatio: `${SLIDE_W} / ${SLIDE_H}`, background: css(slide.background) }}
+      >
+        {width > 0 && slide.elements.map((element, i) => {
+          const Element = ELEMENTS[element.kind];
+          return <Element key={i} element={element} scale={scale} />;
+        })}
+      </div>
+      <figcaption className="text-xs text-gray-500">
+        {number}{label ? ` · ${label}` : ''}
+      </figcaption>
+    </figure>
+  );
+}
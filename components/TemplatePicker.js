@@ -0,0 +1,209 @@
+'use client';
+
+import { useEffect, useRef, useState } from 'react';
+import { LayoutTemplate, Trash2, Upload } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import { Label } from '@/components/ui/label';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+import { deleteResource, describeError, getJson, postJson, putJson } from '@/lib/api';
+import { LAYOUT_SLOTS, readTemplateFile, templateNameFromFile } from '@/lib/templates';
+
+const NONE = '__none';
+
+// Corporate template selector: upload a .pptx, pick it for the deck and choose which
+// template layout each outline layout is rendered into.
+// `value` is null or the name of an uploaded template.
+export default function TemplatePicker({ value, onChange, disabled }) {
+  const [templates, setTemplates] = useState([]);
+  const [mapping, setMapping] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+  const fileInput = useRef(null);
+
+  useEffect(() => {
+    getJson('/templates')
+      .then((data) => setTemplates(data.templates))
+      .catch((err) => console.warn('Could not load templates:', err.message));
+  }, []);
+
+  const selected = templates.find(t => t.name === value);
+
+  const storeTemplate = (template) => {
+    setTemplates((current) => [...current.filter(t => t.name !== template.name), template]);
+  };
+
+  const handleUpload = async (e) => {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setBusy(true);
+    setError('');
+
+    try {
+      const response = await postJson('/templates', {
+        name: templateNameFromFile(file.name) || 'template',
+        label: file.name.replace(/\.pptx$/i, '').slice(0, 60),
+        file: await readTemplateFile(file)
+      }, { timeout: 60000 });
+      const { template } = await response.json();
+      storeTemplate(template);
+      onChange(template.name);
+      // Show the suggested layout mapping so it can be checked right away
+      setMapping({ ...template.layoutMap });
+    } catch (err) {
+      setError(describeError(err));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const saveMapping = async () => {
+    setBusy(true);
+    setError('');
+
+    try {
+      const response = await putJson(`/templates/${encodeURIComponent(value)}/layout-map`, { layoutMap: mapping }, { timeout: 15000 });
+      const { template } = await response.json();
+      storeTemplate(template);
+      setMapping(null);
+    } catch (err) {
+      setError(describeError(err));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const deleteSelected = async () => {
+    try {
+      await deleteResource(`/templates/${encodeURIComponent(value)}`);
+      setTemplates((current) => current.filter(t => t.name !== value));
+      onChange(null);
+    } catch (err) {
+      setError(describeError(err));
+    }
+  };
+
+  return (
+    <div className="space-y-2">
+      <div className="flex gap-2">
+        <Select value={value || NONE} onValueChange={(next) => onChange(next === NONE ? null : next)} disabled={disabled || busy}>
+          <SelectTrigger className="h-12 rounded-xl">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            <SelectItem value={NONE}>No template (built-in layouts)</SelectItem>
+            {templates.map((template) => (
+              <SelectItem key={template.name} value={template.name}>{template.label || template.name}</SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+
+        {/* Only the user who uploaded a template may remap or delete it */}
+        {selected && selected.editable && (
+          <>
+            <Button
+              type="button"
+              variant="outline"
+              size="icon"
+              className="h-12 w-12 shrink-0"
+              onClick={() => { setError(''); setMapping({ ...selected.layoutMap }); }}
+              disabled={disabled || busy}
+              aria-label="Edit layout mapping"
+            >
+              <LayoutTemplate className="h-4 w-4" />
+            </Button>
+            <Button type="button" variant="outline" size="icon" className="h-12 w-12 shrink-0" onClick={deleteSelected} disabled={disabled || busy} aria-label="Delete template">
+              <Trash2 className="h-4 w-4" />
+            </Button>
+          </>
+        )}
+        <Button
+          type="button"
+          variant="outline"
+          className="h-12 shrink-0"
+          onClick={() => fileInput.current && fileInput.current.click()}
+          disabled={disabled || busy}
+        >
+          <Upload className="mr-2 h-4 w-4" />
+          {busy && !mapping ? 'Importing...' : 'Upload .pptx'}
+        </Button>
+        <input
+          ref={fileInput}
+          type="file"
+          accept=".pptx,application/vnd.openxmlformats-officedocument.presentationml.presentation"
+          onChange={handleUpload}
+          className="hidden"
+        />
+      </div>
+
+      {selected && (
+        <p className="text-xs text-gray-500">
+          Slides use the template&apos;s masters, colors and fonts ({selected.theme.headingFont} / {selected.theme.bodyFont}).
+        </p>
+      )}
+      {error && !mapping && <p className="text-sm text-red-600">{error}</p>}
+
+      <Dialog open={Boolean(mapping && selected)} onOpenChange={(open) => !open && setMapping(null)}>
+        {mapping && selected && (
+          <DialogContent className="sm:max-w-lg">
+            <DialogHeader>
+              <DialogTitle>Layout mapping</DialogTitle>
+              <DialogDescription>
+                Choose which layout of &quot;{selected.label || selected.name}&quot; each kind of slide is placed into.
+              </DialogDescription>
+            </DialogHeader>
+
+            <div className="space-y-2">
+              {LAYOUT_SLOTS.map((slot) => (
+                <div key={slot.value} className="grid grid-cols-2 items-center gap-3">
+                  <Label>{slot.label}</Label>
+                  <Select
+                    value={mapping[slot.value]}
+                    onValueChange={(layoutId) => setMapping((current) => ({ ...current, [slot.value]: layoutId }))}
+                  >
+                    <SelectTrigger>
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {selected.layouts.map((layout) => (
+                        <SelectItem key={layout.id} value={layout.id}>
+                          {layout.name} ({layout.placeholders.join(', ') || 'no placeholders'})
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+              ))}
+            </div>
+
+            {error && <p className="text-sm text-red-600">{error}</p>}
+
+            <DialogFooter>
+              <Button type="button" variant="outline" onClick={() => setMapping(null)} disabled={busy}>
+                Cancel
+              </Button>
+              <Button type="button" onClick={saveMapping} disabled={busy}>
+                {busy ? 'Saving...' : 'Save mapping'}
+              </Button>
+            </DialogFooter>
+          </DialogContent>
+        )}
+      </Dialog>
+    </div>
+  );
+}
@@ -0,0 +1,234 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import { Check, Palette } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+import { describeError, getJson, postJson } from '@/lib/api';
+import { BUILT_IN_THEMES, FONTS, createCustomTheme } from '@/lib/themes';
+
+const COLOR_FIELDS = [
+  { key: 'background', label: 'Title background' },
+  { key: 'title', label: 'Title text' },
+  { key: 'text', label: 'Body text' },
+  { key: 'accent', label: 'Accent' }
+];
+
+const toCss = (hex) => `#${String(hex).replace('#', '')}`;
+
+// Miniature title + content slide rendered with the theme's colors and fonts
+function ThemePreview({ theme }) {
+  return (
+    <div className="grid grid-cols-2 gap-3">
+      <div
+        className="flex aspect-video flex-col items-center justify-center rounded-md border p-2 text-center"
+        style={{ backgroundColor: toCss(theme.background), color: toCss(theme.title) }}
+      >
+        <div className="text-sm font-bold" style={{ fontFamily: theme.headingFont }}>Deck title</div>
+        <div className="text-[10px]" style={{ fontFamily: theme.bodyFont }}>Presentation subtitle</div>
+      </div>
+      <div className="relative flex aspect-video flex-col rounded-md border bg-white p-2 pl-3">
+        <span className="absolute inset-y-0 left-0 w-1 rounded-l-md" style={{ backgroundColor: toCss(theme.accent) }} />
+        <div className="text-xs font-bold" style={{ fontFamily: theme.headingFont, color: toCss(theme.background) }}>
+          Slide heading
+        </div>
+        <ul className="mt-1 space-y-0.5 text-[10px]" style={{ fontFamily: theme.bodyFont, color: toCss(theme.text) }}>
+          <li>• First key point</li>
+          <li>• Second key point</li>
+        </ul>
+      </div>
+    </div>
+  );
+}
+
+// Theme selector: swatches for built-in and saved themes, plus a dialog to build a custom one.
+// `value` is a theme name or an inline custom theme object; both are accepted by the backend as colorTheme.
+export default function ThemePicker({ value, onChange, disabled }) {
+  const [themes, setThemes] = useState(BUILT_IN_THEMES);
+  const [fonts, setFonts] = useState(FONTS);
+  const [draft, setDraft] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    getJson('/themes')
+      .then((data) => {
+        setThemes(data.themes);
+        setFonts(data.fonts);
+      })
+      .catch((err) => console.warn('Could not load saved themes:', err.message));
+  }, []);
+
+  const isCustom = value && typeof value === 'object';
+
+  const openEditor = () => {
+    const base = isCustom ? value : themes.find(t => t.name === value);
+    setDraft({ ...createCustomTheme(base), ...(isCustom ? value : {}) });
+    setError('');
+  };
+
+  const updateDraft = (patch) => setDraft((current) => ({ ...current, ...patch }));
+
+  const useDraft = () => {
+    const { name, ...theme } = draft;
+    onChange(theme);
+    setDraft(null);
+  };
+
+  const saveDraft = async () => {
+    setSaving(true);
+    setError('');
+
+    try {
+      const response = await postJson('/themes', draft, { timeout: 15000 });
+      const { theme } = await response.json();
+      setThemes((current) => [...current.filter(t => t.name !== theme.name), theme]);
+      onChange(theme.name);
+      setDraft(null);
+    } catch (err) {
+      setError(describeError(err));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="flex flex-wrap gap-2">
+      {themes.map((theme) => (
+        <button
+          key={theme.name}
+          type="button"
+          title={theme.label || theme.name}
+          onClick={() => onChange(theme.name)}
+          disabled={disabled}
+          className={`relative h-10 w-10 overflow-hidden rounded-lg border-2 transition-transform hover:scale-105 disabled:cursor-not-allowed ${
+            value === theme.name ? 'border-gray-900' : 'border-transparent'
+          }`}
+          style={{ background: `linear-gradient(135deg, ${toCss(theme.background)} 60%, ${toCss(theme.accent)} 60%)` }}
+        >
+          {value === theme.name && <Check className="absolute inset-0 m-auto h-4 w-4 text-white" />}
+          <span className="sr-only">{theme.label || theme.name}</span>
+        </button>
+      ))}
+
+      <button
+        type="button"
+        onClick={openEditor}
+        disabled={disabled}
+        className={`flex h-10 items-center gap-1 rounded-lg border-2 px-3 text-sm text-gray-700 hover:bg-gray-50 disabled:cursor-not-allowed ${
+          isCustom ? 'border-gray-900' : 'border-dashed border-gray-300'
+        }`}
+        style={isCustom ? { borderLeftColor: toCss(value.background), borderLeftWidth: 8 } : undefined}
+      >
+        <Palette className="h-4 w-4" />
+        {isCustom ? value.label || 'Custom' : 'Custom'}
+      </button>
+
+      <Dialog open={Boolean(draft)} onOpenChange={(open) => !open && setDraft(null)}>
+        {draft && (
+          <DialogContent className="sm:max-w-lg">
+            <DialogHeader>
+              <DialogTitle>Custom theme</DialogTitle>
+              <DialogDescription>
+                Pick colors and fonts. Give the theme a name to save it for later decks.
+              </DialogDescription>
+            </DialogHeader>
+
+            <ThemePreview theme={draft} />
+
+            <div className="grid grid-cols-2 gap-3">
+              {COLOR_FIELDS.map(({ key, label }) => (
+                <div key={key} className="space-y-1">
+                  <Label htmlFor={`theme-${key}`}>{label}</Label>
+                  <div className="flex gap-2">
+                    <input
+                      type="color"
+                      value={toCss(draft[key])}
+                      onChange={(e) => updateDraft({ [key]: e.target.value.slice(1).toUpperCase() })}
+                      className="h-9 w-10 shrink-0 cursor-pointer rounded border"
+                      aria-label={label}
+                    />
+                    <Input
+                      id={`theme-${key}`}
+                      value={draft[key]}
+                      onChange={(e) => updateDraft({ [key]: e.target.value.replace('#', '').toUpperCase() })}
+                      maxLength={7}
+                    />
+                  </div>
+                </div>
+              ))}
+
+              {[
+                { key: 'headingFont', label: 'Heading font' },
+                { key: 'bodyFont', label: 'Body font' }
+              ].map(({ key, label }) => (
+                <div key={key} className="space-y-1">
+                  <Label>{label}</Label>
+                  <Select value={draft[key]} onValueChange={(font) => updateDraft({ [key]: font })}>
+                    <SelectTrigger>
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {fonts.map((font) => (
+                        <SelectItem key={font} value={font} style={{ fontFamily: font }}>
+                          {font}
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+              ))}
+
+              <div className="space-y-1">
+                <Label htmlFor="theme-label">Display name</Label>
+                <Input
+                  id="theme-label"
+                  value={draft.label}
+                  onChange={(e) => updateDraft({ label: e.target.value })}
+                  maxLength={40}
+                />
+              </div>
+              <div className="space-y-1">
+                <Label htmlFor="theme-name">Save as (optional)</Label>
+                <Input
+                  id="theme-name"
+                  value={draft.name}
+                  onChange={(e) => updateDraft({ name: e.target.value.toLowerCase() })}
+                  placeholder="e.g. acme-dark"
+                  maxLength={40}
+                />
+              </div>
+            </div>
+
+            {error && <p className="text-sm text-red-600">{error}</p>}
+
+            <DialogFooter>
+              <Button type="button" variant="outline" onClick={saveDraft} disabled={saving || !draft.name}>
+                {saving ? 'Saving...' : 'Save theme'}
+              </Button>
+              <Button type="button" onClick={useDraft} disabled={saving}>
+                Use for this deck
+              </Button>
+            </DialogFooter>
+          </DialogContent>
+        )}
+      </Dialog>
+    </div>
+  );
+}
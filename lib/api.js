@@ -0,0 +1,167 @@
+// Helpers for talking to the Express backend from the browser
+
+import { formatInfo } from '@/lib/formats';
+import { clearSession, getSessionToken } from '@/lib/session';
+
+export function getBackendUrl() {
+  const backendUrl = process.env.NEXT_PUBLIC_BACKEND_URL;
+  if (!backendUrl) {
+    throw new Error('Backend URL not configured. Please check your environment variables.');
+  }
+  return backendUrl;
+}
+
+// fetch() against the backend with the session token; a rejected token logs the user out
+async function backendFetch(path, { headers = {}, ...init } = {}) {
+  const token = getSessionToken();
+  const response = await fetch(`${getBackendUrl()}${path}`, {
+    ...init,
+    headers: token ? { ...headers, Authorization: `Bearer ${token}` } : headers
+  });
+  if (response.status === 401 && token) {
+    clearSession();
+  }
+  return response;
+}
+
+// Send a JSON body and return the raw response, throwing the server's error message on failure
+async function sendJson(method, path, body, { timeout = 60000 } = {}) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeout);
+
+  try {
+    const response = await backendFetch(path, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(body),
+      signal: controller.signal
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.error || `Server error: ${response.status}`);
+    }
+
+    return response;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+export function postJson(path, body, options) {
+  return sendJson('POST', path, body, options);
+}
+
+export function putJson(path, body, options) {
+  return sendJson('PUT', path, body, options);
+}
+
+// GET a JSON resource, throwing the server's error message on failure
+export async function getJson(path, { timeout = 15000 } = {}) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeout);
+
+  try {
+    const response = await backendFetch(path, { signal: controller.signal });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.error || `Server error: ${response.status}`);
+    }
+    return data;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+// DELETE a resource, throwing the server's error message on failure
+export async function deleteResource(path, { timeout = 15000 } = {}) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeout);
+
+  try {
+    const response = await backendFetch(path, { method: 'DELETE', signal: controller.signal });
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.error || `Server error: ${response.status}`);
+    }
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+// Queue a background job and poll it until it finishes. Calls onProgress with each
+// progress snapshot and resolves with the completed job (result / fileUrl).
+export async function runJob(body, { onProgress = () => {}, pollInterval = 1500 } = {}) {
+  const response = await postJson('/jobs', body, { timeout: 15000 });
+  let job = await response.json();
+
+  while (job.status === 'queued' || job.status === 'running') {
+    onProgress(job.progress);
+    await new Promise(resolve => setTimeout(resolve, pollInterval));
+    job = await getJson(`/jobs/${job.id}`);
+  }
+
+  if (job.status === 'failed') {
+    throw new Error(job.error || 'Generation failed');
+  }
+  onProgress(job.progress);
+  return job;
+}
+
+// File name stem safe for downloads, e.g. "AI in Healthcare" -> "AI_in_Healthcare"
+export const safeFileName = (name) => name.replace(/[^a-zA-Z0-9]/g, '_');
+
+// Download a deck file (PPTX, PDF or PNG zip) from `path` and hand it to the browser as a file download
+async function downloadDeckFile(path, format, name) {
+  const response = await backendFetch(path);
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(errorData.error || `Server error: ${response.status}`);
+  }
+  const { suffix, extension } = formatInfo(format);
+  saveBlob(await response.blob(), `${safeFileName(name)}_${suffix}.${extension}`);
+}
+
+// Download a finished job's deck
+export function downloadJobFile(job, name) {
+  return downloadDeckFile(job.fileUrl, job.format, name);
+}
+
+// Download a deck from the history again, in the format it was rendered in
+export function downloadSavedDeck(deck) {
+  return downloadDeckFile(`/decks/${deck.id}/file`, deck.format, deck.topic || deck.name);
+}
+
+// Offer text (e.g. an exported Markdown deck) as a file download
+export function downloadTextFile(text, fileName, type = 'text/plain') {
+  saveBlob(new Blob([text], { type }), fileName);
+}
+
+function saveBlob(blob, fileName) {
+  if (blob.size === 0) {
+    throw new Error('Empty file received from server');
+  }
+
+  const url = window.URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = fileName;
+  a.style.display = 'none';
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  window.URL.revokeObjectURL(url);
+}
+
+// Turn fetch/abort errors into a message fit for the status banner
+export function describeError(error) {
+  if (error.name === 'AbortError') {
+    return 'Request timed out. Please try again with a simpler topic.';
+  }
+  if (error.message.includes('fetch')) {
+    return 'Cannot connect to server. Please check your internet connection.';
+  }
+  return error.message || 'Unknown error occurred';
+}
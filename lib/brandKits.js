@@ -0,0 +1,47 @@
+// Brand kit constants for the brand kit dialog; keep in sync with services/brandKits.js
+
+export const LOGO_POSITIONS = [
+  { value: 'top-left', label: 'Top left' },
+  { value: 'top-right', label: 'Top right' },
+  { value: 'bottom-left', label: 'Bottom left' },
+  { value: 'bottom-right', label: 'Bottom right' }
+];
+
+// Largest logo file accepted by the backend (as raw bytes, before base64 encoding)
+export const MAX_LOGO_BYTES = 1.5 * 1024 * 1024;
+
+export function createBrandKit() {
+  return {
+    name: '',
+    label: '',
+    logo: null,
+    logoPosition: 'top-right',
+    footerText: '',
+    showDate: false,
+    showSlideNumbers: true
+  };
+}
+
+// Read an image file into the { data, width, height } logo shape the backend expects
+export function readLogoFile(file) {
+  return new Promise((resolve, reject) => {
+    if (!['image/png', 'image/jpeg', 'image/gif'].includes(file.type)) {
+      reject(new Error('Logo must be a PNG, JPEG or GIF image'));
+      return;
+    }
+    if (file.size > MAX_LOGO_BYTES) {
+      reject(new Error('Logo must be smaller than 1.5 MB'));
+      return;
+    }
+
+    const reader = new FileReader();
+    reader.onerror = () => reject(new Error('Could not read the logo file'));
+    reader.onload = () => {
+      const image = new Image();
+      image.onerror = () => reject(new Error('Could not load the logo image'));
+      image.onload = () => resolve({ data: reader.result, width: image.naturalWidth, height: image.naturalHeight });
+      image.src = reader.result;
+    };
+    reader.readAsDataURL(file);
+  });
+}
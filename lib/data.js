@@ -0,0 +1,29 @@
+// Spreadsheet import limits; keep in sync with services/data
+
+export const DATA_EXTENSIONS = ['.csv', '.xlsx'];
+
+// Data files travel base64-encoded in a JSON body
+export const MAX_DATA_FILE_BYTES = 5 * 1024 * 1024;
+
+export const MAX_CHART_POINTS = 50;
+export const MAX_TABLE_ROWS = 100;
+
+// Read a CSV or Excel file as { name, data } with base64 data (without the data URL prefix)
+export function readDataFile(file) {
+  return new Promise((resolve, reject) => {
+    const extension = (file.name.match(/\.[^.]+$/) || [''])[0].toLowerCase();
+    if (!DATA_EXTENSIONS.includes(extension)) {
+      reject(new Error(`"${file.name}" must be one of: ${DATA_EXTENSIONS.join(', ')}`));
+      return;
+    }
+    if (file.size > MAX_DATA_FILE_BYTES) {
+      reject(new Error(`"${file.name}" must be smaller than 5 MB`));
+      return;
+    }
+
+    const reader = new FileReader();
+    reader.onerror = () => reject(new Error(`Could not read "${file.name}"`));
+    reader.onload = () => resolve({ name: file.name, data: String(reader.result).split(',')[1] });
+    reader.readAsDataURL(file);
+  });
+}
@@ -0,0 +1,32 @@
+// Source document types accepted by the backend; keep in sync with services/sources
+export const DOCUMENT_EXTENSIONS = ['.pdf', '.docx', '.md', '.markdown', '.txt'];
+
+export const MAX_DOCUMENTS = 5;
+
+// Documents travel base64-encoded in a JSON body
+export const MAX_DOCUMENTS_BYTES = 6.5 * 1024 * 1024;
+
+// Deck title used for document-based decks without a topic, e.g. "q3_report.pdf" -> "q3 report"
+export function documentTitle(documents) {
+  return documents[0].name.replace(/\.[^.]+$/, '').replace(/[_-]+/g, ' ').trim();
+}
+
+// Read a source document as { name, data } with base64 data (without the data URL prefix)
+export function readDocumentFile(file) {
+  return new Promise((resolve, reject) => {
+    const extension = (file.name.match(/\.[^.]+$/) || [''])[0].toLowerCase();
+    if (!DOCUMENT_EXTENSIONS.includes(extension)) {
+      reject(new Error(`"${file.name}" must be one of: ${DOCUMENT_EXTENSIONS.join(', ')}`));
+      return;
+    }
+    if (file.size > MAX_DOCUMENTS_BYTES) {
+      reject(new Error(`"${file.name}" must be smaller than 6.5 MB`));
+      return;
+    }
+
+    const reader = new FileReader();
+    reader.onerror = () => reject(new Error(`Could not read "${file.name}"`));
+    reader.onload = () => resolve({ name: file.name, data: String(reader.result).split(',')[1] });
+    reader.readAsDataURL(file);
+  });
+}
@@ -0,0 +1,11 @@
+// Download formats offered by the backend; keep in sync with services/export/formats.js
+export const EXPORT_FORMATS = [
+  { value: 'pptx', label: 'PowerPoint', extension: 'pptx', suffix: 'presentation' },
+  { value: 'pdf', label: 'PDF', extension: 'pdf', suffix: 'presentation' },
+  { value: 'png', label: 'PNG images', extension: 'zip', suffix: 'slides' }
+];
+
+export const formatInfo = (value) => EXPORT_FORMATS.find(f => f.value === value) || EXPORT_FORMATS[0];
+
+// Label of the download button for a format, e.g. "Download PDF"
+export const downloadLabel = (value) => (value === 'pptx' ? 'Download PPT' : `Download ${formatInfo(value).label}`);
@@ -0,0 +1,38 @@
+// Image credit lines; keep in sync with services/images/credits.js
+
+export const PROVIDER_LABELS = {
+  unsplash: 'Unsplash',
+  pexels: 'Pexels',
+  local: 'image library'
+};
+
+// { caption, line, url } for a slide image (loaded, or picked and shown by its thumbnail), or null
+// when it needs no credit
+export function imageCredit(image) {
+  const attribution = image && (image.data || image.thumbnail) && image.attribution;
+  if (!attribution) return null;
+
+  const { provider, photographer, photoUrl } = attribution;
+  if (provider === 'local') {
+    return photographer
+      ? { caption: `Image: ${photographer}`, line: `Image: ${photographer}`, url: photoUrl || null }
+      : null;
+  }
+
+  const source = PROVIDER_LABELS[provider] || provider;
+  return {
+    caption: photographer ? `Photo: ${photographer} / ${source}` : `Photo: ${source}`,
+    line: photographer ? `Photo by ${photographer} on ${source}` : `Photo from ${source}`,
+    url: photoUrl || null
+  };
+}
+
+// Credits of the images in an outline with their deck slide number (the title slide is slide 1);
+// `shown(slide, index)` tells whether the slide's layout actually draws its image, and
+// `slideNumber(index)` gives the deck number of outline slide `index` when extra slides shift it
+export function outlineCredits(outline, shown = () => true, slideNumber = i => i + 2) {
+  return (outline.slides || []).flatMap((slide, i) => {
+    const credit = slide && shown(slide, i) && imageCredit(slide.image);
+    return credit ? [{ slideNumber: slideNumber(i), slideTitle: slide.slideTitle || 'Untitled Slide', ...credit }] : [];
+  });
+}
@@ -0,0 +1,52 @@
+// Slide image constants for the image picker; keep in sync with services/outlineSchema.js
+
+export const MAX_IMAGE_ZOOM = 3;
+
+// Largest image file accepted for upload, and the width uploads are scaled down to
+// (like library images in services/images/local.js)
+export const MAX_UPLOAD_BYTES = 15 * 1024 * 1024;
+const MAX_WIDTH = 1600;
+
+const UPLOAD_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+
+// Read an uploaded image into the { data, width, height } slide image shape. Large images are
+// scaled down to MAX_WIDTH; PNGs stay PNG (for transparency), everything else becomes JPEG.
+export function readSlideImageFile(file) {
+  return new Promise((resolve, reject) => {
+    if (!UPLOAD_TYPES.includes(file.type)) {
+      reject(new Error('Image must be a PNG, JPEG, GIF or WebP file'));
+      return;
+    }
+    if (file.size > MAX_UPLOAD_BYTES) {
+      reject(new Error('Image must be smaller than 15 MB'));
+      return;
+    }
+
+    const reader = new FileReader();
+    reader.onerror = () => reject(new Error('Could not read the image file'));
+    reader.onload = () => {
+      const image = new Image();
+      image.onerror = () => reject(new Error('Could not load the image'));
+      image.onload = () => {
+        const scale = Math.min(1, MAX_WIDTH / image.naturalWidth);
+        const width = Math.round(image.naturalWidth * scale);
+        const height = Math.round(image.naturalHeight * scale);
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const context = canvas.getContext('2d');
+        const png = file.type === 'image/png';
+        if (!png) {
+          // JPEG has no transparency: flatten onto white
+          context.fillStyle = '#FFFFFF';
+          context.fillRect(0, 0, width, height);
+        }
+        context.drawImage(image, 0, 0, width, height);
+        resolve({ data: canvas.toDataURL(png ? 'image/png' : 'image/jpeg', 0.85), width, height });
+      };
+      image.src = reader.result;
+    };
+    reader.readAsDataURL(file);
+  });
+}
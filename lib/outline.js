@@ -0,0 +1,104 @@
+// Outline constants shared by the editor UI; keep in sync with services/outline.js
+
+export const LAYOUTS = [
+  { value: 'title-bullets', label: 'Title & bullets' },
+  { value: 'two-column', label: 'Two columns' },
+  { value: 'quote', label: 'Quote' },
+  { value: 'section-divider', label: 'Section divider' },
+  { value: 'checklist', label: 'Checklist' },
+  { value: 'numbers', label: 'Numbered list' },
+  { value: 'image-left', label: 'Image left' },
+  { value: 'timeline', label: 'Timeline' },
+  { value: 'comparison', label: 'Comparison' },
+  { value: 'agenda', label: 'Agenda' },
+  { value: 'big-stat', label: 'Big number' },
+  { value: 'card-grid', label: 'Card grid' },
+  { value: 'process', label: 'Process' }
+];
+
+// Layouts given in turn to slides without one: those drawn from bullets alone
+export const BULLET_LAYOUTS = LAYOUTS.slice(0, 7).map(l => l.value);
+
+// Slide field holding the structured content of a layout; without it the layout is drawn from the bullets
+export const LAYOUT_FIELDS = {
+  timeline: 'timeline',
+  comparison: 'comparison',
+  'big-stat': 'stat',
+  'card-grid': 'cards',
+  process: 'steps'
+};
+
+// Most items the timeline, card grid and process layouts draw
+export const MAX_LAYOUT_ITEMS = 6;
+
+export const CHART_TYPES = [
+  { value: 'bar', label: 'Bar' },
+  { value: 'column', label: 'Column' },
+  { value: 'line', label: 'Line' },
+  { value: 'area', label: 'Area' },
+  { value: 'pie', label: 'Pie' },
+  { value: 'doughnut', label: 'Doughnut' },
+  { value: 'scatter', label: 'Scatter' }
+];
+
+// Most series one chart can compare
+export const MAX_CHART_SERIES = 8;
+
+// Series of a chart: its `series`, or the single series of its `values`
+export function chartSeries(chart) {
+  if (Array.isArray(chart.series)) return chart.series;
+  return Array.isArray(chart.values) ? [{ name: chart.title || 'Series', values: chart.values }] : [];
+}
+
+// Talk length options (minutes) for sizing speaker notes
+export const TALK_LENGTHS = [5, 10, 15, 20, 30, 45, 60];
+
+// Suggested slide count for a talk: about two minutes per slide, rounded to a supported count
+export function slideCountForTalk(talkLength) {
+  const target = talkLength / 2;
+  return [3, 5, 7, 10].reduce((best, count) => (Math.abs(count - target) < Math.abs(best - target) ? count : best));
+}
+
+export function createSlide() {
+  return {
+    slideTitle: 'New slide',
+    bulletPoints: [''],
+    layout: 'title-bullets',
+    visualHint: '',
+    speakerNotes: ''
+  };
+}
+
+export function createTable() {
+  return {
+    headers: ['Column 1', 'Column 2'],
+    rows: [['', '']]
+  };
+}
+
+export function createChart() {
+  return {
+    type: 'bar',
+    title: '',
+    labels: ['Item 1', 'Item 2'],
+    series: [{ name: 'Series 1', values: [0, 0] }]
+  };
+}
+
+// Starting content for a structured layout's field (see LAYOUT_FIELDS)
+export function createLayoutContent(layout) {
+  switch (layout) {
+    case 'timeline':
+      return [{ label: 'Phase 1', title: 'First milestone' }, { label: 'Phase 2', title: 'Second milestone' }];
+    case 'comparison':
+      return { left: { heading: 'Pros', points: [''] }, right: { heading: 'Cons', points: [''] } };
+    case 'big-stat':
+      return { value: '0%', label: 'What the number measures' };
+    case 'card-grid':
+      return [{ title: 'Card 1', text: '' }, { title: 'Card 2', text: '' }];
+    case 'process':
+      return [{ title: 'Step 1' }, { title: 'Step 2' }];
+    default:
+      return undefined;
+  }
+}
@@ -0,0 +1,21 @@
+// Login session of the web app: the backend's session token, kept in localStorage
+
+const TOKEN_KEY = 'autoppt.session';
+
+// Fired on window whenever the user logs in or out (or the backend rejects the token)
+export const SESSION_EVENT = 'autoppt:session';
+
+export function getSessionToken() {
+  return typeof window === 'undefined' ? null : window.localStorage.getItem(TOKEN_KEY);
+}
+
+export function setSessionToken(token) {
+  if (token) {
+    window.localStorage.setItem(TOKEN_KEY, token);
+  } else {
+    window.localStorage.removeItem(TOKEN_KEY);
+  }
+  window.dispatchEvent(new Event(SESSION_EVENT));
+}
+
+export const clearSession = () => setSessionToken(null);
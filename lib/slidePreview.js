@@ -0,0 +1,538 @@
+// Slide geometry for the in-browser preview, in inches on the 10 x 5.625 slide.
+// Mirrors the title slide, addContentSlide, addTableContinuations and addCreditsSlide in
+// services/renderer.js; keep in sync.
+
+import { imageCredit } from '@/lib/imageCredits';
+import { BULLET_LAYOUTS, LAYOUTS, LAYOUT_FIELDS, MAX_LAYOUT_ITEMS, chartSeries } from '@/lib/outline';
+
+export const SLIDE_W = 10;
+export const SLIDE_H = 5.625;
+
+// Height of an image's credit caption, and credits per column on the credits slide
+const CAPTION_H = 0.25;
+const CREDITS_PER_COLUMN = 8;
+
+// Table fitting, like tableLayout in services/renderer.js: text sizes (largest first), the space
+// kept below a table, cell insets and the line height per point of font size
+const TABLE_FONT_SIZES = [14, 12, 11, 10];
+const TABLE_BOTTOM_MARGIN = 0.25;
+const CELL_INSET = { x: 0.1, y: 0.05 };
+const LINE_HEIGHT = 1.2 / 72;
+
+// Region of a table on its "(cont.)" slides
+const TABLE_CONTINUATION_REGION = { x: 0.5, y: 1.4, w: 9, h: 3.8 };
+
+// Chart, table or image under the text of a slide, down to the margin above the bottom edge
+const bottomRegion = (x, w) => ({ x, y: 4.0, w, h: SLIDE_H - TABLE_BOTTOM_MARGIN - 4.0 });
+
+export const lighten = (hex, pct) => {
+  const value = parseInt(String(hex).replace('#', ''), 16);
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255]
+    .map(c => Math.round(c + (255 - c) * pct).toString(16).padStart(2, '0'))
+    .join('')
+    .toUpperCase();
+};
+
+// Chart series colors from the theme, like chartColors in services/renderer.js: accent and
+// background color, then lighter shades of both
+export function chartColors(theme, count) {
+  const base = [theme.accent, theme.background];
+  return Array.from({ length: Math.max(count, 1) }, (_, i) => {
+    const shade = Math.floor(i / base.length) % 4;
+    return shade === 0 ? base[i % base.length] : lighten(base[i % base.length], shade * 0.25);
+  });
+}
+
+// Picture of a slide image: its data, or the thumbnail of a candidate picked in the editor
+// (the full image is loaded when the deck is built)
+export const imageSource = (image) => image.data || image.thumbnail || null;
+
+// Cover crop of an image into `box` around its focal point, like imageCrop in services/renderer.js:
+// the image's size and offset ({ x, y, w, h }, relative to the box) when it is scaled to fill the box
+export function imageCrop(image, box) {
+  if (!(image.width > 0 && image.height > 0)) {
+    return { x: 0, y: 0, w: box.w, h: box.h };
+  }
+
+  const scale = Math.max(box.w / image.width, box.h / image.height) * (image.zoom || 1);
+  const w = image.width * scale;
+  const h = image.height * scale;
+  const focus = image.focus || { x: 0.5, y: 0.5 };
+  const offset = (point, full, visible) => Math.min(Math.max(point * full - visible / 2, 0), full - visible);
+  return { x: -offset(focus.x, w, box.w), y: -offset(focus.y, h, box.h), w, h };
+}
+
+const isNumberCell = (value) => /^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i.test(String(value).replace(/[\s,%$€£]/g, ''));
+
+// Estimated number of lines of `value` in a column `width` inches wide
+function cellLines(value, width, size, bold) {
+  const maxChars = Math.max(1, Math.floor(((width - 2 * CELL_INSET.x) * 72) / (size * (bold ? 0.6 : 0.55))));
+  let lines = 1;
+  let line = 0;
+  for (const word of String(value).split(/\s+/).filter(Boolean)) {
+    if (line > 0 && line + 1 + word.length <= maxChars) {
+      line += 1 + word.length;
+    } else {
+      if (line > 0) lines++;
+      lines += Math.ceil(word.length / maxChars) - 1;
+      line = ((word.length - 1) % maxChars) + 1;
+    }
+  }
+  return lines;
+}
+
+// Layout of a table over `regions` (its slide's region, then the "(cont.)" slides' region), like
+// tableLayout in services/renderer.js: { headers, align, fontSize, pages: [{ rows, rowH, colW }] }
+export function tableLayout(table, regions) {
+  const headers = table.headers.map(String);
+  const rows = table.rows.map(row => headers.map((_, c) => (row[c] === undefined || row[c] === null ? '' : String(row[c]))));
+
+  const align = headers.map((_, c) => {
+    const cells = rows.map(row => row[c]).filter(cell => cell.trim() !== '');
+    return cells.length > 0 && cells.every(isNumberCell) ? 'right' : 'left';
+  });
+
+  const columns = headers.map((header, c) => [header, ...rows.map(row => row[c])]);
+  const longest = columns.map(cells => Math.min(Math.max(...cells.map(cell => cell.length)), 30));
+  const longestWord = columns.map(cells => Math.max(...cells.flatMap(cell => cell.split(/\s+/).map(word => word.length))));
+
+  const columnWidths = (width, size) => {
+    const chars = (n, factor) => (n * size * factor) / 72 + 2 * CELL_INSET.x;
+    const min = longestWord.map(n => chars(n, 0.6));
+    const ideal = longest.map((n, c) => Math.max(chars(n, 0.55), min[c]));
+    const minTotal = min.reduce((sum, w) => sum + w, 0);
+    const idealTotal = ideal.reduce((sum, w) => sum + w, 0);
+    if (idealTotal <= width) return ideal.map(w => (w * width) / idealTotal);
+    if (minTotal >= width) return min.map(w => (w * width) / minTotal);
+    return min.map((w, c) => w + ((ideal[c] - w) * (width - minTotal)) / (idealTotal - minTotal));
+  };
+
+  const rowHeight = (row, colW, size, bold) => Math.max(...row.map((cell, c) => cellLines(cell, colW[c], size, bold)))
+    * size * LINE_HEIGHT + 2 * CELL_INSET.y;
+
+  const paginate = (size) => {
+    const pages = [];
+    let next = 0;
+    while (next < rows.length || pages.length === 0) {
+      const region = regions[Math.min(pages.length, regions.length - 1)];
+      const colW = columnWidths(region.w, size);
+      const rowH = [rowHeight(headers, colW, size, true)];
+      let used = rowH[0];
+      const start = next;
+      while (next < rows.length) {
+        const h = rowHeight(rows[next], colW, size, false);
+        if (next > start && used + h > region.h) break;
+        rowH.push(h);
+        used += h;
+        next++;
+      }
+      pages.push({ rows: rows.slice(start, next), rowH, colW });
+    }
+    return pages;
+  };
+
+  const smallest = TABLE_FONT_SIZES[TABLE_FONT_SIZES.length - 1];
+  for (const fontSize of TABLE_FONT_SIZES) {
+    const pages = paginate(fontSize);
+    if (pages.length === 1 || fontSize === smallest) {
+      return { headers, align, fontSize, pages };
+    }
+  }
+}
+
+const pickLayout = (index, provided) => {
+  const names = LAYOUTS.map(l => l.value);
+  return provided && names.includes(provided) ? provided : BULLET_LAYOUTS[index % BULLET_LAYOUTS.length];
+};
+
+const text = (value, box, style) => ({ kind: 'text', text: value, box, ...style });
+
+// Content of the structured layouts, like layoutContent in services/renderer.js: the slide's own
+// field, or items made from its "Label: text" bullets
+function splitLabel(bullet) {
+  const match = bullet.match(/^([^:]{1,30}):\s+(\S.*)$/);
+  return match ? [match[1].trim(), match[2].trim()] : [null, bullet];
+}
+
+function statValue(value) {
+  const match = String(value).match(/[-+]?[$€£]?\d(?:[\d,.]*\d)?(\s?(%|[kKmMbB]n?|x)\b|%)?/);
+  return match ? match[0].trim() : '';
+}
+
+const initials = (title) => String(title).split(/\s+/).filter(Boolean).slice(0, 2).map(word => [...word][0].toUpperCase()).join('');
+
+function layoutContent(slide, layout, bullets) {
+  const own = slide[LAYOUT_FIELDS[layout]];
+  const labelled = bullets.slice(0, MAX_LAYOUT_ITEMS).map(splitLabel);
+
+  switch (layout) {
+    case 'timeline':
+      return Array.isArray(own) ? own : labelled.map(([label, value], i) => ({ label: label || String(i + 1), title: value }));
+    case 'comparison': {
+      if (own && own.left && own.right) return own;
+      const mid = Math.ceil(bullets.length / 2);
+      return { left: { heading: '', points: bullets.slice(0, mid) }, right: { heading: '', points: bullets.slice(mid) } };
+    }
+    case 'big-stat':
+      return own && own.value ? { ...own, points: bullets } : { value: statValue(bullets[0] || ''), label: bullets[0] || '', points: bullets.slice(1) };
+    case 'card-grid':
+      return Array.isArray(own) ? own : labelled.map(([label, value]) => (label ? { title: label, text: value } : { title: value }));
+    case 'process':
+      return Array.isArray(own) ? own : labelled.map(([label, value]) => (label ? { title: label, detail: value } : { title: value }));
+    default:
+      return null;
+  }
+}
+
+// Agenda of a deck, like agendaItems in services/renderer.js: its section divider titles or,
+// without any, the titles of its other slides
+export function agendaItems(slides) {
+  const others = (slides || [])
+    .map((slide, i) => ({ slide, layout: slide && typeof slide === 'object' ? pickLayout(i, slide.layout) : null }))
+    .filter(({ layout }) => layout && layout !== 'agenda');
+  const sections = others.filter(({ layout }) => layout === 'section-divider');
+  return (sections.length > 0 ? sections : others).map(({ slide }) => slide.slideTitle || 'Untitled Slide');
+}
+
+// Shapes and text of the timeline, comparison, agenda, big-stat, card grid and process layouts in
+// `region`, like drawStructuredLayout in services/renderer.js
+function structuredElements(layout, region, content, theme) {
+  const { x, y, w, h } = region;
+  const accent = theme.accent;
+  const muted = lighten(theme.text, 0.35);
+  const shape = (kind, box, fill, line) => ({ kind: 'shape', shape: kind, box, fill, ...(line && { line }) });
+  const label = (value, box, style) => text(value, box, { fontSize: 14, font: theme.bodyFont, color: theme.text, align: 'center', valign: 'top', ...style });
+  const elements = [];
+
+  switch (layout) {
+    case 'timeline': {
+      const events = content.slice(0, MAX_LAYOUT_ITEMS);
+      const colW = w / Math.max(events.length, 1);
+      const lineY = y + 0.9;
+      elements.push(shape('line', { x: x + colW / 2, y: lineY, w: w - colW, h: 0 }, null, { color: lighten(accent, 0.4), pt: 3 }));
+      events.forEach((event, i) => {
+        const cx = x + colW * (i + 0.5);
+        elements.push(
+          shape('ellipse', { x: cx - 0.15, y: lineY - 0.15, w: 0.3, h: 0.3 }, accent, { color: 'FFFFFF', pt: 2 }),
+          label(event.label, { x: cx - colW / 2, y, w: colW, h: 0.65 }, { fontSize: 16, font: theme.headingFont, bold: true, color: theme.background, valign: 'bottom' }),
+          label(event.title, { x: cx - colW / 2, y: lineY + 0.3, w: colW, h: 0.75 }, { bold: true }),
+          event.detail ? label(event.detail, { x: cx - colW / 2, y: lineY + 1.05, w: colW, h: y + h - lineY - 1.05 }, { fontSize: 11, color: muted }) : null
+        );
+      });
+      break;
+    }
+    case 'comparison': {
+      const gap = 0.3;
+      const panelW = (w - gap) / 2;
+      const headingH = 0.55;
+      [
+        { side: content.left, fill: accent, color: 'FFFFFF' },
+        { side: content.right, fill: theme.background, color: theme.title }
+      ].forEach(({ side, fill, color }, i) => {
+        const px = x + i * (panelW + gap);
+        const heading = side.heading || '';
+        const top = heading ? y + headingH : y;
+        if (heading) {
+          elements.push(
+            shape('rect', { x: px, y, w: panelW, h: headingH }, fill),
+            label(heading, { x: px, y, w: panelW, h: headingH }, { fontSize: 18, font: theme.headingFont, bold: true, color, valign: 'middle' })
+          );
+        }
+        elements.push(
+          shape('rect', { x: px, y: top, w: panelW, h: y + h - top }, lighten(fill, 0.9)),
+          label((side.points || []).map(point => `• ${point}`).join('\n'), { x: px + 0.1, y: top + 0.1, w: panelW - 0.2, h: y + h - top - 0.2 }, { lineSpacing: 21, align: 'left' })
+        );
+      });
+      break;
+    }
+    case 'agenda': {
+      const perColumn = content.length <= 6 ? content.length : Math.ceil(content.length / 2);
+      const columnW = content.length <= 6 ? w : (w - 0.3) / 2;
+      const rowH = Math.min(0.6, h / Math.max(perColumn, 1));
+      const badge = Math.min(0.45, rowH - 0.1);
+      content.forEach((item, i) => {
+        const cx = x + Math.floor(i / perColumn) * (columnW + 0.3);
+        const cy = y + (i % perColumn) * rowH;
+        const badgeBox = { x: cx, y: cy + (rowH - badge) / 2, w: badge, h: badge };
+        elements.push(
+          shape('ellipse', badgeBox, accent),
+          label(String(i + 1), badgeBox, { fontSize: Math.round(badge * 30), bold: true, color: 'FFFFFF', valign: 'middle', margin: 0 }),
+          label(item, { x: cx + badge + 0.15, y: cy, w: columnW - badge - 0.15, h: rowH }, { fontSize: 18, align: 'left', valign: 'middle' })
+        );
+      });
+      break;
+    }
+    case 'big-stat': {
+      const points = content.points || [];
+      elements.push(
+        label(content.value || '', { x, y, w, h: 1.5 }, { fontSize: 72, font: theme.headingFont, bold: true, color: accent, valign: 'bottom' }),
+        label(content.label || '', { x: x + 0.5, y: y + 1.55, w: w - 1, h: 0.8 }, { fontSize: 20 })
+      );
+      let top = y + 2.35;
+      if (content.context) {
+        elements.push(label(content.context, { x: x + 0.5, y: top, w: w - 1, h: 0.5 }, { italic: true, color: muted }));
+        top += 0.5;
+      }
+      if (points.length > 0 && y + h - top > 0.3) {
+        elements.push(label(points.map(point => `• ${point}`).join('\n'), { x: x + 1, y: top + 0.1, w: w - 2, h: y + h - top - 0.1 }, { lineSpacing: 20, align: 'left' }));
+      }
+      break;
+    }
+    case 'card-grid': {
+      const cards = content.slice(0, MAX_LAYOUT_ITEMS);
+      const columns = cards.length === 4 ? 2 : Math.min(cards.length, 3);
+      const rows = Math.ceil(cards.length / Math.max(columns, 1));
+      const gap = 0.25;
+      const cardW = (w - gap * (columns - 1)) / columns;
+      const cardH = (h - gap * (rows - 1)) / rows;
+      const badge = Math.min(0.6, cardH * 0.3);
+      cards.forEach((card, i) => {
+        const cx = x + (i % columns) * (cardW + gap);
+        const cy = y + Math.floor(i / columns) * (cardH + gap);
+        const badgeBox = { x: cx + 0.15, y: cy + 0.15, w: badge, h: badge };
+        const headerX = cx + badge + 0.25;
+        const headerW = cardW - badge - 0.35;
+        const headerH = Math.max(badge, 0.7);
+        elements.push(
+          shape('roundRect', { x: cx, y: cy, w: cardW, h: cardH }, 'FFFFFF', { color: lighten(theme.text, 0.8), pt: 1 }),
+          shape('ellipse', badgeBox, accent),
+          label(initials(card.title), badgeBox, { fontSize: Math.round(badge * 26), bold: true, color: 'FFFFFF', valign: 'middle', margin: 0 }),
+          ...(card.subtitle
+            ? [
+              label(card.title, { x: headerX, y: cy + 0.1, w: headerW, h: 0.4 }, { bold: true, align: 'left', valign: 'bottom' }),
+              label(card.subtitle, { x: headerX, y: cy + 0.5, w: headerW, h: 0.3 }, { fontSize: 11, color: muted, align: 'left' })
+            ]
+            : [label(card.title, { x: headerX, y: cy + 0.15, w: headerW, h: badge }, { bold: true, align: 'left', valign: 'middle' })]),
+          card.text ? label(card.text, { x: cx + 0.1, y: cy + headerH + 0.2, w: cardW - 0.2, h: cardH - headerH - 0.3 }, { fontSize: 12, align: 'left' }) : null
+        );
+      });
+      break;
+    }
+    case 'process': {
+      const steps = content.slice(0, MAX_LAYOUT_ITEMS);
+      const arrowW = 0.35;
+      const stepW = (w - arrowW * (steps.length - 1)) / Math.max(steps.length, 1);
+      const boxY = y + 0.3;
+      const boxH = 1.2;
+      steps.forEach((step, i) => {
+        const sx = x + i * (stepW + arrowW);
+        const fill = i % 2 === 0 ? accent : theme.background;
+        elements.push(
+          shape('roundRect', { x: sx, y: boxY, w: stepW, h: boxH }, fill),
+          label(`${i + 1}`, { x: sx, y: boxY + 0.05, w: stepW, h: 0.35 }, { fontSize: 12, bold: true, color: lighten(fill, 0.6) }),
+          label(step.title, { x: sx + 0.05, y: boxY + 0.35, w: stepW - 0.1, h: boxH - 0.45 }, { fontSize: 15, font: theme.headingFont, bold: true, color: i % 2 === 0 ? 'FFFFFF' : theme.title, valign: 'middle' }),
+          i < steps.length - 1 ? shape('rightArrow', { x: sx + stepW + 0.05, y: boxY + boxH / 2 - 0.15, w: arrowW - 0.1, h: 0.3 }, lighten(theme.text, 0.6)) : null,
+          step.detail ? label(step.detail, { x: sx, y: boxY + boxH + 0.2, w: stepW, h: y + h - boxY - boxH - 0.2 }, { fontSize: 12 }) : null
+        );
+      });
+      break;
+    }
+    default:
+      break;
+  }
+
+  return elements;
+}
+
+// Title slide: deck title and subtitle on the theme's background color
+export function titleSlide(outline, topic, theme) {
+  const title = outline.title || topic || 'Presentation';
+  return {
+    background: theme.background,
+    elements: [
+      text(title, { x: 1, y: 2, w: 8, h: 1.5 }, { fontSize: 36, font: theme.headingFont, bold: true, color: theme.title, align: 'center', valign: 'top' }),
+      text(outline.subtitle || `Presentation on ${topic || title}`, { x: 1, y: 4, w: 8, h: 1 }, { fontSize: 24, font: theme.bodyFont, color: theme.title, align: 'center', valign: 'top' })
+    ]
+  };
+}
+
+// Content slide `index` (0-based, without the title slide) drawn with its outline layout;
+// `creditCaptions: false` leaves out the credit under the image, and `agenda` holds the items of
+// agenda slides (agendaItems of the outline). `continuations` holds the
+// "(cont.)" slides with the rows of its table that did not fit.
+export function contentSlide(slide, index, theme, { creditCaptions = true, agenda = [] } = {}) {
+  const layout = pickLayout(index, slide.layout);
+  const backgrounds = [
+    'FFFFFF',
+    lighten(theme.accent, 0.85),
+    lighten(theme.accent, 0.92),
+    lighten(theme.background, 0.95),
+    lighten(theme.accent, 0.8)
+  ];
+  const titleColor = theme.background;
+  const bullets = Array.isArray(slide.bulletPoints) ? slide.bulletPoints.filter(Boolean) : [];
+  const bulletList = (items, prefix = () => '• ') => items.map((t, i) => `${prefix(i)}${t}`).join('\n');
+
+  const heading = (box, style = {}) => text(slide.slideTitle || 'Untitled Slide', box, {
+    fontSize: 28, font: theme.headingFont, bold: true, color: titleColor, align: 'left', valign: 'top', ...style
+  });
+  const body = (value, box, style = {}) => text(value, box, {
+    fontSize: 16, font: theme.bodyFont, color: theme.text, lineSpacing: 24, align: 'left', valign: 'top', ...style
+  });
+
+  // Optional media, in the order the renderer tries them for a region
+  const tableColors = {
+    header: theme.background,
+    headerText: theme.title,
+    stripe: lighten(theme.accent, 0.9),
+    text: theme.text,
+    border: lighten(theme.text, 0.8)
+  };
+  const tablePage = (box, layout, page) => ({ kind: 'table', box, layout, page, colors: tableColors, font: theme.bodyFont });
+  let tablePages = [];
+  const table = (box) => {
+    if (!slide.table || !Array.isArray(slide.table.headers) || !Array.isArray(slide.table.rows) || slide.table.headers.length === 0) return null;
+    const fitted = { ...box, h: Math.min(box.h, SLIDE_H - TABLE_BOTTOM_MARGIN - box.y) };
+    const layout = tableLayout(slide.table, [fitted, TABLE_CONTINUATION_REGION]);
+    tablePages = layout.pages.slice(1).map(page => tablePage(TABLE_CONTINUATION_REGION, layout, page));
+    return tablePage(fitted, layout, layout.pages[0]);
+  };
+  const chart = (box) => {
+    if (!slide.chart) return null;
+    const points = (slide.chart.type === 'scatter' ? slide.chart.xValues : slide.chart.labels) || [];
+    const series = chartSeries(slide.chart);
+    if (points.length === 0 || series.length === 0) return null;
+    const round = slide.chart.type === 'pie' || slide.chart.type === 'doughnut';
+    return {
+      kind: 'chart',
+      box,
+      chart: slide.chart,
+      colors: chartColors(theme, round ? points.length : series.length),
+      font: theme.bodyFont,
+      color: lighten(theme.text, 0.2)
+    };
+  };
+  const image = (box) => {
+    if (!slide.image) return null;
+    const element = {
+      kind: 'image',
+      box,
+      image: slide.image,
+      fill: lighten(theme.background, 0.6),
+      color: theme.background,
+      font: theme.bodyFont
+    };
+    const credit = creditCaptions && imageCredit(slide.image);
+    if (!credit) return element;
+
+    // The caption takes the bottom of the region (kept on the slide), the image the rest
+    const h = Math.min(box.h, SLIDE_H - box.y) - CAPTION_H;
+    return [
+      { ...element, box: { ...box, h } },
+      text(credit.caption, { x: box.x, y: box.y + h, w: box.w, h: CAPTION_H }, {
+        fontSize: 8, font: theme.bodyFont, color: lighten(theme.text, 0.35), align: 'right', valign: 'middle'
+      })
+    ];
+  };
+  const first = (...candidates) => candidates.find(Boolean) || null;
+
+  const elements = [{ kind: 'shape', box: { x: 0, y: 0, w: 10, h: 0.3 }, fill: theme.accent }];
+
+  switch (layout) {
+    case 'two-column': {
+      const mid = Math.ceil(bullets.length / 2) || 1;
+      const right = { x: 5.25, y: 1.4, w: 4.25, h: 3.8 };
+      elements.push(
+        heading({ x: 0.5, y: 0.5, w: 9, h: 0.8 }),
+        body(bulletList(bullets.slice(0, mid)), { x: 0.5, y: 1.4, w: 4.25, h: 3.8 }),
+        first(table(right), chart(right)) || body(bulletList(bullets.slice(mid)), right)
+      );
+      break;
+    }
+    case 'quote': {
+      const rest = bullets.slice(1);
+      const bottom = bottomRegion(0.75, 8.5);
+      elements.push(
+        heading({ x: 0.5, y: 0.5, w: 9, h: 0.6 }, { fontSize: 24, color: theme.text }),
+        text(`"${bullets[0] || 'Insightful quote or key takeaway goes here.'}"`, { x: 0.75, y: 1.2, w: 8.5, h: 1.8 }, {
+          fontSize: 28, font: theme.bodyFont, italic: true, color: titleColor, align: 'center', valign: 'top'
+        }),
+        rest.length > 0 ? body(bulletList(rest), { x: 1, y: 3.2, w: 8, h: 2.3 }, { fontSize: 14, lineSpacing: 20 }) : null,
+        first(table(bottom), chart(bottom), image(bottom))
+      );
+      break;
+    }
+    case 'section-divider':
+      elements.push(
+        { kind: 'shape', box: { x: 1, y: 2, w: 8, h: 3 }, fill: theme.accent },
+        heading({ x: 1, y: 2.8, w: 8, h: 1 }, { fontSize: 36, color: 'FFFFFF', align: 'center' })
+      );
+      break;
+    case 'checklist':
+    case 'numbers': {
+      const items = bullets.length ? bullets : layout === 'checklist' ? ['First task', 'Second task'] : ['Point one', 'Point two'];
+      const bottom = bottomRegion(0.5, 9);
+      elements.push(
+        heading({ x: 0.5, y: 0.5, w: 9, h: 0.8 }),
+        body(bulletList(items, i => (layout === 'checklist' ? '✓ ' : `${i + 1}. `)), { x: 0.5, y: 1.4, w: 9, h: 3.8 }),
+        first(chart(bottom), table(bottom))
+      );
+      break;
+    }
+    case 'image-left':
+      elements.push(
+        image({ x: 0.5, y: 1.4, w: 4, h: 3.5 }),
+        heading({ x: 4.75, y: 0.5, w: 4.75, h: 0.8 }),
+        body(bulletList(bullets), { x: 4.75, y: 1.4, w: 4.75, h: 3.5 })
+      );
+      break;
+    case 'timeline':
+    case 'comparison':
+    case 'agenda':
+    case 'big-stat':
+    case 'card-grid':
+    case 'process':
+      elements.push(
+        heading({ x: 0.5, y: 0.5, w: 9, h: 0.8 }, { align: layout === 'big-stat' ? 'center' : 'left' }),
+        ...structuredElements(layout, { x: 0.5, y: 1.4, w: 9, h: 3.8 }, layout === 'agenda' ? agenda : layoutContent(slide, layout, bullets), theme)
+      );
+      break;
+    case 'title-bullets':
+    default: {
+      const bottom = bottomRegion(0.5, 9);
+      elements.push(
+        heading({ x: 0.5, y: 0.5, w: 9, h: 0.8 }),
+        body(bulletList(bullets), { x: 0.5, y: 1.4, w: 6, h: 3.8 }),
+        image({ x: 6.75, y: 1.4, w: 2.75, h: 3.5 }),
+        first(chart(bottom), table(bottom))
+      );
+      break;
+    }
+  }
+
+  const background = backgrounds[index % backgrounds.length];
+  const continuations = tablePages.map(element => ({
+    background,
+    elements: [
+      elements[0],
+      text(`${slide.slideTitle || 'Untitled Slide'} (cont.)`, { x: 0.5, y: 0.5, w: 9, h: 0.8 }, {
+        fontSize: 28, font: theme.headingFont, bold: true, color: titleColor, align: 'left', valign: 'top'
+      }),
+      element
+    ]
+  }));
+
+  return { layout, background, elements: elements.flat().filter(Boolean), continuations };
+}
+
+// Closing "Image credits" slide listing `credits` (from outlineCredits), in up to two columns
+export function creditsSlide(credits, theme) {
+  const half = Math.ceil(credits.length / 2);
+  const columns = credits.length > CREDITS_PER_COLUMN ? [credits.slice(0, half), credits.slice(half)] : [credits];
+  const columnW = 9 / columns.length;
+
+  return {
+    background: 'FFFFFF',
+    elements: [
+      { kind: 'shape', box: { x: 0, y: 0, w: 10, h: 0.3 }, fill: theme.accent },
+      text('Image credits', { x: 0.5, y: 0.5, w: 9, h: 0.8 }, {
+        fontSize: 28, font: theme.headingFont, bold: true, color: theme.background, align: 'left', valign: 'top'
+      }),
+      ...columns.map((items, i) => text(
+        items.map(credit => `Slide ${credit.slideNumber} (${credit.slideTitle}): ${credit.line}`).join('\n'),
+        { x: 0.5 + i * columnW, y: 1.4, w: columnW, h: 3.8 },
+        { fontSize: 12, font: theme.bodyFont, color: theme.text, lineSpacing: 18, align: 'left', valign: 'top' }
+      ))
+    ]
+  };
+}
@@ -0,0 +1,36 @@
+import { LAYOUTS } from '@/lib/outline';
+
+// Layout map slots: the title slide plus the seven outline layouts; keep in sync with services/templates
+export const LAYOUT_SLOTS = [{ value: 'title', label: 'Title slide' }, ...LAYOUTS];
+
+// Uploaded templates travel base64-encoded in a JSON body
+export const MAX_TEMPLATE_BYTES = 6.5 * 1024 * 1024;
+
+// Template name suggested from the uploaded file name, e.g. "ACME Template 2024.pptx" -> "acme-template-2024"
+export function templateNameFromFile(fileName) {
+  return fileName
+    .replace(/\.pptx$/i, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 40);
+}
+
+// Read a .pptx file as base64 (without the data URL prefix)
+export function readTemplateFile(file) {
+  return new Promise((resolve, reject) => {
+    if (!/\.pptx$/i.test(file.name)) {
+      reject(new Error('Template must be a .pptx file'));
+      return;
+    }
+    if (file.size > MAX_TEMPLATE_BYTES) {
+      reject(new Error('Template must be smaller than 6.5 MB'));
+      return;
+    }
+
+    const reader = new FileReader();
+    reader.onerror = () => reject(new Error('Could not read the template file'));
+    reader.onload = () => resolve(String(reader.result).split(',')[1]);
+    reader.readAsDataURL(file);
+  });
+}
@@ -0,0 +1,40 @@
+// Theme constants used until GET /themes responds; keep in sync with services/themes.js
+
+export const FONTS = [
+  'Arial',
+  'Calibri',
+  'Cambria',
+  'Georgia',
+  'Garamond',
+  'Helvetica',
+  'Segoe UI',
+  'Tahoma',
+  'Times New Roman',
+  'Trebuchet MS',
+  'Verdana',
+  'Courier New'
+];
+
+export const BUILT_IN_THEMES = [
+  { name: 'blue', label: 'Blue', background: '1E3A8A', title: 'FFFFFF', text: '1F2937', accent: '3B82F6' },
+  { name: 'green', label: 'Green', background: '166534', title: 'FFFFFF', text: '1F2937', accent: '22C55E' },
+  { name: 'purple', label: 'Purple', background: '7C3AED', title: 'FFFFFF', text: '1F2937', accent: 'A855F7' },
+  { name: 'red', label: 'Red', background: 'DC2626', title: 'FFFFFF', text: '1F2937', accent: 'EF4444' },
+  { name: 'orange', label: 'Orange', background: 'EA580C', title: 'FFFFFF', text: '1F2937', accent: 'F97316' },
+  { name: 'teal', label: 'Teal', background: '0F766E', title: 'FFFFFF', text: '1F2937', accent: '14B8A6' },
+  { name: 'gray', label: 'Gray', background: '4B5563', title: 'FFFFFF', text: '1F2937', accent: '6B7280' }
+].map(theme => ({ ...theme, builtIn: true, headingFont: 'Arial', bodyFont: 'Arial' }));
+
+// Starting point for a new custom theme
+export function createCustomTheme(base = BUILT_IN_THEMES[0]) {
+  return {
+    name: '',
+    label: 'Custom',
+    background: base.background,
+    title: base.title,
+    text: base.text,
+    accent: base.accent,
+    headingFont: base.headingFont || 'Arial',
+    bodyFont: base.bodyFont || 'Arial'
+  };
+}
@@ -0,0 +1,98 @@
+const rateLimit = require('express-rate-limit');
+const { ipKeyGenerator } = require('express-rate-limit');
+const { verifySession, verifyApiKey, isApiKey } = require('../services/users');
+
+// With AUTH_REQUIRED=false anonymous requests are allowed too, with a per-IP quota
+const AUTH_REQUIRED = process.env.AUTH_REQUIRED !== 'false';
+
+const QUOTA_REQUESTS = Number(process.env.QUOTA_REQUESTS) || 10;
+const QUOTA_WINDOW_MS = (Number(process.env.QUOTA_WINDOW_MINUTES) || 15) * 60 * 1000;
+
+// Credentials from `Authorization: Bearer <session token | API key>` or `X-API-Key: <API key>`
+function readCredential(req) {
+  const header = req.headers.authorization || '';
+  if (header.startsWith('Bearer ')) {
+    return header.slice(7).trim();
+  }
+  return req.headers['x-api-key'] || null;
+}
+
+// Attach req.user (and req.authMethod: 'session' or 'api-key') when the request carries credentials;
+// requests with credentials that don't check out are rejected rather than treated as anonymous
+const authenticate = (req, res, next) => {
+  const credential = readCredential(req);
+  if (!credential) {
+    return next();
+  }
+
+  const apiKey = isApiKey(credential);
+  const user = apiKey ? verifyApiKey(credential) : verifySession(credential);
+  if (!user) {
+    return res.status(401).json({ error: apiKey ? 'Invalid API key' : 'Session expired, please log in again' });
+  }
+
+  req.user = user;
+  req.authMethod = apiKey ? 'api-key' : 'session';
+  next();
+};
+
+// Id of the request's user, or null for anonymous requests (only with AUTH_REQUIRED=false)
+const userId = (req) => (req.user ? req.user.id : null);
+
+// Reject anonymous requests (unless AUTH_REQUIRED=false)
+const requireUser = (req, res, next) => {
+  if (!req.user && AUTH_REQUIRED) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+  next();
+};
+
+// Account management (API keys) needs a web session, not an API key
+const requireSession = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+  if (req.authMethod !== 'session') {
+    return res.status(403).json({ error: 'API keys cannot manage accounts; log in to the web app instead' });
+  }
+  next();
+};
+
+// Per-user quota: QUOTA_REQUESTS (or the user's own `quota`) requests per QUOTA_WINDOW_MINUTES,
+// so one user can't exhaust a shared deployment. Anonymous requests are counted per IP.
+const quotaKey = (req) => (req.user ? `user:${req.user.id}` : `ip:${ipKeyGenerator(req.ip)}`);
+const userLimit = (user) => (user && user.quota) || QUOTA_REQUESTS;
+
+const quota = rateLimit({
+  windowMs: QUOTA_WINDOW_MS,
+  limit: (req) => userLimit(req.user),
+  keyGenerator: quotaKey,
+  standardHeaders: 'draft-7',
+  legacyHeaders: false,
+  message: { error: 'Quota exceeded, please try again later.' }
+});
+
+// Current quota usage of a request's user (or IP), as returned by GET /auth/me
+async function quotaStatus(req) {
+  const info = await quota.getKey(quotaKey(req));
+  const limit = userLimit(req.user);
+  // Rejected requests are counted too, so hits can go past the limit
+  const used = info && info.resetTime > new Date() ? Math.min(limit, info.totalHits) : 0;
+  return {
+    limit,
+    used,
+    remaining: Math.max(0, limit - used),
+    windowMinutes: QUOTA_WINDOW_MS / 60000,
+    resetsAt: used > 0 ? info.resetTime.toISOString() : null
+  };
+}
+
+module.exports = {
+  AUTH_REQUIRED,
+  authenticate,
+  requireUser,
+  requireSession,
+  userId,
+  quota,
+  quotaStatus
+};
@@ -1,11 +1,5 @@
-// Error handling middleware for the Express application
-const errorHandler = (err, req, res, next) => {
-  const startTime = req.startTime || Date.now();
-  const endTime = Date.now();
-  
-  console.error('Request failed after:', endTime - startTime, 'ms');
-  console.error('Full error details:', err);
-  
+// Map an error to a client-safe message and HTTP status code
+const classifyError = (err) => {
   // Don't expose internal errors to client
   let errorMessage = 'Internal server error';
   let statusCode = 500;
@@ -27,6 +21,19 @@ const errorHandler = (err, req, res, next) => {
     errorMessage = 'Too many requests - please try again later';
     statusCode = 429;
   }
+
+  return { statusCode, errorMessage };
+};
+
+// Error handling middleware for the Express application
+const errorHandler = (err, req, res, next) => {
+  const startTime = req.startTime || Date.now();
+  const endTime = Date.now();
+  
+  console.error('Request failed after:', endTime - startTime, 'ms');
+  console.error('Full error details:', err);
+  
+  const { statusCode, errorMessage } = classifyError(err);
   
   // Log additional context for debugging
   console.error('Error context:', {
@@ -37,6 +44,12 @@ const errorHandler = (err, req, res, next) => {
     errorMessage
   });
   
+  // Streaming responses already sent their headers: report the error as an event
+  if (res.sse && res.sse.opened) {
+    res.sse.send('error', { error: errorMessage, status: statusCode });
+    return res.sse.close();
+  }
+  
   res.status(statusCode).json({ 
     error: errorMessage,
     timestamp: new Date().toISOString()
@@ -50,6 +63,7 @@ const requestTimer = (req, res, next) => {
 };
 
 module.exports = {
+  classifyError,
   errorHandler,
   requestTimer
 };
\ No newline at end of file
@@ -0,0 +1,58 @@
+// Server-Sent Events support for long-running routes.
+// When the client sends `Accept: text/event-stream`, routes get `res.sse` with
+// send(event, data) / progress(data) / close(); otherwise `res.sse` is undefined
+// and the route responds as usual.
+const HEARTBEAT_INTERVAL = 15000; // keep proxies from closing idle streams
+
+const eventStream = (req, res, next) => {
+  const accept = req.headers.accept || '';
+  if (!accept.includes('text/event-stream')) {
+    return next();
+  }
+
+  let opened = false;
+  let heartbeat = null;
+
+  const open = () => {
+    if (opened) return;
+    opened = true;
+    res.status(200).set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL);
+  };
+
+  const close = () => {
+    clearInterval(heartbeat);
+    if (!res.writableEnded) {
+      res.end();
+    }
+  };
+
+  res.on('close', () => clearInterval(heartbeat));
+
+  res.sse = {
+    send(event, data) {
+      if (res.writableEnded) return;
+      open();
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    progress(data) {
+      this.send('progress', data);
+    },
+    close,
+    get opened() {
+      return opened;
+    }
+  };
+
+  next();
+};
+
+module.exports = {
+  eventStream
+};
@@ -0,0 +1,84 @@
+const express = require('express');
+const { describeUser, signup, login, listApiKeys, createApiKey, revokeApiKey } = require('../services/users');
+const { AUTH_REQUIRED, requireSession, quotaStatus } = require('../middleware/auth');
+
+const router = express.Router();
+
+// With SIGNUP_ENABLED=false only existing accounts can log in
+const SIGNUP_ENABLED = process.env.SIGNUP_ENABLED !== 'false';
+
+// Session route: the logged-in user (or null), their quota usage and whether login is required
+router.get('/me', async (req, res, next) => {
+  try {
+    res.status(200).json({
+      authRequired: AUTH_REQUIRED,
+      signupEnabled: SIGNUP_ENABLED,
+      user: req.user ? describeUser(req.user) : null,
+      quota: await quotaStatus(req)
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Signup route. Body: { email, password, name? }; returns the user and a session token
+router.post('/signup', async (req, res, next) => {
+  try {
+    if (!SIGNUP_ENABLED) {
+      return res.status(403).json({ error: 'Signup is disabled on this server' });
+    }
+
+    const { user, token, errors } = await signup(req.body);
+    if (errors) {
+      console.log('Validation errors:', errors);
+      return res.status(400).json({ error: errors.join(', ') });
+    }
+
+    console.log(`User ${user.id} signed up`);
+    res.status(201).json({ user, token });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Login route. Body: { email, password }; returns the user and a session token
+router.post('/login', async (req, res, next) => {
+  try {
+    const { user, token, errors } = await login(req.body);
+    if (errors) {
+      return res.status(401).json({ error: errors.join(', ') });
+    }
+    res.status(200).json({ user, token });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// API key list route
+router.get('/api-keys', requireSession, (req, res) => {
+  res.status(200).json({ apiKeys: listApiKeys(req.user) });
+});
+
+// API key creation route. Body: { name }; the key is only ever shown in this response
+router.post('/api-keys', requireSession, (req, res) => {
+  const { apiKey, key, errors } = createApiKey(req.user, req.body);
+  if (errors) {
+    console.log('Validation errors:', errors);
+    return res.status(400).json({ error: errors.join(', ') });
+  }
+
+  console.log(`API key ${apiKey.id} created for user ${req.user.id}`);
+  res.status(201).json({ apiKey, key });
+});
+
+// API key revoke route
+router.delete('/api-keys/:id', requireSession, (req, res) => {
+  if (!revokeApiKey(req.user, req.params.id)) {
+    return res.status(404).json({ error: 'API key not found' });
+  }
+
+  console.log(`API key ${req.params.id} revoked for user ${req.user.id}`);
+  res.status(204).end();
+});
+
+module.exports = router;
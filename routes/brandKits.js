@@ -0,0 +1,48 @@
+const express = require('express');
+const { LOGO_POSITIONS, listBrandKits, saveBrandKit, deleteBrandKit } = require('../services/brandKits');
+const { userId } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Brand kit list route: saved kits (with their logos) and the supported logo positions
+router.get('/', (req, res) => {
+  res.status(200).json({ brandKits: listBrandKits(userId(req)), logoPositions: LOGO_POSITIONS });
+});
+
+// Brand kit save route: stores (or replaces) a named kit in the brand kit directory. Only the user
+// who saved a kit can replace it.
+// Body: { name, label?, logo?: { data, width, height }, logoPosition?, footerText?, showDate?, showSlideNumbers? }
+router.post('/', (req, res, next) => {
+  try {
+    const { brandKit, errors, forbidden } = saveBrandKit(req.body, userId(req));
+    if (errors) {
+      console.log('Validation errors:', errors);
+      return res.status(forbidden ? 403 : 400).json({ error: errors.join(', ') });
+    }
+
+    console.log(`Brand kit "${brandKit.name}" saved`);
+    res.status(201).json({ brandKit });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Brand kit delete route (own kits only)
+router.delete('/:name', (req, res, next) => {
+  try {
+    const outcome = deleteBrandKit(req.params.name, userId(req));
+    if (!outcome) {
+      return res.status(404).json({ error: 'Brand kit not found' });
+    }
+    if (outcome.errors) {
+      return res.status(403).json({ error: outcome.errors.join(', ') });
+    }
+
+    console.log(`Brand kit "${req.params.name}" deleted`);
+    res.status(204).end();
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
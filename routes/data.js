@@ -0,0 +1,72 @@
+const express = require('express');
+const { validateInput, validateTalkLength, validateOutline, writeDataCommentary } = require('../services/outline');
+const { validateDataFile, loadDataFile, previewSheets, resolveMapping, buildDataContent } = require('../services/data');
+
+const router = express.Router();
+
+// Spreadsheet upload route for the import dialog: the sheets of a CSV or Excel file with their
+// headers, column types (number or text) and first rows
+router.post('/parse', async (req, res, next) => {
+  try {
+    const { file } = req.body;
+
+    const validationErrors = validateDataFile(file);
+    if (validationErrors.length > 0) {
+      console.log('Validation errors:', validationErrors);
+      return res.status(400).json({ error: validationErrors.join(', ') });
+    }
+
+    const sheets = await loadDataFile(file);
+    res.status(200).json({ file: file.name, sheets: previewSheets(sheets) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Data import route: turns mapped spreadsheet columns into the chart or table of one slide,
+// cites the file, sheet, rows and columns as the slide's source and, unless `commentary` is false,
+// replaces its bullets and notes with commentary whose numbers all come from the data
+router.post('/slide', async (req, res, next) => {
+  try {
+    const { topic, outline, slideIndex, file, mapping, commentary, presentationStyle, audienceLevel, talkLength } = req.body;
+
+    const validationErrors = [
+      ...validateInput(topic, undefined, presentationStyle, audienceLevel),
+      ...validateTalkLength(talkLength),
+      ...validateOutline(outline),
+      ...validateDataFile(file)
+    ];
+    if (validationErrors.length === 0 && (!Number.isInteger(slideIndex) || slideIndex < 0 || slideIndex >= outline.slides.length)) {
+      validationErrors.push('Slide index is out of range');
+    }
+    if (commentary !== undefined && typeof commentary !== 'boolean') {
+      validationErrors.push('commentary must be a boolean');
+    }
+    if (validationErrors.length > 0) {
+      console.log('Validation errors:', validationErrors);
+      return res.status(400).json({ error: validationErrors.join(', ') });
+    }
+
+    const resolved = resolveMapping(await loadDataFile(file), mapping);
+    if (resolved.errors.length > 0) {
+      console.log('Validation errors:', resolved.errors);
+      return res.status(400).json({ error: resolved.errors.join(', ') });
+    }
+
+    const { content, source, data } = buildDataContent(file, resolved.mapping);
+
+    // The imported chart or table replaces the slide's own; both cannot be shown at once
+    const { chart, table, ...current } = outline.slides[slideIndex];
+    const slide = { ...current, ...content, sources: [source] };
+
+    if (commentary !== false) {
+      Object.assign(slide, await writeDataCommentary(topic.trim(), outline, slideIndex, slide, data, { presentationStyle, audienceLevel, talkLength }));
+    }
+
+    res.status(200).json({ slide });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,63 @@
+const express = require('express');
+const { listDecks, getDeck, getDeckFile, deleteDeck } = require('../services/decks');
+const { sendDeck } = require('../services/export');
+const { userId } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Deck history route: every deck the user saved, newest first
+router.get('/', async (req, res, next) => {
+  try {
+    res.status(200).json({ decks: await listDecks(userId(req)) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Deck detail route: inputs, outline, theme and image credits, e.g. to edit the deck again
+router.get('/:id', async (req, res, next) => {
+  try {
+    const deck = await getDeck(req.params.id, userId(req));
+    if (!deck) {
+      return res.status(404).json({ error: 'Deck not found' });
+    }
+    res.status(200).json({ deck });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Re-download route: the deck's file, in the format it was rendered in
+router.get('/:id/file', async (req, res, next) => {
+  try {
+    const deck = await getDeck(req.params.id, userId(req));
+    if (!deck) {
+      return res.status(404).json({ error: 'Deck not found' });
+    }
+
+    const file = await getDeckFile(deck.id);
+    if (!file) {
+      return res.status(410).json({ error: 'Deck file is missing' });
+    }
+
+    sendDeck(res, file, deck.topic || deck.name, deck.format, deck.id);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Deck delete route: removes the record and its file
+router.delete('/:id', async (req, res, next) => {
+  try {
+    if (!(await deleteDeck(req.params.id, userId(req)))) {
+      return res.status(404).json({ error: 'Deck not found' });
+    }
+
+    console.log(`Deck ${req.params.id} deleted`);
+    res.status(204).end();
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,22 @@
+const express = require('express');
+const { searchImages } = require('../services/images');
+
+const router = express.Router();
+
+const MAX_QUERY_LENGTH = 100;
+
+// Image search route for the picker: candidates from every image provider for ?q=<search terms>
+router.get('/search', async (req, res, next) => {
+  try {
+    const query = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    if (!query || query.length > MAX_QUERY_LENGTH) {
+      return res.status(400).json({ error: `Search terms must be 1 to ${MAX_QUERY_LENGTH} characters` });
+    }
+
+    res.status(200).json({ candidates: await searchImages(query) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
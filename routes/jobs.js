@@ -0,0 +1,112 @@
+const express = require('express');
+const { validateInput, validateCreditOptions, validateRenderInput, requestTopic, buildOptions, buildRenderOptions } = require('../services/outline');
+const { buildMarkdownRender } = require('../services/markdown');
+const { JOB_TYPES, getJobQueue } = require('../services/jobs');
+const { validateFormat, sendDeck } = require('../services/export');
+const { userId } = require('../middleware/auth');
+
+const router = express.Router();
+
+// A job is only visible to the user who created it
+const findJob = async (req) => {
+  const job = await getJobQueue().get(req.params.id);
+  return job && (job.userId || null) === userId(req) ? job : null;
+};
+
+// Public view of a job record
+const describeJob = (job) => ({
+  id: job.id,
+  type: job.type,
+  status: job.status,
+  progress: job.progress,
+  error: job.error,
+  result: job.result,
+  fileUrl: job.hasFile ? `/jobs/${job.id}/file` : null,
+  name: job.name || null,
+  format: job.format || null,
+  deckId: job.deckId || null,
+  createdAt: job.createdAt,
+  updatedAt: job.updatedAt,
+  finishedAt: job.finishedAt || null
+});
+
+// Validate a job request body and build the job input; returns { errors, input }
+function buildJobInput(type, body) {
+  if (type === 'markdown') {
+    return buildMarkdownRender(body);
+  }
+  if (type === 'render') {
+    return { errors: validateRenderInput(body), input: { outline: body.outline, ...buildRenderOptions(body) } };
+  }
+
+  const { slideCount, presentationStyle, audienceLevel, colorTheme, brandKit, template, talkLength, documents, format } = body;
+  const topic = requestTopic(body);
+  const errors = [
+    ...validateInput(topic, slideCount, presentationStyle, audienceLevel, colorTheme, brandKit, template, talkLength, documents),
+    ...validateCreditOptions(body),
+    ...validateFormat(format)
+  ];
+  return { errors, input: errors.length === 0 ? { topic: topic.trim(), options: buildOptions(body), documents } : null };
+}
+
+// Job creation route: validates the input, queues the work and returns the job id immediately.
+// Body: { type: 'generate' | 'outline' | 'render' | 'markdown', ...same fields as the matching route }
+router.post('/', async (req, res, next) => {
+  try {
+    const { type = 'generate' } = req.body;
+
+    if (!JOB_TYPES.includes(type)) {
+      return res.status(400).json({ error: `Job type must be one of: ${JOB_TYPES.join(', ')}` });
+    }
+
+    const { errors: validationErrors, input } = buildJobInput(type, req.body);
+    if (validationErrors.length > 0) {
+      console.log('Validation errors:', validationErrors);
+      return res.status(400).json({ error: validationErrors.join(', ') });
+    }
+
+    const job = await getJobQueue().enqueue(type, input, userId(req));
+    console.log(`Job ${job.id} (${type}) queued`);
+
+    res.status(202).json(describeJob(job));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Job status route
+router.get('/:id', async (req, res, next) => {
+  try {
+    const job = await findJob(req);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    res.status(200).json(describeJob(job));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Finished deck download route (PPTX, PDF or PNG zip, as requested when the job was created)
+router.get('/:id/file', async (req, res, next) => {
+  try {
+    const job = await findJob(req);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    if (job.status !== 'completed' || !job.hasFile) {
+      return res.status(409).json({ error: `Job has no file (status: ${job.status})` });
+    }
+
+    const file = await getJobQueue().getFile(job.id);
+    if (!file) {
+      return res.status(410).json({ error: 'Job file has expired' });
+    }
+
+    sendDeck(res, file, job.name, job.format || 'pptx');
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,48 @@
+const express = require('express');
+const { validateRenderInput, buildRenderOptions } = require('../services/outline');
+const { buildMarkdownRender, outlineToMarkdown } = require('../services/markdown');
+const { renderOutline } = require('../services/pipeline');
+const { sendDeck } = require('../services/export');
+const { recordDeck } = require('../services/decks');
+const { userId } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Markdown route: renders a Markdown deck through the themed layouts, without any AI
+router.post('/', async (req, res, next) => {
+  const startTime = Date.now();
+
+  try {
+    console.log('Markdown request received at:', new Date().toISOString());
+
+    const { errors, input } = buildMarkdownRender(req.body);
+    if (errors.length > 0) {
+      console.log('Validation errors:', errors);
+      return res.status(400).json({ error: errors.join(', ') });
+    }
+
+    const { outline, ...renderOptions } = input;
+    const onProgress = res.sse ? (event) => res.sse.progress(event) : undefined;
+    const file = await renderOutline(outline, renderOptions, onProgress);
+    const deckId = await recordDeck({ source: 'markdown', userId: userId(req), topic: input.topic, options: renderOptions, outline, file });
+    sendDeck(res, file, input.topic, input.format, deckId);
+
+    console.log(`Markdown request completed successfully in ${Date.now() - startTime}ms`);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Export route: an outline (e.g. one generated by AI and edited) as a Markdown deck,
+// so the same slides can be rendered again later with POST /markdown
+router.post('/export', (req, res) => {
+  const validationErrors = validateRenderInput(req.body);
+  if (validationErrors.length > 0) {
+    return res.status(400).json({ error: validationErrors.join(', ') });
+  }
+
+  const { colorTheme, brandKit, template } = buildRenderOptions(req.body);
+  res.status(200).json({ markdown: outlineToMarkdown(req.body.outline, { colorTheme, brandKit, template }) });
+});
+
+module.exports = router;
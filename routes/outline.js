@@ -0,0 +1,76 @@
+const express = require('express');
+const { validateInput, validateTalkLength, validateInstruction, validateOutline, requestTopic, buildOptions, regenerateSlide } = require('../services/outline');
+const { createOutline } = require('../services/pipeline');
+
+const router = express.Router();
+
+// Outline generation route: returns the AI outline as JSON for review before rendering
+router.post('/', async (req, res, next) => {
+  const startTime = Date.now();
+
+  try {
+    console.log('Outline request received at:', new Date().toISOString());
+
+    const { slideCount, presentationStyle, audienceLevel, colorTheme, brandKit, template, talkLength, documents } = req.body;
+    const topic = requestTopic(req.body);
+
+    // Validate input
+    const validationErrors = validateInput(topic, slideCount, presentationStyle, audienceLevel, colorTheme, brandKit, template, talkLength, documents);
+    if (validationErrors.length > 0) {
+      console.log('Validation errors:', validationErrors);
+      return res.status(400).json({ error: validationErrors.join(', ') });
+    }
+
+    const options = buildOptions(req.body);
+
+    // The outline is schema-validated (and repaired if needed) before it is returned
+    const onProgress = res.sse ? (event) => res.sse.progress(event) : undefined;
+    const outline = await createOutline(topic.trim(), options, onProgress, 100, documents);
+
+    const result = {
+      topic: topic.trim(),
+      options,
+      outline
+    };
+    if (res.sse) {
+      res.sse.send('result', result);
+      res.sse.close();
+    } else {
+      res.status(200).json(result);
+    }
+
+    console.log(`Outline request completed successfully in ${Date.now() - startTime}ms`);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Single slide regeneration route: rewrites one slide of an outline under review,
+// optionally following an instruction such as "make it more technical"
+router.post('/slide', async (req, res, next) => {
+  try {
+    const { topic, outline, slideIndex, presentationStyle, audienceLevel, talkLength, instruction } = req.body;
+
+    const validationErrors = [
+      ...validateInput(topic, undefined, presentationStyle, audienceLevel),
+      ...validateTalkLength(talkLength),
+      ...validateInstruction(instruction),
+      ...validateOutline(outline)
+    ];
+    if (validationErrors.length === 0 && (!Number.isInteger(slideIndex) || slideIndex < 0 || slideIndex >= outline.slides.length)) {
+      validationErrors.push('Slide index is out of range');
+    }
+    if (validationErrors.length > 0) {
+      console.log('Validation errors:', validationErrors);
+      return res.status(400).json({ error: validationErrors.join(', ') });
+    }
+
+    const slide = await regenerateSlide(topic.trim(), outline, slideIndex, { presentationStyle, audienceLevel, talkLength, instruction });
+
+    res.status(200).json({ slide });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
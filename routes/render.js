@@ -0,0 +1,38 @@
+const express = require('express');
+const { validateRenderInput, buildRenderOptions } = require('../services/outline');
+const { renderOutline } = require('../services/pipeline');
+const { sendDeck } = require('../services/export');
+const { recordDeck } = require('../services/decks');
+const { userId } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Render route: turns a (possibly edited) outline into a PPTX, PDF or PNG zip download
+router.post('/', async (req, res, next) => {
+  const startTime = Date.now();
+
+  try {
+    console.log('Render request received at:', new Date().toISOString());
+
+    const { outline, topic } = req.body;
+
+    const validationErrors = validateRenderInput(req.body);
+    if (validationErrors.length > 0) {
+      console.log('Validation errors:', validationErrors);
+      return res.status(400).json({ error: validationErrors.join(', ') });
+    }
+
+    // Fetch images only for slides that don't already carry one, then render
+    const onProgress = res.sse ? (event) => res.sse.progress(event) : undefined;
+    const renderOptions = buildRenderOptions(req.body);
+    const file = await renderOutline(outline, renderOptions, onProgress);
+    const deckId = await recordDeck({ source: 'render', userId: userId(req), topic: renderOptions.topic, options: renderOptions, outline, file });
+    sendDeck(res, file, topic || outline.title, renderOptions.format, deckId);
+
+    console.log(`Render request completed successfully in ${Date.now() - startTime}ms`);
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
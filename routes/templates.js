@@ -0,0 +1,82 @@
+const express = require('express');
+const {
+  listTemplates,
+  getTemplate,
+  saveTemplate,
+  updateLayoutMap,
+  deleteTemplate
+} = require('../services/templates');
+const { userId } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Template list route
+router.get('/', (req, res) => {
+  res.status(200).json({ templates: listTemplates(userId(req)) });
+});
+
+// Template detail route: theme, layouts and the current layout map
+router.get('/:name', (req, res) => {
+  const template = getTemplate(req.params.name, userId(req));
+  if (!template) {
+    return res.status(404).json({ error: 'Template not found' });
+  }
+  res.status(200).json({ template });
+});
+
+// Template upload route: parses a corporate .pptx and stores its theme, masters and layouts. Only the
+// user who uploaded a template can replace, remap or delete it.
+// Body: { name, label?, file: base64 .pptx, layoutMap?: { [outline layout]: template layout id } }
+router.post('/', async (req, res, next) => {
+  const startTime = Date.now();
+
+  try {
+    const { template, errors, forbidden } = await saveTemplate(req.body, userId(req));
+    if (errors) {
+      console.log('Validation errors:', errors);
+      return res.status(forbidden ? 403 : 400).json({ error: errors.join(', ') });
+    }
+
+    console.log(`Template "${template.name}" imported with ${template.layouts.length} layouts in ${Date.now() - startTime}ms`);
+    res.status(201).json({ template });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Layout map route: choose which template layout each outline layout is rendered into
+router.put('/:name/layout-map', (req, res, next) => {
+  try {
+    const outcome = updateLayoutMap(req.params.name, req.body.layoutMap, userId(req));
+    if (!outcome) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+    if (outcome.errors) {
+      console.log('Validation errors:', outcome.errors);
+      return res.status(outcome.forbidden ? 403 : 400).json({ error: outcome.errors.join(', ') });
+    }
+    res.status(200).json({ template: outcome.template });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Template delete route (own templates only)
+router.delete('/:name', (req, res, next) => {
+  try {
+    const outcome = deleteTemplate(req.params.name, userId(req));
+    if (!outcome) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+    if (outcome.errors) {
+      return res.status(403).json({ error: outcome.errors.join(', ') });
+    }
+
+    console.log(`Template "${req.params.name}" deleted`);
+    res.status(204).end();
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,30 @@
+const express = require('express');
+const { FONTS, listThemes, saveTheme } = require('../services/themes');
+const { userId } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Theme list route: built-in and saved themes, plus the fonts a custom theme may use
+router.get('/', (req, res) => {
+  res.status(200).json({ themes: listThemes(userId(req)), fonts: FONTS });
+});
+
+// Theme save route: stores a named custom theme in the theme directory. Only the user who saved a
+// theme can replace it.
+// Body: { name, label?, background, title, text, accent, headingFont?, bodyFont? }
+router.post('/', (req, res, next) => {
+  try {
+    const { theme, errors, forbidden } = saveTheme(req.body, userId(req));
+    if (errors) {
+      console.log('Validation errors:', errors);
+      return res.status(forbidden ? 403 : 400).json({ error: errors.join(', ') });
+    }
+
+    console.log(`Theme "${theme.name}" saved`);
+    res.status(201).json({ theme });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -6,7 +6,23 @@ const helmet = require('helmet');
 
 // Import routes and middleware
 const pptRoutes = require('./routes/ppt');
+const outlineRoutes = require('./routes/outline');
+const renderRoutes = require('./routes/render');
+const markdownRoutes = require('./routes/markdown');
+const jobsRoutes = require('./routes/jobs');
+const themesRoutes = require('./routes/themes');
+const brandKitsRoutes = require('./routes/brandKits');
+const templatesRoutes = require('./routes/templates');
+const decksRoutes = require('./routes/decks');
+const authRoutes = require('./routes/auth');
+const imagesRoutes = require('./routes/images');
+const dataRoutes = require('./routes/data');
 const { errorHandler, requestTimer } = require('./middleware/errorHandler');
+const { AUTH_REQUIRED, authenticate, requireUser, quota } = require('./middleware/auth');
+const { eventStream } = require('./middleware/eventStream');
+const { getProvider } = require('./services/llm');
+const { getJobQueue } = require('./services/jobs');
+const { getImageProviders } = require('./services/images');
 
 const app = express();
 
@@ -21,19 +37,16 @@ app.use(cors({
     // Allow requests with no origin (like mobile apps or curl requests)
     if (!origin) return callback(null, true);
     
+    // Extra origins (e.g. preview deployments) come from the comma-separated CORS_ORIGINS
     const allowedOrigins = [
       'http://localhost:3000',
       'http://localhost:3001',
       'https://localhost:3000',
       'https://localhost:3001',
-      process.env.FRONTEND_URL
+      process.env.FRONTEND_URL,
+      ...(process.env.CORS_ORIGINS || '').split(',').map(o => o.trim())
     ].filter(Boolean);
     
-    // Allow all Vercel domains temporarily
-    if (origin && (origin.includes('.vercel.app') || origin.includes('.vercel.com'))) {
-      return callback(null, true);
-    }
-    
     // Check specific allowed origins
     if (allowedOrigins.indexOf(origin) !== -1) {
       callback(null, true);
@@ -47,7 +60,7 @@ app.use(cors({
   credentials: true
 }));
 
-// Rate limiting
+// Rate limiting for login and signup; everything else is metered by the per-user quota
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 10, // limit each IP to 10 requests per windowMs
@@ -56,22 +69,67 @@ const limiter = rateLimit({
 
 app.use(express.json({ limit: '10mb' }));
 
-// Environment variable checks
-const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
-if (!GEMINI_API_KEY) {
-  console.error('❌ GEMINI_API_KEY environment variable not set.');
-  console.error('Please create a .env file with your Gemini API key.');
+// Identify the user from a session token or API key (requests without credentials stay anonymous)
+app.use(authenticate);
+
+// LLM provider check (exit if the configured provider can't be created)
+try {
+  const provider = getProvider();
+  console.log(`LLM provider: ${provider.name} (model: ${provider.model})`);
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  console.error('Please create a .env file with your provider settings, or set LLM_PROVIDER=fixture to run without an API key.');
+  process.exit(1);
+}
+
+// Start the background job queue (and recover jobs interrupted by a restart)
+getJobQueue();
+
+// Image provider check (exit if a provider listed in IMAGE_PROVIDERS can't be created; warn if there is none)
+try {
+  const imageProviders = getImageProviders();
+  if (imageProviders.length === 0) {
+    console.warn('⚠️  No image provider configured.');
+    console.warn('Image generation will be disabled. Set UNSPLASH_ACCESS_KEY, PEXELS_API_KEY or LOCAL_IMAGE_DIR to enable image features.');
+  } else {
+    console.log(`Image providers: ${imageProviders.map(p => p.name).join(' -> ')}`);
+  }
+} catch (error) {
+  console.error(`❌ ${error.message}`);
   process.exit(1);
 }
 
-// Optional: Check for Unsplash API key (warn if missing but don't exit)
-if (!process.env.UNSPLASH_ACCESS_KEY) {
-  console.warn('⚠️  UNSPLASH_ACCESS_KEY environment variable not set.');
-  console.warn('Image generation will be disabled. Add UNSPLASH_ACCESS_KEY to enable image features.');
+if (!AUTH_REQUIRED) {
+  console.warn('⚠️  AUTH_REQUIRED=false: anonymous requests are allowed, with a per-IP quota.');
+} else if (!process.env.AUTH_SECRET) {
+  console.warn('⚠️  AUTH_SECRET environment variable not set.');
+  console.warn('Login sessions will end when the server restarts. API keys keep working.');
 }
 
 // Routes
-app.use('/generate-ppt', limiter, pptRoutes);
+app.post('/auth/signup', limiter);
+app.post('/auth/login', limiter);
+app.use('/auth', authRoutes);
+app.use('/generate-ppt', requireUser, quota, eventStream, pptRoutes);
+app.use('/outline', requireUser, quota, eventStream, outlineRoutes);
+app.use('/render', requireUser, quota, eventStream, renderRoutes);
+app.use('/markdown', requireUser, quota, eventStream, markdownRoutes);
+// Only job creation counts towards the quota; status polling and downloads do not
+app.post('/jobs', requireUser, quota);
+app.use('/jobs', requireUser, jobsRoutes);
+app.post('/themes', requireUser, quota);
+app.use('/themes', requireUser, themesRoutes);
+app.post('/brand-kits', requireUser, quota);
+app.use('/brand-kits', requireUser, brandKitsRoutes);
+app.post('/templates', requireUser, quota);
+app.use('/templates', requireUser, templatesRoutes);
+app.use('/decks', requireUser, decksRoutes);
+// Image searches use up the image providers' API rate limits
+app.get('/images/search', requireUser, quota);
+app.use('/images', requireUser, imagesRoutes);
+// Reading a spreadsheet is free; importing it into a slide asks the model for commentary
+app.post('/data/slide', requireUser, quota);
+app.use('/data', requireUser, dataRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -0,0 +1,157 @@
+const fs = require('fs');
+const path = require('path');
+const { z } = require('zod');
+
+const BRAND_KIT_DIR = process.env.BRAND_KIT_DIR || path.join(process.cwd(), 'data', 'brand-kits');
+
+const LOGO_POSITIONS = ['top-left', 'top-right', 'bottom-left', 'bottom-right'];
+
+// Logos travel as data URLs inside JSON bodies; keep them well under the 10mb body limit (base64
+// takes 4 characters for every 3 bytes of the image)
+const MAX_LOGO_MB = 1.5;
+const MAX_LOGO_LENGTH = 'data:image/jpeg;base64,'.length + Math.ceil((MAX_LOGO_MB * 1024 * 1024) / 3) * 4;
+
+// Logo image with its pixel size, so the renderer can keep the aspect ratio
+const logoSchema = z.object({
+  data: z.string()
+    .max(MAX_LOGO_LENGTH, `must be smaller than ${MAX_LOGO_MB} MB`)
+    .regex(/^data:image\/(png|jpeg|gif);base64,/, 'must be a base64 PNG, JPEG or GIF data URL'),
+  width: z.number().int().positive(),
+  height: z.number().int().positive()
+});
+
+const brandKitSchema = z.object({
+  label: z.string().trim().min(1).max(40).optional(),
+  logo: logoSchema.nullable().default(null),
+  logoPosition: z.enum(LOGO_POSITIONS).default('top-right'),
+  footerText: z.string().trim().max(120).default(''),
+  showDate: z.boolean().default(false),
+  showSlideNumbers: z.boolean().default(true)
+});
+
+const savedBrandKitSchema = brandKitSchema.extend({
+  name: z.string().regex(/^[a-z0-9][a-z0-9-]{1,39}$/, 'must be 2-40 lowercase letters, digits or dashes')
+});
+
+const kitPath = (name) => path.join(BRAND_KIT_DIR, `${name}.json`);
+
+// Saved kits can be used by everyone, but only changed or deleted by the user who saved them
+// (`userId`, null for anonymous requests and for kits saved before owners were recorded)
+const ownedBy = (kit, userId) => (kit.userId || null) === (userId || null);
+
+// Saved brand kits (with their owner), keyed by name, loaded from BRAND_KIT_DIR/*.json
+let savedKits = null;
+
+function loadSavedKits() {
+  savedKits = {};
+  if (!fs.existsSync(BRAND_KIT_DIR)) {
+    return savedKits;
+  }
+
+  for (const file of fs.readdirSync(BRAND_KIT_DIR).filter(f => f.endsWith('.json'))) {
+    try {
+      const raw = JSON.parse(fs.readFileSync(path.join(BRAND_KIT_DIR, file), 'utf8'));
+      const result = savedBrandKitSchema.safeParse({ name: path.basename(file, '.json'), ...raw });
+      if (!result.success) {
+        console.warn(`Skipping invalid brand kit file ${file}`);
+        continue;
+      }
+      savedKits[result.data.name] = { ...result.data, userId: raw.userId || null };
+    } catch (error) {
+      console.warn(`Failed to load brand kit file ${file}:`, error.message);
+    }
+  }
+
+  console.log(`Loaded ${Object.keys(savedKits).length} saved brand kit(s) from ${BRAND_KIT_DIR}`);
+  return savedKits;
+}
+
+function getSavedKits() {
+  return savedKits || loadSavedKits();
+}
+
+// Saved kit by name, or null (own keys only, so "constructor" is not a kit)
+function savedKit(name) {
+  const kits = getSavedKits();
+  return Object.hasOwn(kits, name) ? kits[name] : null;
+}
+
+// All saved brand kits, as returned by GET /brand-kits; `editable` tells whether `userId` may change them
+function listBrandKits(userId) {
+  return Object.values(getSavedKits()).map(({ userId: owner, ...kit }) => ({
+    ...kit,
+    editable: ownedBy({ userId: owner }, userId)
+  }));
+}
+
+// Validate a brand kit reference: a saved kit name, or an inline brand kit object
+function validateBrandKit(brandKit) {
+  if (brandKit === undefined || brandKit === null || brandKit === '') {
+    return [];
+  }
+
+  if (typeof brandKit === 'string') {
+    return savedKit(brandKit) ? [] : ['Invalid brand kit'];
+  }
+
+  const result = brandKitSchema.safeParse(brandKit);
+  if (result.success) {
+    return [];
+  }
+  return result.error.issues.map(issue => `Invalid brand kit ${issue.path.join('.')}: ${issue.message}`);
+}
+
+// Resolve a (validated) brand kit reference to a full brand kit, or null for no branding
+function resolveBrandKit(brandKit) {
+  if (brandKit && typeof brandKit === 'object') {
+    const result = brandKitSchema.safeParse(brandKit);
+    return result.success ? result.data : null;
+  }
+  return typeof brandKit === 'string' ? savedKit(brandKit) : null;
+}
+
+// Save a named brand kit for `userId` to BRAND_KIT_DIR; returns { brandKit } or { errors }, with
+// `forbidden` set when the name belongs to another user's kit
+function saveBrandKit(input, userId = null) {
+  const result = savedBrandKitSchema.safeParse(input);
+  if (!result.success) {
+    return { errors: result.error.issues.map(issue => `${issue.path.join('.')}: ${issue.message}`) };
+  }
+
+  const existing = savedKit(result.data.name);
+  if (existing && !ownedBy(existing, userId)) {
+    return { errors: [`Brand kit "${result.data.name}" belongs to another user`], forbidden: true };
+  }
+
+  const brandKit = { ...result.data, userId: userId || null };
+  fs.mkdirSync(BRAND_KIT_DIR, { recursive: true });
+  const { name, ...fields } = brandKit;
+  fs.writeFileSync(kitPath(name), JSON.stringify(fields, null, 2));
+  getSavedKits()[name] = brandKit;
+
+  return { brandKit: { ...result.data, editable: true } };
+}
+
+// Delete a saved brand kit of `userId`; returns { name } or { errors } (another user's kit), or null if missing
+function deleteBrandKit(name, userId = null) {
+  const kits = getSavedKits();
+  if (!Object.prototype.hasOwnProperty.call(kits, name)) {
+    return null;
+  }
+  if (!ownedBy(kits[name], userId)) {
+    return { errors: [`Brand kit "${name}" belongs to another user`] };
+  }
+
+  fs.rmSync(kitPath(name), { force: true });
+  delete kits[name];
+  return { name };
+}
+
+module.exports = {
+  LOGO_POSITIONS,
+  listBrandKits,
+  validateBrandKit,
+  resolveBrandKit,
+  saveBrandKit,
+  deleteBrandKit
+};
@@ -0,0 +1,334 @@
+const path = require('path');
+const { CHART_TYPES, check, outlineSchema } = require('../outlineSchema');
+const { DATA_EXTENSIONS, parseDataFile } = require('./parse');
+
+// Data files travel base64-encoded in JSON bodies (10mb limit)
+const MAX_DATA_FILE_LENGTH = 7 * 1024 * 1024;
+
+// Most points one imported chart and most rows one imported table may hold
+const MAX_CHART_POINTS = 50;
+const MAX_TABLE_ROWS = 100;
+
+// Rows of each sheet sent back for the column picker
+const PREVIEW_ROWS = 10;
+
+// Whole numbers up to this are read as counts ("3 regions") and never need tracing
+const MAX_FREE_COUNT = 10;
+
+// Same reading as the markdown deck parser: thousands separators, spaces, %, and currency signs are dropped
+const parseNumber = (text) => {
+  const cleaned = String(text).replace(/[\s,%$€£]/g, '');
+  return /^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i.test(cleaned) ? Number(cleaned) : NaN;
+};
+
+// Column letter of a 0-based index, as in spreadsheets: 0 -> A, 27 -> AB
+const columnLetter = (idx) => (idx >= 26 ? columnLetter(Math.floor(idx / 26) - 1) : '') + String.fromCharCode(65 + (idx % 26));
+
+// Numbers in facts and bullets: at most two decimals, percentages one
+const formatNumber = (n) => String(Number(n.toFixed(Math.abs(n) >= 100 ? 0 : 2)));
+const formatPercent = (n) => `${Number(n.toFixed(1))}%`;
+
+// Validate the `file` field: { name, data: base64 } of a .csv or .xlsx file
+function validateDataFile(file) {
+  if (!file || typeof file.name !== 'string' || typeof file.data !== 'string' || file.data.length === 0) {
+    return ['File must have a name and base64 data'];
+  }
+
+  const errors = [];
+  if (!DATA_EXTENSIONS.includes(path.extname(file.name).toLowerCase())) {
+    errors.push(`File "${file.name}" must be one of: ${DATA_EXTENSIONS.join(', ')}`);
+  }
+  if (file.name.length > 255) {
+    errors.push('File name must be at most 255 characters');
+  }
+  if (file.data.length > MAX_DATA_FILE_LENGTH) {
+    errors.push('File must be smaller than 5 MB');
+  }
+  return errors;
+}
+
+// Read the sheets of a data file: [{ name, headers, rows, rowNumbers, letters, columnTypes }]. The
+// first non-empty row holds the headers and empty columns are dropped; rowNumbers and letters are
+// the rows' numbers and the columns' letters in the sheet, for citations.
+async function loadDataFile(file) {
+  const sheets = (await parseDataFile(file.name, Buffer.from(file.data, 'base64')))
+    .filter(sheet => sheet.rows.length > 1)
+    .map((sheet) => {
+      const [header, ...body] = sheet.rows;
+      const width = Math.max(...sheet.rows.map(row => row.cells.length));
+      const kept = Array.from({ length: width }, (_, idx) => idx).filter(idx => sheet.rows.some(row => row.cells[idx]));
+      const headers = kept.map(idx => header.cells[idx] || `Column ${columnLetter(idx)}`);
+      const rows = body.map(row => kept.map(idx => row.cells[idx] || ''));
+      const columnTypes = headers.map((_, idx) => {
+        const cells = rows.map(row => row[idx]).filter(Boolean);
+        return cells.length > 0 && cells.every(cell => !Number.isNaN(parseNumber(cell))) ? 'number' : 'text';
+      });
+      return {
+        name: sheet.name || path.basename(file.name, path.extname(file.name)),
+        headers,
+        rows,
+        rowNumbers: body.map(row => row.number),
+        letters: kept.map(columnLetter),
+        columnTypes,
+        // CSV files have a single, unnamed sheet
+        named: Boolean(sheet.name)
+      };
+    });
+
+  if (sheets.length === 0) {
+    throw new Error(`Invalid data file "${file.name}": no sheet has a header row and data below it`);
+  }
+  return sheets;
+}
+
+// Sheets as shown in the import dialog: headers, column types and the first rows
+function previewSheets(sheets) {
+  return sheets.map(sheet => ({
+    name: sheet.name,
+    headers: sheet.headers,
+    columnTypes: sheet.columnTypes,
+    rowCount: sheet.rows.length,
+    rows: sheet.rows.slice(0, PREVIEW_ROWS)
+  }));
+}
+
+// Index of a column given by 0-based index or header name, or -1
+function columnIndex(sheet, column) {
+  if (Number.isInteger(column)) {
+    return column >= 0 && column < sheet.headers.length ? column : -1;
+  }
+  return typeof column === 'string' ? sheet.headers.indexOf(column) : -1;
+}
+
+// Validate a column mapping against the sheets of its file and resolve it:
+// { sheet, kind, type, labelColumn, seriesColumns, columns, from, to, ...chart options }
+// with column indexes and a 0-based, end-exclusive data row range. Returns { mapping, errors }.
+function resolveMapping(sheets, mapping) {
+  if (!mapping || typeof mapping !== 'object') {
+    return { errors: ['Mapping must be an object'] };
+  }
+  const errors = [];
+
+  const sheet = Number.isInteger(mapping.sheet) ? sheets[mapping.sheet]
+    : mapping.sheet === undefined ? sheets[0]
+      : sheets.find(s => s.name === mapping.sheet);
+  if (!sheet) {
+    return { errors: [`Sheet "${mapping.sheet}" was not found in the file`] };
+  }
+
+  const kind = mapping.kind;
+  if (kind !== 'chart' && kind !== 'table') {
+    errors.push('Mapping kind must be "chart" or "table"');
+  }
+
+  const resolveColumns = (columns, field) => {
+    if (!Array.isArray(columns) || columns.length === 0) {
+      errors.push(`Mapping ${field} must list at least one column`);
+      return [];
+    }
+    const indexes = columns.map(column => columnIndex(sheet, column));
+    columns.filter((_, idx) => indexes[idx] < 0).forEach(column => errors.push(`Column "${column}" was not found in sheet "${sheet.name}"`));
+    return indexes.filter(idx => idx >= 0);
+  };
+
+  const from = mapping.rows && mapping.rows.from !== undefined ? mapping.rows.from : 1;
+  const to = mapping.rows && mapping.rows.to !== undefined ? mapping.rows.to : sheet.rows.length;
+  if (!Number.isInteger(from) || !Number.isInteger(to) || from < 1 || to > sheet.rows.length || from > to) {
+    errors.push(`Mapping rows must be a range within the sheet's ${sheet.rows.length} data rows`);
+  }
+
+  const resolved = { sheet, kind, from: from - 1, to };
+
+  if (kind === 'chart') {
+    const type = mapping.type === undefined ? 'column' : mapping.type;
+    if (!CHART_TYPES.includes(type)) {
+      errors.push(`Chart type must be one of: ${CHART_TYPES.join(', ')}`);
+    }
+    const labelColumn = columnIndex(sheet, mapping.labelColumn);
+    if (labelColumn < 0) {
+      errors.push(`Mapping labelColumn must be a column of sheet "${sheet.name}"`);
+    }
+    const seriesColumns = resolveColumns(mapping.seriesColumns, 'seriesColumns');
+    if ((type === 'pie' || type === 'doughnut') && seriesColumns.length > 1) {
+      errors.push(`${type} charts show a single series`);
+    }
+    if (errors.length === 0 && to - from + 1 > MAX_CHART_POINTS) {
+      errors.push(`Charts can show at most ${MAX_CHART_POINTS} rows; pick a smaller row range`);
+    }
+    Object.assign(resolved, { type, labelColumn, seriesColumns });
+    ['title', 'xAxisTitle', 'yAxisTitle', 'stacked'].forEach((key) => {
+      if (mapping[key] !== undefined) resolved[key] = mapping[key];
+    });
+  } else if (kind === 'table') {
+    resolved.columns = mapping.columns === undefined ? sheet.headers.map((_, idx) => idx) : resolveColumns(mapping.columns, 'columns');
+    if (errors.length === 0 && to - from + 1 > MAX_TABLE_ROWS) {
+      errors.push(`Tables can hold at most ${MAX_TABLE_ROWS} rows; pick a smaller row range`);
+    }
+  }
+
+  return { mapping: resolved, errors };
+}
+
+// Numbers of one column over the mapped rows; blank or non-numeric cells are errors
+function columnNumbers(mapping, column, errors) {
+  const { sheet, from, to } = mapping;
+  return sheet.rows.slice(from, to).map((row, idx) => {
+    const value = parseNumber(row[column]);
+    if (Number.isNaN(value)) {
+      errors.push(`Column "${sheet.headers[column]}" row ${sheet.rowNumbers[from + idx]}: "${row[column]}" is not a number`);
+    }
+    return value;
+  });
+}
+
+// Where the mapped data sits in the file, e.g. 'Sheet "Sales", rows 2-13, columns A, C, D'
+function dataLocation(mapping, columns) {
+  const { sheet, from, to } = mapping;
+  const first = sheet.rowNumbers[from];
+  const last = sheet.rowNumbers[to - 1];
+  return [
+    sheet.named && `Sheet "${sheet.name}"`,
+    first === last ? `row ${first}` : `rows ${first}-${last}`,
+    `${columns.length === 1 ? 'column' : 'columns'} ${columns.map(c => sheet.letters[c]).join(', ')}`
+  ].filter(Boolean).join(', ').slice(0, 255);
+}
+
+// Statements about each numeric series, computed here so the commentary can quote them exactly:
+// total, average, highest and lowest point, change from the first to the last point, and shares
+function dataFacts(labels, series, { shares = false } = {}) {
+  return series.flatMap(({ name, values }) => {
+    const total = values.reduce((sum, v) => sum + v, 0);
+    const max = values.indexOf(Math.max(...values));
+    const min = values.indexOf(Math.min(...values));
+    const facts = [
+      `${name}: total ${formatNumber(total)}, average ${formatNumber(total / values.length)}`,
+      `${name}: highest ${formatNumber(values[max])} (${labels[max]}), lowest ${formatNumber(values[min])} (${labels[min]})`
+    ];
+
+    const first = values[0];
+    const last = values[values.length - 1];
+    if (values.length > 1) {
+      const sign = last >= first ? '+' : '';
+      const change = first !== 0 ? ` (${sign}${formatPercent(((last - first) / Math.abs(first)) * 100)})` : '';
+      facts.push(`${name}: change from ${labels[0]} to ${labels[values.length - 1]} ${sign}${formatNumber(last - first)}${change}`);
+    }
+    if (shares && total > 0) {
+      facts.push(`${name}: shares ${labels.map((label, idx) => `${label} ${formatPercent((values[idx] / total) * 100)}`).join(', ')}`);
+    }
+    return facts;
+  });
+}
+
+// CSV text of the mapped data for the prompt
+const toCsv = (headers, rows) => [headers, ...rows]
+  .map(row => row.map(cell => (/[",\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell)).join(','))
+  .join('\n');
+
+// Turn a resolved mapping into slide content: { chart } or { table }, the source reference for
+// the slide, and { csv, facts } describing the data for the commentary. Throws on data errors.
+function buildDataContent(file, mapping) {
+  const { sheet, from, to } = mapping;
+  const rows = sheet.rows.slice(from, to);
+  const errors = [];
+  let content;
+  let columns;
+  let facts = [];
+
+  if (mapping.kind === 'chart') {
+    const { type, labelColumn, seriesColumns } = mapping;
+    columns = [labelColumn, ...seriesColumns];
+    const series = seriesColumns.map(column => ({ name: sheet.headers[column].slice(0, 60), values: columnNumbers(mapping, column, errors) }));
+    const chart = { type, ...(series.length === 1 && { title: series[0].name }), series };
+    if (type === 'scatter') {
+      chart.xValues = columnNumbers(mapping, labelColumn, errors);
+      chart.xAxisTitle = sheet.headers[labelColumn].slice(0, 60);
+    } else {
+      chart.labels = rows.map(row => row[labelColumn]);
+    }
+    ['title', 'xAxisTitle', 'yAxisTitle', 'stacked'].forEach((key) => {
+      if (mapping[key] !== undefined) chart[key] = mapping[key];
+    });
+    content = { chart };
+    if (errors.length === 0) {
+      facts = dataFacts(rows.map(row => row[labelColumn]), series, { shares: type === 'pie' || type === 'doughnut' });
+    }
+  } else {
+    columns = mapping.columns;
+    content = { table: { headers: columns.map(c => sheet.headers[c]), rows: rows.map(row => columns.map(c => row[c])) } };
+    // Numeric columns are summarized against the first text column (or the row numbers)
+    const labelColumn = columns.find(c => sheet.columnTypes[c] === 'text');
+    const labels = labelColumn === undefined ? sheet.rowNumbers.slice(from, to).map(n => `row ${n}`) : rows.map(row => row[labelColumn]);
+    const series = columns
+      .filter(c => sheet.columnTypes[c] === 'number')
+      .map(c => ({ name: sheet.headers[c], values: columnNumbers(mapping, c, []) }))
+      .filter(s => !s.values.some(Number.isNaN));
+    facts = dataFacts(labels, series);
+  }
+
+  if (errors.length > 0) {
+    const more = errors.length > 3 ? ` (and ${errors.length - 3} more)` : '';
+    throw new Error(`Invalid data for a ${mapping.type || 'chart'} chart: ${errors.slice(0, 3).join(', ')}${more}`);
+  }
+
+  // The imported content must pass the same checks as an edited slide
+  const checked = check(outlineSchema, { slides: [{ slideTitle: 'Data', bulletPoints: [], ...content }] });
+  if (!checked.success) {
+    throw new Error(`Invalid data for a slide: ${checked.errors.join(', ')}`);
+  }
+
+  const headers = columns.map(c => sheet.headers[c]);
+  const source = {
+    document: file.name.slice(0, 255),
+    location: dataLocation(mapping, columns),
+    excerpt: `${mapping.kind === 'chart' ? 'Chart' : 'Table'} of ${headers.join(', ')}`.slice(0, 500)
+  };
+
+  return { content, source, data: { csv: toCsv(headers, rows.map(row => columns.map(c => row[c]))), facts } };
+}
+
+// Numbers written in a text, with the scale words that follow them: "1.2M" -> { value: 1.2, scale: 1e6 }
+const SCALES = { k: 1e3, thousand: 1e3, m: 1e6, million: 1e6, mn: 1e6, b: 1e9, bn: 1e9, billion: 1e9 };
+function numbersIn(text) {
+  const pattern = /(\d{1,3}(?:,\d{3})+(?:\.\d+)?|\d+(?:\.\d+)?|\.\d+)(?:\s?(k|thousand|mn|m|million|bn|b|billion)\b)?/gi;
+  return [...String(text).matchAll(pattern)].map((match) => {
+    const decimals = (match[1].split('.')[1] || '').length;
+    return {
+      text: match[0],
+      value: Number(match[1].replace(/,/g, '')),
+      decimals,
+      scale: match[2] ? SCALES[match[2].toLowerCase()] : 1
+    };
+  });
+}
+
+// Numbers of a text that are neither in `allowed` (numbers of the data and its facts) nor a small
+// count. A number is traced when it equals an allowed number rounded to the digits it is written
+// with ("1.2M" traces 1,234,567 and "46%" traces 45.8), or when it is written without its scale.
+function untracedNumbers(text, allowed) {
+  return numbersIn(text)
+    .filter(({ value, decimals, scale }) => {
+      if (scale === 1 && decimals === 0 && value <= MAX_FREE_COUNT) return false;
+      return ![scale, 1].some((s) => {
+        const tolerance = 0.5 * 10 ** -decimals * s;
+        return allowed.some(n => Math.abs(Math.abs(n) - value * s) <= tolerance + 1e-9 * Math.abs(n));
+      });
+    })
+    .map(({ text: number }) => number.trim());
+}
+
+// All numbers the commentary may use: those in the data (including its labels) and in the facts
+const traceableNumbers = (data, extra = []) => [data.csv, ...data.facts, ...extra]
+  .flatMap(text => numbersIn(text).map(n => n.value * n.scale));
+
+module.exports = {
+  DATA_EXTENSIONS,
+  MAX_CHART_POINTS,
+  MAX_TABLE_ROWS,
+  validateDataFile,
+  loadDataFile,
+  previewSheets,
+  resolveMapping,
+  buildDataContent,
+  traceableNumbers,
+  untracedNumbers
+};
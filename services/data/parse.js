@@ -0,0 +1,206 @@
+const path = require('path');
+const JSZip = require('jszip');
+
+// Rows and columns read from each sheet; the rest is ignored
+const MAX_ROWS = 1000;
+const MAX_COLUMNS = 50;
+
+// Excel number formats 14-22 and 45-47 are the built-in date and time formats
+const BUILT_IN_DATE_FORMATS = [14, 15, 16, 17, 18, 19, 20, 21, 22, 45, 46, 47];
+
+const attr = (xml, name) => {
+  const match = xml && xml.match(new RegExp(`\\b${name}="([^"]*)"`));
+  return match ? match[1] : undefined;
+};
+
+const firstTag = (xml, tag) => {
+  const match = xml && xml.match(new RegExp(`<${tag}\\b[^>]*?(?:/>|>[\\s\\S]*?</${tag}>)`));
+  return match ? match[0] : undefined;
+};
+
+const allTags = (xml, tag) => (xml && xml.match(new RegExp(`<${tag}\\b[^>]*?(?:/>|>[\\s\\S]*?</${tag}>)`, 'g'))) || [];
+
+const decodeXml = (text) => text
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&#(x?)([0-9a-fA-F]+);/g, (_, x, code) => String.fromCodePoint(parseInt(code, x ? 16 : 10)))
+  .replace(/&amp;/g, '&');
+
+// Text of the <t> runs in a shared or inline string (rich text has several)
+const stringText = (xml) => allTags(xml, 't')
+  .map(t => decodeXml(t.replace(/^<t\b[^>]*?(?:\/>|>)/, '').replace(/<\/t>$/, '')))
+  .join('');
+
+// Column letters of a cell reference to a 0-based index: "A1" -> 0, "AB12" -> 27
+const columnIndex = (ref) => [...ref.replace(/\d+$/, '')].reduce((n, c) => n * 26 + c.charCodeAt(0) - 64, 0) - 1;
+
+// Excel serial date (days since 1899-12-30) as YYYY-MM-DD
+const serialDate = (serial) => new Date(Math.round((serial - 25569) * 86400 * 1000)).toISOString().slice(0, 10);
+
+// Drop empty rows, keeping each row's number in the sheet, and cut to MAX_ROWS x MAX_COLUMNS
+function trimRows(rows) {
+  return rows
+    .map((cells, i) => ({ number: i + 1, cells: cells.slice(0, MAX_COLUMNS).map(c => (c === undefined || c === null ? '' : String(c).trim())) }))
+    .filter(row => row.cells.some(Boolean))
+    .slice(0, MAX_ROWS + 1);
+}
+
+// Field separator of a CSV file: the most frequent of comma, semicolon and tab in its first line
+function detectDelimiter(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  return [',', ';', '\t']
+    .map(d => ({ d, count: firstLine.split(d).length }))
+    .sort((a, b) => b.count - a.count)[0].d;
+}
+
+// CSV (RFC 4180: quoted fields may hold separators, quotes as "" and line breaks): one sheet
+function parseCsv(buffer) {
+  const text = buffer.toString('utf8').replace(/^﻿/, '');
+  const delimiter = detectDelimiter(text);
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        field += c;
+      }
+    } else if (c === '"' && field === '') {
+      quoted = true;
+    } else if (c === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += c;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return [{ name: null, rows: trimRows(rows) }];
+}
+
+// Style indexes (cellXfs) whose number format shows a date
+function dateStyles(stylesXml) {
+  const customDates = new Set(allTags(firstTag(stylesXml, 'numFmts'), 'numFmt')
+    // Date formats use d, m or y outside of quoted text and [color] blocks
+    .filter(fmt => /[dmy]/i.test(decodeXml(attr(fmt, 'formatCode') || '').replace(/"[^"]*"|\[[^\]]*\]/g, '')))
+    .map(fmt => Number(attr(fmt, 'numFmtId'))));
+
+  const styles = new Set();
+  allTags(firstTag(stylesXml, 'cellXfs'), 'xf').forEach((xf, idx) => {
+    const id = Number(attr(xf, 'numFmtId'));
+    if (BUILT_IN_DATE_FORMATS.includes(id) || customDates.has(id)) styles.add(idx);
+  });
+  return styles;
+}
+
+// Cell value as text: shared and inline strings, booleans, formula results, and dates
+function cellValue(cell, sharedStrings, dates) {
+  const type = attr(cell, 't');
+  const v = firstTag(cell, 'v');
+  const raw = v ? decodeXml(v.replace(/^<v\b[^>]*>/, '').replace(/<\/v>$/, '')) : '';
+
+  if (type === 's') return sharedStrings[Number(raw)] || '';
+  if (type === 'inlineStr') return stringText(firstTag(cell, 'is'));
+  if (type === 'b') return raw === '1' ? 'TRUE' : 'FALSE';
+  if (type === 'str' || type === 'e') return raw;
+  if (raw === '' || Number.isNaN(Number(raw))) return raw;
+  if (dates.has(Number(attr(cell, 's')))) return serialDate(Number(raw));
+  // Drop floating point noise such as 0.30000000000000004
+  return String(Number(Number(raw).toPrecision(12)));
+}
+
+// XLSX: one sheet per worksheet, in workbook order (chart sheets are skipped)
+async function parseXlsx(buffer) {
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(buffer);
+  } catch (error) {
+    throw new Error('file is not an .xlsx (zip) archive');
+  }
+
+  const read = async (partPath) => {
+    const file = zip.file(partPath);
+    return file ? file.async('string') : undefined;
+  };
+
+  const workbook = await read('xl/workbook.xml');
+  if (!workbook) {
+    throw new Error('file has no workbook (xl/workbook.xml)');
+  }
+
+  const targets = new Map(allTags(await read('xl/_rels/workbook.xml.rels'), 'Relationship')
+    .map(rel => [attr(rel, 'Id'), attr(rel, 'Target')]));
+  const sharedStrings = allTags(await read('xl/sharedStrings.xml'), 'si').map(stringText);
+  const dates = dateStyles(await read('xl/styles.xml'));
+
+  const sheets = [];
+  for (const sheet of allTags(firstTag(workbook, 'sheets'), 'sheet')) {
+    const target = targets.get(attr(sheet, 'r:id'));
+    if (!target) continue;
+    const partPath = target.startsWith('/') ? target.slice(1) : path.posix.normalize(path.posix.join('xl', target));
+    const xml = await read(partPath);
+    if (!xml || !partPath.includes('worksheets/')) continue;
+
+    const rows = [];
+    allTags(xml, 'row').forEach((rowXml) => {
+      const number = Number(attr(rowXml, 'r')) || rows.length + 1;
+      if (number > MAX_ROWS * 2) return;
+      const cells = [];
+      allTags(rowXml, 'c').forEach((cell, idx) => {
+        const ref = attr(cell, 'r');
+        cells[ref ? columnIndex(ref) : idx] = cellValue(cell, sharedStrings, dates);
+      });
+      rows[number - 1] = Array.from(cells, c => c || '');
+    });
+    sheets.push({ name: decodeXml(attr(sheet, 'name') || `Sheet${sheets.length + 1}`), rows: trimRows(Array.from(rows, r => r || [])) });
+  }
+  return sheets;
+}
+
+const PARSERS = {
+  '.csv': parseCsv,
+  '.xlsx': parseXlsx
+};
+
+const DATA_EXTENSIONS = Object.keys(PARSERS);
+
+// Read a CSV or Excel file as sheets: [{ name (null for CSV), rows: [{ number, cells }] }],
+// where `number` is the row's 1-based number in the sheet and empty rows are left out
+async function parseDataFile(name, buffer) {
+  const parser = PARSERS[path.extname(name).toLowerCase()];
+  if (!parser) {
+    throw new Error(`Invalid data file "${name}": supported types are ${DATA_EXTENSIONS.join(', ')}`);
+  }
+
+  try {
+    return await parser(buffer);
+  } catch (error) {
+    throw new Error(`Invalid data file "${name}": could not read it (${error.message})`);
+  }
+}
+
+module.exports = {
+  DATA_EXTENSIONS,
+  MAX_ROWS,
+  parseDataFile
+};
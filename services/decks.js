@@ -0,0 +1,218 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+
+// Deck history: every generated or rendered deck is kept as DECK_DIR/<id>.json (inputs, outline,
+// theme, image credits) plus DECK_DIR/<id>.bin (the file), so it can be downloaded or edited again later.
+// DECK_DIR/index/<owner>/<id>.json holds the deck's list entry, so listing a user's decks only reads theirs.
+const DECK_DIR = process.env.DECK_DIR || path.join(process.cwd(), 'data', 'decks');
+const INDEX_DIR = path.join(DECK_DIR, 'index');
+
+// Request options kept under `theme` (and `format`) rather than `inputs`
+const THEME_KEYS = ['colorTheme', 'brandKit', 'template'];
+
+// Deck ids are generated server-side, but never let a path segment escape the directory
+const safeId = (id) => String(id).replace(/[^\w\-]/g, '');
+const recordPath = (id) => path.join(DECK_DIR, `${safeId(id)}.json`);
+const filePath = (id) => path.join(DECK_DIR, `${safeId(id)}.bin`);
+const ownerDir = (userId, root = INDEX_DIR) => path.join(root, userId ? safeId(userId) : 'anonymous');
+const entryPath = (id, userId, root = INDEX_DIR) => path.join(ownerDir(userId, root), `${safeId(id)}.json`);
+
+// Write then rename so listings never see a half-written file
+async function writeJson(file, value) {
+  const tmp = `${file}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify(value));
+  await fs.rename(tmp, file);
+}
+
+async function readRecord(id) {
+  try {
+    return JSON.parse(await fs.readFile(recordPath(id), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+// Credits for the images placed on the slides (stock photos and image library pictures)
+function imageAttributions(outline) {
+  return (outline.slides || [])
+    .map((slide, index) => ({ slide, index }))
+    .filter(({ slide }) => slide.image && slide.image.attribution)
+    .map(({ slide, index }) => ({
+      slideIndex: index,
+      slideTitle: slide.slideTitle || null,
+      url: slide.image.url || null,
+      provider: slide.image.attribution.provider || 'unsplash',
+      photographer: slide.image.attribution.photographer || null,
+      photoUrl: slide.image.attribution.photoUrl || null
+    }));
+}
+
+// List view of a deck: everything except the inputs and outline
+function describeDeck(deck) {
+  return {
+    id: deck.id,
+    name: deck.name,
+    topic: deck.topic,
+    source: deck.source,
+    format: deck.format,
+    slideCount: deck.slideCount,
+    fileSize: deck.fileSize,
+    theme: deck.theme,
+    imageAttributions: deck.imageAttributions,
+    createdAt: deck.createdAt
+  };
+}
+
+// List entry of `deck` under `root` (the index directory)
+async function writeIndexEntry(deck, root = INDEX_DIR) {
+  await fs.mkdir(ownerDir(deck.userId, root), { recursive: true });
+  await writeJson(entryPath(deck.id, deck.userId, root), describeDeck(deck));
+}
+
+// Index decks saved before the index existed. It is built in a temporary directory and renamed into
+// place, so an interrupted build starts over on the next run.
+async function buildIndex() {
+  try {
+    await fs.access(INDEX_DIR);
+    return;
+  } catch {
+    // Not built yet
+  }
+
+  const building = `${INDEX_DIR}.tmp`;
+  await fs.rm(building, { recursive: true, force: true });
+  await fs.mkdir(building, { recursive: true });
+  for (const name of (await fs.readdir(DECK_DIR)).filter(n => n.endsWith('.json'))) {
+    try {
+      const deck = await readRecord(name.slice(0, -5));
+      if (deck) await writeIndexEntry(deck, building);
+    } catch (error) {
+      console.warn(`Failed to index deck file ${name}:`, error.message);
+    }
+  }
+  await fs.rename(building, INDEX_DIR);
+}
+
+let indexReady = null;
+
+// Resolves once the index is complete; every read and write of the index waits for it
+function ensureIndex() {
+  indexReady = indexReady || fs.mkdir(DECK_DIR, { recursive: true }).then(buildIndex).catch((error) => {
+    indexReady = null;
+    throw error;
+  });
+  return indexReady;
+}
+
+// Store a finished deck for `userId` (null for anonymous requests). `source` is 'generate', 'render'
+// or 'markdown'; `options` are the request's generation or render options (theme, brand kit, template
+// and format included); uploaded documents are recorded by name only. Returns the deck summary.
+async function saveDeck({ source, userId = null, topic, options, outline, file, documents }) {
+  const { colorTheme, brandKit, template, format } = options;
+  const inputs = Object.fromEntries(
+    Object.entries(options).filter(([key]) => !THEME_KEYS.includes(key) && key !== 'format' && key !== 'topic')
+  );
+  const id = crypto.randomUUID();
+
+  const deck = {
+    id,
+    userId,
+    name: outline.title || topic || 'Presentation',
+    topic: topic || null,
+    source,
+    format: format || 'pptx',
+    inputs: {
+      ...inputs,
+      ...(documents && documents.length > 0 && { documents: documents.map(doc => doc.name) })
+    },
+    theme: { colorTheme: colorTheme || 'blue', brandKit: brandKit || null, template: template || null },
+    outline,
+    imageAttributions: imageAttributions(outline),
+    slideCount: (outline.slides || []).length,
+    fileSize: file.length,
+    createdAt: new Date().toISOString()
+  };
+
+  await ensureIndex();
+  await fs.writeFile(filePath(id), file);
+  await writeJson(recordPath(id), deck);
+  await writeIndexEntry(deck);
+
+  return describeDeck(deck);
+}
+
+// Save a deck without failing the request that produced it; returns the deck id, or null
+async function recordDeck(entry) {
+  try {
+    const deck = await saveDeck(entry);
+    console.log(`Deck ${deck.id} saved to history`);
+    return deck.id;
+  } catch (error) {
+    console.warn('Failed to save deck to history:', error.message);
+    return null;
+  }
+}
+
+// Decks only belong to the user who made them
+const ownedBy = (deck, userId) => deck.userId === (userId || null);
+
+// Every deck stored for `userId`, newest first
+async function listDecks(userId) {
+  await ensureIndex();
+  let names;
+  try {
+    names = await fs.readdir(ownerDir(userId));
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const decks = [];
+  for (const name of names.filter(n => n.endsWith('.json'))) {
+    try {
+      decks.push(JSON.parse(await fs.readFile(path.join(ownerDir(userId), name), 'utf8')));
+    } catch (error) {
+      console.warn(`Failed to load deck index entry ${name}:`, error.message);
+    }
+  }
+  return decks.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+// Full deck record (inputs, outline, theme, image credits), or null if `userId` has no such deck
+async function getDeck(id, userId) {
+  const deck = await readRecord(id);
+  return deck && ownedBy(deck, userId) ? deck : null;
+}
+
+// The deck's file, or null if the deck or its file is missing
+async function getDeckFile(id) {
+  try {
+    return await fs.readFile(filePath(id));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+// Returns false if `userId` had no such deck
+async function deleteDeck(id, userId) {
+  if (!(await getDeck(id, userId))) {
+    return false;
+  }
+  await ensureIndex();
+  await fs.rm(entryPath(id, userId), { force: true });
+  await fs.rm(recordPath(id), { force: true });
+  await fs.rm(filePath(id), { force: true });
+  return true;
+}
+
+module.exports = {
+  saveDeck,
+  recordDeck,
+  listDecks,
+  getDeck,
+  getDeckFile,
+  deleteDeck
+};
@@ -0,0 +1,32 @@
+// Download formats of a rendered deck: the PPTX itself, a PDF with one page per slide,
+// or a zip of per-slide PNG images
+const EXPORT_FORMATS = {
+  pptx: {
+    label: 'PPTX',
+    extension: 'pptx',
+    contentType: 'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+  },
+  pdf: {
+    label: 'PDF',
+    extension: 'pdf',
+    contentType: 'application/pdf'
+  },
+  png: {
+    label: 'PNG images',
+    extension: 'zip',
+    contentType: 'application/zip'
+  }
+};
+
+// Validation for the optional `format` field of generate/render requests
+function validateFormat(format) {
+  if (format === undefined || format === null || format === '' || Object.hasOwn(EXPORT_FORMATS, format)) {
+    return [];
+  }
+  return [`Format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`];
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  validateFormat
+};
@@ -0,0 +1,89 @@
+const stream = require('stream');
+const sharp = require('sharp');
+const JSZip = require('jszip');
+const { PDFDocument } = require('pdf-lib');
+const { buildPresentation, drawPresentation } = require('../renderer');
+const { createSlideRecorder } = require('./recorder');
+const { slideToSvg } = require('./svg');
+const { EXPORT_FORMATS, validateFormat } = require('./formats');
+
+// Width of exported slide images (1920 x 1080 for 16:9 slides)
+const IMAGE_WIDTH = 1920;
+
+// Draw the outline with the same layouts as the PPTX and rasterize every slide,
+// one at a time to keep memory flat on large decks
+async function renderSlideImages(outline, options, encode) {
+  const recorder = createSlideRecorder();
+  drawPresentation(recorder, outline, options);
+
+  const images = [];
+  for (const [index, slide] of recorder.slides.entries()) {
+    const svg = slideToSvg(slide, recorder.size, index + 1, IMAGE_WIDTH);
+    images.push(await encode(sharp(Buffer.from(svg))));
+  }
+  return { images, size: recorder.size };
+}
+
+// PDF with one page per slide, sized like the slide (in points)
+async function buildPdf(outline, options) {
+  const { images, size } = await renderSlideImages(outline, options, image => image.jpeg({ quality: 90 }).toBuffer());
+
+  const pdf = await PDFDocument.create();
+  pdf.setTitle(outline.title || options.topic || 'Presentation');
+  pdf.setCreator('AutoPPT');
+
+  const width = size.width * 72;
+  const height = size.height * 72;
+  for (const data of images) {
+    const image = await pdf.embedJpg(data);
+    pdf.addPage([width, height]).drawImage(image, { x: 0, y: 0, width, height });
+  }
+  return Buffer.from(await pdf.save());
+}
+
+// Zip of slide-01.png, slide-02.png, ...
+async function buildPngZip(outline, options) {
+  const { images } = await renderSlideImages(outline, options, image => image.png().toBuffer());
+
+  const zip = new JSZip();
+  const digits = Math.max(2, String(images.length).length);
+  images.forEach((data, i) => zip.file(`slide-${String(i + 1).padStart(digits, '0')}.png`, data));
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'STORE' });
+}
+
+// Render an outline into a file of the requested format (see EXPORT_FORMATS)
+async function exportDeck(outline, options = {}, format = 'pptx') {
+  if (format === 'pdf') return buildPdf(outline, options);
+  if (format === 'png') return buildPngZip(outline, options);
+  return buildPresentation(outline, options);
+}
+
+// Stream a rendered deck to the client as a download
+// (or as a base64 `result` event when the client asked for an event stream);
+// `deckId` is the deck's id in the history, when it was saved
+function sendDeck(res, buffer, name, format = 'pptx', deckId = null) {
+  const { extension, contentType } = EXPORT_FORMATS[format] || EXPORT_FORMATS.pptx;
+  const filename = `${String(name || 'presentation').replace(/[^\w\-]+/g, '_')}.${extension}`;
+
+  if (res.sse) {
+    res.sse.send('result', { filename, format, deckId, file: Buffer.from(buffer).toString('base64') });
+    return res.sse.close();
+  }
+
+  const readStream = new stream.PassThrough();
+  readStream.end(buffer);
+
+  res.set({
+    'Content-Type': contentType,
+    'Content-Disposition': `attachment; filename="${filename}"`,
+    ...(deckId && { 'X-Deck-Id': deckId })
+  });
+  readStream.pipe(res);
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  validateFormat,
+  exportDeck,
+  sendDeck
+};
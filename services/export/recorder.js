@@ -0,0 +1,88 @@
+// Slide size of pptxgenjs' default LAYOUT_16x9, in inches
+const DEFAULT_SIZE = { width: 10, height: 5.625 };
+
+// Chart type names as pptxgenjs' ChartType enum exposes them
+const CHART_TYPES = {
+  area: 'area',
+  bar: 'bar',
+  bar3d: 'bar3D',
+  bubble: 'bubble',
+  doughnut: 'doughnut',
+  line: 'line',
+  pie: 'pie',
+  radar: 'radar',
+  scatter: 'scatter'
+};
+
+// Stand-in for a PptxGenJS instance: drawPresentation draws onto it exactly as it draws a
+// PPTX, and every slide's background, master and drawing calls are kept in `slides`
+function createSlideRecorder() {
+  const layouts = { LAYOUT_16x9: DEFAULT_SIZE };
+  const masters = new Map();
+  const slides = [];
+  let size = DEFAULT_SIZE;
+
+  return {
+    ShapeType: { rect: 'rect', line: 'line', ellipse: 'ellipse', roundRect: 'roundRect', rightArrow: 'rightArrow' },
+    ChartType: CHART_TYPES,
+    slides,
+
+    get size() {
+      return size;
+    },
+
+    defineLayout({ name, width, height }) {
+      layouts[name] = { width, height };
+    },
+
+    set layout(name) {
+      size = layouts[name] || DEFAULT_SIZE;
+    },
+
+    defineSlideMaster(master) {
+      masters.set(master.title, master);
+    },
+
+    addSlide({ masterName } = {}) {
+      const slide = { master: masters.get(masterName) || null, background: null, items: [], notes: '' };
+      slides.push(slide);
+
+      return {
+        set background(value) {
+          slide.background = value;
+        },
+        get background() {
+          return slide.background;
+        },
+        addText(text, options = {}) {
+          slide.items.push({ type: 'text', text, options });
+          return this;
+        },
+        addShape(shape, options = {}) {
+          slide.items.push({ type: 'shape', shape, options });
+          return this;
+        },
+        addImage(options = {}) {
+          slide.items.push({ type: 'image', options });
+          return this;
+        },
+        addChart(chartType, data, options = {}) {
+          slide.items.push({ type: 'chart', chartType, data, options });
+          return this;
+        },
+        addTable(rows, options = {}) {
+          slide.items.push({ type: 'table', rows, options });
+          return this;
+        },
+        addNotes(notes) {
+          slide.notes = notes;
+          return this;
+        }
+      };
+    }
+  };
+}
+
+module.exports = {
+  createSlideRecorder
+};
@@ -0,0 +1,590 @@
+// Draws slides recorded by createSlideRecorder as SVG documents. Geometry is in points
+// (72 per inch, like PowerPoint font sizes); text wrapping and shrink-to-fit are estimated
+// from average glyph widths, so line breaks can differ slightly from PowerPoint's.
+const PT = 72;
+
+// pptxgenjs defaults: text box insets, font size and chart palettes
+const INSET = { x: 0.1 * PT, y: 0.05 * PT };
+const DEFAULT_FONT_SIZE = 18;
+const BAR_COLORS = ['C0504D', '4F81BD', '9BBB59', '8064A2', '4BACC6', 'F79646', '628FC6', 'C86360'];
+const PIE_COLORS = ['5DA5DA', 'FAA43A', '60BD68', 'F17CB0', 'B2912F', 'B276B2', 'DECF3F', 'F15854', 'A7A7A7'];
+const GRID_COLOR = 'D9D9D9';
+const AXIS_TEXT = '595959';
+
+// Fonts missing on the server fall back to DejaVu Sans, which is installed with most distributions
+const FALLBACK_FONTS = "'DejaVu Sans', Arial, sans-serif";
+
+const escapeXml = (text) => String(text)
+  .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+  .replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' }[c]));
+
+const hex = (value, fallback = '000000') => `#${String(value || fallback).replace('#', '')}`;
+const fontFamily = (face) => (face ? `'${String(face).replace(/['"]/g, '')}', ${FALLBACK_FONTS}` : FALLBACK_FONTS);
+const round = (n) => Math.round(n * 100) / 100;
+const toPt = (inches, fallback = 0) => round((Number.isFinite(inches) ? inches : fallback) * PT);
+
+// Box of a drawing call in points
+const boxOf = (options, fallback = {}) => ({
+  x: toPt(options.x, fallback.x),
+  y: toPt(options.y, fallback.y),
+  w: toPt(options.w, fallback.w),
+  h: toPt(options.h, fallback.h)
+});
+
+// Estimated width of a string: wide enough for DejaVu Sans, the usual fallback font
+const textWidth = (text, size, bold) => text.length * size * (bold ? 0.6 : 0.55);
+
+// Split text into lines that fit `width` points, breaking between words (or inside very long words)
+function wrapText(text, width, size, bold) {
+  const maxChars = Math.max(1, Math.floor(width / (size * (bold ? 0.6 : 0.55))));
+  const lines = [];
+  let line = '';
+
+  for (const word of text.split(/\s+/).filter(Boolean)) {
+    const candidate = line ? `${line} ${word}` : word;
+    if (candidate.length <= maxChars) {
+      line = candidate;
+      continue;
+    }
+    if (line) lines.push(line);
+    let rest = word;
+    while (rest.length > maxChars) {
+      lines.push(rest.slice(0, maxChars));
+      rest = rest.slice(maxChars);
+    }
+    line = rest;
+  }
+  lines.push(line);
+  return lines;
+}
+
+// Paragraphs of a text call: a string with line breaks, or pptxgenjs text runs
+// ({ text, options: { bullet, breakLine, bold, italic, color } })
+function toParagraphs(content) {
+  if (!Array.isArray(content)) {
+    return String(content ?? '').split('\n').map(text => ({ text, options: {} }));
+  }
+
+  const paragraphs = [];
+  let current = null;
+  let number = 0;
+  for (const run of content) {
+    const options = run.options || {};
+    String(run.text ?? '').split('\n').forEach((part, idx) => {
+      if (!current || idx > 0) {
+        let prefix = '';
+        if (options.bullet && options.bullet.type === 'number') prefix = `${++number}. `;
+        else if (options.bullet) prefix = '• ';
+        current = { text: prefix, prefix, options };
+        paragraphs.push(current);
+      }
+      current.text += part;
+    });
+    if (options.breakLine) current = null;
+  }
+  return paragraphs;
+}
+
+// <text> lines for a text box, shrinking the font while it overflows and shrinkText is set
+function drawTextBox(content, options) {
+  const box = boxOf(options, { x: 0, y: 0, w: 10, h: 1 });
+  const baseSize = options.fontSize || DEFAULT_FONT_SIZE;
+  const paragraphs = toParagraphs(content);
+  const width = box.w - 2 * INSET.x;
+
+  let size = baseSize;
+  let lines;
+  let lineHeight;
+  for (;;) {
+    lineHeight = options.lineSpacing ? options.lineSpacing * (size / baseSize) : size * 1.2;
+    lines = paragraphs.flatMap(p => {
+      const bold = p.options.bold ?? options.bold;
+      // Wrapped lines of a bullet hang under its text, not under the bullet
+      const indent = p.prefix ? textWidth(p.prefix, size, bold) : 0;
+      return wrapText(p.text, width - indent, size, bold)
+        .map((text, i) => ({ text, options: p.options, indent: i > 0 ? indent : 0 }));
+    });
+    if (!options.shrinkText || lines.length * lineHeight <= box.h - 2 * INSET.y || size <= 8) break;
+    size -= 1;
+  }
+
+  const total = lines.length * lineHeight;
+  let top = box.y + INSET.y;
+  if (options.valign === 'middle') top = box.y + (box.h - total) / 2;
+  else if (options.valign === 'bottom') top = box.y + box.h - INSET.y - total;
+
+  const anchor = { center: 'middle', right: 'end' }[options.align] || 'start';
+  const x = anchor === 'middle' ? box.x + box.w / 2 : anchor === 'end' ? box.x + box.w - INSET.x : box.x + INSET.x;
+
+  return lines
+    .map((line, i) => {
+      if (!line.text) return '';
+      const y = top + i * lineHeight + (lineHeight - size) / 2 + size * 0.8;
+      const bold = line.options.bold ?? options.bold;
+      const italic = line.options.italic ?? options.italic;
+      return `<text x="${round(anchor === 'start' ? x + line.indent : x)}" y="${round(y)}" font-family="${fontFamily(options.fontFace)}" font-size="${round(size)}"`
+        + `${bold ? ' font-weight="bold"' : ''}${italic ? ' font-style="italic"' : ''}`
+        + ` fill="${hex(line.options.color || options.color)}" text-anchor="${anchor}">${escapeXml(line.text)}</text>`;
+    })
+    .join('');
+}
+
+function drawShape(shape, options) {
+  const box = boxOf(options);
+  const fill = options.fill ? hex(typeof options.fill === 'string' ? options.fill : options.fill.color, 'FFFFFF') : 'none';
+  const stroke = options.line && options.line.color && options.line.pt !== 0
+    ? ` stroke="${hex(options.line.color)}" stroke-width="${options.line.pt || 1}"`
+    : '';
+
+  if (shape === 'ellipse') {
+    return `<ellipse cx="${box.x + box.w / 2}" cy="${box.y + box.h / 2}" rx="${box.w / 2}" ry="${box.h / 2}" fill="${fill}"${stroke}/>`;
+  }
+  if (shape === 'line') {
+    return `<line x1="${box.x}" y1="${box.y}" x2="${box.x + box.w}" y2="${box.y + box.h}"${stroke || ` stroke="${fill}"`}/>`;
+  }
+  if (shape === 'rightArrow') {
+    // Block arrow with PowerPoint's default proportions: the shaft is half the box height and
+    // the head half of the box's shorter side long
+    const head = box.x + box.w - Math.min(box.w, box.h) / 2;
+    const shaft = [box.y + box.h / 4, box.y + (box.h * 3) / 4];
+    const points = [
+      [box.x, shaft[0]], [head, shaft[0]], [head, box.y], [box.x + box.w, box.y + box.h / 2],
+      [head, box.y + box.h], [head, shaft[1]], [box.x, shaft[1]]
+    ];
+    return `<polygon points="${points.map(([px, py]) => `${round(px)},${round(py)}`).join(' ')}" fill="${fill}"${stroke}/>`;
+  }
+  const radius = shape === 'roundRect' ? ` rx="${round(Math.min(box.w, box.h) * 0.1)}"` : '';
+  return `<rect x="${box.x}" y="${box.y}" width="${box.w}" height="${box.h}"${radius} fill="${fill}"${stroke}/>`;
+}
+
+let clipIds = 0;
+
+// Images: a `sizing.type` crop window ({ x, y, w, h } within the w x h image, like pptxgenjs)
+// shows that part of the image; cover fills the box, contain fits inside it, otherwise the image is stretched
+function drawImage(options) {
+  const href = options.data || (options.path && options.path.startsWith('data:') ? options.path : null);
+  if (!href) return '';
+
+  const sizing = options.sizing || {};
+  const image = boxOf(options);
+  const crop = sizing.type === 'crop';
+  const box = crop
+    ? { x: image.x, y: image.y, w: toPt(sizing.w, options.w), h: toPt(sizing.h, options.h) }
+    : image;
+  if (crop) {
+    image.x -= toPt(sizing.x);
+    image.y -= toPt(sizing.y);
+  }
+
+  const aspect = sizing.type === 'contain' ? 'xMidYMid meet' : sizing.type === 'cover' ? 'xMidYMid slice' : 'none';
+  const id = `clip${++clipIds}`;
+  const clip = options.rounding
+    ? `<ellipse cx="${box.x + box.w / 2}" cy="${box.y + box.h / 2}" rx="${box.w / 2}" ry="${box.h / 2}"/>`
+    : `<rect x="${box.x}" y="${box.y}" width="${box.w}" height="${box.h}"/>`;
+
+  return `<clipPath id="${id}">${clip}</clipPath>`
+    + `<image x="${round(image.x)}" y="${round(image.y)}" width="${image.w}" height="${image.h}" preserveAspectRatio="${aspect}" clip-path="url(#${id})"`
+    + ` href="${escapeXml(href)}" xlink:href="${escapeXml(href)}"/>`;
+}
+
+// Tables: rows take their `rowH` height, or share the table height (like pptxgenjs does when
+// `h` is given), unless their text needs more
+function drawTable(rows, options) {
+  const box = boxOf(options);
+  const columns = Math.max(...rows.map(r => r.length), 1);
+  const colW = Array.isArray(options.colW)
+    ? options.colW.map(w => toPt(w))
+    : Array(columns).fill(options.colW ? toPt(options.colW) : box.w / columns);
+  const fontSize = options.fontSize || DEFAULT_FONT_SIZE;
+  const border = options.border || { color: '000000', pt: 1 };
+  const parts = [];
+
+  let y = box.y;
+  rows.forEach((row, r) => {
+    const cells = row.map(cell => (cell && typeof cell === 'object' && !Array.isArray(cell)
+      ? { text: cell.text ?? '', options: { ...options, ...cell.options } }
+      : { text: cell ?? '', options }));
+    const lineCount = Math.max(...cells.map((cell, c) => wrapText(String(cell.text), colW[c] - 2 * INSET.x, cell.options.fontSize || fontSize, cell.options.bold).length), 1);
+    const minH = Array.isArray(options.rowH) ? toPt(options.rowH[r]) : box.h / rows.length;
+    const rowH = Math.max(minH, lineCount * fontSize * 1.2 + 2 * INSET.y);
+
+    let x = box.x;
+    cells.forEach((cell, c) => {
+      const fill = cell.options.fill;
+      const fillColor = fill ? (typeof fill === 'string' ? fill : fill.color) : null;
+      parts.push(`<rect x="${round(x)}" y="${round(y)}" width="${round(colW[c])}" height="${round(rowH)}" fill="${fillColor ? hex(fillColor) : 'none'}"`
+        + `${border.type === 'none' ? '' : ` stroke="${hex(border.color)}" stroke-width="${border.pt || 1}"`}/>`);
+      parts.push(drawTextBox(String(cell.text), {
+        ...cell.options,
+        x: x / PT,
+        y: y / PT,
+        w: colW[c] / PT,
+        h: rowH / PT,
+        fontSize: cell.options.fontSize || fontSize,
+        valign: cell.options.valign || 'middle',
+        shrinkText: false
+      }));
+      x += colW[c];
+    });
+    y += rowH;
+  });
+
+  return parts.join('');
+}
+
+// Round step for a value axis covering `max`
+function axisStep(max) {
+  const raw = max / 4;
+  const magnitude = 10 ** Math.floor(Math.log10(raw || 1));
+  return [1, 2, 2.5, 5, 10].map(m => m * magnitude).find(step => step >= raw) || raw;
+}
+
+const formatValue = (value) => (Math.abs(value) >= 1000 ? value.toLocaleString('en-US') : String(round(value)));
+
+function chartText(x, y, text, { size = 9, anchor = 'middle', color = AXIS_TEXT, bold = false, font, rotate = 0 } = {}) {
+  return `<text x="${round(x)}" y="${round(y)}" font-family="${fontFamily(font)}" font-size="${size}"${bold ? ' font-weight="bold"' : ''}`
+    + `${rotate ? ` transform="rotate(${rotate} ${round(x)} ${round(y)})"` : ''}`
+    + ` fill="${hex(color)}" text-anchor="${anchor}">${escapeXml(text)}</text>`;
+}
+
+function pieChart(area, series, colors, options) {
+  const values = series.values.map(v => Math.max(0, Number(v) || 0));
+  const total = values.reduce((a, b) => a + b, 0) || 1;
+  const r = Math.min(area.w, area.h) / 2 - 4;
+  const cx = area.x + area.w / 2;
+  const cy = area.y + area.h / 2;
+  const hole = options.hole || 0;
+  const parts = [];
+
+  let angle = -Math.PI / 2;
+  values.forEach((value, i) => {
+    const sweep = (value / total) * Math.PI * 2;
+    const end = angle + sweep;
+    const point = (a, radius) => `${round(cx + radius * Math.cos(a))} ${round(cy + radius * Math.sin(a))}`;
+    const large = sweep > Math.PI ? 1 : 0;
+    const color = hex(colors[i % colors.length]);
+
+    if (sweep >= Math.PI * 2 - 1e-6) {
+      parts.push(`<circle cx="${round(cx)}" cy="${round(cy)}" r="${round(r)}" fill="${color}"/>`);
+    } else if (sweep > 0) {
+      parts.push(`<path d="M ${point(angle, r * hole)} L ${point(angle, r)} A ${round(r)} ${round(r)} 0 ${large} 1 ${point(end, r)}`
+        + ` L ${point(end, r * hole)}${hole ? ` A ${round(r * hole)} ${round(r * hole)} 0 ${large} 0 ${point(angle, r * hole)}` : ''} Z"`
+        + ` fill="${color}" stroke="#FFFFFF" stroke-width="1"/>`);
+    }
+
+    const labels = [
+      options.showLabel && series.labels[i],
+      options.showValue && formatValue(value),
+      options.showPercent && `${Math.round((value / total) * 100)}%`
+    ].filter(Boolean);
+    if (labels.length > 0 && sweep > 0) {
+      const mid = angle + sweep / 2;
+      const labelR = hole ? r * (1 + hole) / 2 : r * 0.65;
+      parts.push(chartText(cx + labelR * Math.cos(mid), cy + labelR * Math.sin(mid) + 3, labels.join(' '), { color: 'FFFFFF', bold: true, font: options.font }));
+    }
+    angle = end;
+  });
+
+  if (hole) {
+    parts.push(`<circle cx="${round(cx)}" cy="${round(cy)}" r="${round(r * hole)}" fill="none"/>`);
+  }
+  return parts.join('');
+}
+
+// Bar, column, line, area and scatter charts share a category axis (a value axis of x values for
+// scatter charts) and a value axis with gridlines
+function axisChart(kind, area, data, colors, options) {
+  const scatter = kind === 'scatter';
+  // Scatter data starts with the x values, followed by the y series
+  const series = scatter ? data.slice(1) : data;
+  const xValues = scatter ? data[0].values.map(v => Number(v) || 0) : [];
+  const labels = scatter ? xValues : data[0].labels;
+  const count = labels.length;
+  const horizontal = kind === 'bar' && options.barDir === 'bar';
+  const stacked = (kind === 'bar' || kind === 'area') && ['stacked', 'percentStacked'].includes(options.barGrouping);
+  const percent = options.barGrouping === 'percentStacked';
+  const font = options.fontFace;
+  const catColor = options.catAxisLabelColor || AXIS_TEXT;
+  const valColor = options.valAxisLabelColor || AXIS_TEXT;
+
+  const totals = labels.map((_, i) => series.reduce((sum, ser) => sum + Math.max(0, Number(ser.values[i]) || 0), 0));
+  const all = series.flatMap(ser => ser.values.map(v => Number(v) || 0));
+  const max = percent ? 100 : stacked ? Math.max(...totals, 0) : Math.max(...all, 0);
+  const min = stacked ? 0 : Math.min(...all, 0);
+  const step = axisStep(Math.max(max - min, 1));
+  const top = Math.ceil(max / step) * step || step;
+  const bottom = Math.floor(min / step) * step;
+
+  const parts = [];
+
+  // Axis titles: a line under the plot for the horizontal axis, a rotated line left of it for the vertical one
+  const catTitle = options.showCatAxisTitle && options.catAxisTitle;
+  const valTitle = options.showValAxisTitle && options.valAxisTitle;
+  const bottomTitle = horizontal ? valTitle : catTitle;
+  const leftTitle = horizontal ? catTitle : valTitle;
+  const inner = {
+    x: area.x + (leftTitle ? 14 : 0),
+    y: area.y,
+    w: area.w - (leftTitle ? 14 : 0),
+    h: area.h - (bottomTitle ? 14 : 0)
+  };
+  if (bottomTitle) {
+    parts.push(chartText(inner.x + inner.w / 2, area.y + area.h - 2, String(bottomTitle), { size: 10, font, color: horizontal ? valColor : catColor }));
+  }
+  if (leftTitle) {
+    parts.push(chartText(area.x + 9, inner.y + inner.h / 2, String(leftTitle), { size: 10, font, color: horizontal ? catColor : valColor, rotate: -90 }));
+  }
+
+  const labelSpace = horizontal ? Math.min(inner.w * 0.3, Math.max(...labels.map(l => textWidth(String(l), 9))) + 8) : 0;
+  const plot = {
+    x: inner.x + (horizontal ? labelSpace : 30),
+    y: inner.y + 6,
+    w: inner.w - (horizontal ? labelSpace + 10 : 36),
+    h: inner.h - (horizontal ? 20 : 24)
+  };
+  const scale = (v) => (v - bottom) / (top - bottom || 1);
+
+  // Gridlines and value labels
+  for (let v = bottom; v <= top + step / 2; v += step) {
+    if (horizontal) {
+      const x = plot.x + scale(v) * plot.w;
+      parts.push(`<line x1="${round(x)}" y1="${plot.y}" x2="${round(x)}" y2="${round(plot.y + plot.h)}" stroke="${hex(GRID_COLOR)}" stroke-width="0.75"/>`);
+      parts.push(chartText(x, plot.y + plot.h + 12, `${formatValue(v)}${percent ? '%' : ''}`, { font, color: valColor }));
+    } else {
+      const y = plot.y + plot.h - scale(v) * plot.h;
+      parts.push(`<line x1="${plot.x}" y1="${round(y)}" x2="${round(plot.x + plot.w)}" y2="${round(y)}" stroke="${hex(GRID_COLOR)}" stroke-width="0.75"/>`);
+      parts.push(chartText(plot.x - 4, y + 3, `${formatValue(v)}${percent ? '%' : ''}`, { anchor: 'end', font, color: valColor }));
+    }
+  }
+
+  // Scatter charts place points by their x value on a second value axis
+  const xMax = Math.max(...xValues, 0);
+  const xMin = Math.min(...xValues, 0);
+  const xStep = axisStep(Math.max(xMax - xMin, 1));
+  const xTop = Math.ceil(xMax / xStep) * xStep || xStep;
+  const xBottom = Math.floor(xMin / xStep) * xStep;
+  const xPos = (v) => plot.x + ((v - xBottom) / (xTop - xBottom || 1)) * plot.w;
+
+  // Horizontal bars list the first category at the bottom, like PowerPoint
+  const band = (horizontal ? plot.h : plot.w) / count;
+  const slot = (i) => (horizontal ? count - 1 - i : i);
+  if (scatter) {
+    for (let v = xBottom; v <= xTop + xStep / 2; v += xStep) {
+      parts.push(chartText(xPos(v), plot.y + plot.h + 14, formatValue(v), { font, color: catColor }));
+    }
+  } else {
+    labels.forEach((label, i) => {
+      if (horizontal) {
+        parts.push(chartText(plot.x - 4, plot.y + band * (slot(i) + 0.5) + 3, String(label), { anchor: 'end', font, color: catColor }));
+      } else {
+        parts.push(chartText(plot.x + band * (i + 0.5), plot.y + plot.h + 14, String(label), { font, color: catColor }));
+      }
+    });
+  }
+
+  const valueLabel = (x, y, value, anchor = 'middle') => chartText(x, y, formatValue(value), {
+    anchor,
+    size: options.dataLabelFontSize || 9,
+    font: options.dataLabelFontFace || font,
+    color: options.dataLabelColor || AXIS_TEXT
+  });
+
+  if (kind === 'bar') {
+    const groupW = band * 0.7;
+    const barW = stacked ? groupW : groupW / series.length;
+    const offsets = labels.map(() => 0);
+    series.forEach((ser, s) => {
+      ser.values.forEach((raw, i) => {
+        let value = Number(raw) || 0;
+        if (percent) value = totals[i] ? (Math.max(0, value) / totals[i]) * 100 : 0;
+        const start = stacked ? offsets[i] : 0;
+        const end = start + value;
+        if (stacked) offsets[i] = end;
+
+        const a = scale(Math.min(start, end));
+        const b = scale(Math.max(start, end));
+        const seriesSlot = horizontal ? series.length - 1 - s : s;
+        const pos = band * slot(i) + (band - groupW) / 2 + (stacked ? 0 : barW * seriesSlot);
+        const rect = horizontal
+          ? { x: plot.x + a * plot.w, y: plot.y + pos, w: (b - a) * plot.w, h: barW }
+          : { x: plot.x + pos, y: plot.y + plot.h - b * plot.h, w: barW, h: (b - a) * plot.h };
+        parts.push(`<rect x="${round(rect.x)}" y="${round(rect.y)}" width="${round(rect.w)}" height="${round(rect.h)}" fill="${hex(colors[s % colors.length])}"/>`);
+        if (options.showValue) {
+          // Stacked segments carry their label inside, clustered bars past their end
+          if (stacked) {
+            parts.push(valueLabel(rect.x + rect.w / 2, rect.y + rect.h / 2 + 3, value));
+          } else {
+            parts.push(horizontal
+              ? valueLabel(rect.x + rect.w + 3, rect.y + rect.h / 2 + 3, value, 'start')
+              : valueLabel(rect.x + rect.w / 2, rect.y - 3, value));
+          }
+        }
+      });
+    });
+  } else {
+    const offsets = labels.map(() => 0);
+    const baseY = plot.y + plot.h - scale(Math.max(bottom, 0)) * plot.h;
+    series.forEach((ser, s) => {
+      // Stacked areas fill down to the series below them, the others down to the axis
+      const floor = ser.values.map((_, i) => (stacked ? plot.y + plot.h - scale(offsets[i]) * plot.h : baseY));
+      const points = ser.values.map((raw, i) => {
+        let value = Number(raw) || 0;
+        if (stacked) {
+          offsets[i] += value;
+          value = offsets[i];
+        }
+        const x = scatter ? xPos(xValues[i]) : plot.x + band * (i + 0.5);
+        return [x, plot.y + plot.h - scale(value) * plot.h, value];
+      });
+      const color = hex(colors[s % colors.length]);
+      const path = points.map(([x, y]) => `${round(x)},${round(y)}`).join(' ');
+      if (kind === 'area') {
+        const under = points.map(([x], i) => `${round(x)},${round(floor[i])}`).reverse().join(' ');
+        parts.push(`<polygon points="${path} ${under}" fill="${color}"${stacked ? '' : ' fill-opacity="0.7"'}/>`);
+      } else if (scatter) {
+        points.forEach(([x, y]) => parts.push(`<circle cx="${round(x)}" cy="${round(y)}" r="3.5" fill="${color}"/>`));
+      } else {
+        parts.push(`<polyline points="${path}" fill="none" stroke="${color}" stroke-width="2.25"/>`);
+        points.forEach(([x, y]) => parts.push(`<circle cx="${round(x)}" cy="${round(y)}" r="2.5" fill="${color}"/>`));
+      }
+      if (options.showValue) {
+        points.forEach(([x, y, value]) => parts.push(valueLabel(x, y - 6, value)));
+      }
+    });
+  }
+
+  return parts.join('');
+}
+
+// Charts: bar/column (clustered or stacked), line, area, scatter, pie and doughnut, with optional
+// title and legend (right of the chart, or below it with legendPos 'b')
+function drawChart(chartType, data, options) {
+  const box = boxOf(options);
+  const scatter = chartType === 'scatter';
+  const series = (Array.isArray(data) ? data : []).filter(s => (scatter || Array.isArray(s.labels)) && Array.isArray(s.values));
+  if (series.length < (scatter ? 2 : 1)) return '';
+
+  const round360 = chartType === 'pie' || chartType === 'doughnut';
+  const colors = Array.isArray(options.chartColors) && options.chartColors.length > 0
+    ? options.chartColors
+    : round360 ? PIE_COLORS : BAR_COLORS;
+  const font = options.fontFace;
+  const parts = [];
+  const area = { ...box };
+
+  if (options.showTitle && options.title) {
+    parts.push(chartText(box.x + box.w / 2, box.y + 14, options.title, { size: options.titleFontSize || 12, bold: true, font, color: options.titleColor || '404040' }));
+    area.y += 20;
+    area.h -= 20;
+  }
+
+  if (options.showLegend) {
+    const named = scatter ? series.slice(1) : series;
+    const entries = round360 ? series[0].labels : named.map(s => s.name || 'Series');
+    const size = options.legendFontSize || 9;
+    const style = { anchor: 'start', size, font: options.legendFontFace || font, color: options.legendColor || AXIS_TEXT };
+    if (options.legendPos === 'b') {
+      // One centered row under the chart
+      const widths = entries.map(e => textWidth(String(e), size) + 20);
+      let x = area.x + Math.max(0, (area.w - widths.reduce((a, b) => a + b, 0)) / 2);
+      const y = area.y + area.h - 10;
+      entries.forEach((entry, i) => {
+        parts.push(`<rect x="${round(x)}" y="${round(y)}" width="8" height="8" fill="${hex(colors[i % colors.length])}"/>`);
+        parts.push(chartText(x + 12, y + 7, String(entry), style));
+        x += widths[i];
+      });
+      area.h -= 16;
+    } else {
+      const legendW = Math.min(box.w * 0.3, Math.max(...entries.map(e => textWidth(String(e), size))) + 20);
+      entries.forEach((entry, i) => {
+        const y = area.y + area.h / 2 - (entries.length * 14) / 2 + i * 14;
+        parts.push(`<rect x="${round(area.x + area.w - legendW)}" y="${round(y)}" width="8" height="8" fill="${hex(colors[i % colors.length])}"/>`);
+        parts.push(chartText(area.x + area.w - legendW + 12, y + 7, String(entry), style));
+      });
+      area.w -= legendW + 6;
+    }
+  }
+
+  if (round360) {
+    parts.push(pieChart(area, series[0], colors, {
+      hole: chartType === 'doughnut' ? (options.holeSize || 50) / 100 : 0,
+      showLabel: options.showLabel,
+      showValue: options.showValue,
+      showPercent: options.showPercent,
+      font: options.dataLabelFontFace || font
+    }));
+  } else {
+    const kind = chartType === 'line' || chartType === 'area' || scatter ? chartType : 'bar';
+    parts.push(axisChart(kind, area, series, colors, options));
+  }
+
+  return `<g>${parts.join('')}</g>`;
+}
+
+// Background fill of a slide: a color or an image covering the whole slide
+function drawBackground(background, size) {
+  const w = size.width * PT;
+  const h = size.height * PT;
+  if (background && background.data) {
+    return `<rect width="${w}" height="${h}" fill="#FFFFFF"/>${drawImage({ data: background.data, x: 0, y: 0, w: size.width, h: size.height })}`;
+  }
+  const color = background && (background.color || background.fill);
+  return `<rect width="${w}" height="${h}" fill="${hex(color, 'FFFFFF')}"/>`;
+}
+
+// Master objects drawn behind the slide content; empty placeholders are not visible in a slideshow
+function drawMasterObjects(master) {
+  return (master.objects || []).map(object => {
+    if (object.rect) return drawShape('rect', object.rect);
+    if (object.line) return drawShape('line', object.line);
+    if (object.image) return drawImage(object.image);
+    if (object.text) return drawTextBox(object.text.text, object.text.options || {});
+    return '';
+  }).join('');
+}
+
+// One recorded slide as an SVG document `pixelWidth` pixels wide
+function slideToSvg(slide, size, slideNumber, pixelWidth) {
+  const master = slide.master || {};
+  const placeholders = new Map((master.objects || [])
+    .filter(object => object.placeholder)
+    .map(object => [object.placeholder.options.name, object.placeholder.options]));
+
+  const items = slide.items.map(item => {
+    switch (item.type) {
+      case 'text': {
+        // Text placed into a master placeholder takes the placeholder's position and style
+        const inherited = item.options.placeholder ? placeholders.get(item.options.placeholder) : null;
+        if (item.options.placeholder && !inherited) return '';
+        return drawTextBox(item.text, { ...inherited, ...item.options });
+      }
+      case 'shape':
+        return drawShape(item.shape, item.options);
+      case 'image':
+        return drawImage(item.options);
+      case 'table':
+        return drawTable(item.rows, item.options);
+      case 'chart':
+        return drawChart(item.chartType, item.data, item.options);
+      default:
+        return '';
+    }
+  });
+
+  if (master.slideNumber) {
+    items.push(drawTextBox(String(slideNumber), master.slideNumber));
+  }
+
+  const w = round(size.width * PT);
+  const h = round(size.height * PT);
+  return `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink"`
+    + ` width="${pixelWidth}" height="${Math.round(pixelWidth * size.height / size.width)}" viewBox="0 0 ${w} ${h}">`
+    + drawBackground(slide.background || master.background, size)
+    + drawMasterObjects(master)
+    + items.join('')
+    + '</svg>';
+}
+
+module.exports = {
+  slideToSvg
+};
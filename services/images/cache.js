@@ -0,0 +1,166 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const { queryWords } = require('./common');
+
+// On-disk LRU cache of stock photo search results (keyed by provider and normalized query) and of
+// downloaded image bytes (keyed by URL). IMAGE_CACHE_MB=0 turns it off.
+const CACHE_DIR = process.env.IMAGE_CACHE_DIR || path.join(process.cwd(), 'data', 'image-cache');
+const MAX_BYTES = Number(process.env.IMAGE_CACHE_MB || 200) * 1024 * 1024;
+const ENABLED = MAX_BYTES > 0;
+
+// Part of every search key; bump it when the shape of the stored search results changes
+const SEARCH_VERSION = 2;
+
+const IMAGE_EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/gif': 'gif',
+  'image/webp': 'webp'
+};
+const MIME_TYPES = Object.fromEntries(Object.entries(IMAGE_EXTENSIONS).map(([mime, ext]) => [ext, mime]));
+
+// File name -> size in bytes, least recently used first (a Map keeps insertion order)
+let entries = null;
+let totalBytes = 0;
+
+const hash = (value) => crypto.createHash('sha256').update(value).digest('hex').slice(0, 32);
+const filePath = (file) => path.join(CACHE_DIR, file);
+
+// Same words in the same order, whatever the case and punctuation: "Technology!" and "technology" share results
+const normalizeQuery = (query) => queryWords(query).join(' ');
+
+// Index the cache directory on first use, oldest modification time first
+function loadEntries() {
+  if (!entries) {
+    entries = (async () => {
+      await fs.mkdir(CACHE_DIR, { recursive: true });
+      const files = await Promise.all((await fs.readdir(CACHE_DIR))
+        .filter(file => !file.endsWith('.tmp'))
+        .map(async (file) => {
+          const stat = await fs.stat(filePath(file));
+          return { file, size: stat.size, mtime: stat.mtimeMs };
+        }));
+      const map = new Map(files.sort((a, b) => a.mtime - b.mtime).map(f => [f.file, f.size]));
+      totalBytes = files.reduce((sum, f) => sum + f.size, 0);
+      return map;
+    })();
+  }
+  return entries;
+}
+
+// Contents of a cached file (marking it recently used), or null
+async function readEntry(file) {
+  const map = await loadEntries();
+  if (!map.has(file)) {
+    return null;
+  }
+
+  try {
+    const content = await fs.readFile(filePath(file));
+    const size = map.get(file);
+    map.delete(file);
+    map.set(file, size);
+    // The modification time carries the recency across restarts
+    const now = new Date();
+    fs.utimes(filePath(file), now, now).catch(() => {});
+    return content;
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    totalBytes -= map.get(file);
+    map.delete(file);
+    return null;
+  }
+}
+
+// Store a file, then evict least recently used files until the cache fits in IMAGE_CACHE_MB
+async function writeEntry(file, content) {
+  const map = await loadEntries();
+  // Write then rename so concurrent readers never see a half-written file
+  const tmp = `${filePath(file)}.${crypto.randomUUID()}.tmp`;
+  await fs.writeFile(tmp, content);
+  await fs.rename(tmp, filePath(file));
+
+  if (map.has(file)) {
+    totalBytes -= map.get(file);
+    map.delete(file);
+  }
+  map.set(file, content.length);
+  totalBytes += content.length;
+
+  for (const [oldest, size] of map) {
+    if (totalBytes <= MAX_BYTES || oldest === file) break;
+    map.delete(oldest);
+    totalBytes -= size;
+    await fs.rm(filePath(oldest), { force: true });
+  }
+}
+
+// Cache failures never fail an image fetch; they only cost the cache
+async function safely(action, fallback) {
+  try {
+    return await action();
+  } catch (error) {
+    console.warn('Image cache error:', error.message);
+    return fallback;
+  }
+}
+
+// Lookups in flight by key, so slides fetched in parallel with the same hint share one request
+const inFlight = new Map();
+function shared(key, lookup) {
+  if (!inFlight.has(key)) {
+    inFlight.set(key, lookup().finally(() => inFlight.delete(key)));
+  }
+  return inFlight.get(key);
+}
+
+// Search results of `provider` for `query`: from the cache, or from search() (then cached)
+function cachedSearch(provider, query, search) {
+  const key = hash(`${SEARCH_VERSION}:${provider}:${normalizeQuery(query)}`);
+  return shared(`search:${key}`, async () => {
+    if (!ENABLED) {
+      return search();
+    }
+
+    const file = `search-${key}.json`;
+    const cached = await safely(() => readEntry(file), null);
+    if (cached) {
+      return JSON.parse(cached.toString('utf8'));
+    }
+
+    const results = await search();
+    await safely(() => writeEntry(file, Buffer.from(JSON.stringify(results))));
+    return results;
+  });
+}
+
+// Image at `url` as a data URL: from the cache, or from download() (then cached)
+function cachedImage(url, download) {
+  const key = hash(url);
+  return shared(`image:${key}`, async () => {
+    if (!ENABLED) {
+      return download();
+    }
+
+    const map = await safely(loadEntries, new Map());
+    const file = Object.values(IMAGE_EXTENSIONS).map(ext => `image-${key}.${ext}`).find(f => map.has(f));
+    const cached = file && await safely(() => readEntry(file), null);
+    if (cached) {
+      return `data:${MIME_TYPES[path.extname(file).slice(1)]};base64,${cached.toString('base64')}`;
+    }
+
+    const data = await download();
+    const match = data.match(/^data:([^;]+);base64,/);
+    const ext = match && IMAGE_EXTENSIONS[match[1]];
+    if (ext) {
+      await safely(() => writeEntry(`image-${key}.${ext}`, Buffer.from(data.slice(match[0].length), 'base64')));
+    }
+    return data;
+  });
+}
+
+module.exports = {
+  cachedSearch,
+  cachedImage
+};
@@ -0,0 +1,93 @@
+const axios = require('axios');
+
+// Helpers shared by the image providers
+
+// Candidate images a search offers for one slide (the first is used unless the user picks another)
+const MAX_CANDIDATES = 6;
+
+// Stock photo search works best with simple terms: the first comma-separated part, letters only
+function cleanQuery(query) {
+  return String(query)
+    .split(',')[0] // Take only the first part before comma
+    .replace(/[^\w\s]/g, '') // Remove special characters
+    .trim()
+    .substring(0, 50); // Limit length
+}
+
+// Lower-case search words without filler, e.g. "Team, working together" -> ['team', 'working', 'together']
+const STOP_WORDS = new Set(['a', 'an', 'and', 'the', 'of', 'in', 'on', 'for', 'with', 'to', 'at', 'by', 'or']);
+function queryWords(query) {
+  return String(query)
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(word => word && !STOP_WORDS.has(word));
+}
+
+// Whether `url` is an https URL on `host`: picked stock photos are only downloaded from their provider's CDN
+function isHostedOn(url, host) {
+  try {
+    const parsed = new URL(url);
+    return parsed.protocol === 'https:' && parsed.hostname === host;
+  } catch {
+    return false;
+  }
+}
+
+// Download an image and return it as a data URL for pptxgenjs
+async function downloadImage(imageUrl) {
+  const imageResponse = await axios.get(imageUrl, {
+    responseType: 'arraybuffer',
+    timeout: 10000 // 10 second timeout for image download
+  });
+
+  // Determine image type from URL or Content-Type header
+  let mimeType = 'image/jpeg'; // Default to JPEG
+  const contentType = imageResponse.headers['content-type'];
+  if (contentType && contentType.includes('image/')) {
+    mimeType = contentType;
+  } else if (imageUrl.includes('.png')) {
+    mimeType = 'image/png';
+  } else if (imageUrl.includes('.webp')) {
+    mimeType = 'image/webp';
+  }
+
+  // Convert to base64 with proper header for pptxgenjs
+  const base64Image = Buffer.from(imageResponse.data).toString('base64');
+  return `data:${mimeType};base64,${base64Image}`;
+}
+
+// Rate limit for a provider's API: the returned wait() resolves when the next request may start,
+// at least `interval` ms after the previous one
+function createThrottle(interval) {
+  let next = 0;
+  return () => {
+    const now = Date.now();
+    const start = Math.max(now, next);
+    next = start + interval;
+    return new Promise(resolve => setTimeout(resolve, start - now));
+  };
+}
+
+// Run fn(item, index) over `items` with at most `limit` calls in flight; results keep the item order
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+module.exports = {
+  MAX_CANDIDATES,
+  cleanQuery,
+  queryWords,
+  isHostedOn,
+  downloadImage,
+  createThrottle,
+  mapWithConcurrency
+};
@@ -0,0 +1,46 @@
+// Display names of the image providers, used in credit lines
+const PROVIDER_LABELS = {
+  unsplash: 'Unsplash',
+  pexels: 'Pexels',
+  local: 'image library'
+};
+
+// Credit of a slide image, or null when it needs none (no attribution, or a library image without a
+// credit): { caption, line, url } with the short caption drawn under the image, the full line for
+// the "Image credits" slide and the photo page to link to
+function imageCredit(image) {
+  const attribution = image && image.data && image.attribution;
+  if (!attribution) {
+    return null;
+  }
+
+  const { provider, photographer, photoUrl } = attribution;
+  if (provider === 'local') {
+    return photographer
+      ? { caption: `Image: ${photographer}`, line: `Image: ${photographer}`, url: photoUrl || null }
+      : null;
+  }
+
+  const source = PROVIDER_LABELS[provider] || provider;
+  return {
+    caption: photographer ? `Photo: ${photographer} / ${source}` : `Photo: ${source}`,
+    line: photographer ? `Photo by ${photographer} on ${source}` : `Photo from ${source}`,
+    url: photoUrl || null
+  };
+}
+
+// Credits of the images in an outline, in slide order, with the deck slide number (the title
+// slide is slide 1). `shown(slide)` tells whether the slide's layout actually drew its image;
+// `slideNumber(index)` gives the deck number of outline slide `index` when extra slides shift it.
+function outlineCredits(outline, shown = () => true, slideNumber = i => i + 2) {
+  return (Array.isArray(outline.slides) ? outline.slides : []).flatMap((slide, i) => {
+    const credit = slide && shown(slide, i) && imageCredit(slide.image);
+    return credit ? [{ slideNumber: slideNumber(i), slideTitle: slide.slideTitle || 'Untitled Slide', ...credit }] : [];
+  });
+}
+
+module.exports = {
+  PROVIDER_LABELS,
+  imageCredit,
+  outlineCredits
+};
@@ -0,0 +1,191 @@
+const createUnsplashProvider = require('./unsplash');
+const createPexelsProvider = require('./pexels');
+const createLocalProvider = require('./local');
+const sharp = require('sharp');
+const { mapWithConcurrency } = require('./common');
+
+// Slides whose images are fetched at the same time (each stock provider also spaces its own API requests)
+const IMAGE_CONCURRENCY = Math.max(1, parseInt(process.env.IMAGE_CONCURRENCY, 10) || 4);
+
+// Image providers selectable with IMAGE_PROVIDERS (comma-separated, tried in order until one finds
+// an image). Each factory receives the environment, validates its own configuration and returns
+// { name, label, candidates(query, { thumbnails }), load(ref) }: candidates resolves to
+// [{ ref, url, thumbnail, width, height, attribution }], best first, and load(ref) to a data URL.
+const providers = {
+  unsplash: createUnsplashProvider,
+  pexels: createPexelsProvider,
+  local: createLocalProvider
+};
+
+// Without IMAGE_PROVIDERS, every provider that has its configuration is used, in this order
+const DEFAULT_ORDER = ['local', 'unsplash', 'pexels'];
+
+let providerChain = null;
+
+// Return the configured fallback chain, creating it on first use. Providers listed in
+// IMAGE_PROVIDERS must be configured; unconfigured ones are skipped in the default chain.
+function getImageProviders() {
+  if (!providerChain) {
+    const configured = process.env.IMAGE_PROVIDERS;
+    if (configured) {
+      const names = configured.split(',').map(n => n.trim().toLowerCase()).filter(Boolean);
+      const unknown = names.filter(n => !providers[n]);
+      if (unknown.length > 0) {
+        throw new Error(`Unknown IMAGE_PROVIDERS "${unknown.join(', ')}". Use any of: ${Object.keys(providers).join(', ')}.`);
+      }
+      providerChain = names.map(n => providers[n](process.env));
+    } else {
+      providerChain = DEFAULT_ORDER.flatMap((n) => {
+        try {
+          return [providers[n](process.env)];
+        } catch {
+          return [];
+        }
+      });
+    }
+  }
+  return providerChain;
+}
+
+// Search the providers in order; a provider that fails or finds nothing falls through to the next.
+// `exclude` holds the refs of images already in the deck: the best candidate not in it is picked
+// (or the best one if all are), and is added to it right away so slides fetched in parallel differ.
+async function fetchImage(query, { exclude = new Set() } = {}) {
+  for (const provider of getImageProviders()) {
+    try {
+      const candidates = await provider.candidates(query);
+      const candidate = candidates.find(c => !exclude.has(c.ref)) || candidates[0];
+      if (candidate) {
+        exclude.add(candidate.ref);
+        return { ...candidate, provider: provider.name, data: await provider.load(candidate.ref) };
+      }
+    } catch (error) {
+      console.warn(`Image provider ${provider.name} failed for query "${query}":`, error.response?.status, error.response?.statusText || error.message);
+    }
+  }
+  return null;
+}
+
+// Candidate images for the image picker from every provider in the chain, each with a thumbnail
+// (a URL or data URL) and the provider name to load it with later
+async function searchImages(query) {
+  const results = await Promise.all(getImageProviders().map(async (provider) => {
+    try {
+      const candidates = await provider.candidates(query, { thumbnails: true });
+      return candidates.map(candidate => ({ provider: provider.name, ...candidate }));
+    } catch (error) {
+      console.warn(`Image provider ${provider.name} failed for query "${query}":`, error.response?.status, error.response?.statusText || error.message);
+      return [];
+    }
+  }));
+  return results.flat();
+}
+
+// Data of an image picked in the editor ({ provider, ref } from searchImages)
+async function loadPickedImage({ provider: name, ref }) {
+  const provider = getImageProviders().find(p => p.name === name);
+  if (!provider) {
+    throw new Error(`Image provider "${name}" is not enabled`);
+  }
+  return provider.load(ref);
+}
+
+// Pixel size of an image data URL (upright, after EXIF rotation), used to crop it around its focal point
+async function imageSize(data) {
+  const base64 = data.startsWith('data:') ? data.slice(data.indexOf(',') + 1) : data;
+  const { width, height, orientation } = await sharp(Buffer.from(base64, 'base64')).metadata();
+  return orientation >= 5 ? { width: height, height: width } : { width, height };
+}
+
+// Image of one slide, following the editor's choice: `image: null` means no image, an image with
+// data is used as is (e.g. an upload), a picked { provider, ref } is loaded, and otherwise the
+// slide's visualHint is searched. Focal point and zoom of a picked image are kept.
+async function enhanceSlideWithImage(slideData, options = {}) {
+  const { image } = slideData;
+  if (image === null) {
+    return slideData;
+  }
+
+  try {
+    if (image && image.data) {
+      // Uploaded, or fetched for an earlier render: nothing to load
+    } else if (image && image.provider && image.ref) {
+      slideData.image = { ...image, data: await loadPickedImage(image) };
+      console.log(`Loaded picked image for slide: ${slideData.slideTitle} (${image.provider})`);
+    } else if (slideData.visualHint) {
+      const found = await fetchImage(slideData.visualHint, options);
+      if (found) {
+        slideData.image = {
+          data: found.data,
+          url: found.url,
+          provider: found.provider,
+          ref: found.ref,
+          attribution: found.attribution,
+          ...(image && image.focus && { focus: image.focus }),
+          ...(image && image.zoom && { zoom: image.zoom })
+        };
+        console.log(`Successfully fetched image for slide: ${slideData.slideTitle} (${found.provider})`);
+      }
+    }
+
+    const current = slideData.image;
+    if (current && current.data && !(current.width && current.height)) {
+      Object.assign(current, await imageSize(current.data));
+    }
+  } catch (error) {
+    console.warn(`Failed to enhance slide "${slideData.slideTitle}" with image:`, error.message);
+  }
+
+  return slideData;
+}
+
+// Slides that still need image work: a picked image to load, a hint to search, or a size to read
+const needsImage = (slide) => {
+  const { image } = slide;
+  if (image === null) return false;
+  if (image && image.data) return !(image.width && image.height);
+  return Boolean((image && image.provider && image.ref) || slide.visualHint);
+};
+
+// Enhance every slide of an outline with images, IMAGE_CONCURRENCY slides at a time.
+// onImage(done, total) is called after each slide that needed an image.
+async function enhanceOutlineWithImages(outline, onImage = () => {}) {
+  if (!outline.slides || !Array.isArray(outline.slides)) {
+    return outline;
+  }
+
+  if (getImageProviders().length === 0) {
+    console.warn('No image provider configured, only images uploaded in the editor are used');
+  }
+
+  const pending = outline.slides
+    .map((slide, i) => i)
+    .filter(i => needsImage(outline.slides[i]));
+
+  console.log(`Fetching images for ${pending.length} of ${outline.slides.length} slides...`);
+
+  // Images already in the deck, so slides with the same hint get different pictures
+  const used = new Set(outline.slides
+    .map(slide => slide.image && (slide.image.ref || (slide.image.attribution && slide.image.attribution.file)))
+    .filter(Boolean));
+
+  let done = 0;
+  await mapWithConcurrency(pending, IMAGE_CONCURRENCY, async (i) => {
+    try {
+      outline.slides[i] = await enhanceSlideWithImage(outline.slides[i], { exclude: used });
+    } catch (error) {
+      console.warn(`Failed to enhance slide ${i + 1}:`, error.message);
+    }
+    onImage(++done, pending.length);
+  });
+
+  return outline;
+}
+
+module.exports = {
+  getImageProviders,
+  fetchImage,
+  searchImages,
+  enhanceSlideWithImage,
+  enhanceOutlineWithImages
+};
@@ -0,0 +1,139 @@
+const fs = require('fs/promises');
+const path = require('path');
+const sharp = require('sharp');
+const { MAX_CANDIDATES, queryWords } = require('./common');
+
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.gif', '.webp'];
+
+// Library images are scaled down to this width before they go into a deck
+const MAX_WIDTH = 1600;
+const THUMBNAIL_WIDTH = 320;
+
+// Approved image library in a local directory (LOCAL_IMAGE_DIR). Images are found by tags:
+// the words of their folder and file names, plus the tags listed for them in an optional
+// library.json manifest: [{ "file": "people/team-meeting.jpg", "tags": ["teamwork"], "credit": "ACME Brand Team" }]
+function createLocalProvider(env) {
+  const dir = env.LOCAL_IMAGE_DIR;
+  if (!dir) {
+    throw new Error('LOCAL_IMAGE_DIR environment variable not set.');
+  }
+  const root = path.resolve(dir);
+
+  let library = null;
+
+  const listImages = async (folder) => {
+    const entries = await fs.readdir(folder, { withFileTypes: true });
+    const files = await Promise.all(entries.map(async (entry) => {
+      const full = path.join(folder, entry.name);
+      if (entry.isDirectory()) return listImages(full);
+      return IMAGE_EXTENSIONS.includes(path.extname(entry.name).toLowerCase()) ? [path.relative(root, full)] : [];
+    }));
+    return files.flat();
+  };
+
+  const readManifest = async () => {
+    try {
+      const manifest = JSON.parse(await fs.readFile(path.join(root, 'library.json'), 'utf8'));
+      return Array.isArray(manifest) ? manifest : manifest.images || [];
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn('Failed to read library.json of the local image library:', error.message);
+      }
+      return [];
+    }
+  };
+
+  const indexLibrary = async () => {
+    const manifest = new Map((await readManifest())
+      .filter(entry => entry && typeof entry.file === 'string')
+      .map(entry => [path.normalize(entry.file), entry]));
+
+    const images = (await listImages(root)).sort().map((file) => {
+      const entry = manifest.get(file) || {};
+      const tags = [
+        ...queryWords(file.slice(0, -path.extname(file).length)),
+        ...(Array.isArray(entry.tags) ? entry.tags.flatMap(queryWords) : [])
+      ];
+      return { file, tags: [...new Set(tags)], credit: entry.credit || null };
+    });
+
+    console.log(`Indexed ${images.length} image(s) in the local image library ${root}`);
+    return images;
+  };
+
+  // Index the library on first use: { file, tags, credit } per image, sorted by file. Searches running
+  // in parallel share the same indexing; a failed indexing is retried by the next search.
+  const getLibrary = () => {
+    if (!library) {
+      library = indexLibrary().catch((error) => {
+        library = null;
+        throw error;
+      });
+    }
+    return library;
+  };
+
+  // Exact tag matches count double; "chart" also matches "charts" and the other way round
+  const score = (tags, words) => words.reduce((total, word) => {
+    if (tags.includes(word)) return total + 2;
+    return total + (tags.some(tag => Math.min(tag.length, word.length) >= 4 && (tag.startsWith(word) || word.startsWith(tag))) ? 1 : 0);
+  }, 0);
+
+  const loadImage = async (file) => {
+    const input = await fs.readFile(path.join(root, file));
+    const png = path.extname(file).toLowerCase() === '.png';
+    const image = sharp(input).rotate().resize({ width: MAX_WIDTH, withoutEnlargement: true });
+    const output = png ? await image.png().toBuffer() : await image.jpeg({ quality: 85 }).toBuffer();
+    return `data:image/${png ? 'png' : 'jpeg'};base64,${output.toString('base64')}`;
+  };
+
+  // Small JPEG preview for the image picker, with the image's (upright) proportions
+  const loadThumbnail = async (file) => {
+    const { data, info } = await sharp(await fs.readFile(path.join(root, file)))
+      .rotate()
+      .resize({ width: THUMBNAIL_WIDTH, withoutEnlargement: true })
+      .jpeg({ quality: 70 })
+      .toBuffer({ resolveWithObject: true });
+    return { thumbnail: `data:image/jpeg;base64,${data.toString('base64')}`, width: info.width, height: info.height };
+  };
+
+  return {
+    name: 'local',
+    label: 'Image library',
+    // Best matches first (stable order among equal scores); thumbnails are only made when asked for
+    async candidates(query, { thumbnails = false } = {}) {
+      const words = queryWords(query);
+      const matches = (await getLibrary())
+        .map(entry => ({ entry, score: score(entry.tags, words) }))
+        .filter(match => match.score > 0)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, MAX_CANDIDATES)
+        .map(match => match.entry);
+      if (matches.length === 0) {
+        console.warn(`No library images found for query: "${query}"`);
+      }
+
+      return Promise.all(matches.map(async entry => ({
+        ref: entry.file,
+        url: null,
+        ...(thumbnails && await loadThumbnail(entry.file)),
+        attribution: {
+          provider: 'local',
+          photographer: entry.credit,
+          photoUrl: null,
+          file: entry.file
+        }
+      })));
+    },
+    // Only files of the indexed library can be loaded
+    async load(ref) {
+      const entry = (await getLibrary()).find(e => e.file === ref);
+      if (!entry) {
+        throw new Error(`Image "${ref}" is not in the image library`);
+      }
+      return loadImage(entry.file);
+    }
+  };
+}
+
+module.exports = createLocalProvider;
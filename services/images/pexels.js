@@ -0,0 +1,68 @@
+const axios = require('axios');
+const { MAX_CANDIDATES, cleanQuery, isHostedOn, downloadImage, createThrottle } = require('./common');
+const { cachedSearch, cachedImage } = require('./cache');
+
+// Minimum spacing of Pexels API requests (downloads from the image CDN are not limited)
+const REQUEST_INTERVAL = 250;
+const IMAGE_HOST = 'images.pexels.com';
+
+// Pexels stock photos (needs PEXELS_API_KEY)
+function createPexelsProvider(env) {
+  const apiKey = env.PEXELS_API_KEY;
+  if (!apiKey) {
+    throw new Error('PEXELS_API_KEY environment variable not set.');
+  }
+  const throttle = createThrottle(REQUEST_INTERVAL);
+
+  // Search results as [{ ref, url, thumbnail, width, height, attribution }]; ref is the image URL
+  const searchPhotos = async (searchQuery) => {
+    await throttle();
+    console.log(`Searching Pexels for: "${searchQuery}"`);
+
+    const searchResponse = await axios.get('https://api.pexels.com/v1/search', {
+      params: {
+        query: searchQuery,
+        per_page: MAX_CANDIDATES,
+        orientation: 'landscape'
+      },
+      headers: {
+        'Authorization': apiKey
+      },
+      timeout: 5000
+    });
+
+    return ((searchResponse.data && searchResponse.data.photos) || []).map(photo => ({
+      ref: photo.src.large,
+      url: photo.src.large,
+      thumbnail: photo.src.medium,
+      width: photo.width,
+      height: photo.height,
+      attribution: {
+        provider: 'pexels',
+        photographer: photo.photographer,
+        photoUrl: photo.url
+      }
+    }));
+  };
+
+  return {
+    name: 'pexels',
+    label: 'Pexels',
+    async candidates(query) {
+      const searchQuery = cleanQuery(query);
+      const photos = await cachedSearch('pexels', searchQuery, () => searchPhotos(searchQuery));
+      if (photos.length === 0) {
+        console.warn(`No Pexels images found for query: "${searchQuery}"`);
+      }
+      return photos;
+    },
+    async load(ref) {
+      if (!isHostedOn(ref, IMAGE_HOST)) {
+        throw new Error(`Pexels images must come from ${IMAGE_HOST}`);
+      }
+      return cachedImage(ref, () => downloadImage(ref));
+    }
+  };
+}
+
+module.exports = createPexelsProvider;
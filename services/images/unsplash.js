@@ -0,0 +1,80 @@
+const axios = require('axios');
+const { MAX_CANDIDATES, cleanQuery, isHostedOn, downloadImage, createThrottle } = require('./common');
+const { cachedSearch, cachedImage } = require('./cache');
+
+// Minimum spacing of Unsplash API requests (downloads from the image CDN are not limited)
+const REQUEST_INTERVAL = 250;
+const IMAGE_HOST = 'images.unsplash.com';
+
+// Unsplash stock photos (needs UNSPLASH_ACCESS_KEY)
+function createUnsplashProvider(env) {
+  const accessKey = env.UNSPLASH_ACCESS_KEY;
+  if (!accessKey) {
+    throw new Error('UNSPLASH_ACCESS_KEY environment variable not set.');
+  }
+  const throttle = createThrottle(REQUEST_INTERVAL);
+
+  // Search results as [{ ref, url, thumbnail, width, height, attribution }]; ref is the image URL
+  const searchPhotos = async (searchQuery) => {
+    await throttle();
+    console.log(`Searching Unsplash for: "${searchQuery}"`);
+
+    try {
+      const searchResponse = await axios.get('https://api.unsplash.com/search/photos', {
+        params: {
+          query: searchQuery,
+          per_page: MAX_CANDIDATES,
+          orientation: 'landscape',
+          content_filter: 'high' // Get higher quality results
+        },
+        headers: {
+          'Authorization': `Client-ID ${accessKey}`
+        },
+        timeout: 5000 // 5 second timeout
+      });
+
+      return ((searchResponse.data && searchResponse.data.results) || []).map(photo => ({
+        ref: photo.urls.regular, // Use regular size for better quality
+        url: photo.urls.regular,
+        thumbnail: photo.urls.small,
+        width: photo.width,
+        height: photo.height,
+        attribution: {
+          provider: 'unsplash',
+          photographer: photo.user.name,
+          photoUrl: photo.links.html
+        }
+      }));
+    } catch (error) {
+      // Log more details for 400 errors
+      if (error.response?.status === 400) {
+        console.warn('Unsplash API 400 error details:', {
+          data: error.response.data,
+          params: error.config?.params
+        });
+      }
+      throw error;
+    }
+  };
+
+  return {
+    name: 'unsplash',
+    label: 'Unsplash',
+    async candidates(query) {
+      const searchQuery = cleanQuery(query);
+      const photos = await cachedSearch('unsplash', searchQuery, () => searchPhotos(searchQuery));
+      if (photos.length === 0) {
+        console.warn(`No Unsplash images found for query: "${searchQuery}"`);
+      }
+      return photos;
+    },
+    async load(ref) {
+      if (!isHostedOn(ref, IMAGE_HOST)) {
+        throw new Error(`Unsplash images must come from ${IMAGE_HOST}`);
+      }
+      return cachedImage(ref, () => downloadImage(ref));
+    }
+  };
+}
+
+module.exports = createUnsplashProvider;
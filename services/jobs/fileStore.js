@@ -0,0 +1,78 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// File-backed job store: one <id>.json record (and <id>.bin result file) per job in `dir`,
+// so job status and finished decks survive restarts
+function createFileStore(dir) {
+  const ready = fs.mkdir(dir, { recursive: true });
+
+  // Job ids are generated server-side, but never let a path segment escape the directory
+  const safeId = (id) => String(id).replace(/[^\w\-]/g, '');
+  const recordPath = (id) => path.join(dir, `${safeId(id)}.json`);
+  const filePath = (id) => path.join(dir, `${safeId(id)}.bin`);
+
+  const readRecord = async (id) => {
+    try {
+      return JSON.parse(await fs.readFile(recordPath(id), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  };
+
+  const writeRecord = async (job) => {
+    // Write then rename so readers never see a half-written record
+    const tmp = `${recordPath(job.id)}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(job));
+    await fs.rename(tmp, recordPath(job.id));
+  };
+
+  return {
+    name: 'file',
+    async create(job) {
+      await ready;
+      await writeRecord(job);
+      return { ...job };
+    },
+    async get(id) {
+      await ready;
+      return readRecord(id);
+    },
+    async update(id, patch) {
+      await ready;
+      const job = await readRecord(id);
+      if (!job) return null;
+      Object.assign(job, patch, { updatedAt: new Date().toISOString() });
+      await writeRecord(job);
+      return job;
+    },
+    async list() {
+      await ready;
+      const names = await fs.readdir(dir);
+      const jobs = await Promise.all(
+        names.filter(n => n.endsWith('.json')).map(n => readRecord(n.slice(0, -5)))
+      );
+      return jobs.filter(Boolean);
+    },
+    async remove(id) {
+      await ready;
+      await fs.rm(recordPath(id), { force: true });
+      await fs.rm(filePath(id), { force: true });
+    },
+    async saveFile(id, buffer) {
+      await ready;
+      await fs.writeFile(filePath(id), buffer);
+    },
+    async getFile(id) {
+      await ready;
+      try {
+        return await fs.readFile(filePath(id));
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    }
+  };
+}
+
+module.exports = createFileStore;
@@ -0,0 +1,183 @@
+const crypto = require('crypto');
+const path = require('path');
+const createMemoryStore = require('./memoryStore');
+const createFileStore = require('./fileStore');
+const { createOutline, renderOutline, generatePresentation } = require('../pipeline');
+const { recordDeck } = require('../decks');
+const { classifyError } = require('../../middleware/errorHandler');
+
+// Job types accepted by POST /jobs. Each handler receives the validated input, an onProgress
+// callback and the job's { type, userId }, and returns { result } (JSON) and/or { file, name, format, deckId }
+// (the rendered deck, its download name, export format and id in the deck history).
+const handlers = {
+  async outline(input, onProgress) {
+    const outline = await createOutline(input.topic, input.options, onProgress, 100, input.documents);
+    return { result: { topic: input.topic, options: input.options, outline } };
+  },
+  async render(input, onProgress, { type, userId }) {
+    const { outline, ...renderOptions } = input;
+    const file = await renderOutline(outline, renderOptions, onProgress);
+    const deckId = await recordDeck({ source: type, userId, topic: input.topic, options: renderOptions, outline, file });
+    return { file, name: input.topic || outline.title, format: input.format, deckId };
+  },
+  // Markdown decks are parsed into an outline when the job is created
+  async markdown(input, onProgress, job) {
+    return handlers.render(input, onProgress, job);
+  },
+  async generate(input, onProgress, { userId }) {
+    const { outline, file } = await generatePresentation(input.topic, input.options, onProgress, input.documents);
+    const deckId = await recordDeck({
+      source: 'generate',
+      userId,
+      topic: input.topic,
+      options: input.options,
+      outline,
+      file,
+      documents: input.documents
+    });
+    return { file, name: input.topic, format: input.options.format, deckId };
+  }
+};
+
+// Bounded-concurrency queue that runs jobs in this process and records their state in `store`
+function createJobQueue({ store, concurrency = 2, ttlMs = 60 * 60 * 1000 }) {
+  const pending = [];
+  let running = 0;
+
+  const run = async (id, type, input, userId) => {
+    running++;
+    const startTime = Date.now();
+
+    // Serialize updates so a late progress write can't overwrite the final status
+    let writes = Promise.resolve();
+    const record = (patch) => {
+      writes = writes
+        .then(() => store.update(id, patch))
+        .catch(err => console.warn(`Failed to update job ${id}:`, err.message));
+      return writes;
+    };
+
+    try {
+      await record({ status: 'running', startedAt: new Date().toISOString() });
+
+      const output = await handlers[type](input, (progress) => record({ progress }), { type, userId });
+
+      if (output.file) {
+        await store.saveFile(id, output.file);
+      }
+      await record({
+        status: 'completed',
+        progress: { stage: 'done', percent: 100, message: 'Finished' },
+        result: output.result || null,
+        hasFile: Boolean(output.file),
+        name: output.name || null,
+        format: output.file ? output.format || 'pptx' : null,
+        deckId: output.deckId || null,
+        finishedAt: new Date().toISOString()
+      });
+      console.log(`Job ${id} (${type}) completed in ${Date.now() - startTime}ms`);
+    } catch (error) {
+      console.error(`Job ${id} (${type}) failed:`, error);
+      const { statusCode, errorMessage } = classifyError(error);
+      await record({
+        status: 'failed',
+        error: errorMessage,
+        errorStatus: statusCode,
+        finishedAt: new Date().toISOString()
+      });
+    } finally {
+      running--;
+      pump();
+    }
+  };
+
+  const pump = () => {
+    while (running < concurrency && pending.length > 0) {
+      const next = pending.shift();
+      run(next.id, next.type, next.input, next.userId);
+    }
+  };
+
+  // Drop finished jobs (and their files) once they are older than ttlMs
+  const cleanup = async () => {
+    const cutoff = Date.now() - ttlMs;
+    const jobs = await store.list();
+    for (const job of jobs) {
+      if (job.finishedAt && Date.parse(job.finishedAt) < cutoff) {
+        await store.remove(job.id);
+      }
+    }
+  };
+  setInterval(() => {
+    cleanup().catch(err => console.warn('Job cleanup failed:', err.message));
+  }, Math.min(ttlMs, 10 * 60 * 1000)).unref();
+
+  // Jobs that were queued or running when a file-backed server stopped will never finish
+  const recovered = store.list().then(jobs => Promise.all(jobs
+    .filter(job => job.status === 'queued' || job.status === 'running')
+    .map(job => store.update(job.id, {
+      status: 'failed',
+      error: 'Server restarted before the job finished',
+      finishedAt: new Date().toISOString()
+    }))
+  )).catch(err => console.warn('Failed to recover interrupted jobs:', err.message));
+
+  return {
+    // `userId` is the owner of the job and of the deck it produces (null for anonymous requests)
+    async enqueue(type, input, userId = null) {
+      if (!handlers[type]) {
+        throw new Error(`Invalid job type "${type}"`);
+      }
+
+      await recovered;
+
+      const now = new Date().toISOString();
+      const job = await store.create({
+        id: crypto.randomUUID(),
+        type,
+        userId,
+        status: 'queued',
+        progress: { stage: 'queued', percent: 0, message: 'Waiting to start' },
+        error: null,
+        result: null,
+        hasFile: false,
+        name: null,
+        format: null,
+        deckId: null,
+        createdAt: now,
+        updatedAt: now
+      });
+
+      pending.push({ id: job.id, type, input, userId });
+      pump();
+      return job;
+    },
+    get: (id) => store.get(id),
+    getFile: (id) => store.getFile(id),
+    stats: () => ({ running, queued: pending.length, concurrency })
+  };
+}
+
+let jobQueue = null;
+
+// Return the process-wide job queue, configured from the environment on first use
+function getJobQueue() {
+  if (!jobQueue) {
+    const store = process.env.JOB_STORE === 'file'
+      ? createFileStore(process.env.JOB_STORE_DIR || path.join(process.cwd(), 'data', 'jobs'))
+      : createMemoryStore();
+
+    jobQueue = createJobQueue({
+      store,
+      concurrency: Number(process.env.JOB_CONCURRENCY) || 2,
+      ttlMs: (Number(process.env.JOB_TTL_MINUTES) || 60) * 60 * 1000
+    });
+    console.log(`Job queue: ${store.name} store, concurrency ${jobQueue.stats().concurrency}`);
+  }
+  return jobQueue;
+}
+
+module.exports = {
+  JOB_TYPES: Object.keys(handlers),
+  getJobQueue
+};
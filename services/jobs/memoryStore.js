@@ -0,0 +1,38 @@
+// In-process job store: fast, but jobs are lost when the server restarts
+function createMemoryStore() {
+  const jobs = new Map();
+  const files = new Map();
+
+  return {
+    name: 'memory',
+    async create(job) {
+      jobs.set(job.id, { ...job });
+      return { ...job };
+    },
+    async get(id) {
+      const job = jobs.get(id);
+      return job ? { ...job } : null;
+    },
+    async update(id, patch) {
+      const job = jobs.get(id);
+      if (!job) return null;
+      Object.assign(job, patch, { updatedAt: new Date().toISOString() });
+      return { ...job };
+    },
+    async list() {
+      return [...jobs.values()].map(job => ({ ...job }));
+    },
+    async remove(id) {
+      jobs.delete(id);
+      files.delete(id);
+    },
+    async saveFile(id, buffer) {
+      files.set(id, buffer);
+    },
+    async getFile(id) {
+      return files.get(id) || null;
+    }
+  };
+}
+
+module.exports = createMemoryStore;
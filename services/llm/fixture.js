@@ -0,0 +1,137 @@
+const fs = require('fs');
+const { LAYOUTS } = require('../outlineSchema');
+
+// Layout rotation used for fixture decks (the renderer's layout list)
+const FIXTURE_LAYOUTS = LAYOUTS;
+const FIXTURE_HINTS = ['business', 'technology', 'teamwork', 'growth', 'education'];
+
+// Speaker notes of roughly `words` words, built from repeated filler sentences
+function fixtureNotes(topic, index, words = 80) {
+  const sentences = [
+    `On this slide we look at aspect ${index + 1} of ${topic}.`,
+    'Walk the audience through each point and give a short example from your own experience.',
+    'Pause here for questions before moving on to the next slide.'
+  ];
+  const notes = [];
+  let count = 0;
+  for (let i = 0; count < words; i++) {
+    const sentence = sentences[i % sentences.length];
+    notes.push(sentence);
+    count += sentence.split(' ').length;
+  }
+  return notes.join(' ');
+}
+
+// Build one deterministic slide for a topic and position in the deck
+function fixtureSlide(topic, index, total, notesWords) {
+  const isLast = index === total - 1;
+  const slide = {
+    slideTitle: isLast ? `Conclusion: ${topic}` : `${topic}: Part ${index + 1}`,
+    bulletPoints: [
+      `Overview of aspect ${index + 1} of ${topic}`,
+      `Key fact supporting aspect ${index + 1}`,
+      `Practical example related to ${topic}`,
+      `Takeaway for the audience`
+    ],
+    layout: FIXTURE_LAYOUTS[index % FIXTURE_LAYOUTS.length],
+    visualStyleHint: 'accent stripe at top',
+    visualHint: FIXTURE_HINTS[index % FIXTURE_HINTS.length],
+    speakerNotes: fixtureNotes(topic, index, notesWords)
+  };
+
+  // Structured layouts get the field they are drawn from
+  const aspect = `aspect ${index + 1}`;
+  switch (slide.layout) {
+    case 'timeline':
+      slide.timeline = ['Past', 'Present', 'Next year'].map((label, i) => ({ label, title: `Stage ${i + 1} of ${aspect}`, detail: `What changed for ${topic}` }));
+      break;
+    case 'comparison':
+      slide.comparison = {
+        left: { heading: 'Pros', points: [`Strength of ${aspect}`, 'Proven in practice'] },
+        right: { heading: 'Cons', points: [`Cost of ${aspect}`, 'Takes time to adopt'] }
+      };
+      break;
+    case 'big-stat':
+      slide.stat = { value: `${40 + index}%`, label: `Share of teams using ${topic}`, context: 'Fixture figure, not real data' };
+      break;
+    case 'card-grid':
+      slide.cards = ['Research', 'Design', 'Delivery'].map(title => ({ title, text: `${title} work on ${aspect}` }));
+      break;
+    case 'process':
+      slide.steps = ['Plan', 'Build', 'Review', 'Launch'].map(title => ({ title, detail: `${title} ${aspect}` }));
+      break;
+    default:
+      break;
+  }
+
+  if (index % 3 === 1) {
+    slide.table = {
+      headers: ['Aspect', 'Detail'],
+      rows: [['First', 'Example detail'], ['Second', 'Another detail']]
+    };
+  } else if (index % 3 === 2) {
+    slide.chart = {
+      type: 'bar',
+      title: `${topic} metrics`,
+      labels: ['Q1', 'Q2', 'Q3', 'Q4'],
+      values: [10 + index, 20 + index, 30 + index, 40 + index]
+    };
+  }
+
+  return slide;
+}
+
+// Deterministic offline provider: returns canned JSON so the pipeline runs without any API key.
+// LLM_FIXTURE_FILE may point at a JSON outline to return verbatim for outline requests.
+function createFixtureProvider(env) {
+  const fixtureFile = env.LLM_FIXTURE_FILE;
+  if (fixtureFile && !fs.existsSync(fixtureFile)) {
+    throw new Error(`LLM_FIXTURE_FILE "${fixtureFile}" does not exist.`);
+  }
+
+  return {
+    name: 'fixture',
+    model: fixtureFile || 'built-in',
+    async generateText(prompt, meta = {}) {
+      const topic = meta.topic || 'Sample Topic';
+
+      if (meta.task === 'summarize') {
+        const points = meta.sourceIds.map(id => ({ text: `Key point from excerpt ${id} about ${topic}`, sources: [id] }));
+        return JSON.stringify({ points });
+      }
+
+      if (meta.task === 'slide') {
+        const slide = fixtureSlide(topic, meta.slideIndex || 0, (meta.slideIndex || 0) + 2, meta.notesWords);
+        slide.slideTitle = `${meta.slide?.slideTitle || slide.slideTitle} (revised)`;
+        if (meta.instruction) {
+          slide.bulletPoints[0] = `Revised as requested: ${meta.instruction}`;
+        }
+        return JSON.stringify(slide);
+      }
+
+      if (meta.task === 'commentary') {
+        // Quote the computed facts, so the numbers trace back to the data
+        const facts = meta.facts && meta.facts.length > 0 ? meta.facts : [`No figures for ${topic}`];
+        const bulletPoints = [...facts.slice(0, 4), 'Takeaway for the audience'];
+        return JSON.stringify({ bulletPoints, speakerNotes: fixtureNotes(topic, meta.slideIndex || 0, meta.notesWords) });
+      }
+
+      if (fixtureFile) {
+        return fs.readFileSync(fixtureFile, 'utf8');
+      }
+
+      const slideCount = meta.slideCount || 5;
+      const slides = [];
+      for (let i = 0; i < slideCount; i++) {
+        const slide = fixtureSlide(topic, i, slideCount, meta.notesWords);
+        if (meta.sourceIds) {
+          slide.sources = [meta.sourceIds[i % meta.sourceIds.length]];
+        }
+        slides.push(slide);
+      }
+      return JSON.stringify({ title: `${topic} Overview`, slides });
+    }
+  };
+}
+
+module.exports = createFixtureProvider;
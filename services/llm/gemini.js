@@ -0,0 +1,23 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+// Google Gemini provider
+function createGeminiProvider(env) {
+  if (!env.GEMINI_API_KEY) {
+    throw new Error('GEMINI_API_KEY environment variable not set.');
+  }
+
+  const modelName = env.GEMINI_MODEL || 'gemini-1.5-flash';
+  const genAI = new GoogleGenerativeAI(env.GEMINI_API_KEY);
+  const model = genAI.getGenerativeModel({ model: modelName });
+
+  return {
+    name: 'gemini',
+    model: modelName,
+    async generateText(prompt) {
+      const result = await model.generateContent(prompt);
+      return result.response.text();
+    }
+  };
+}
+
+module.exports = createGeminiProvider;
@@ -0,0 +1,30 @@
+const createGeminiProvider = require('./gemini');
+const createOpenAIProvider = require('./openai');
+const createFixtureProvider = require('./fixture');
+
+// LLM providers selectable with LLM_PROVIDER. Each factory receives the environment,
+// validates its own configuration and returns { name, model, generateText(prompt, meta) }.
+const providers = {
+  gemini: createGeminiProvider,
+  openai: createOpenAIProvider,
+  fixture: createFixtureProvider
+};
+
+let activeProvider = null;
+
+// Return the configured provider, creating it on first use
+function getProvider() {
+  if (!activeProvider) {
+    const name = (process.env.LLM_PROVIDER || 'gemini').toLowerCase();
+    const factory = providers[name];
+    if (!factory) {
+      throw new Error(`Unknown LLM_PROVIDER "${name}". Use one of: ${Object.keys(providers).join(', ')}.`);
+    }
+    activeProvider = factory(process.env);
+  }
+  return activeProvider;
+}
+
+module.exports = {
+  getProvider
+};
@@ -0,0 +1,47 @@
+const axios = require('axios');
+
+// OpenAI-compatible chat completions provider (OpenAI, llama.cpp server, Ollama, vLLM, ...)
+function createOpenAIProvider(env) {
+  const baseUrl = (env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+  const apiKey = env.OPENAI_API_KEY;
+  const modelName = env.OPENAI_MODEL || 'gpt-4o-mini';
+  const timeout = Number(env.LLM_TIMEOUT_MS) || 60000;
+
+  // Local servers usually don't need a key, the hosted API always does
+  if (!apiKey && baseUrl.includes('api.openai.com')) {
+    throw new Error('OPENAI_API_KEY environment variable not set.');
+  }
+
+  return {
+    name: 'openai',
+    model: modelName,
+    async generateText(prompt) {
+      try {
+        const response = await axios.post(`${baseUrl}/chat/completions`, {
+          model: modelName,
+          messages: [{ role: 'user', content: prompt }],
+          temperature: 0.7
+        }, {
+          headers: apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {},
+          timeout
+        });
+
+        const content = response.data?.choices?.[0]?.message?.content;
+        if (typeof content !== 'string') {
+          throw new Error('OpenAI-compatible response has no message content.');
+        }
+        return content;
+      } catch (error) {
+        if (!error.response) {
+          throw error;
+        }
+        // Surface the HTTP status so callers can retry on 503 like with Gemini
+        const wrapped = new Error(`OpenAI-compatible request failed: ${error.response.status} ${error.response.statusText || ''}`.trim());
+        wrapped.status = error.response.status;
+        throw wrapped;
+      }
+    }
+  };
+}
+
+module.exports = createOpenAIProvider;
@@ -0,0 +1,448 @@
+const { LAYOUTS, LAYOUT_FIELDS, CHART_TYPES } = require('./outlineSchema');
+const { validateRenderInput, validateCreditOptions } = require('./outline');
+
+// Markdown decks travel in JSON bodies; keep them well under the 10mb limit
+const MAX_MARKDOWN_LENGTH = 200000;
+
+// Front-matter keys and the render option or outline field they set
+const FRONT_MATTER_KEYS = {
+  title: 'title',
+  subtitle: 'subtitle',
+  theme: 'colorTheme',
+  brandKit: 'brandKit',
+  template: 'template',
+  layout: 'layout'
+};
+
+// Plain text of inline Markdown: links, emphasis and code spans are reduced to their text
+function stripInline(text) {
+  return text
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/(\*\*|__)(.+?)\1/g, '$2')
+    .replace(/(\*|_)(.+?)\1/g, '$2')
+    .replace(/`([^`]*)`/g, '$1')
+    .trim();
+}
+
+// Leading `---` block of `key: value` lines; values starting with { are JSON (e.g. a custom theme)
+function parseFrontMatter(markdown, errors) {
+  const match = markdown.match(/^---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/);
+  if (!match) {
+    return { meta: {}, body: markdown };
+  }
+
+  const meta = {};
+  for (const line of match[1].split(/\r?\n/)) {
+    if (!line.trim() || line.trim().startsWith('#')) continue;
+
+    const pair = line.match(/^\s*([A-Za-z]+)\s*:\s*(.*?)\s*$/);
+    if (!pair) {
+      errors.push(`Front matter: cannot read line "${line.trim()}" (expected key: value)`);
+      continue;
+    }
+    const [, key, raw] = pair;
+    if (!FRONT_MATTER_KEYS[key]) {
+      errors.push(`Front matter: unknown key "${key}" (use ${Object.keys(FRONT_MATTER_KEYS).join(', ')})`);
+      continue;
+    }
+
+    let value = raw.replace(/^(['"])(.*)\1$/, '$2');
+    if (value.startsWith('{')) {
+      try {
+        value = JSON.parse(value);
+      } catch (error) {
+        errors.push(`Front matter: ${key} is not valid JSON (${error.message})`);
+        continue;
+      }
+    }
+    meta[FRONT_MATTER_KEYS[key]] = value;
+  }
+
+  return { meta, body: markdown.slice(match[0].length) };
+}
+
+// Number in a chart block, allowing thousands separators, currency symbols and percent signs
+const parseNumber = (text) => (/\d/.test(text) ? Number(text.replace(/[\s,%$€£]/g, '')) : NaN);
+
+// ```chart block: JSON, or `type:` / `title:` lines followed by one `label: value` line per item
+function parseChart(lines) {
+  const text = lines.join('\n').trim();
+  if (text.startsWith('{')) {
+    try {
+      return { chart: JSON.parse(text) };
+    } catch (error) {
+      return { error: `chart block is not valid JSON (${error.message})` };
+    }
+  }
+
+  const chart = { type: 'bar', labels: [], values: [] };
+  for (const line of lines.filter(l => l.trim())) {
+    const setting = line.match(/^\s*(type|title)\s*:\s*(.*?)\s*$/);
+    if (setting && setting[1] === 'type') {
+      if (!CHART_TYPES.includes(setting[2])) {
+        return { error: `chart type must be one of: ${CHART_TYPES.join(', ')}` };
+      }
+      chart.type = setting[2];
+    } else if (setting) {
+      chart.title = setting[2];
+    } else {
+      // Labels may contain colons; the value follows the last one
+      const separator = line.lastIndexOf(':');
+      if (separator === -1) {
+        return { error: `cannot read chart line "${line.trim()}" (expected label: value)` };
+      }
+      const key = line.slice(0, separator).trim();
+      const number = parseNumber(line.slice(separator + 1).trim());
+      if (Number.isNaN(number)) {
+        return { error: `chart value for "${key}" must be a number` };
+      }
+      chart.labels.push(key);
+      chart.values.push(number);
+    }
+  }
+  return { chart };
+}
+
+// Fenced blocks holding the JSON content of a structured layout (```timeline, ```stat, ...)
+const LAYOUT_BLOCKS = Object.values(LAYOUT_FIELDS);
+
+// Charts the `label: value` lines can hold: one series of categories and no other settings
+const CHART_LINE_KEYS = ['type', 'title', 'labels', 'values'];
+const isSimpleChart = (chart) => Array.isArray(chart.labels) && Array.isArray(chart.values)
+  && chart.type !== 'scatter'
+  && Object.keys(chart).every(key => CHART_LINE_KEYS.includes(key));
+
+// Cells of a pipe table row; `\|` is a literal pipe
+function parseTableRow(line) {
+  return line
+    .trim()
+    .replace(/^\|/, '')
+    .replace(/(?<!\\)\|$/, '')
+    .split(/(?<!\\)\|/)
+    .map(cell => stripInline(cell.replace(/\\\|/g, '|')));
+}
+
+const isTableSeparator = (line) => line !== undefined && /^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/.test(line);
+
+// Layout for a slide without a layout comment, based on the kind of content it has
+function inferLayout(slide, kinds, defaultLayout) {
+  const structured = Object.keys(LAYOUT_FIELDS).find(layout => slide[LAYOUT_FIELDS[layout]] !== undefined);
+  if (structured) return structured;
+  const hasData = Boolean(slide.table || slide.chart);
+  if (slide.bulletPoints.length === 0 && !hasData && !slide.image) return 'section-divider';
+  if (slide.image) return 'image-left';
+  if (kinds[0] === 'quote') return 'quote';
+  if (kinds.length > 0 && kinds.every(k => k === 'task')) return 'checklist';
+  if (kinds.length > 0 && kinds.every(k => k === 'ordered')) return 'numbers';
+  if (hasData && slide.bulletPoints.length > 0) return 'two-column';
+  return defaultLayout || 'title-bullets';
+}
+
+// Convert a Markdown deck into an outline without any AI: H1 is the deck title (later H1s become
+// section dividers), each H2 starts a slide, lists/paragraphs/quotes become bullets, pipe tables
+// become `table`, ```chart blocks become `chart`, and <!-- layout: ... --> / <!-- notes: ... -->
+// comments set a slide's layout and speaker notes. Returns { outline, options, errors }.
+function parseMarkdownDeck(markdown) {
+  const errors = [];
+  const { meta, body } = parseFrontMatter(markdown, errors);
+  const lines = body.split(/\r?\n/);
+
+  let title = null;
+  const intro = [];
+  const slides = [];
+  let slide = null;
+  let kinds = [];
+  const slideKinds = [];
+  let paragraph = null;
+
+  const where = () => (slide ? `Slide ${slides.length} (${slide.slideTitle})` : 'Before the first slide');
+
+  const startSlide = (slideTitle, layout) => {
+    slide = { slideTitle, bulletPoints: [], ...(layout && { layout }) };
+    kinds = [];
+    slides.push(slide);
+    slideKinds.push(kinds);
+    paragraph = null;
+  };
+
+  const addText = (text, kind) => {
+    const clean = stripInline(text);
+    if (!clean) return;
+    if (slide) {
+      slide.bulletPoints.push(clean);
+      kinds.push(kind);
+    } else {
+      intro.push(clean);
+    }
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    if (!line.trim()) {
+      paragraph = null;
+      continue;
+    }
+
+    // Fenced block: ```chart becomes the slide's chart, ```timeline, ```comparison, ```stat, ```cards
+    // and ```steps blocks (JSON) the content of those layouts; other code is kept as one bullet
+    const fence = line.match(/^\s*(```|~~~)\s*([\w-]*)/);
+    if (fence) {
+      const block = [];
+      for (i++; i < lines.length && !lines[i].trim().startsWith(fence[1]); i++) {
+        block.push(lines[i]);
+      }
+      paragraph = null;
+      const name = fence[2].toLowerCase();
+
+      if (LAYOUT_BLOCKS.includes(name)) {
+        if (!slide) {
+          errors.push(`${name} blocks must come after a ## slide heading`);
+        } else {
+          try {
+            slide[name] = JSON.parse(block.join('\n'));
+          } catch (error) {
+            errors.push(`${where()}: ${name} block is not valid JSON (${error.message})`);
+          }
+        }
+      } else if (name !== 'chart') {
+        if (slide && block.join('').trim()) {
+          slide.bulletPoints.push(block.join('\n').trim());
+          kinds.push('code');
+        }
+      } else if (!slide) {
+        errors.push('Charts must come after a ## slide heading');
+      } else if (slide.chart) {
+        errors.push(`${where()}: only one chart per slide`);
+      } else {
+        const { chart, error } = parseChart(block);
+        if (error) errors.push(`${where()}: ${error}`);
+        else slide.chart = chart;
+      }
+      continue;
+    }
+
+    // HTML comment: layout and notes hints for the current slide, anything else is ignored
+    if (line.trim().startsWith('<!--')) {
+      const block = [line.trim().replace(/^<!--/, '')];
+      while (!block[block.length - 1].includes('-->') && i + 1 < lines.length) {
+        block.push(lines[++i]);
+      }
+      const text = block.join('\n').replace(/-->[\s\S]*$/, '').trim();
+      paragraph = null;
+
+      const hint = text.match(/^(layout|notes)\s*:\s*([\s\S]*)$/);
+      if (!hint || !slide) continue;
+      if (hint[1] === 'notes') {
+        slide.speakerNotes = hint[2].trim();
+      } else if (!LAYOUTS.includes(hint[2].trim())) {
+        errors.push(`${where()}: layout must be one of: ${LAYOUTS.join(', ')}`);
+      } else {
+        slide.layout = hint[2].trim();
+      }
+      continue;
+    }
+
+    const heading = line.match(/^(#{1,6})\s+(.+?)\s*#*\s*$/);
+    if (heading) {
+      const text = stripInline(heading[2]);
+      if (heading[1].length === 1 && title === null && slides.length === 0) {
+        title = text;
+      } else if (heading[1].length === 1) {
+        startSlide(text, 'section-divider');
+      } else if (heading[1].length === 2) {
+        startSlide(text);
+      } else {
+        addText(text, 'heading');
+      }
+      paragraph = null;
+      continue;
+    }
+
+    if (line.trim().startsWith('|') && isTableSeparator(lines[i + 1])) {
+      const headers = parseTableRow(line);
+      const rows = [];
+      for (i += 2; i < lines.length && lines[i].trim().startsWith('|'); i++) {
+        rows.push(parseTableRow(lines[i]));
+      }
+      i--;
+      paragraph = null;
+
+      if (!slide) {
+        errors.push('Tables must come after a ## slide heading');
+      } else if (slide.table) {
+        errors.push(`${where()}: only one table per slide`);
+      } else {
+        // Short rows are padded so the table stays rectangular
+        slide.table = { headers, rows: rows.map(row => headers.map((_, c) => row[c] || '')) };
+      }
+      continue;
+    }
+
+    const image = line.match(/^\s*!\[([^\]]*)\]\(([^)\s]+)[^)]*\)\s*$/);
+    if (image) {
+      if (slide) {
+        slide.image = image[2].startsWith('data:image/') ? { data: image[2], idea: image[1] } : { idea: image[1] || image[2] };
+      }
+      paragraph = null;
+      continue;
+    }
+
+    const item = line.match(/^\s*([-*+]|\d+[.)])\s+(\[[ xX]\]\s+)?(.*)$/);
+    if (item) {
+      addText(item[3], item[2] ? 'task' : /\d/.test(item[1]) ? 'ordered' : 'bullet');
+      paragraph = 'item';
+      continue;
+    }
+
+    const quote = line.match(/^\s*>\s?(.*)$/);
+    if (quote) {
+      if (paragraph === 'quote' && slide) {
+        const last = slide.bulletPoints.length - 1;
+        slide.bulletPoints[last] = `${slide.bulletPoints[last]} ${stripInline(quote[1])}`.trim();
+      } else {
+        addText(quote[1], 'quote');
+        paragraph = 'quote';
+      }
+      continue;
+    }
+
+    // Continuation of the previous paragraph, list item or quote
+    if (paragraph && slide && slide.bulletPoints.length > 0) {
+      const last = slide.bulletPoints.length - 1;
+      slide.bulletPoints[last] = `${slide.bulletPoints[last]} ${stripInline(line)}`;
+      continue;
+    }
+    addText(line, 'paragraph');
+    paragraph = 'paragraph';
+  }
+
+  slides.forEach((s, idx) => {
+    if (!s.layout) {
+      s.layout = inferLayout(s, slideKinds[idx], meta.layout);
+    }
+  });
+
+  if (meta.layout !== undefined && !LAYOUTS.includes(meta.layout)) {
+    errors.push(`Front matter: layout must be one of: ${LAYOUTS.join(', ')}`);
+  }
+  if (slides.length === 0) {
+    errors.push('Markdown must contain at least one slide (a ## heading)');
+  }
+
+  const subtitle = meta.subtitle || intro.join(' ');
+  const outline = {
+    title: meta.title || title || (slides[0] && slides[0].slideTitle) || 'Presentation',
+    ...(subtitle && { subtitle }),
+    slides
+  };
+  const options = {
+    ...(meta.colorTheme && { colorTheme: meta.colorTheme }),
+    ...(meta.brandKit && { brandKit: meta.brandKit }),
+    ...(meta.template && { template: meta.template })
+  };
+
+  return { outline, options, errors };
+}
+
+// Validate a /markdown request body and build the render input; returns { errors, input }.
+// colorTheme, brandKit and template in the body override the Markdown front matter.
+function buildMarkdownRender(body) {
+  const { markdown } = body;
+  if (typeof markdown !== 'string' || !markdown.trim()) {
+    return { errors: ['Markdown must be a non-empty string'] };
+  }
+  if (markdown.length > MAX_MARKDOWN_LENGTH) {
+    return { errors: [`Markdown must be at most ${MAX_MARKDOWN_LENGTH} characters`] };
+  }
+
+  const { outline, options, errors } = parseMarkdownDeck(markdown);
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  const creditErrors = validateCreditOptions(body);
+  if (creditErrors.length > 0) {
+    return { errors: creditErrors };
+  }
+
+  const input = {
+    outline,
+    topic: outline.title.slice(0, 200),
+    colorTheme: body.colorTheme || options.colorTheme || 'blue',
+    brandKit: body.brandKit || options.brandKit || null,
+    template: body.template || options.template || null,
+    creditCaptions: body.creditCaptions !== false,
+    creditsSlide: body.creditsSlide !== false,
+    format: body.format || 'pptx'
+  };
+  return { errors: validateRenderInput(input), input };
+}
+
+// Pipe-table cell text
+const tableCell = (value) => String(value).replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ');
+
+// Serialize an outline (plus its render options) as a Markdown deck that parseMarkdownDeck
+// turns back into the same slides. Images are not included.
+function outlineToMarkdown(outline, options = {}) {
+  // Saved names are written as is, inline objects as JSON (parseFrontMatter reads both)
+  const metaValue = (value) => (typeof value === 'string' ? value : JSON.stringify(value));
+  const frontMatter = [
+    options.colorTheme && `theme: ${metaValue(options.colorTheme)}`,
+    options.brandKit && `brandKit: ${metaValue(options.brandKit)}`,
+    options.template && `template: ${metaValue(options.template)}`
+  ].filter(Boolean);
+
+  const parts = [];
+  if (frontMatter.length > 0) {
+    parts.push(`---\n${frontMatter.join('\n')}\n---`);
+  }
+  parts.push(`# ${outline.title || 'Presentation'}`);
+  if (outline.subtitle) {
+    parts.push(outline.subtitle);
+  }
+
+  for (const slide of outline.slides) {
+    parts.push(`## ${slide.slideTitle}\n<!-- layout: ${slide.layout || 'title-bullets'} -->`);
+
+    const bullets = (slide.bulletPoints || []).filter(Boolean).map(b => `- ${b.replace(/\s*\n\s*/g, ' ')}`);
+    if (bullets.length > 0) {
+      parts.push(bullets.join('\n'));
+    }
+    if (slide.table) {
+      const { headers, rows } = slide.table;
+      parts.push([
+        `| ${headers.map(tableCell).join(' | ')} |`,
+        `| ${headers.map(() => '---').join(' | ')} |`,
+        ...rows.map(row => `| ${row.map(tableCell).join(' | ')} |`)
+      ].join('\n'));
+    }
+    if (slide.chart) {
+      const { type, title, labels, values } = slide.chart;
+      parts.push(isSimpleChart(slide.chart)
+        ? [
+          '```chart',
+          `type: ${type || 'bar'}`,
+          ...(title ? [`title: ${title}`] : []),
+          ...labels.map((label, i) => `${label}: ${values[i]}`),
+          '```'
+        ].join('\n')
+        : ['```chart', JSON.stringify(slide.chart), '```'].join('\n'));
+    }
+    for (const field of LAYOUT_BLOCKS.filter(f => slide[f] !== undefined)) {
+      parts.push([`\`\`\`${field}`, JSON.stringify(slide[field]), '```'].join('\n'));
+    }
+    if (slide.speakerNotes) {
+      parts.push(`<!-- notes:\n${slide.speakerNotes.replace(/-->/g, '->')}\n-->`);
+    }
+  }
+
+  return `${parts.join('\n\n')}\n`;
+}
+
+module.exports = {
+  parseMarkdownDeck,
+  buildMarkdownRender,
+  outlineToMarkdown
+};
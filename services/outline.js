@@ -0,0 +1,611 @@
+const { getProvider } = require('./llm');
+const { validateTheme } = require('./themes');
+const { validateBrandKit } = require('./brandKits');
+const { validateTemplate } = require('./templates');
+const { validateDocuments, documentTopic, sourceRef } = require('./sources');
+const { validateFormat } = require('./export/formats');
+const { traceableNumbers, untracedNumbers } = require('./data');
+const {
+  LAYOUTS,
+  BULLET_LAYOUTS,
+  LAYOUT_FIELDS,
+  CHART_TYPES,
+  chartSeries,
+  outlineSchema,
+  generatedSlideSchema,
+  generatedOutlineSchema,
+  sourcePointsSchema,
+  dataCommentarySchema,
+  check
+} = require('./outlineSchema');
+
+// Number of targeted repair prompts sent when the model's JSON fails validation
+const MAX_REPAIR_ATTEMPTS = 2;
+
+// Chart shape described to the model (see chartSchema in services/outlineSchema.js)
+const CHART_PROMPT = `{ type: '${CHART_TYPES.join("'|'")}', labels: string[], series: [{ name: string, values: number[] }], title?: string, stacked?: boolean, xAxisTitle?: string, yAxisTitle?: string, dataLabels?: boolean }`;
+
+// Layouts described to the model, and the fields of the structured ones (see services/outlineSchema.js)
+const LAYOUT_PROMPT = `one of ['${LAYOUTS.join("','")}']`;
+const LAYOUT_FIELDS_PROMPT = `- 'timeline' (layout 'timeline', for history, roadmaps and milestones): [{ label: string (date or phase, e.g. "2021" or "Q3"), title: string, detail?: string }]  // 3-6 events in order
+- 'comparison' (layout 'comparison', for pros and cons or two options side by side): { left: { heading: string, points: string[] }, right: { heading: string, points: string[] } }  // 2-4 points per side
+- 'stat' (layout 'big-stat', for one striking number): { value: string (e.g. "42%", "$3.5M"), label: string (what the number measures), context?: string }
+- 'cards' (layout 'card-grid', for team members, features or pillars): [{ title: string, subtitle?: string, text?: string }]  // 3-6 cards
+- 'steps' (layout 'process', for workflows and how-tos): [{ title: string (2-4 words), detail?: string }]  // 3-5 steps in order
+Layout 'agenda' lists the deck's sections (or slide titles) by itself; it needs no bullets.`;
+
+// Supported slide counts, and the talk length (minutes) range used to size speaker notes
+const SLIDE_COUNTS = [3, 5, 7, 10];
+const MAX_TALK_LENGTH = 120;
+
+// Average speaking rate used to turn a talk length into words of speaker notes
+const WORDS_PER_MINUTE = 130;
+
+// Source text sent in one prompt; longer documents are condensed batch by batch first
+const SOURCE_PROMPT_CHARS = 24000;
+
+// Longest instruction accepted when regenerating a single slide
+const MAX_INSTRUCTION_LENGTH = 300;
+
+// Suggested slide count for a talk: about two minutes per slide, rounded to a supported count
+function slideCountForTalk(talkLength) {
+  const target = talkLength / 2;
+  return SLIDE_COUNTS.reduce((best, count) => (Math.abs(count - target) < Math.abs(best - target) ? count : best));
+}
+
+// Target length of each slide's speaker notes, in words
+function notesWordTarget(slideCount, talkLength) {
+  if (!talkLength) {
+    return 80;
+  }
+  return Math.max(30, Math.round((talkLength * WORDS_PER_MINUTE) / slideCount));
+}
+
+function validateTalkLength(talkLength) {
+  if (talkLength === undefined || talkLength === null) {
+    return [];
+  }
+  return Number.isInteger(talkLength) && talkLength >= 1 && talkLength <= MAX_TALK_LENGTH
+    ? []
+    : [`Talk length must be a whole number of minutes between 1 and ${MAX_TALK_LENGTH}`];
+}
+
+// Optional instruction for a slide rewrite, e.g. "make it more technical"
+function validateInstruction(instruction) {
+  if (instruction === undefined || instruction === null || instruction === '') {
+    return [];
+  }
+  return typeof instruction === 'string' && instruction.length <= MAX_INSTRUCTION_LENGTH
+    ? []
+    : [`Instruction must be a string of at most ${MAX_INSTRUCTION_LENGTH} characters`];
+}
+
+// Image credit switches of a render: both optional booleans
+function validateCreditOptions({ creditCaptions, creditsSlide }) {
+  const errors = [];
+  if (creditCaptions !== undefined && typeof creditCaptions !== 'boolean') {
+    errors.push('creditCaptions must be a boolean');
+  }
+  if (creditsSlide !== undefined && typeof creditsSlide !== 'boolean') {
+    errors.push('creditsSlide must be a boolean');
+  }
+  return errors;
+}
+
+// Input validation function
+function validateInput(topic, slideCount, presentationStyle, audienceLevel, colorTheme, brandKit, template, talkLength, documents) {
+  const errors = [];
+
+  if (!topic || typeof topic !== 'string' || topic.trim().length < 3) {
+    errors.push('Topic must be at least 3 characters long');
+  }
+
+  if (topic && topic.length > 200) {
+    errors.push('Topic must be less than 200 characters');
+  }
+
+  if (slideCount && !SLIDE_COUNTS.includes(slideCount)) {
+    errors.push('Slide count must be 3, 5, 7, or 10');
+  }
+
+  const validStyles = ['professional', 'casual', 'academic', 'creative'];
+  if (presentationStyle && !validStyles.includes(presentationStyle)) {
+    errors.push('Invalid presentation style');
+  }
+
+  const validLevels = ['beginner', 'general', 'expert'];
+  if (audienceLevel && !validLevels.includes(audienceLevel)) {
+    errors.push('Invalid audience level');
+  }
+
+  errors.push(...validateTheme(colorTheme));
+  errors.push(...validateBrandKit(brandKit));
+  errors.push(...validateTemplate(template));
+  errors.push(...validateTalkLength(talkLength));
+  errors.push(...validateDocuments(documents));
+
+  return errors;
+}
+
+// Topic of a generation request: the given topic or, for document-based decks without one,
+// the first document's name (call before validateInput)
+function requestTopic({ topic, documents }) {
+  if (topic || !Array.isArray(documents) || documents.length === 0 || validateDocuments(documents).length > 0) {
+    return topic;
+  }
+  return documentTopic(documents);
+}
+
+// Generation options from a request body, with defaults applied (call after validateInput)
+function buildOptions(body) {
+  return {
+    slideCount: body.slideCount || (body.talkLength ? slideCountForTalk(body.talkLength) : 5),
+    talkLength: body.talkLength || null,
+    presentationStyle: body.presentationStyle || 'professional',
+    audienceLevel: body.audienceLevel || 'general',
+    includeConclusion: body.includeConclusion !== false,
+    colorTheme: body.colorTheme || 'blue',
+    brandKit: body.brandKit || null,
+    template: body.template || null,
+    creditCaptions: body.creditCaptions !== false,
+    creditsSlide: body.creditsSlide !== false,
+    format: body.format || 'pptx'
+  };
+}
+
+// Render options from a render request body, with defaults applied (call after validateRenderInput)
+function buildRenderOptions(body) {
+  return {
+    topic: body.topic && body.topic.trim(),
+    colorTheme: body.colorTheme || 'blue',
+    brandKit: body.brandKit || null,
+    template: body.template || null,
+    creditCaptions: body.creditCaptions !== false,
+    creditsSlide: body.creditsSlide !== false,
+    format: body.format || 'pptx'
+  };
+}
+
+// Validation for render requests: an edited outline plus optional topic, theme, brand kit,
+// template, image credit switches and export format
+function validateRenderInput({ outline, topic, colorTheme, brandKit, template, creditCaptions, creditsSlide, format }) {
+  const errors = validateOutline(outline);
+
+  if (topic !== undefined && (typeof topic !== 'string' || topic.length > 200)) {
+    errors.push('Topic must be a string of less than 200 characters');
+  }
+
+  errors.push(...validateTheme(colorTheme));
+  errors.push(...validateBrandKit(brandKit));
+  errors.push(...validateTemplate(template));
+  errors.push(...validateCreditOptions({ creditCaptions, creditsSlide }));
+  errors.push(...validateFormat(format));
+
+  return errors;
+}
+
+// Outline validation for outlines submitted by the client (e.g. after manual editing)
+function validateOutline(outline) {
+  return check(outlineSchema, outline).errors;
+}
+
+// Group source chunks into batches that each fit in one prompt
+function batchSources(sources) {
+  const batches = [[]];
+  let size = 0;
+  for (const chunk of sources) {
+    if (size + chunk.text.length > SOURCE_PROMPT_CHARS && batches[batches.length - 1].length > 0) {
+      batches.push([]);
+      size = 0;
+    }
+    batches[batches.length - 1].push(chunk);
+    size += chunk.text.length;
+  }
+  return batches;
+}
+
+const formatChunk = (chunk) => `[${chunk.id}] (${[chunk.document, chunk.location].filter(Boolean).join(', ')})\n${chunk.text}`;
+
+// Condense one batch of source chunks into key points that keep their chunk numbers
+async function condenseSources(topic, batch, batchIndex, batchCount) {
+  const ids = batch.map(chunk => chunk.id);
+  const prompt = `You are preparing material for a presentation about '${topic}'. Below is part ${batchIndex + 1} of ${batchCount} of the source documents, split into numbered excerpts.
+
+${batch.map(formatChunk).join('\n\n')}
+
+Extract the key facts, figures, arguments and conclusions from these excerpts. Return a JSON object with:
+- 'points': array of { 'text': string (one self-contained point, keep exact figures and names), 'sources': array of the excerpt numbers it comes from }
+
+Use only excerpt numbers shown above (${ids[0]}-${ids[ids.length - 1]}). Return ONLY JSON (no markdown fences, no extra commentary).`;
+
+  const data = await requestValidJson(prompt, (candidate) => {
+    const result = check(sourcePointsSchema, candidate);
+    if (!result.success) return result;
+    const unknown = result.data.points.flatMap(p => p.sources).filter(id => !ids.includes(id));
+    return unknown.length > 0
+      ? { success: false, errors: [`points: unknown excerpt numbers ${[...new Set(unknown)].join(', ')}`] }
+      : result;
+  }, { task: 'summarize', topic, sourceIds: ids });
+
+  return data.points;
+}
+
+// Source material for the outline prompt: the excerpts themselves when they fit,
+// otherwise key points condensed from each batch of excerpts
+async function sourceMaterial(topic, sources) {
+  const batches = batchSources(sources);
+  if (batches.length === 1) {
+    return sources.map(formatChunk).join('\n\n');
+  }
+
+  console.log(`Condensing ${sources.length} source chunks in ${batches.length} batches`);
+  const points = [];
+  for (let i = 0; i < batches.length; i++) {
+    points.push(...await condenseSources(topic, batches[i], i, batches.length));
+  }
+  return points.map(p => `- ${p.text} [${p.sources.join(', ')}]`).join('\n');
+}
+
+// Layouts with nothing to cite: agendas and section dividers only name other slides
+const UNCITED_LAYOUTS = ['agenda', 'section-divider'];
+
+// Problems with the source numbers cited by generated slides
+function citationErrors(slides, sourceIds) {
+  const errors = [];
+  slides.forEach((slide, idx) => {
+    if (!slide.sources || slide.sources.length === 0) {
+      if (UNCITED_LAYOUTS.includes(slide.layout)) return;
+      errors.push(`Slide ${idx + 1} sources: cite at least one source number`);
+      return;
+    }
+    const unknown = slide.sources.filter(id => !sourceIds.includes(id));
+    if (unknown.length > 0) {
+      errors.push(`Slide ${idx + 1} sources: unknown source numbers ${unknown.join(', ')}`);
+    }
+  });
+  return errors;
+}
+
+// Replace cited source numbers with references to the document and location they point at
+function citeSources(outline, sources) {
+  const byId = new Map(sources.map(chunk => [chunk.id, chunk]));
+  return {
+    ...outline,
+    slides: outline.slides.map(slide => ({
+      ...slide,
+      sources: [...new Set(slide.sources)].map(id => sourceRef(byId.get(id)))
+    }))
+  };
+}
+
+// Enhanced presentation outline function with visual hints. With `sources` (chunks from
+// uploaded documents) the deck summarizes that material and every content slide cites its chunks.
+async function getPresentationOutline(topic, options = {}, sources = null) {
+  const {
+    slideCount = 5,
+    presentationStyle = 'professional',
+    audienceLevel = 'general',
+    includeConclusion = true,
+    talkLength = null
+  } = options;
+  const notesWords = notesWordTarget(slideCount, talkLength);
+
+  try {
+    const material = sources ? await sourceMaterial(topic, sources) : null;
+    const sourceIds = sources ? sources.map(chunk => chunk.id) : null;
+
+    const prompt = `Create a high-quality PowerPoint outline about '${topic}' with EXACTLY ${slideCount} slides.
+${material ? `
+The deck summarizes the source documents below. Each excerpt or point is marked with its number in square brackets.
+Use only facts, figures and claims found in this material; do not invent statistics, quotes or examples.
+
+SOURCE MATERIAL:
+${material}
+` : ''}
+IMPORTANT: You must create exactly ${slideCount} slides, no more, no less.
+
+Style: ${presentationStyle}
+Audience level: ${audienceLevel}
+${includeConclusion ? 'Include a conclusion slide as one of the slides.' : ''}
+${talkLength ? `Talk length: ${talkLength} minutes for the whole deck.` : ''}
+
+Return a JSON object with:
+- 'title': string
+- 'slides': array with exactly ${slideCount} slide objects
+
+Each slide object must have:
+- 'slideTitle': string
+- 'bulletPoints': array of strings (4-6 bullet points per slide). IMPORTANT: This must be a JSON array of individual strings, like ["Point one", "Point two"]. Do NOT concatenate points into a single string with slashes, numbers, or checkmarks embedded; keep them as separate strings in the array. Do not include any bullet symbols, checkmarks (like ✓ or √), numbers, or separators in the bullet point strings; keep them plain text.
+- 'layout': ${LAYOUT_PROMPT} ensuring diversity across slides (do not repeat the same layout back-to-back)
+- 'visualStyleHint': short phrase describing a distinct visual idea for this slide (e.g., "accent stripe at top", "two columns", "quote focus")
+- 'visualHint': 1-2 simple descriptive words for image search (e.g., "technology", "business", "education", "teamwork", "growth")
+- 'speakerNotes': string with what the presenter should say on this slide, about ${notesWords} words of natural spoken sentences
+${material ? "- 'sources': array of the source numbers (e.g. [3, 7]) the slide's content is taken from (may be empty on agenda and section-divider slides)\n" : ''}
+Optional per slide (include tables or charts in relevant slides to enhance data presentation, such as those discussing numbers, comparisons, statistics, trends, or structured lists):
+- 'image': { dataUrl?: string (data:image/png;base64,...), url?: string, idea?: string }
+- 'table': { headers: string[], rows: string[][] }  // 2-6 rows, 2-6 columns, use for tabular data
+- 'chart': ${CHART_PROMPT} // max 6 labels and 4 series, use for numerical data, comparisons or trends; 'bar' is horizontal, 'column' vertical; 'pie' and 'doughnut' take one series; 'scatter' uses xValues: number[] instead of labels
+
+Required with the matching layout (these slides show it instead of the bullets, so 'bulletPoints' may be empty):
+${LAYOUT_FIELDS_PROMPT}
+
+Rules:
+- Vary the 'layout' so slides look different from each other. Use the timeline, comparison, big-stat, card-grid and process layouts where the content fits them${slideCount >= 7 ? ", and make slide 2 an 'agenda' slide" : ''}.
+- Provide detailed, informative bullet points with explanations or examples where appropriate. Ensure content is engaging, insightful, and comprehensive.
+- Provide simple 'visualHint' words that work well with stock photo searches.
+- Actively include tables or charts in slides that would benefit from visual data representation.
+- Speaker notes should explain and connect the bullet points (examples, transitions to the next slide), not read them out verbatim.
+- Ensure all strings in the JSON are properly formed. If a string contains a double quote ("), escape it with a backslash (\"). For example, instead of "He said "hello"", use "He said \"hello\"".
+- For character names with nicknames, use formats like Isabel (Belly) Conklin or Isabel 'Belly' Conklin to avoid unescaped double quotes.
+- Return ONLY JSON (no markdown fences, no extra commentary).
+
+Make the content engaging, appropriate for the specified style and audience, and cover the topic in depth. REMEMBER: Return exactly ${slideCount} slides in the slides array.`;
+
+    return await requestValidJson(prompt, (candidate) => {
+      // Extra slides are dropped; missing ones are asked for in the repair prompt
+      if (candidate && Array.isArray(candidate.slides) && candidate.slides.length > slideCount) {
+        console.log(`Warning: AI returned ${candidate.slides.length} slides, requested ${slideCount}. Trimming...`);
+        candidate.slides = candidate.slides.slice(0, slideCount);
+      }
+
+      const result = check(generatedOutlineSchema, candidate);
+      if (result.success && result.data.slides.length < slideCount) {
+        return {
+          success: false,
+          errors: [`slides: expected exactly ${slideCount} slides but received ${result.data.slides.length}`]
+        };
+      }
+      if (result.success && sources) {
+        const errors = citationErrors(result.data.slides, sourceIds);
+        if (errors.length > 0) {
+          return { success: false, errors };
+        }
+        return { ...result, data: citeSources(result.data, sources) };
+      }
+      return result;
+    }, { task: 'outline', topic, slideCount, notesWords, sourceIds });
+  } catch (error) {
+    console.error('Error in getPresentationOutline:', error);
+    throw new Error(`Failed to generate presentation outline: ${error.message}`);
+  }
+}
+
+// Rewrite a single slide of an existing outline, keeping the rest of the deck as context.
+// `instruction` is an optional request from the presenter, e.g. "add a comparison table".
+async function regenerateSlide(topic, outline, slideIndex, options = {}) {
+  const {
+    presentationStyle = 'professional',
+    audienceLevel = 'general',
+    talkLength = null,
+    instruction = ''
+  } = options;
+  const notesWords = notesWordTarget(outline.slides.length, talkLength);
+  const request = instruction ? instruction.trim() : '';
+
+  try {
+    // Source references and the chosen image are kept as they are; the documents and image data
+    // (possibly a whole data URL) are not sent to the model
+    const { sources, image, ...current } = outline.slides[slideIndex];
+    const deckContext = outline.slides
+      .map((s, i) => `${i + 1}. ${s.slideTitle}${i === slideIndex ? '  <-- rewrite this slide' : ''}`)
+      .join('\n');
+
+    // Bullets of the neighbouring slides, so the new version doesn't repeat them
+    const neighbours = [slideIndex - 1, slideIndex + 1]
+      .filter(i => i >= 0 && i < outline.slides.length)
+      .map(i => `Slide ${i + 1} (${outline.slides[i].slideTitle}): ${outline.slides[i].bulletPoints.join('; ')}`)
+      .join('\n');
+
+    const prompt = `You are improving one slide of a PowerPoint deck titled '${outline.title || topic}' about '${topic}'.
+
+Style: ${presentationStyle}
+Audience level: ${audienceLevel}
+
+Deck outline (for context, do not change other slides):
+${deckContext}
+
+${neighbours ? `Neighbouring slides:\n${neighbours}\n\n` : ''}Current version of slide ${slideIndex + 1}:
+${JSON.stringify(current)}
+
+Write a new, better version of slide ${slideIndex + 1} that fits between its neighbours without repeating their content.
+${request ? `The presenter asked for this change: "${request.replace(/"/g, "'")}". Follow it; keep everything it doesn't ask to change consistent with the current version.\n` : ''}${sources && sources.length > 0 ? 'This slide summarizes source documents: keep its facts, figures and claims and do not add new ones.\n' : ''}
+Return a JSON object with:
+- 'slideTitle': string
+- 'bulletPoints': array of 4-6 plain strings (no bullet symbols, numbers, or checkmarks)
+- 'layout': ${LAYOUT_PROMPT}
+- 'visualHint': 1-2 simple descriptive words for image search
+- 'speakerNotes': string with what the presenter should say on this slide, about ${notesWords} words of natural spoken sentences
+
+Optional:
+- 'table': { headers: string[], rows: string[][] }  // 2-6 rows, 2-6 columns
+- 'chart': ${CHART_PROMPT} // max 6 labels and 4 series; 'pie' and 'doughnut' take one series; 'scatter' uses xValues: number[] instead of labels
+
+Required with the matching layout (these slides show it instead of the bullets, so 'bulletPoints' may be empty):
+${LAYOUT_FIELDS_PROMPT}
+
+Return ONLY JSON (no markdown fences, no extra commentary).`;
+
+    const slide = await requestValidJson(prompt, (candidate) => {
+      // Some models wrap the answer as { slide: {...} }
+      const slide = candidate && candidate.slide && typeof candidate.slide === 'object' ? candidate.slide : candidate;
+      return check(generatedSlideSchema, slide);
+    }, { task: 'slide', topic, slideIndex, slide: current, notesWords, instruction: request });
+
+    delete slide.sources;
+    delete slide.image;
+    return {
+      ...slide,
+      ...(sources && { sources }),
+      ...(image !== undefined && { image })
+    };
+  } catch (error) {
+    console.error('Error in regenerateSlide:', error);
+    throw new Error(`Failed to regenerate slide: ${error.message}`);
+  }
+}
+
+// Bullets and speaker notes about data imported into slide `slideIndex` (its chart or table is
+// already set on `slide`). `data` holds the imported rows as CSV and the facts computed from them;
+// every number the model writes must come from one of the two, or the answer is sent back for repair.
+async function writeDataCommentary(topic, outline, slideIndex, slide, data, options = {}) {
+  const {
+    presentationStyle = 'professional',
+    audienceLevel = 'general',
+    talkLength = null
+  } = options;
+  const notesWords = notesWordTarget(outline.slides.length, talkLength);
+  const allowed = traceableNumbers(data, [topic, slide.slideTitle]);
+
+  try {
+    const deckContext = outline.slides
+      .map((s, i) => `${i + 1}. ${s.slideTitle}${i === slideIndex ? '  <-- this slide' : ''}`)
+      .join('\n');
+
+    const prompt = `You are writing the commentary for one slide of a PowerPoint deck titled '${outline.title || topic}' about '${topic}'.
+
+Style: ${presentationStyle}
+Audience level: ${audienceLevel}
+
+Deck outline (for context):
+${deckContext}
+
+Slide ${slideIndex + 1}, '${slide.slideTitle}', shows this ${slide.chart ? `${slide.chart.type} chart` : 'table'} of imported data:
+${data.csv}
+
+Facts computed from the data:
+${data.facts.length > 0 ? data.facts.map(f => `- ${f}`).join('\n') : '- (none)'}
+
+Write what the audience should take away from this data: trends, highs and lows, comparisons.
+Only use numbers that appear in the data or in the facts above, written the same way or rounded; do not compute new ones.
+
+Return a JSON object with:
+- 'bulletPoints': array of 3-5 plain strings (no leading bullet symbols, numbering, or checkmarks)
+- 'speakerNotes': string with what the presenter should say about the data, about ${notesWords} words of natural spoken sentences
+
+Return ONLY JSON (no markdown fences, no extra commentary).`;
+
+    return await requestValidJson(prompt, (candidate) => {
+      const result = check(dataCommentarySchema, candidate);
+      if (!result.success) {
+        return result;
+      }
+      const errors = [
+        ...result.data.bulletPoints.map((bullet, idx) => ({ where: `Bullet ${idx + 1}`, numbers: untracedNumbers(bullet, allowed) })),
+        { where: 'speakerNotes', numbers: untracedNumbers(result.data.speakerNotes, allowed) }
+      ]
+        .filter(({ numbers }) => numbers.length > 0)
+        .map(({ where, numbers }) => `${where} uses ${numbers.join(', ')}, which ${numbers.length === 1 ? 'is' : 'are'} not in the data or the facts; use only numbers given there`);
+      return errors.length > 0 ? { success: false, errors } : result;
+    }, { task: 'commentary', topic, slideIndex, facts: data.facts, notesWords });
+  } catch (error) {
+    console.error('Error in writeDataCommentary:', error);
+    throw new Error(`Failed to write data commentary: ${error.message}`);
+  }
+}
+
+// Send a prompt to the configured LLM provider and parse the JSON object in its reply,
+// retrying while the provider is overloaded. `meta` describes the task for offline providers.
+async function requestJson(prompt, meta = {}) {
+  const provider = getProvider();
+
+  let attempts = 0;
+  const maxAttempts = 3;
+  let delay = 1000; // initial delay in ms
+
+  while (attempts < maxAttempts) {
+    try {
+      const raw = await provider.generateText(prompt, meta);
+      console.log(`LLM raw response (${provider.name}):`, raw);
+
+      // Try to extract JSON from the response, even if it's embedded in text
+      let jsonMatch = raw.match(/\{[\s\S]*\}/);
+      if (jsonMatch) {
+        try {
+          return JSON.parse(jsonMatch[0]);
+        } catch (err) {
+          throw Object.assign(new Error(`Failed to parse extracted JSON from AI response: ${err.message}`), { raw });
+        }
+      }
+      throw Object.assign(new Error('No JSON found in AI response.'), { raw });
+    } catch (error) {
+      attempts++;
+      if (error.status === 503 && attempts < maxAttempts) {
+        console.warn(`LLM provider overloaded, retrying in ${delay / 1000} seconds... (Attempt ${attempts}/${maxAttempts})`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+        delay *= 2; // Exponential backoff
+      } else {
+        throw error;
+      }
+    }
+  }
+  throw new Error('LLM provider still overloaded after maximum retries.');
+}
+
+// Request JSON and validate it; on failure send a repair prompt listing the exact problems
+// instead of retrying blindly. `validate` returns { success, data, errors }.
+async function requestValidJson(prompt, validate, meta = {}) {
+  let currentPrompt = prompt;
+  let errors = [];
+
+  for (let attempt = 0; attempt <= MAX_REPAIR_ATTEMPTS; attempt++) {
+    let previous;
+
+    try {
+      previous = await requestJson(currentPrompt, { ...meta, repair: attempt > 0 });
+      const result = validate(previous);
+      if (result.success) {
+        return result.data;
+      }
+      errors = result.errors;
+    } catch (error) {
+      // Only malformed output can be repaired; provider failures propagate
+      if (error.raw === undefined) {
+        throw error;
+      }
+      previous = error.raw;
+      errors = [error.message];
+    }
+
+    console.warn(`AI ${meta.task || 'response'} failed validation (attempt ${attempt + 1}/${MAX_REPAIR_ATTEMPTS + 1}):`, errors);
+    currentPrompt = buildRepairPrompt(prompt, previous, errors);
+  }
+
+  throw new Error(`AI response JSON failed schema validation after repair attempts: ${errors.join('; ')}`);
+}
+
+function buildRepairPrompt(originalPrompt, previous, errors) {
+  const previousText = typeof previous === 'string' ? previous : JSON.stringify(previous, null, 2);
+
+  return `Your previous answer did not match the required JSON format.
+
+Problems found:
+${errors.map(e => `- ${e}`).join('\n')}
+
+Your previous answer:
+${previousText}
+
+Fix ONLY the problems listed above and keep all other content unchanged. Return the complete corrected JSON object, with no markdown fences and no extra commentary.
+
+The original instructions were:
+${originalPrompt}`;
+}
+
+module.exports = {
+  LAYOUTS,
+  BULLET_LAYOUTS,
+  LAYOUT_FIELDS,
+  CHART_TYPES,
+  chartSeries,
+  validateInput,
+  validateTalkLength,
+  validateInstruction,
+  validateCreditOptions,
+  requestTopic,
+  validateOutline,
+  validateRenderInput,
+  buildOptions,
+  buildRenderOptions,
+  getPresentationOutline,
+  regenerateSlide,
+  writeDataCommentary
+};
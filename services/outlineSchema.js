@@ -0,0 +1,273 @@
+const { z } = require('zod');
+
+// Slide layouts understood by the renderer
+const LAYOUTS = [
+  'title-bullets', 'two-column', 'quote', 'section-divider', 'checklist', 'numbers', 'image-left',
+  'timeline', 'comparison', 'agenda', 'big-stat', 'card-grid', 'process'
+];
+
+// Layouts given in turn to slides without one: those drawn from bullets alone
+const BULLET_LAYOUTS = LAYOUTS.slice(0, 7);
+
+// Slide field holding the structured content of a layout; without it the layout is drawn from the bullets
+const LAYOUT_FIELDS = {
+  timeline: 'timeline',
+  comparison: 'comparison',
+  'big-stat': 'stat',
+  'card-grid': 'cards',
+  process: 'steps'
+};
+const CHART_TYPES = ['bar', 'column', 'line', 'area', 'pie', 'doughnut', 'scatter'];
+
+// Table cells may come back as numbers; they are rendered as text either way
+const cellSchema = z.union([z.string(), z.number()]).transform(v => String(v));
+
+const tableSchema = z.object({
+  headers: z.array(cellSchema).min(1, 'table needs at least one header').max(10),
+  rows: z.array(z.array(cellSchema)).min(1, 'table needs at least one row')
+}).passthrough().superRefine((table, ctx) => {
+  table.rows.forEach((row, idx) => {
+    if (row.length !== table.headers.length) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        path: ['rows', idx],
+        message: `row has ${row.length} cells but there are ${table.headers.length} headers`
+      });
+    }
+  });
+});
+
+const chartNumber = z.number({ invalid_type_error: 'chart values must be numbers' });
+
+// Most series one chart can compare
+const MAX_CHART_SERIES = 8;
+
+const chartSeriesSchema = z.object({
+  name: z.string().trim().min(1, 'series name must not be empty').max(60),
+  values: z.array(chartNumber)
+}).passthrough();
+
+// A chart has one series (`values`, named after the title) or several named `series`. Points are
+// the category `labels`, or for scatter charts the `xValues`. `stacked` stacks bar, column and
+// area series; pie and doughnut charts show a single series.
+const chartSchema = z.object({
+  type: z.enum(CHART_TYPES).default('bar'),
+  title: z.string().optional(),
+  labels: z.array(z.string()).optional(),
+  values: z.array(chartNumber).optional(),
+  series: z.array(chartSeriesSchema).min(1, 'chart needs at least one series').max(MAX_CHART_SERIES, `chart can have at most ${MAX_CHART_SERIES} series`).optional(),
+  xValues: z.array(chartNumber).optional(),
+  stacked: z.boolean().optional(),
+  xAxisTitle: z.string().max(60).optional(),
+  yAxisTitle: z.string().max(60).optional(),
+  dataLabels: z.boolean().optional(),
+  legend: z.boolean().optional()
+}).passthrough().superRefine((chart, ctx) => {
+  const issue = (path, message) => ctx.addIssue({ code: z.ZodIssueCode.custom, path, message });
+
+  const scatter = chart.type === 'scatter';
+  const points = scatter ? chart.xValues : chart.labels;
+  if (!points || points.length === 0) {
+    issue([scatter ? 'xValues' : 'labels'], scatter ? 'scatter chart needs at least one x value' : 'chart needs at least one label');
+    return;
+  }
+  const pointName = scatter ? 'x values' : 'labels';
+
+  if (chart.series) {
+    chart.series.forEach((series, idx) => {
+      if (series.values.length !== points.length) {
+        issue(['series', idx, 'values'], `series "${series.name}" has ${series.values.length} values but the chart has ${points.length} ${pointName}`);
+      }
+    });
+  } else if (!chart.values) {
+    issue(['values'], 'chart needs values or series');
+  } else if (chart.values.length !== points.length) {
+    issue(['values'], `chart has ${points.length} ${pointName} but ${chart.values.length} values`);
+  }
+
+  if ((chart.type === 'pie' || chart.type === 'doughnut') && chart.series && chart.series.length > 1) {
+    issue(['series'], `${chart.type} charts show a single series`);
+  }
+});
+
+// Series of a chart: its `series`, or the single series of its `values`
+function chartSeries(chart) {
+  if (Array.isArray(chart.series)) {
+    return chart.series;
+  }
+  return Array.isArray(chart.values) ? [{ name: chart.title || 'Series', values: chart.values }] : [];
+}
+
+// Items drawn by the timeline, card grid and process layouts
+const MAX_LAYOUT_ITEMS = 6;
+
+const itemText = (name, max) => z.string().trim().min(1, `${name} must not be empty`).max(max, `${name} must be at most ${max} characters`);
+
+// Timeline events, left to right: a date or phase label, a title and an optional detail
+const timelineSchema = z.array(z.object({
+  label: itemText('label', 30),
+  title: itemText('title', 80),
+  detail: z.string().max(200).optional()
+}).passthrough()).min(2, 'timeline needs at least 2 events').max(MAX_LAYOUT_ITEMS, `timeline can have at most ${MAX_LAYOUT_ITEMS} events`);
+
+// Two options side by side (e.g. pros and cons), each with a heading and its points
+const comparisonSideSchema = z.object({
+  heading: itemText('heading', 60),
+  points: z.array(itemText('point', 200)).min(1, 'each side needs at least one point').max(6)
+}).passthrough();
+
+const comparisonSchema = z.object({
+  left: comparisonSideSchema,
+  right: comparisonSideSchema
+}).passthrough();
+
+// Headline number of a big-stat slide ("42%", "$3.5M"), what it measures and optional context
+const statSchema = z.object({
+  value: z.union([z.string(), z.number()]).transform(v => String(v).trim()).pipe(itemText('value', 12)),
+  label: itemText('label', 120),
+  context: z.string().max(200).optional()
+}).passthrough();
+
+// Cards of a card grid (team members, features, pillars): a title, optional subtitle and text
+const cardsSchema = z.array(z.object({
+  title: itemText('title', 60),
+  subtitle: z.string().max(60).optional(),
+  text: z.string().max(200).optional()
+}).passthrough()).min(2, 'card grid needs at least 2 cards').max(MAX_LAYOUT_ITEMS, `card grid can have at most ${MAX_LAYOUT_ITEMS} cards`);
+
+// Steps of a process, in order
+const stepsSchema = z.array(z.object({
+  title: itemText('title', 40),
+  detail: z.string().max(160).optional()
+}).passthrough()).min(2, 'process needs at least 2 steps').max(MAX_LAYOUT_ITEMS, `process can have at most ${MAX_LAYOUT_ITEMS} steps`);
+
+// Largest zoom of a slide image into its region
+const MAX_IMAGE_ZOOM = 3;
+
+// Slide image: fetched or uploaded data, or a candidate picked in the editor ({ provider, ref })
+// that is loaded when the deck is rendered; null means the slide has no image. focus is the point
+// (0-1 from the left and top) kept in view when the image is cropped to its region.
+const imageSchema = z.object({
+  data: z.string().regex(/^data:image\/(png|jpeg|gif|webp);base64,/, 'image data must be a PNG, JPEG, GIF or WebP data URL').optional(),
+  provider: z.string().max(50).optional(),
+  ref: z.string().max(1000).optional(),
+  width: z.number().positive().optional(),
+  height: z.number().positive().optional(),
+  focus: z.object({
+    x: z.number().min(0).max(1),
+    y: z.number().min(0).max(1)
+  }).optional(),
+  zoom: z.number().min(1).max(MAX_IMAGE_ZOOM, `image zoom must be at most ${MAX_IMAGE_ZOOM}`).optional()
+}).passthrough();
+
+// Where a slide's content comes from in the uploaded source documents
+const sourceRefSchema = z.object({
+  id: z.number().int().optional(),
+  document: z.string().min(1).max(255),
+  location: z.string().max(255).optional(),
+  excerpt: z.string().max(500).optional()
+}).passthrough();
+
+// Slides as accepted from clients (the outline editor may hold empty bullets while editing)
+const slideSchema = z.object({
+  slideTitle: z.string().trim().min(1, 'title must be a non-empty string'),
+  bulletPoints: z.array(z.string(), { invalid_type_error: 'bulletPoints must be an array of strings' }),
+  layout: z.enum(LAYOUTS).optional(),
+  visualHint: z.string().optional(),
+  visualStyleHint: z.string().optional(),
+  table: tableSchema.optional(),
+  chart: chartSchema.optional(),
+  timeline: timelineSchema.optional(),
+  comparison: comparisonSchema.optional(),
+  stat: statSchema.optional(),
+  cards: cardsSchema.optional(),
+  steps: stepsSchema.optional(),
+  image: imageSchema.nullable().optional(),
+  speakerNotes: z.string().max(5000, 'speaker notes must be at most 5000 characters').optional(),
+  sources: z.array(sourceRefSchema).max(20).optional()
+}).passthrough();
+
+const outlineSchema = z.object({
+  title: z.string().trim().min(1, 'title must be a non-empty string').optional(),
+  subtitle: z.string().max(300, 'subtitle must be at most 300 characters').optional(),
+  slides: z.array(slideSchema).min(1, 'outline must contain at least one slide').max(30, 'outline must contain at most 30 slides')
+}).passthrough();
+
+// Slides as required from the model: real bullet text on every content slide
+const generatedSlideSchema = slideSchema.extend({
+  bulletPoints: z.array(z.string().trim().min(1, 'bullet points must not be empty'), {
+    invalid_type_error: 'bulletPoints must be a JSON array of separate strings'
+  }),
+  speakerNotes: z.string({ required_error: 'speakerNotes is required' }).trim().min(1, 'speaker notes must not be empty'),
+  // The model cites source excerpts by number; they are turned into references afterwards
+  sources: z.array(z.number({ invalid_type_error: 'sources must be excerpt numbers' }).int()).optional()
+}).superRefine((slide, ctx) => {
+  // Structured layouts need their field; it replaces the bullets, as the deck's titles do on agenda slides
+  const field = LAYOUT_FIELDS[slide.layout];
+  if (field && slide[field] === undefined) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: [field], message: `${slide.layout} slides need '${field}'` });
+  }
+  if (!field && !['section-divider', 'agenda'].includes(slide.layout) && slide.bulletPoints.length === 0) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['bulletPoints'], message: 'content slides need at least one bullet point' });
+  }
+});
+
+const generatedOutlineSchema = z.object({
+  title: z.string().trim().min(1, 'title must be a non-empty string'),
+  slides: z.array(generatedSlideSchema)
+}).passthrough();
+
+// Key points condensed from a batch of source excerpts
+const sourcePointsSchema = z.object({
+  points: z.array(z.object({
+    text: z.string().trim().min(1, 'point text must not be empty'),
+    sources: z.array(z.number().int()).min(1, 'each point needs at least one excerpt number')
+  })).min(1, 'at least one point is required')
+}).passthrough();
+
+// Commentary on imported data: bullets and notes about the chart or table of a slide
+const dataCommentarySchema = z.object({
+  bulletPoints: z.array(z.string().trim().min(1, 'bullet points must not be empty'), {
+    invalid_type_error: 'bulletPoints must be a JSON array of separate strings'
+  }).min(2, 'write at least 2 bullet points').max(6, 'write at most 6 bullet points'),
+  speakerNotes: z.string({ required_error: 'speakerNotes is required' }).trim().min(1, 'speaker notes must not be empty').max(5000)
+}).passthrough();
+
+// Turn zod issues into readable messages, e.g. "Slide 3 chart.values: chart values must be numbers"
+function formatIssues(error) {
+  return error.issues.map(issue => {
+    const path = [...issue.path];
+    let prefix = '';
+    if (path[0] === 'slides' && typeof path[1] === 'number') {
+      prefix = `Slide ${path[1] + 1}`;
+      path.splice(0, 2);
+    }
+    const location = [prefix, path.join('.')].filter(Boolean).join(' ');
+    return location ? `${location}: ${issue.message}` : issue.message;
+  });
+}
+
+// Validate with a schema and return { success, data, errors }
+function check(schema, value) {
+  const result = schema.safeParse(value);
+  if (result.success) {
+    return { success: true, data: result.data, errors: [] };
+  }
+  return { success: false, data: null, errors: formatIssues(result.error) };
+}
+
+module.exports = {
+  LAYOUTS,
+  BULLET_LAYOUTS,
+  LAYOUT_FIELDS,
+  MAX_LAYOUT_ITEMS,
+  CHART_TYPES,
+  chartSeries,
+  slideSchema,
+  outlineSchema,
+  generatedSlideSchema,
+  generatedOutlineSchema,
+  sourcePointsSchema,
+  dataCommentarySchema,
+  check
+};
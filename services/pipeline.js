@@ -0,0 +1,83 @@
+const { getPresentationOutline } = require('./outline');
+const { enhanceOutlineWithImages } = require('./images');
+const { exportDeck, EXPORT_FORMATS } = require('./export');
+const { loadSources } = require('./sources');
+
+// Generation pipeline shared by the HTTP routes. Each step reports progress through
+// onProgress({ stage, percent, message, current?, total? }) so callers can stream it.
+// Stages: document-read, outline-requested, outline-parsed, image, rendering, done.
+
+const noop = () => {};
+
+// Ask the model for an outline, grounded in the uploaded `documents` if there are any;
+// `endPercent` is where the outline step ends on the progress bar
+async function createOutline(topic, options, onProgress = noop, endPercent = 100, documents = null) {
+  let sources = null;
+  if (documents && documents.length > 0) {
+    sources = await loadSources(documents);
+    onProgress({
+      stage: 'document-read',
+      percent: Math.round(endPercent * 0.1),
+      message: `Read ${documents.length} document(s) (${sources.length} passages)`
+    });
+  }
+
+  onProgress({ stage: 'outline-requested', percent: Math.round(endPercent * 0.15), message: 'Requesting outline from AI' });
+
+  const outline = await getPresentationOutline(topic, options, sources);
+
+  onProgress({
+    stage: 'outline-parsed',
+    percent: endPercent,
+    message: `Outline ready (${outline.slides.length} slides)`
+  });
+  return outline;
+}
+
+// Fetch images and render an outline to a file in `renderOptions.format` (PPTX by default);
+// image progress starts at `startPercent`
+async function renderOutline(outline, renderOptions, onProgress = noop, startPercent = 0) {
+  const imageSpan = 90 - startPercent;
+
+  await enhanceOutlineWithImages(outline, (done, total) => {
+    onProgress({
+      stage: 'image',
+      percent: startPercent + Math.round(imageSpan * done / total),
+      message: `Image ${done} of ${total} fetched`,
+      current: done,
+      total
+    });
+  });
+
+  const format = renderOptions.format || 'pptx';
+  onProgress({
+    stage: 'rendering',
+    percent: 92,
+    message: format === 'pptx' ? 'Rendering slides' : `Rendering slides as ${EXPORT_FORMATS[format].label}`
+  });
+  const file = await exportDeck(outline, renderOptions, format);
+  onProgress({ stage: 'done', percent: 100, message: 'Presentation ready' });
+
+  return file;
+}
+
+// Full topic-to-deck run used by /generate-ppt
+async function generatePresentation(topic, options, onProgress = noop, documents = null) {
+  const outline = await createOutline(topic, options, onProgress, 30, documents);
+  const file = await renderOutline(outline, {
+    topic,
+    colorTheme: options.colorTheme,
+    brandKit: options.brandKit,
+    template: options.template,
+    creditCaptions: options.creditCaptions,
+    creditsSlide: options.creditsSlide,
+    format: options.format
+  }, onProgress, 30);
+  return { outline, file };
+}
+
+module.exports = {
+  createOutline,
+  renderOutline,
+  generatePresentation
+};
@@ -0,0 +1,1077 @@
+const PPTXGenJS = require('pptxgenjs');
+const { LAYOUTS, BULLET_LAYOUTS, LAYOUT_FIELDS, CHART_TYPES, chartSeries } = require('./outline');
+const { MAX_LAYOUT_ITEMS } = require('./outlineSchema');
+const { resolveTheme } = require('./themes');
+const { resolveBrandKit } = require('./brandKits');
+const { resolveTemplate } = require('./templates');
+const { imageCredit, outlineCredits } = require('./images/credits');
+
+// Slide size of the default LAYOUT_16x9, in inches
+const SLIDE_W = 10;
+const SLIDE_H = 5.625;
+
+// Largest box a brand logo is scaled into
+const LOGO_BOX = { w: 1.4, h: 0.5 };
+
+// Height taken from the bottom of an image region by its credit caption
+const CAPTION_H = 0.25;
+
+// Credits listed per column on the "Image credits" slide before a second column is used
+const CREDITS_PER_COLUMN = 8;
+
+// Placement of an image that fills `region` (cover), keeping its focal point in view: the image
+// is scaled to cover the region (times its zoom) and the crop window is centered on image.focus
+// as far as the image edges allow. Images of unknown pixel size are stretched to the region.
+function imageCrop(image, region) {
+  if (!(image.width > 0 && image.height > 0)) {
+    return { x: region.x, y: region.y, w: region.w, h: region.h, sizing: { type: 'crop', w: region.w, h: region.h } };
+  }
+
+  const scale = Math.max(region.w / image.width, region.h / image.height) * (image.zoom || 1);
+  const w = image.width * scale;
+  const h = image.height * scale;
+  const focus = image.focus || { x: 0.5, y: 0.5 };
+  const offset = (point, full, visible) => Math.min(Math.max(point * full - visible / 2, 0), full - visible);
+
+  return {
+    x: region.x,
+    y: region.y,
+    w,
+    h,
+    sizing: { type: 'crop', x: offset(focus.x, w, region.w), y: offset(focus.y, h, region.h), w: region.w, h: region.h }
+  };
+}
+
+// Table text sizes, largest first: a table gets the largest size at which all its rows fit its
+// region, and continues on extra slides at the smallest size when none does
+const TABLE_FONT_SIZES = [14, 12, 11, 10];
+
+// Space kept free between a table and the bottom edge of the slide (brand footers sit there)
+const TABLE_BOTTOM_MARGIN = 0.25;
+
+// Chart, table or image under the text of the built-in layouts, down to the same margin above the
+// bottom edge
+const bottomRegion = (x, w) => ({ x, y: 4.0, w, h: SLIDE_H - TABLE_BOTTOM_MARGIN - 4.0 });
+
+// Cell text insets (pptxgenjs default cell margins) and the line height per point of font size
+const CELL_INSET = { x: 0.1, y: 0.05 };
+const LINE_HEIGHT = 1.2 / 72;
+
+// Same reading of numbers as the data import: thousands separators, %, and currency signs are dropped
+const isNumberCell = (text) => /^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i.test(String(text).replace(/[\s,%$€£]/g, ''));
+
+// Estimated number of lines of `text` in a column `width` inches wide (average glyph widths,
+// like the text wrapping of services/export/svg.js)
+function cellLines(text, width, size, bold) {
+  const maxChars = Math.max(1, Math.floor(((width - 2 * CELL_INSET.x) * 72) / (size * (bold ? 0.6 : 0.55))));
+  let lines = 1;
+  let line = 0;
+  for (const word of String(text).split(/\s+/).filter(Boolean)) {
+    if (line > 0 && line + 1 + word.length <= maxChars) {
+      line += 1 + word.length;
+    } else {
+      if (line > 0) lines++;
+      lines += Math.ceil(word.length / maxChars) - 1;
+      line = ((word.length - 1) % maxChars) + 1;
+    }
+  }
+  return lines;
+}
+
+// Layout of a table over `regions` (the slide's table region, then the region of each
+// continuation slide): the font size, each column's alignment (numbers right, text left), and
+// pages of { rows, rowH, colW } with row heights and column widths in inches, the header row
+// first. Pages after the first go on "(cont.)" slides.
+function tableLayout(table, regions) {
+  const headers = table.headers.map(String);
+  const rows = table.rows.map(row => headers.map((_, c) => (row[c] === undefined || row[c] === null ? '' : String(row[c]))));
+
+  const align = headers.map((_, c) => {
+    const cells = rows.map(row => row[c]).filter(cell => cell.trim() !== '');
+    return cells.length > 0 && cells.every(isNumberCell) ? 'right' : 'left';
+  });
+
+  // Longest text (up to 30 characters) and longest word of each column, header included
+  const columns = headers.map((header, c) => [header, ...rows.map(row => row[c])]);
+  const longest = columns.map(cells => Math.min(Math.max(...cells.map(cell => cell.length)), 30));
+  const longestWord = columns.map(cells => Math.max(...cells.flatMap(cell => cell.split(/\s+/).map(word => word.length))));
+
+  // Column widths: every column fits its longest word (bold, as in the header) where the region
+  // allows, and the rest of the width goes to the columns whose longest text needs more
+  const columnWidths = (width, size) => {
+    const chars = (n, factor) => (n * size * factor) / 72 + 2 * CELL_INSET.x;
+    const min = longestWord.map(n => chars(n, 0.6));
+    const ideal = longest.map((n, c) => Math.max(chars(n, 0.55), min[c]));
+    const minTotal = min.reduce((sum, w) => sum + w, 0);
+    const idealTotal = ideal.reduce((sum, w) => sum + w, 0);
+    if (idealTotal <= width) return ideal.map(w => (w * width) / idealTotal);
+    if (minTotal >= width) return min.map(w => (w * width) / minTotal);
+    return min.map((w, c) => w + ((ideal[c] - w) * (width - minTotal)) / (idealTotal - minTotal));
+  };
+
+  const rowHeight = (row, colW, size, bold) => Math.max(...row.map((cell, c) => cellLines(cell, colW[c], size, bold)))
+    * size * LINE_HEIGHT + 2 * CELL_INSET.y;
+
+  // Rows of each page, as many as fit below the repeated header row (at least one per page)
+  const paginate = (size) => {
+    const pages = [];
+    let next = 0;
+    while (next < rows.length || pages.length === 0) {
+      const region = regions[Math.min(pages.length, regions.length - 1)];
+      const colW = columnWidths(region.w, size);
+      const rowH = [rowHeight(headers, colW, size, true)];
+      let used = rowH[0];
+      const start = next;
+      while (next < rows.length) {
+        const h = rowHeight(rows[next], colW, size, false);
+        if (next > start && used + h > region.h) break;
+        rowH.push(h);
+        used += h;
+        next++;
+      }
+      pages.push({ rows: rows.slice(start, next), rowH, colW });
+    }
+    return pages;
+  };
+
+  const smallest = TABLE_FONT_SIZES[TABLE_FONT_SIZES.length - 1];
+  for (const fontSize of TABLE_FONT_SIZES) {
+    const pages = paginate(fontSize);
+    if (pages.length === 1 || fontSize === smallest) {
+      return { headers, align, fontSize, pages };
+    }
+  }
+}
+
+// Layouts drawn from shapes instead of bullet text (the timeline, card grid and process layouts
+// draw at most MAX_LAYOUT_ITEMS items, the schema's limit)
+const STRUCTURED_LAYOUTS = ['timeline', 'comparison', 'agenda', 'big-stat', 'card-grid', 'process'];
+
+// "Label: text" bullets as [label, text] (labels up to 30 characters), other bullets as [null, text]
+function splitLabel(bullet) {
+  const match = bullet.match(/^([^:]{1,30}):\s+(\S.*)$/);
+  return match ? [match[1].trim(), match[2].trim()] : [null, bullet];
+}
+
+// First number of a text with its currency sign and unit, e.g. "$3.5M" or "42%" ('' without one)
+function statValue(text) {
+  const match = String(text).match(/[-+]?[$€£]?\d(?:[\d,.]*\d)?(\s?(%|[kKmMbB]n?|x)\b|%)?/);
+  return match ? match[0].trim() : '';
+}
+
+// Initials of a card title for its badge: "Ada Lovelace" -> "AL", "Security" -> "S"
+const initials = (title) => String(title).split(/\s+/).filter(Boolean).slice(0, 2).map(word => [...word][0].toUpperCase()).join('');
+
+// Content of a structured layout: the slide's own field (see LAYOUT_FIELDS), or items made from its
+// bullets, so a slide switched to one of these layouts still shows its points
+function layoutContent(slideData, layout, bullets) {
+  const own = slideData[LAYOUT_FIELDS[layout]];
+  const labelled = bullets.slice(0, MAX_LAYOUT_ITEMS).map(splitLabel);
+
+  switch (layout) {
+    case 'timeline':
+      return Array.isArray(own) ? own : labelled.map(([label, text], i) => ({ label: label || String(i + 1), title: text }));
+    case 'comparison': {
+      if (own && own.left && own.right) return own;
+      const mid = Math.ceil(bullets.length / 2);
+      return { left: { heading: '', points: bullets.slice(0, mid) }, right: { heading: '', points: bullets.slice(mid) } };
+    }
+    case 'big-stat':
+      // Without a stat, the first bullet's number is the headline and the bullet its label
+      return own && own.value ? { ...own, points: bullets } : { value: statValue(bullets[0] || ''), label: bullets[0] || '', points: bullets.slice(1) };
+    case 'card-grid':
+      return Array.isArray(own) ? own : labelled.map(([label, text]) => (label ? { title: label, text } : { title: text }));
+    case 'process':
+      return Array.isArray(own) ? own : labelled.map(([label, text]) => (label ? { title: label, detail: text } : { title: text }));
+    default:
+      return null;
+  }
+}
+
+// Agenda of a deck: the titles of its section dividers or, without any, of its other slides.
+// `layoutOf(slide, index)` is the layout each outline slide is drawn with.
+function agendaItems(slides, layoutOf) {
+  const others = slides
+    .map((slide, i) => ({ slide, layout: slide && typeof slide === 'object' ? layoutOf(slide, i) : null }))
+    .filter(({ layout }) => layout && layout !== 'agenda');
+  const sections = others.filter(({ layout }) => layout === 'section-divider');
+  return (sections.length > 0 ? sections : others).map(({ slide }) => slide.slideTitle || 'Untitled Slide');
+}
+
+// "Sources: ..." line naming the source documents a slide was built from ('' without sources)
+function sourceCitation(slideData) {
+  const sources = Array.isArray(slideData.sources) ? slideData.sources : [];
+  return sources.length > 0
+    ? `Sources: ${sources.map(src => [src.document, src.location].filter(Boolean).join(', ')).join('; ')}`
+    : '';
+}
+
+// Speaker notes of a slide, followed by the source documents it was built from
+function slideNotes(slideData) {
+  return [slideData.speakerNotes, sourceCitation(slideData)].filter(Boolean).join('\n\n');
+}
+
+// Draw an outline with the themed slide layouts onto `pptx`: a PptxGenJS instance, or an
+// object with the same slide API (services/export records the calls to draw PDF/PNG pages)
+function drawPresentation(pptx, outline, options = {}) {
+  const topic = options.topic || outline.title || 'Presentation';
+
+  // template is the name of an imported .pptx template; its colors and fonts replace colorTheme
+  const template = resolveTemplate(options.template);
+
+  // colorTheme is a built-in or saved theme name, or an inline custom theme object
+  const selectedTheme = template ? template.theme : resolveTheme(options.colorTheme);
+  const headingFont = selectedTheme.headingFont;
+  const bodyFont = selectedTheme.bodyFont;
+
+  // brandKit is a saved kit name, an inline brand kit object, or null for no branding
+  const brandKit = resolveBrandKit(options.brandKit);
+
+  // Photographer credits (on unless turned off): a caption under each image and a closing credits slide
+  const creditCaptions = options.creditCaptions !== false;
+  const creditsSlide = options.creditsSlide !== false;
+
+  // Templates keep their own slide size (e.g. 4:3 or 13.33 x 7.5 widescreen)
+  const slideW = template ? template.slideSize.w : SLIDE_W;
+  const slideH = template ? template.slideSize.h : SLIDE_H;
+  if (template) {
+    pptx.defineLayout({ name: 'TEMPLATE', width: slideW, height: slideH });
+    pptx.layout = 'TEMPLATE';
+  }
+
+  // Helpers for varied slide designs
+  const hexToRgb = (hex) => {
+    const clean = hex.replace('#', '');
+    const bigint = parseInt(clean, 16);
+    return {
+      r: (bigint >> 16) & 255,
+      g: (bigint >> 8) & 255,
+      b: bigint & 255,
+    };
+  };
+  const clamp = (v) => Math.max(0, Math.min(255, v));
+  const lighten = (hex, pct) => {
+    const { r, g, b } = hexToRgb(hex);
+    const lr = clamp(Math.round(r + (255 - r) * pct));
+    const lg = clamp(Math.round(g + (255 - g) * pct));
+    const lb = clamp(Math.round(b + (255 - b) * pct));
+    return [lr, lg, lb]
+      .map((c) => c.toString(16).padStart(2, '0'))
+      .join('')
+      .toUpperCase();
+  };
+
+  // Slides without a (known) layout take the bullet layouts in turn
+  const pickLayout = (idx, provided) => provided && LAYOUTS.includes(provided) ? provided : BULLET_LAYOUTS[idx % BULLET_LAYOUTS.length];
+
+  const addAccentStripe = (slide, color) => {
+    slide.addShape(pptx.ShapeType.rect, { x: 0, y: 0, w: 10, h: 0.3, fill: { color }, line: { pt: 0 } });
+  };
+
+  // Logo scaled into LOGO_BOX (keeping its aspect ratio) and placed in the kit's corner
+  const placeLogo = (logo, position) => {
+    const scale = Math.min(LOGO_BOX.w / logo.width, LOGO_BOX.h / logo.height);
+    const w = logo.width * scale;
+    const h = logo.height * scale;
+    return {
+      x: position.endsWith('left') ? 0.3 : slideW - 0.3 - w,
+      y: position.startsWith('top') ? 0.4 : slideH - 0.15 - h,
+      w,
+      h
+    };
+  };
+
+  // Brand kit logo, footer and slide number as slide master objects (empty without a brand kit)
+  const brandObjects = (color) => {
+    const objects = [];
+    let slideNumber;
+
+    if (brandKit) {
+      const { logo, logoPosition, footerText, showDate, showSlideNumbers } = brandKit;
+      const logoBottomLeft = logo && logoPosition === 'bottom-left';
+      const logoBottomRight = logo && logoPosition === 'bottom-right';
+
+      if (logo) {
+        objects.push({ image: { ...placeLogo(logo, logoPosition), data: logo.data } });
+      }
+
+      const date = showDate
+        ? new Date().toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })
+        : '';
+      const footer = [footerText, date].filter(Boolean).join('  |  ');
+      if (footer) {
+        objects.push({
+          text: {
+            text: footer,
+            options: {
+              x: logoBottomLeft ? 0.5 + LOGO_BOX.w : 0.5,
+              y: slideH - 0.4,
+              w: 6,
+              h: 0.3,
+              fontFace: bodyFont,
+              fontSize: 10,
+              color,
+              align: 'left',
+              valign: 'middle'
+            }
+          }
+        });
+      }
+
+      if (showSlideNumbers) {
+        slideNumber = {
+          x: logoBottomRight ? slideW - 1.1 - LOGO_BOX.w : slideW - 1.1,
+          y: slideH - 0.4,
+          w: 0.6,
+          h: 0.3,
+          fontFace: bodyFont,
+          fontSize: 10,
+          color,
+          align: 'right'
+        };
+      }
+    }
+
+    return { objects, slideNumber };
+  };
+
+  // Slide master carrying the brand objects; every drawn slide is added on one of these
+  const defineBrandMaster = (title, color) => {
+    pptx.defineSlideMaster({ title, ...brandObjects(color) });
+    return title;
+  };
+
+  // (templates get their own masters below)
+  const titleMaster = template ? null : defineBrandMaster('BRAND_TITLE', selectedTheme.title);
+  const contentMaster = template ? null : defineBrandMaster('BRAND_CONTENT', lighten(selectedTheme.text, 0.35));
+
+  // Images actually drawn (not every layout shows the slide image); only these are credited
+  const drawnImages = new Set();
+
+  // Enhanced image rendering with fetched images
+  const renderImage = (s, region, image) => {
+    if (!image) return false;
+
+    // Use the fetched or uploaded image data
+    if (image.data) {
+      try {
+        // PPTXGenJS expects the full data URL with header
+        let imageData = image.data;
+
+        // If we don't have a data URL header, add one
+        if (!image.data.startsWith('data:')) {
+          imageData = `data:image/jpeg;base64,${image.data}`;
+        }
+
+        // Debug logging
+        console.log(`Adding image with data format: ${imageData.substring(0, 50)}...`);
+
+        // The credit caption takes the bottom of the region (kept on the slide), the image the rest
+        const credit = creditCaptions && imageCredit(image);
+        const h = credit ? Math.min(region.h, slideH - region.y) - CAPTION_H : region.h;
+
+        s.addImage({
+          data: imageData,
+          ...imageCrop(image, { x: region.x, y: region.y, w: region.w, h }),
+          rounded: true
+        });
+        drawnImages.add(image);
+        if (credit) {
+          s.addText(credit.caption, {
+            x: region.x,
+            y: region.y + h,
+            w: region.w,
+            h: CAPTION_H,
+            fontSize: 8,
+            fontFace: bodyFont,
+            color: lighten(selectedTheme.text, 0.35),
+            align: 'right',
+            valign: 'middle',
+            shrinkText: true
+          });
+        }
+        return true;
+      } catch (e) {
+        console.warn('Image render failed, drawing placeholder:', e.message);
+        console.warn('Image data format was:', image.data ? image.data.substring(0, 50) + '...' : 'null');
+      }
+    }
+
+    // Fallback: placeholder block with idea text
+    s.addShape(pptx.ShapeType.rect, {
+      x: region.x,
+      y: region.y,
+      w: region.w,
+      h: region.h,
+      fill: { color: lighten(selectedTheme.background, 0.6) },
+      line: { color: selectedTheme.background, pt: 1 }
+    });
+    const idea = (image.idea || 'Image placeholder');
+    s.addText(idea, {
+      x: region.x + 0.2,
+      y: region.y + region.h - 0.5,
+      w: region.w - 0.4,
+      h: 0.4,
+      fontSize: 12,
+      fontFace: bodyFont,
+      color: selectedTheme.background,
+      align: 'right'
+    });
+    return true;
+  };
+
+  // Series colors from the theme: accent and background color, then lighter shades of both
+  const chartColors = (count) => {
+    const base = [selectedTheme.accent, selectedTheme.background];
+    return Array.from({ length: Math.max(count, 1) }, (_, i) => {
+      const shade = Math.floor(i / base.length) % 4;
+      return shade === 0 ? base[i % base.length] : lighten(base[i % base.length], shade * 0.25);
+    });
+  };
+
+  // Utilities for optional media (charts and tables)
+  const renderChart = (s, region, chart) => {
+    if (!chart) return false;
+    const series = chartSeries(chart).filter(ser => Array.isArray(ser.values));
+    const type = CHART_TYPES.includes(chart.type) ? chart.type : 'bar';
+    const scatter = type === 'scatter';
+    const round = type === 'pie' || type === 'doughnut';
+    const points = scatter ? chart.xValues : chart.labels;
+    if (series.length === 0 || !Array.isArray(points)) return false;
+    const n = Math.min(points.length, ...series.map(ser => ser.values.length));
+    if (n === 0) return false;
+
+    // Scatter data starts with the x values; pie and doughnut charts show the first series only
+    const data = scatter
+      ? [{ name: chart.xAxisTitle || 'X', values: points.slice(0, n) }, ...series.map(ser => ({ name: ser.name, values: ser.values.slice(0, n) }))]
+      : (round ? series.slice(0, 1) : series).map(ser => ({ name: ser.name, labels: points.slice(0, n).map(String), values: ser.values.slice(0, n) }));
+
+    const textColor = lighten(selectedTheme.text, 0.2);
+    const options = {
+      x: region.x, y: region.y, w: region.w, h: region.h,
+      chartColors: chartColors(round ? n : series.length),
+      showLegend: chart.legend !== undefined ? chart.legend : round || series.length > 1,
+      legendPos: round ? 'r' : 'b',
+      legendFontFace: bodyFont,
+      legendFontSize: 9,
+      legendColor: textColor,
+      // Pie and doughnut slices show their percentage unless data labels are turned off
+      ...(round
+        ? { showPercent: chart.dataLabels !== false }
+        : { showValue: chart.dataLabels === true }),
+      dataLabelFontFace: bodyFont,
+      dataLabelFontSize: 9,
+      // Labels inside slices and stacked bars sit on the series color
+      dataLabelColor: round || (chart.stacked && (type === 'bar' || type === 'column')) ? 'FFFFFF' : textColor
+    };
+
+    if (!round) {
+      Object.assign(options, {
+        catAxisLabelFontFace: bodyFont,
+        catAxisLabelFontSize: 9,
+        catAxisLabelColor: textColor,
+        valAxisLabelFontFace: bodyFont,
+        valAxisLabelFontSize: 9,
+        valAxisLabelColor: textColor,
+        ...(chart.xAxisTitle && { showCatAxisTitle: true, catAxisTitle: chart.xAxisTitle, catAxisTitleFontSize: 10, catAxisTitleColor: textColor }),
+        ...(chart.yAxisTitle && { showValAxisTitle: true, valAxisTitle: chart.yAxisTitle, valAxisTitleFontSize: 10, valAxisTitleColor: textColor })
+      });
+    }
+    if (type === 'bar' || type === 'column') {
+      options.barDir = type === 'column' ? 'col' : 'bar';
+      options.barGrouping = chart.stacked ? 'stacked' : 'clustered';
+    } else if (type === 'area' && chart.stacked) {
+      options.barGrouping = 'stacked';
+    } else if (type === 'doughnut') {
+      options.holeSize = 50;
+    } else if (scatter) {
+      // Points only, no connecting lines
+      options.lineSize = 0;
+      options.lineDataSymbolSize = 7;
+    }
+
+    try {
+      // Columns are pptxgenjs bar charts with barDir 'col'
+      s.addChart(pptx.ChartType[type === 'column' ? 'bar' : type], data, options);
+      return true;
+    } catch (e) {
+      console.warn('Chart render failed, falling back to bullets:', e.message);
+      return false;
+    }
+  };
+
+  // Region of a table on its "(cont.)" slides: the body of the template's title-and-bullets
+  // layout, or the bullet area of the built-in layouts
+  const tableContinuationRegion = (() => {
+    let area = { x: 0.5, y: 1.4, w: 9, h: 3.8 };
+    if (template) {
+      const layout = template.layouts.find(l => l.id === template.layoutMap['title-bullets']) || template.layouts[0];
+      area = layout.placeholders.find(p => p.kind === 'body') || { x: 0.5, y: 1.3, w: slideW - 1, h: slideH - 1.9 };
+    }
+    return { x: area.x, y: area.y, w: area.w, h: Math.min(area.h, slideH - TABLE_BOTTOM_MARGIN - area.y) };
+  })();
+
+  // Pages of tables that did not fit on their slide, by table; drawn on "(cont.)" slides after it
+  const continuedTables = new Map();
+
+  // One page of a table: header row in the theme's title colors, zebra-striped body rows
+  const drawTablePage = (s, region, layout, page) => {
+    const { headers, align, fontSize } = layout;
+    const stripe = lighten(selectedTheme.accent, 0.9);
+    const cells = [
+      headers.map((text, c) => ({
+        text,
+        options: { bold: true, color: selectedTheme.title, fill: { color: selectedTheme.background }, align: align[c] }
+      })),
+      ...page.rows.map((row, r) => row.map((text, c) => ({
+        text,
+        options: { color: selectedTheme.text, fill: { color: r % 2 === 1 ? stripe : 'FFFFFF' }, align: align[c] }
+      })))
+    ];
+    s.addTable(cells, {
+      x: region.x,
+      y: region.y,
+      w: region.w,
+      h: page.rowH.reduce((sum, h) => sum + h, 0),
+      colW: page.colW,
+      rowH: page.rowH,
+      fontSize,
+      fontFace: bodyFont,
+      valign: 'middle',
+      border: { type: 'solid', color: lighten(selectedTheme.text, 0.8), pt: 0.5 }
+    });
+  };
+
+  // Table sized to its region (kept clear of the slide's bottom edge); rows that don't fit
+  // continue on "(cont.)" slides added by addTableContinuations
+  const renderTable = (s, region, table) => {
+    if (!table || !Array.isArray(table.headers) || !Array.isArray(table.rows) || table.headers.length === 0) return false;
+    const fitted = { ...region, h: Math.min(region.h, slideH - TABLE_BOTTOM_MARGIN - region.y) };
+    try {
+      const layout = tableLayout(table, [fitted, tableContinuationRegion]);
+      drawTablePage(s, fitted, layout, layout.pages[0]);
+      if (layout.pages.length > 1) {
+        continuedTables.set(table, { layout, pages: layout.pages.slice(1) });
+      }
+      return true;
+    } catch (e) {
+      console.warn('Table render failed, skipping:', e.message);
+      return false;
+    }
+  };
+
+  // "(cont.)" slides with the rest of the slide's table, each repeating the header row and
+  // citing the slide's sources in its notes. Returns the number of slides added.
+  const addTableContinuations = (slideData, background) => {
+    const continued = continuedTables.get(slideData.table);
+    if (!continued) return 0;
+    continuedTables.delete(slideData.table);
+
+    const title = `${slideData.slideTitle || 'Untitled Slide'} (cont.)`;
+    const citation = sourceCitation(slideData);
+    continued.pages.forEach((page) => {
+      let s;
+      if (template) {
+        const added = addTemplateLayoutSlide('title-bullets');
+        s = added.s;
+        const titlePlaceholder = added.layout.placeholders.find(p => p.kind === 'title');
+        if (titlePlaceholder) {
+          s.addText(title, { placeholder: titlePlaceholder.name, shrinkText: true });
+        } else {
+          s.addText(title, { x: 0.5, y: 0.3, w: slideW - 1, h: 0.8, fontFace: headingFont, fontSize: 28, bold: true, color: selectedTheme.background, shrinkText: true });
+        }
+      } else {
+        s = pptx.addSlide({ masterName: contentMaster });
+        s.background = { color: background };
+        addAccentStripe(s, selectedTheme.accent);
+        s.addText(title, { x: 0.5, y: 0.5, w: 9, h: 0.8, fontFace: headingFont, fontSize: 28, bold: true, color: selectedTheme.background, align: 'left', valign: 'top', shrinkText: true });
+      }
+      if (citation) {
+        s.addNotes(citation);
+      }
+      drawTablePage(s, tableContinuationRegion, continued.layout, page);
+    });
+    return continued.pages.length;
+  };
+
+  // Layout of each outline slide, for the agenda
+  const agenda = agendaItems(outline.slides || [], (slide, i) => pickLayout(i, slide.layout));
+
+  // Timeline, comparison, agenda, big-stat, card grid and process slides: their content drawn
+  // from shapes into `region` (below the title)
+  const drawStructuredLayout = (s, layout, region, content) => {
+    const { x, y, w, h } = region;
+    const accent = selectedTheme.accent;
+    const textColor = selectedTheme.text;
+    const mutedColor = lighten(selectedTheme.text, 0.35);
+    const text = (value, box, options) => s.addText(value, { ...box, fontFace: bodyFont, color: textColor, align: 'center', valign: 'top', shrinkText: true, ...options });
+
+    switch (layout) {
+      case 'timeline': {
+        // Events spread along a line: label above each dot, title and detail below
+        const events = content.slice(0, MAX_LAYOUT_ITEMS);
+        const colW = w / Math.max(events.length, 1);
+        const lineY = y + 0.9;
+        s.addShape(pptx.ShapeType.line, { x: x + colW / 2, y: lineY, w: w - colW, h: 0, line: { color: lighten(accent, 0.4), pt: 3 } });
+        events.forEach((event, i) => {
+          const cx = x + colW * (i + 0.5);
+          s.addShape(pptx.ShapeType.ellipse, { x: cx - 0.15, y: lineY - 0.15, w: 0.3, h: 0.3, fill: { color: accent }, line: { color: 'FFFFFF', pt: 2 } });
+          text(event.label, { x: cx - colW / 2, y, w: colW, h: 0.65 }, { fontFace: headingFont, fontSize: 16, bold: true, color: selectedTheme.background, valign: 'bottom' });
+          text(event.title, { x: cx - colW / 2, y: lineY + 0.3, w: colW, h: 0.75 }, { fontSize: 14, bold: true });
+          if (event.detail) {
+            text(event.detail, { x: cx - colW / 2, y: lineY + 1.05, w: colW, h: y + h - lineY - 1.05 }, { fontSize: 11, color: mutedColor });
+          }
+        });
+        break;
+      }
+      case 'comparison': {
+        // Two panels, each a colored heading bar over its points
+        const gap = 0.3;
+        const panelW = (w - gap) / 2;
+        const headingH = 0.55;
+        [
+          { side: content.left, fill: accent, color: 'FFFFFF' },
+          { side: content.right, fill: selectedTheme.background, color: selectedTheme.title }
+        ].forEach(({ side, fill, color }, i) => {
+          const px = x + i * (panelW + gap);
+          const heading = side.heading || '';
+          const top = heading ? y + headingH : y;
+          if (heading) {
+            s.addShape(pptx.ShapeType.rect, { x: px, y, w: panelW, h: headingH, fill: { color: fill }, line: { pt: 0 } });
+            text(heading, { x: px, y, w: panelW, h: headingH }, { fontFace: headingFont, fontSize: 18, bold: true, color, valign: 'middle' });
+          }
+          s.addShape(pptx.ShapeType.rect, { x: px, y: top, w: panelW, h: y + h - top, fill: { color: lighten(fill, 0.9) }, line: { pt: 0 } });
+          text((side.points || []).map(point => `• ${point}`).join('\n'), { x: px + 0.1, y: top + 0.1, w: panelW - 0.2, h: y + h - top - 0.2 }, { fontSize: 14, lineSpacing: 21, align: 'left' });
+        });
+        break;
+      }
+      case 'agenda': {
+        // Numbered rows, in two columns past six items
+        const perColumn = content.length <= 6 ? content.length : Math.ceil(content.length / 2);
+        const columnW = content.length <= 6 ? w : (w - 0.3) / 2;
+        const rowH = Math.min(0.6, h / Math.max(perColumn, 1));
+        const badge = Math.min(0.45, rowH - 0.1);
+        content.forEach((item, i) => {
+          const cx = x + Math.floor(i / perColumn) * (columnW + 0.3);
+          const cy = y + (i % perColumn) * rowH;
+          s.addShape(pptx.ShapeType.ellipse, { x: cx, y: cy + (rowH - badge) / 2, w: badge, h: badge, fill: { color: accent }, line: { pt: 0 } });
+          text(String(i + 1), { x: cx, y: cy + (rowH - badge) / 2, w: badge, h: badge }, { fontSize: Math.round(badge * 30), bold: true, color: 'FFFFFF', valign: 'middle', margin: 0 });
+          text(item, { x: cx + badge + 0.15, y: cy, w: columnW - badge - 0.15, h: rowH }, { fontSize: 18, align: 'left', valign: 'middle' });
+        });
+        break;
+      }
+      case 'big-stat': {
+        // Headline number, what it measures, its context and any supporting points
+        const points = content.points || [];
+        text(content.value || '', { x, y, w, h: 1.5 }, { fontFace: headingFont, fontSize: 72, bold: true, color: accent, valign: 'bottom' });
+        text(content.label || '', { x: x + 0.5, y: y + 1.55, w: w - 1, h: 0.8 }, { fontSize: 20 });
+        let top = y + 2.35;
+        if (content.context) {
+          text(content.context, { x: x + 0.5, y: top, w: w - 1, h: 0.5 }, { fontSize: 14, italic: true, color: mutedColor });
+          top += 0.5;
+        }
+        if (points.length > 0 && y + h - top > 0.3) {
+          text(points.map(point => `• ${point}`).join('\n'), { x: x + 1, y: top + 0.1, w: w - 2, h: y + h - top - 0.1 }, { fontSize: 14, lineSpacing: 20, align: 'left' });
+        }
+        break;
+      }
+      case 'card-grid': {
+        // Up to three cards per row, each with an initials badge, title, subtitle and text
+        const cards = content.slice(0, MAX_LAYOUT_ITEMS);
+        const columns = cards.length === 4 ? 2 : Math.min(cards.length, 3);
+        const rows = Math.ceil(cards.length / Math.max(columns, 1));
+        const gap = 0.25;
+        const cardW = (w - gap * (columns - 1)) / columns;
+        const cardH = (h - gap * (rows - 1)) / rows;
+        const badge = Math.min(0.6, cardH * 0.3);
+        cards.forEach((card, i) => {
+          const cx = x + (i % columns) * (cardW + gap);
+          const cy = y + Math.floor(i / columns) * (cardH + gap);
+          s.addShape(pptx.ShapeType.roundRect, { x: cx, y: cy, w: cardW, h: cardH, fill: { color: 'FFFFFF' }, line: { color: lighten(textColor, 0.8), pt: 1 } });
+          s.addShape(pptx.ShapeType.ellipse, { x: cx + 0.15, y: cy + 0.15, w: badge, h: badge, fill: { color: accent }, line: { pt: 0 } });
+          text(initials(card.title), { x: cx + 0.15, y: cy + 0.15, w: badge, h: badge }, { fontSize: Math.round(badge * 26), bold: true, color: 'FFFFFF', valign: 'middle', margin: 0 });
+          const headerX = cx + badge + 0.25;
+          const headerW = cardW - badge - 0.35;
+          const headerH = Math.max(badge, 0.7);
+          if (card.subtitle) {
+            text(card.title, { x: headerX, y: cy + 0.1, w: headerW, h: 0.4 }, { fontSize: 14, bold: true, align: 'left', valign: 'bottom' });
+            text(card.subtitle, { x: headerX, y: cy + 0.5, w: headerW, h: 0.3 }, { fontSize: 11, color: mutedColor, align: 'left' });
+          } else {
+            text(card.title, { x: headerX, y: cy + 0.15, w: headerW, h: badge }, { fontSize: 14, bold: true, align: 'left', valign: 'middle' });
+          }
+          if (card.text) {
+            text(card.text, { x: cx + 0.1, y: cy + headerH + 0.2, w: cardW - 0.2, h: cardH - headerH - 0.3 }, { fontSize: 12, align: 'left' });
+          }
+        });
+        break;
+      }
+      case 'process': {
+        // Steps as boxes joined by arrows, details below each box
+        const steps = content.slice(0, MAX_LAYOUT_ITEMS);
+        const arrowW = 0.35;
+        const stepW = (w - arrowW * (steps.length - 1)) / Math.max(steps.length, 1);
+        const boxY = y + 0.3;
+        const boxH = 1.2;
+        steps.forEach((step, i) => {
+          const sx = x + i * (stepW + arrowW);
+          s.addShape(pptx.ShapeType.roundRect, { x: sx, y: boxY, w: stepW, h: boxH, fill: { color: i % 2 === 0 ? accent : selectedTheme.background }, line: { pt: 0 } });
+          text(`${i + 1}`, { x: sx, y: boxY + 0.05, w: stepW, h: 0.35 }, { fontSize: 12, bold: true, color: lighten(i % 2 === 0 ? accent : selectedTheme.background, 0.6) });
+          text(step.title, { x: sx + 0.05, y: boxY + 0.35, w: stepW - 0.1, h: boxH - 0.45 }, { fontFace: headingFont, fontSize: 15, bold: true, color: i % 2 === 0 ? 'FFFFFF' : selectedTheme.title, valign: 'middle' });
+          if (i < steps.length - 1) {
+            s.addShape(pptx.ShapeType.rightArrow, { x: sx + stepW + 0.05, y: boxY + boxH / 2 - 0.15, w: arrowW - 0.1, h: 0.3, fill: { color: lighten(textColor, 0.6) }, line: { pt: 0 } });
+          }
+          if (step.detail) {
+            text(step.detail, { x: sx, y: boxY + boxH + 0.2, w: stepW, h: y + h - boxY - boxH - 0.2 }, { fontSize: 12 });
+          }
+        });
+        break;
+      }
+      default:
+        break;
+    }
+  };
+
+  // Content slide in its outline layout; returns the number of "(cont.)" slides added after it
+  const addContentSlide = (pptx, slideData, index) => {
+    const layout = pickLayout(index, (slideData && slideData.layout) || undefined);
+    const bgVariants = [
+      'FFFFFF',
+      lighten(selectedTheme.accent, 0.85),
+      lighten(selectedTheme.accent, 0.92),
+      lighten(selectedTheme.background, 0.95),
+      lighten(selectedTheme.accent, 0.8)
+    ];
+    const bg = bgVariants[index % bgVariants.length];
+    const s = pptx.addSlide({ masterName: contentMaster });
+    s.background = { color: bg };
+    addAccentStripe(s, selectedTheme.accent);
+
+    const titleColor = selectedTheme.background;
+    const textColor = selectedTheme.text;
+
+    const title = slideData?.slideTitle || 'Untitled Slide';
+    const bullets = Array.isArray(slideData?.bulletPoints) ? slideData.bulletPoints.filter(Boolean) : [];
+
+    const notes = slideNotes(slideData);
+    if (notes) {
+      s.addNotes(notes);
+    }
+
+    switch (layout) {
+      case 'two-column': {
+        s.addText(title, { x: 0.5, y: 0.5, w: 9, h: 0.8, fontFace: headingFont, fontSize: 28, bold: true, color: titleColor, align: 'left', valign: 'top', shrinkText: true });
+        const mid = Math.ceil(bullets.length / 2) || 1;
+        const left = bullets.slice(0, mid);
+        const right = bullets.slice(mid);
+        const leftText = left.map(t => `• ${t}`).join('\n');
+        const rightText = right.map(t => `• ${t}`).join('\n');
+        s.addText(leftText, { x: 0.5, y: 1.4, w: 4.25, h: 3.8, fontFace: bodyFont, fontSize: 16, color: textColor, lineSpacing: 24, align: 'left', valign: 'top', shrinkText: true });
+        const rightRegion = { x: 5.25, y: 1.4, w: 4.25, h: 3.8 };
+        if (!(renderTable(s, rightRegion, slideData.table) || renderChart(s, rightRegion, slideData.chart))) {
+          s.addText(rightText, { x: 5.25, y: 1.4, w: 4.25, h: 3.8, fontFace: bodyFont, fontSize: 16, color: textColor, lineSpacing: 24, align: 'left', valign: 'top', shrinkText: true });
+        }
+        break;
+      }
+      case 'quote': {
+        const quote = bullets[0] || 'Insightful quote or key takeaway goes here.';
+        s.addText(title, { x: 0.5, y: 0.5, w: 9, h: 0.6, fontFace: headingFont, fontSize: 24, bold: true, color: textColor, align: 'left', valign: 'top', shrinkText: true });
+        s.addText(`"${quote}"`, { x: 0.75, y: 1.2, w: 8.5, h: 1.8, fontFace: bodyFont, fontSize: 28, italic: true, color: titleColor, align: 'center', valign: 'top', shrinkText: true });
+        const rest = bullets.slice(1);
+        const restText = rest.map(t => `• ${t}`).join('\n');
+        if (rest.length) {
+          s.addText(restText, { x: 1, y: 3.2, w: 8, h: 2.3, fontFace: bodyFont, fontSize: 14, color: textColor, lineSpacing: 20, align: 'left', valign: 'top', shrinkText: true });
+        }
+        const region = bottomRegion(0.75, 8.5);
+        renderTable(s, region, slideData.table) || renderChart(s, region, slideData.chart) || renderImage(s, region, slideData.image);
+        break;
+      }
+      case 'section-divider': {
+        s.addShape(pptx.ShapeType.rect, { x: 1, y: 2, w: 8, h: 3, fill: { color: selectedTheme.accent }, line: { pt: 0 } });
+        s.addText(title, { x: 1, y: 2.8, w: 8, h: 1, fontFace: headingFont, fontSize: 36, bold: true, color: 'FFFFFF', align: 'center', shrinkText: true });
+        break;
+      }
+      case 'checklist': {
+        s.addText(title, { x: 0.5, y: 0.5, w: 9, h: 0.8, fontFace: headingFont, fontSize: 28, bold: true, color: titleColor, align: 'left', valign: 'top', shrinkText: true });
+        const checklistText = (bullets.length ? bullets : ['First task', 'Second task']).map(t => `✓ ${t}`).join('\n');
+        s.addText(checklistText, { x: 0.5, y: 1.4, w: 9, h: 3.8, fontFace: bodyFont, fontSize: 16, color: textColor, lineSpacing: 24, align: 'left', valign: 'top', shrinkText: true });
+        const region = bottomRegion(0.5, 9);
+        renderChart(s, region, slideData.chart) || renderTable(s, region, slideData.table);
+        break;
+      }
+      case 'numbers': {
+        s.addText(title, { x: 0.5, y: 0.5, w: 9, h: 0.8, fontFace: headingFont, fontSize: 28, bold: true, color: titleColor, align: 'left', valign: 'top', shrinkText: true });
+        const numbersText = (bullets.length ? bullets : ['Point one', 'Point two']).map((t, i) => `${i + 1}. ${t}`).join('\n');
+        s.addText(numbersText, { x: 0.5, y: 1.4, w: 9, h: 3.8, fontFace: bodyFont, fontSize: 16, color: textColor, lineSpacing: 24, align: 'left', valign: 'top', shrinkText: true });
+        const region = bottomRegion(0.5, 9);
+        renderChart(s, region, slideData.chart) || renderTable(s, region, slideData.table);
+        break;
+      }
+      case 'image-left': {
+        const imgRegion = { x: 0.5, y: 1.4, w: 4, h: 3.5 };
+        renderImage(s, imgRegion, slideData.image);
+        s.addText(title, { x: 4.75, y: 0.5, w: 4.75, h: 0.8, fontFace: headingFont, fontSize: 28, bold: true, color: titleColor, align: 'left', valign: 'top', shrinkText: true });
+        const bulletText = bullets.map(t => `• ${t}`).join('\n');
+        s.addText(bulletText, { x: 4.75, y: 1.4, w: 4.75, h: 3.5, fontFace: bodyFont, fontSize: 16, color: textColor, lineSpacing: 24, align: 'left', valign: 'top', shrinkText: true });
+        break;
+      }
+      case 'timeline':
+      case 'comparison':
+      case 'agenda':
+      case 'big-stat':
+      case 'card-grid':
+      case 'process': {
+        s.addText(title, { x: 0.5, y: 0.5, w: 9, h: 0.8, fontFace: headingFont, fontSize: 28, bold: true, color: titleColor, align: layout === 'big-stat' ? 'center' : 'left', valign: 'top', shrinkText: true });
+        drawStructuredLayout(s, layout, { x: 0.5, y: 1.4, w: 9, h: 3.8 }, layout === 'agenda' ? agenda : layoutContent(slideData, layout, bullets));
+        break;
+      }
+      case 'title-bullets':
+      default: {
+        s.addText(title, { x: 0.5, y: 0.5, w: 9, h: 0.8, fontFace: headingFont, fontSize: 28, bold: true, color: titleColor, align: 'left', valign: 'top', shrinkText: true });
+        const bulletText = bullets.map(t => `• ${t}`).join('\n');
+        s.addText(bulletText, { x: 0.5, y: 1.4, w: 6, h: 3.8, fontFace: bodyFont, fontSize: 16, color: textColor, lineSpacing: 24, align: 'left', valign: 'top', shrinkText: true });
+        const rightRegion = { x: 6.75, y: 1.4, w: 2.75, h: 3.5 };
+        renderImage(s, rightRegion, slideData.image);
+        const region = bottomRegion(0.5, 9);
+        renderChart(s, region, slideData.chart) || renderTable(s, region, slideData.table);
+        break;
+      }
+    }
+
+    return addTableContinuations(slideData, bg);
+  };
+
+  // Template mode: one slide master per template layout used, carrying the layout's background,
+  // pictures and title/body placeholders (plus the brand objects)
+  const templateMasters = new Map();
+  const addTemplateLayoutSlide = (slot) => {
+    const layoutId = template.layoutMap[slot] || template.layoutMap['title-bullets'];
+    const layout = template.layouts.find(l => l.id === layoutId) || template.layouts[0];
+
+    if (!templateMasters.has(layout.id)) {
+      const placeholders = layout.placeholders
+        .filter(p => p.kind !== 'pic')
+        .map(p => {
+          const style = template.textStyles[p.kind] || {};
+          return {
+            placeholder: {
+              options: {
+                name: p.name,
+                type: p.kind,
+                x: p.x, y: p.y, w: p.w, h: p.h,
+                fontFace: p.kind === 'title' ? headingFont : bodyFont,
+                ...(style.fontSize && { fontSize: style.fontSize }),
+                ...(style.color && { color: style.color }),
+                valign: p.kind === 'title' ? 'middle' : 'top'
+              },
+              text: ''
+            }
+          };
+        });
+      const { objects, slideNumber } = brandObjects(lighten(selectedTheme.text, 0.35));
+
+      const masterName = `TEMPLATE_${layout.id}`;
+      pptx.defineSlideMaster({
+        title: masterName,
+        ...(layout.background && { background: layout.background }),
+        objects: [...layout.decorations, ...placeholders, ...objects],
+        slideNumber
+      });
+      templateMasters.set(layout.id, masterName);
+    }
+
+    return { s: pptx.addSlide({ masterName: templateMasters.get(layout.id) }), layout };
+  };
+
+  // Bullet paragraphs styled for the outline layout
+  const templateParagraphs = (layout, items) => items.map((text, i) => {
+    if (layout === 'checklist') return { text: `✓ ${text}`, options: { breakLine: true } };
+    if (layout === 'numbers') return { text, options: { bullet: { type: 'number' }, breakLine: true } };
+    if (layout === 'quote' && i === 0) return { text: `"${text}"`, options: { italic: true, breakLine: true } };
+    return { text, options: { bullet: true, breakLine: true } };
+  });
+
+  // Content slide placed into the template layout mapped to the slide's outline layout.
+  // Tables and charts go into a second body or an unused picture placeholder, otherwise
+  // they share the body placeholder's area with the bullets.
+  const addTemplateSlide = (slideData, index) => {
+    const layoutName = pickLayout(index, (slideData && slideData.layout) || undefined);
+    const { s, layout } = addTemplateLayoutSlide(layoutName);
+
+    const titlePlaceholder = layout.placeholders.find(p => p.kind === 'title');
+    const bodies = layout.placeholders.filter(p => p.kind === 'body');
+    const picture = layout.placeholders.find(p => p.kind === 'pic');
+
+    const title = slideData?.slideTitle || 'Untitled Slide';
+    const bullets = Array.isArray(slideData?.bulletPoints) ? slideData.bulletPoints.filter(Boolean) : [];
+    const hasImage = Boolean(slideData.image && slideData.image.data);
+
+    const notes = slideNotes(slideData);
+    if (notes) {
+      s.addNotes(notes);
+    }
+
+    if (titlePlaceholder) {
+      s.addText(title, { placeholder: titlePlaceholder.name, shrinkText: true });
+    } else {
+      s.addText(title, { x: 0.5, y: 0.3, w: slideW - 1, h: 0.8, fontFace: headingFont, fontSize: 28, bold: true, color: selectedTheme.background, shrinkText: true });
+    }
+
+    // Structured layouts are drawn over the area of the body placeholders
+    if (STRUCTURED_LAYOUTS.includes(layoutName)) {
+      const area = bodies.length > 0
+        ? bodies.reduce((box, p) => {
+          const right = Math.max(box.x + box.w, p.x + p.w);
+          const bottom = Math.max(box.y + box.h, p.y + p.h);
+          const x = Math.min(box.x, p.x);
+          const y = Math.min(box.y, p.y);
+          return { x, y, w: right - x, h: bottom - y };
+        })
+        : { x: 0.5, y: 1.3, w: slideW - 1, h: slideH - 1.9 };
+      drawStructuredLayout(s, layoutName, area, layoutName === 'agenda' ? agenda : layoutContent(slideData, layoutName, bullets));
+      return 0;
+    }
+
+    let textBodies = bodies;
+    let dataRegion = null;
+    let sharedRegion = null;
+    if (slideData.table || slideData.chart) {
+      if (layoutName !== 'two-column' && bodies.length >= 2) {
+        dataRegion = bodies[1];
+        textBodies = [bodies[0]];
+      } else if (picture && !hasImage) {
+        dataRegion = picture;
+      } else {
+        const area = bodies[0] || { x: 0.5, y: 1.3, w: slideW - 1, h: slideH - 1.9 };
+        sharedRegion = { x: area.x, y: area.y, w: area.w, h: area.h * 0.5 };
+        dataRegion = { x: area.x, y: area.y + area.h * 0.55, w: area.w, h: area.h * 0.45 };
+      }
+    }
+
+    if (bullets.length > 0) {
+      if (sharedRegion || textBodies.length === 0) {
+        const region = sharedRegion || { x: 0.5, y: 1.3, w: slideW - 1, h: slideH - 1.9 };
+        s.addText(templateParagraphs(layoutName, bullets), { ...region, fontFace: bodyFont, fontSize: 16, color: selectedTheme.text, valign: 'top', shrinkText: true });
+      } else if (layoutName === 'two-column' && textBodies.length >= 2) {
+        const mid = Math.ceil(bullets.length / 2);
+        s.addText(templateParagraphs(layoutName, bullets.slice(0, mid)), { placeholder: textBodies[0].name, shrinkText: true });
+        if (mid < bullets.length) {
+          s.addText(templateParagraphs(layoutName, bullets.slice(mid)), { placeholder: textBodies[1].name, shrinkText: true });
+        }
+      } else {
+        s.addText(templateParagraphs(layoutName, bullets), { placeholder: textBodies[0].name, shrinkText: true });
+      }
+    }
+
+    if (picture && hasImage) {
+      renderImage(s, picture, slideData.image);
+    }
+    if (dataRegion) {
+      renderTable(s, dataRegion, slideData.table) || renderChart(s, dataRegion, slideData.chart);
+    }
+
+    return addTableContinuations(slideData);
+  };
+
+  // Closing "Image credits" slide: one line per credited image, linked to the photo page
+  const addCreditsSlide = (credits) => {
+    const title = 'Image credits';
+    const paragraphs = (items) => items.map(credit => [
+      { text: `Slide ${credit.slideNumber} (${credit.slideTitle}): ` },
+      { text: credit.line, options: { breakLine: true, ...(credit.url && { hyperlink: { url: credit.url } }) } }
+    ]).flat();
+    const columns = credits.length > CREDITS_PER_COLUMN
+      ? [credits.slice(0, Math.ceil(credits.length / 2)), credits.slice(Math.ceil(credits.length / 2))]
+      : [credits];
+
+    if (template) {
+      const { s, layout } = addTemplateLayoutSlide('title-bullets');
+      const titlePlaceholder = layout.placeholders.find(p => p.kind === 'title');
+      const body = layout.placeholders.find(p => p.kind === 'body');
+      if (titlePlaceholder) {
+        s.addText(title, { placeholder: titlePlaceholder.name, shrinkText: true });
+      } else {
+        s.addText(title, { x: 0.5, y: 0.3, w: slideW - 1, h: 0.8, fontFace: headingFont, fontSize: 28, bold: true, color: selectedTheme.background, shrinkText: true });
+      }
+      const area = body || { x: 0.5, y: 1.3, w: slideW - 1, h: slideH - 1.9 };
+      const columnW = area.w / columns.length;
+      columns.forEach((items, i) => {
+        s.addText(paragraphs(items), { x: area.x + i * columnW, y: area.y, w: columnW, h: area.h, fontFace: bodyFont, fontSize: 12, color: selectedTheme.text, valign: 'top', shrinkText: true });
+      });
+      return;
+    }
+
+    const s = pptx.addSlide({ masterName: contentMaster });
+    s.background = { color: 'FFFFFF' };
+    addAccentStripe(s, selectedTheme.accent);
+    s.addText(title, { x: 0.5, y: 0.5, w: 9, h: 0.8, fontFace: headingFont, fontSize: 28, bold: true, color: selectedTheme.background, align: 'left', valign: 'top', shrinkText: true });
+    const columnW = 9 / columns.length;
+    columns.forEach((items, i) => {
+      s.addText(paragraphs(items), { x: 0.5 + i * columnW, y: 1.4, w: columnW, h: 3.8, fontFace: bodyFont, fontSize: 12, color: selectedTheme.text, lineSpacing: 18, align: 'left', valign: 'top', shrinkText: true });
+    });
+  };
+
+  // Title slide
+  const subtitle = outline.subtitle || `Presentation on ${topic}`;
+  if (template) {
+    const { s, layout } = addTemplateLayoutSlide('title');
+    const titlePlaceholder = layout.placeholders.find(p => p.kind === 'title');
+    const subtitlePlaceholder = layout.placeholders.find(p => p.kind === 'body');
+    if (titlePlaceholder) {
+      s.addText(outline.title || topic, { placeholder: titlePlaceholder.name, shrinkText: true });
+    }
+    if (subtitlePlaceholder) {
+      s.addText(subtitle, { placeholder: subtitlePlaceholder.name, shrinkText: true });
+    }
+  } else {
+    const slide = pptx.addSlide({ masterName: titleMaster });
+    slide.background = { color: selectedTheme.background };
+    slide.addText(outline.title || topic, {
+      x: 1, y: 2, w: 8, h: 1.5,
+      fontSize: 36, fontFace: headingFont, bold: true, color: selectedTheme.title, align: 'center', shrinkText: true
+    });
+    slide.addText(subtitle, {
+      x: 1, y: 4, w: 8, h: 1,
+      fontSize: 24, fontFace: bodyFont, color: selectedTheme.title, align: 'center', shrinkText: true
+    });
+  }
+
+  // Content slides
+  if (outline.slides && Array.isArray(outline.slides)) {
+    // Deck slide number of each outline slide, counting the title slide and "(cont.)" slides
+    const slideNumbers = [];
+    let next = 2;
+    outline.slides.forEach((slideData, idx) => {
+      slideNumbers[idx] = next;
+      if (slideData && typeof slideData === 'object') {
+        next += 1 + (template ? addTemplateSlide(slideData, idx) : addContentSlide(pptx, slideData, idx));
+      }
+    });
+
+    const credits = creditsSlide ? outlineCredits(outline, slide => drawnImages.has(slide.image), i => slideNumbers[i]) : [];
+    if (credits.length > 0) {
+      addCreditsSlide(credits);
+    }
+  } else {
+    // Add a fallback slide if no slides data
+    let slide = pptx.addSlide();
+    slide.background = { color: 'FFFFFF' };
+    slide.addText('Error: No content generated', {
+      x: 0.5, y: 0.5, w: 9, h: 1,
+      fontSize: 24, bold: true, color: 'FF0000'
+    });
+  }
+}
+
+// Render an outline into a PPTX buffer using the themed slide layouts
+async function buildPresentation(outline, options = {}) {
+  const pptx = new PPTXGenJS();
+  drawPresentation(pptx, outline, options);
+
+  // Generate PPTX as buffer
+  return pptx.write('nodebuffer');
+}
+
+module.exports = {
+  drawPresentation,
+  buildPresentation
+};
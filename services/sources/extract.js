@@ -0,0 +1,86 @@
+const path = require('path');
+const pdfParse = require('pdf-parse');
+const mammoth = require('mammoth');
+
+// Text of one PDF page, with a line break wherever the baseline moves
+async function renderPdfPage(pageData) {
+  const content = await pageData.getTextContent();
+  let lastY;
+  let text = '';
+  for (const item of content.items) {
+    text += lastY === undefined || lastY === item.transform[5] ? item.str : `\n${item.str}`;
+    lastY = item.transform[5];
+  }
+  return text;
+}
+
+// PDF: one section per page so slides can cite page numbers
+async function extractPdf(buffer) {
+  const pages = [];
+  await pdfParse(buffer, {
+    pagerender: async (pageData) => {
+      const text = await renderPdfPage(pageData);
+      pages.push(text);
+      return text;
+    }
+  });
+  return pages.map((text, idx) => ({ location: `p. ${idx + 1}`, text }));
+}
+
+// DOCX: paragraphs only (tables are flattened, images and formatting dropped)
+async function extractDocx(buffer) {
+  const { value } = await mammoth.extractRawText({ buffer });
+  return [{ location: undefined, text: value }];
+}
+
+// Markdown: one section per heading so slides can cite the section title
+function extractMarkdown(buffer) {
+  const sections = [];
+  let current = { location: undefined, lines: [] };
+
+  for (const line of buffer.toString('utf8').split(/\r?\n/)) {
+    const heading = line.match(/^#{1,6}\s+(.+?)\s*#*\s*$/);
+    if (heading) {
+      sections.push(current);
+      current = { location: `§ ${heading[1]}`, lines: [] };
+    } else {
+      current.lines.push(line);
+    }
+  }
+  sections.push(current);
+
+  return sections.map(s => ({ location: s.location, text: s.lines.join('\n') }));
+}
+
+function extractText(buffer) {
+  return [{ location: undefined, text: buffer.toString('utf8') }];
+}
+
+const EXTRACTORS = {
+  '.pdf': extractPdf,
+  '.docx': extractDocx,
+  '.md': extractMarkdown,
+  '.markdown': extractMarkdown,
+  '.txt': extractText
+};
+
+const SUPPORTED_EXTENSIONS = Object.keys(EXTRACTORS);
+
+// Extract the text of an uploaded document as [{ location, text }] sections
+async function extractSections(name, buffer) {
+  const extractor = EXTRACTORS[path.extname(name).toLowerCase()];
+  if (!extractor) {
+    throw new Error(`Invalid document "${name}": supported types are ${SUPPORTED_EXTENSIONS.join(', ')}`);
+  }
+
+  try {
+    return await extractor(buffer);
+  } catch (error) {
+    throw new Error(`Invalid document "${name}": could not read its text (${error.message})`);
+  }
+}
+
+module.exports = {
+  SUPPORTED_EXTENSIONS,
+  extractSections
+};
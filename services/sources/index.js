@@ -0,0 +1,114 @@
+const path = require('path');
+const { SUPPORTED_EXTENSIONS, extractSections } = require('./extract');
+
+// Documents travel base64-encoded in JSON bodies (10mb limit)
+const MAX_DOCUMENTS = 5;
+const MAX_DOCUMENTS_LENGTH = 9 * 1024 * 1024;
+
+// Source text is cut into chunks of about this many characters; each chunk can be cited
+const CHUNK_CHARS = 1500;
+
+// Text beyond this many characters (across all documents) is ignored
+const MAX_SOURCE_CHARS = 300000;
+
+// Validate the `documents` field: [{ name, data: base64 }]
+function validateDocuments(documents) {
+  if (documents === undefined || documents === null) {
+    return [];
+  }
+  if (!Array.isArray(documents) || documents.length === 0 || documents.length > MAX_DOCUMENTS) {
+    return [`Documents must be a list of 1 to ${MAX_DOCUMENTS} files`];
+  }
+
+  const errors = [];
+  let totalLength = 0;
+  documents.forEach((doc, idx) => {
+    if (!doc || typeof doc.name !== 'string' || typeof doc.data !== 'string' || doc.data.length === 0) {
+      errors.push(`Document ${idx + 1} must have a name and base64 data`);
+      return;
+    }
+    if (!SUPPORTED_EXTENSIONS.includes(path.extname(doc.name).toLowerCase())) {
+      errors.push(`Document "${doc.name}" must be one of: ${SUPPORTED_EXTENSIONS.join(', ')}`);
+    }
+    totalLength += doc.data.length;
+  });
+  if (totalLength > MAX_DOCUMENTS_LENGTH) {
+    errors.push('Documents must be smaller than 6.5 MB in total');
+  }
+
+  return errors;
+}
+
+// Deck topic for document-based requests without one: the first document's name
+function documentTopic(documents) {
+  const name = path.basename(documents[0].name, path.extname(documents[0].name));
+  return name.replace(/[_-]+/g, ' ').trim().slice(0, 200);
+}
+
+// Split a section into chunks of about CHUNK_CHARS, breaking between paragraphs where possible
+function chunkSection(text) {
+  const paragraphs = text
+    .split(/\n\s*\n/)
+    .map(p => p.replace(/\s+/g, ' ').trim())
+    .filter(Boolean);
+
+  const chunks = [];
+  let current = '';
+  for (const paragraph of paragraphs) {
+    if (current && current.length + paragraph.length + 1 > CHUNK_CHARS) {
+      chunks.push(current);
+      current = '';
+    }
+    if (paragraph.length > CHUNK_CHARS) {
+      for (let start = 0; start < paragraph.length; start += CHUNK_CHARS) {
+        chunks.push(paragraph.slice(start, start + CHUNK_CHARS));
+      }
+      continue;
+    }
+    current = current ? `${current}\n${paragraph}` : paragraph;
+  }
+  if (current) {
+    chunks.push(current);
+  }
+  return chunks;
+}
+
+// Extract and chunk the uploaded documents into numbered, citable source chunks:
+// [{ id, document, location?, text }]
+async function loadSources(documents) {
+  const chunks = [];
+  let totalChars = 0;
+
+  for (const doc of documents) {
+    const sections = await extractSections(doc.name, Buffer.from(doc.data, 'base64'));
+
+    for (const section of sections) {
+      for (const text of chunkSection(section.text)) {
+        if (totalChars >= MAX_SOURCE_CHARS) {
+          console.warn(`Source documents exceed ${MAX_SOURCE_CHARS} characters; the rest is ignored`);
+          return chunks;
+        }
+        totalChars += text.length;
+        chunks.push({ id: chunks.length + 1, document: doc.name, location: section.location, text });
+      }
+    }
+  }
+
+  if (chunks.length === 0) {
+    throw new Error('Invalid documents: no text could be extracted (scanned PDFs need OCR first)');
+  }
+  return chunks;
+}
+
+// Source reference stored on a slide for a cited chunk
+function sourceRef(chunk) {
+  const excerpt = chunk.text.length > 160 ? `${chunk.text.slice(0, 157)}...` : chunk.text;
+  return { id: chunk.id, document: chunk.document, ...(chunk.location && { location: chunk.location }), excerpt };
+}
+
+module.exports = {
+  validateDocuments,
+  documentTopic,
+  loadSources,
+  sourceRef
+};
@@ -0,0 +1,206 @@
+const fs = require('fs');
+const path = require('path');
+const { z } = require('zod');
+const { LAYOUT_SLOTS, parseTemplate, suggestLayoutMap } = require('./parser');
+
+const TEMPLATE_DIR = process.env.TEMPLATE_DIR || path.join(process.cwd(), 'data', 'templates');
+
+// Uploaded .pptx files travel base64-encoded in JSON bodies (10mb limit), 4 characters for every
+// 3 bytes of the file
+const MAX_TEMPLATE_MB = 6.5;
+const MAX_TEMPLATE_LENGTH = Math.ceil((MAX_TEMPLATE_MB * 1024 * 1024) / 3) * 4;
+
+const templateName = z.string().regex(/^[a-z0-9][a-z0-9-]{1,39}$/, 'must be 2-40 lowercase letters, digits or dashes');
+
+const layoutMapSchema = z.object(
+  Object.fromEntries(LAYOUT_SLOTS.map(slot => [slot, z.string().optional()]))
+).strict();
+
+const uploadSchema = z.object({
+  name: templateName,
+  label: z.string().trim().min(1).max(60).optional(),
+  file: z.string().min(1, 'is required').max(MAX_TEMPLATE_LENGTH, `must be smaller than ${MAX_TEMPLATE_MB} MB`),
+  layoutMap: layoutMapSchema.optional()
+});
+
+const templatePath = (name) => path.join(TEMPLATE_DIR, `${name}.json`);
+
+// Templates can be used by everyone, but only remapped or deleted by the user who uploaded them
+// (`userId`, null for anonymous requests and for templates uploaded before owners were recorded)
+const ownedBy = (template, userId) => (template.userId || null) === (userId || null);
+
+// Parsed templates, keyed by name, loaded from TEMPLATE_DIR/*.json
+let savedTemplates = null;
+
+function getSavedTemplates() {
+  if (savedTemplates) {
+    return savedTemplates;
+  }
+
+  savedTemplates = {};
+  if (!fs.existsSync(TEMPLATE_DIR)) {
+    return savedTemplates;
+  }
+
+  for (const file of fs.readdirSync(TEMPLATE_DIR).filter(f => f.endsWith('.json'))) {
+    try {
+      const template = JSON.parse(fs.readFileSync(path.join(TEMPLATE_DIR, file), 'utf8'));
+      // Templates saved before a layout existed get the suggested template layout for it
+      template.layoutMap = { ...suggestLayoutMap(template.layouts), ...template.layoutMap };
+      savedTemplates[path.basename(file, '.json')] = template;
+    } catch (error) {
+      console.warn(`Failed to load template file ${file}:`, error.message);
+    }
+  }
+
+  console.log(`Loaded ${Object.keys(savedTemplates).length} template(s) from ${TEMPLATE_DIR}`);
+  return savedTemplates;
+}
+
+// Saved template by name, or null (own keys only, so "constructor" is not a template)
+function savedTemplate(name) {
+  const templates = getSavedTemplates();
+  return Object.hasOwn(templates, name) ? templates[name] : null;
+}
+
+// Public view of a template: everything except the extracted images and the owner; `editable`
+// tells whether `userId` may change it
+function describeTemplate(template, userId) {
+  return {
+    name: template.name,
+    label: template.label,
+    uploadedAt: template.uploadedAt,
+    slideSize: template.slideSize,
+    theme: template.theme,
+    layouts: template.layouts.map(layout => ({
+      id: layout.id,
+      name: layout.name,
+      placeholders: layout.placeholders.map(p => p.kind)
+    })),
+    layoutMap: template.layoutMap,
+    editable: ownedBy(template, userId)
+  };
+}
+
+function listTemplates(userId) {
+  return Object.values(getSavedTemplates()).map(template => describeTemplate(template, userId));
+}
+
+function getTemplate(name, userId) {
+  const template = savedTemplate(name);
+  return template ? describeTemplate(template, userId) : null;
+}
+
+// Check that a layout map only points at layouts that exist in the template
+function validateLayoutMap(layoutMap, layouts) {
+  const ids = new Set(layouts.map(l => l.id));
+  return Object.entries(layoutMap || {})
+    .filter(([, id]) => id !== undefined && !ids.has(id))
+    .map(([slot, id]) => `layoutMap.${slot}: unknown template layout "${id}"`);
+}
+
+// Validate a template reference (the name of an uploaded template)
+function validateTemplate(template) {
+  if (template === undefined || template === null || template === '') {
+    return [];
+  }
+  return typeof template === 'string' && savedTemplate(template) ? [] : ['Invalid template'];
+}
+
+// Full parsed template (with images) for the renderer, or null
+function resolveTemplate(template) {
+  return typeof template === 'string' ? savedTemplate(template) : null;
+}
+
+function writeTemplate(template) {
+  fs.mkdirSync(TEMPLATE_DIR, { recursive: true });
+  fs.writeFileSync(templatePath(template.name), JSON.stringify(template));
+  getSavedTemplates()[template.name] = template;
+}
+
+// Parse and store a .pptx uploaded by `userId`; returns { template } or { errors }, with `forbidden`
+// set when the name belongs to another user's template
+async function saveTemplate(input, userId = null) {
+  const result = uploadSchema.safeParse(input);
+  if (!result.success) {
+    return { errors: result.error.issues.map(issue => `${issue.path.join('.')}: ${issue.message}`) };
+  }
+
+  const { name, label, file, layoutMap } = result.data;
+  const existing = savedTemplate(name);
+  if (existing && !ownedBy(existing, userId)) {
+    return { errors: [`Template "${name}" belongs to another user`], forbidden: true };
+  }
+  const parsed = await parseTemplate(Buffer.from(file, 'base64'));
+
+  const errors = validateLayoutMap(layoutMap, parsed.layouts);
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  const template = {
+    name,
+    label: label || name,
+    userId: userId || null,
+    uploadedAt: new Date().toISOString(),
+    ...parsed,
+    layoutMap: { ...suggestLayoutMap(parsed.layouts), ...layoutMap }
+  };
+  writeTemplate(template);
+
+  return { template: describeTemplate(template, userId) };
+}
+
+// Change which template layout each outline layout uses; returns { template } or { errors } (with
+// `forbidden` for another user's template), or null if missing
+function updateLayoutMap(name, layoutMap, userId = null) {
+  const template = savedTemplate(name);
+  if (!template) {
+    return null;
+  }
+  if (!ownedBy(template, userId)) {
+    return { errors: [`Template "${name}" belongs to another user`], forbidden: true };
+  }
+
+  const result = layoutMapSchema.safeParse(layoutMap);
+  if (!result.success) {
+    return { errors: result.error.issues.map(issue => `layoutMap ${issue.path.join('.')}: ${issue.message}`) };
+  }
+
+  const errors = validateLayoutMap(result.data, template.layouts);
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  const updated = { ...template, layoutMap: { ...template.layoutMap, ...result.data } };
+  writeTemplate(updated);
+
+  return { template: describeTemplate(updated, userId) };
+}
+
+// Delete a template uploaded by `userId`; returns { name } or { errors } (another user's template),
+// or null if missing
+function deleteTemplate(name, userId = null) {
+  const templates = getSavedTemplates();
+  if (!Object.prototype.hasOwnProperty.call(templates, name)) {
+    return null;
+  }
+  if (!ownedBy(templates[name], userId)) {
+    return { errors: [`Template "${name}" belongs to another user`] };
+  }
+
+  fs.rmSync(templatePath(name), { force: true });
+  delete templates[name];
+  return { name };
+}
+
+module.exports = {
+  LAYOUT_SLOTS,
+  listTemplates,
+  getTemplate,
+  validateTemplate,
+  resolveTemplate,
+  saveTemplate,
+  updateLayoutMap,
+  deleteTemplate
+};
@@ -0,0 +1,291 @@
+const path = require('path');
+const JSZip = require('jszip');
+const { LAYOUTS } = require('../outlineSchema');
+
+// Office measures in EMUs (English Metric Units); pptxgenjs works in inches
+const EMU_PER_INCH = 914400;
+
+const IMAGE_TYPES = { '.png': 'image/png', '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.gif': 'image/gif' };
+
+// Placeholder types we fill, mapped from the many PowerPoint placeholder types
+const PLACEHOLDER_KINDS = {
+  title: 'title',
+  ctrTitle: 'title',
+  body: 'body',
+  subTitle: 'body',
+  obj: 'body',
+  tbl: 'body',
+  chart: 'body',
+  pic: 'pic'
+};
+
+// Slots in the layout map: the title slide plus the outline layouts
+const LAYOUT_SLOTS = ['title', ...LAYOUTS];
+
+const attr = (xml, name) => {
+  const match = xml && xml.match(new RegExp(`\\b${name}="([^"]*)"`));
+  return match ? match[1] : undefined;
+};
+
+const firstTag = (xml, tag) => {
+  const match = xml && xml.match(new RegExp(`<${tag}\\b[^>]*?(?:/>|>[\\s\\S]*?</${tag}>)`));
+  return match ? match[0] : undefined;
+};
+
+const allTags = (xml, tag) => (xml && xml.match(new RegExp(`<${tag}\\b[^>]*?(?:/>|>[\\s\\S]*?</${tag}>)`, 'g'))) || [];
+
+const inches = (emu) => Math.round((Number(emu) / EMU_PER_INCH) * 1000) / 1000;
+
+// Position and size of a shape from its <a:xfrm>, in inches
+const readGeometry = (xml) => {
+  const xfrm = firstTag(xml, 'a:xfrm');
+  const off = firstTag(xfrm, 'a:off');
+  const ext = firstTag(xfrm, 'a:ext');
+  if (!off || !ext) return null;
+  return { x: inches(attr(off, 'x')), y: inches(attr(off, 'y')), w: inches(attr(ext, 'cx')), h: inches(attr(ext, 'cy')) };
+};
+
+// Resolve a relative relationship target (e.g. "../media/image1.png") against the part's folder
+const resolveTarget = (partPath, target) => path.posix.normalize(path.posix.join(path.posix.dirname(partPath), target));
+
+const relsPath = (partPath) => `${path.posix.dirname(partPath)}/_rels/${path.posix.basename(partPath)}.rels`;
+
+// Parse a .pptx template into the theme, slide size and layouts the renderer needs.
+// Only the first slide master is used; templates with several masters are rare.
+async function parseTemplate(buffer) {
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(buffer);
+  } catch (error) {
+    throw new Error('Invalid template: file is not a .pptx (zip) archive');
+  }
+
+  const read = async (partPath) => {
+    const file = zip.file(partPath);
+    return file ? file.async('string') : undefined;
+  };
+
+  const readRels = async (partPath) => {
+    const xml = await read(relsPath(partPath));
+    return allTags(xml, 'Relationship').map(rel => ({
+      id: attr(rel, 'Id'),
+      type: attr(rel, 'Type') || '',
+      target: resolveTarget(partPath, attr(rel, 'Target') || '')
+    }));
+  };
+
+  const presentation = await read('ppt/presentation.xml');
+  if (!presentation) {
+    throw new Error('Invalid template: ppt/presentation.xml is missing');
+  }
+
+  const sldSz = firstTag(presentation, 'p:sldSz');
+  const slideSize = sldSz
+    ? { w: inches(attr(sldSz, 'cx')), h: inches(attr(sldSz, 'cy')) }
+    : { w: 10, h: 5.625 };
+
+  const presentationRels = await readRels('ppt/presentation.xml');
+  const masterRel = presentationRels.find(rel => rel.type.endsWith('/slideMaster'));
+  const masterPath = masterRel ? masterRel.target : 'ppt/slideMasters/slideMaster1.xml';
+  const master = await read(masterPath);
+  if (!master) {
+    throw new Error('Invalid template: no slide master found');
+  }
+  const masterRels = await readRels(masterPath);
+
+  // Theme colors and fonts
+  const themeRel = masterRels.find(rel => rel.type.endsWith('/theme'));
+  const themeXml = (themeRel && await read(themeRel.target)) || '';
+  const schemeXml = firstTag(themeXml, 'a:clrScheme') || '';
+  const scheme = {};
+  for (const name of ['dk1', 'lt1', 'dk2', 'lt2', 'accent1', 'accent2', 'accent3', 'accent4', 'accent5', 'accent6']) {
+    const entry = firstTag(schemeXml, `a:${name}`);
+    const value = attr(firstTag(entry, 'a:srgbClr'), 'val') || attr(firstTag(entry, 'a:sysClr'), 'lastClr');
+    if (value) scheme[name] = value.toUpperCase();
+  }
+
+  const clrMapTag = firstTag(master, 'p:clrMap');
+  const clrMap = { bg1: 'lt1', tx1: 'dk1', bg2: 'lt2', tx2: 'dk2' };
+  for (const key of Object.keys(clrMap)) {
+    clrMap[key] = attr(clrMapTag, key) || clrMap[key];
+  }
+
+  const resolveColor = (xml) => {
+    const srgb = attr(firstTag(xml, 'a:srgbClr'), 'val');
+    if (srgb) return srgb.toUpperCase();
+    const schemeName = attr(firstTag(xml, 'a:schemeClr'), 'val');
+    if (schemeName) return scheme[clrMap[schemeName] || schemeName] || null;
+    return null;
+  };
+
+  const fontOf = (tag) => attr(firstTag(firstTag(themeXml, tag), 'a:latin'), 'typeface');
+  const headingFont = fontOf('a:majorFont') || 'Arial';
+  const bodyFont = fontOf('a:minorFont') || 'Arial';
+
+  // Default title / body text size and color from the master's text styles
+  const textStyle = (tag) => {
+    const lvl1 = firstTag(firstTag(master, tag), 'a:lvl1pPr');
+    const defRPr = firstTag(lvl1, 'a:defRPr');
+    const size = Number(attr(defRPr, 'sz'));
+    return {
+      fontSize: size ? size / 100 : undefined,
+      color: resolveColor(firstTag(defRPr, 'a:solidFill')) || undefined
+    };
+  };
+  const titleStyle = textStyle('p:titleStyle');
+  const bodyStyle = textStyle('p:bodyStyle');
+
+  // Pictures referenced by a part, as data URLs (vector formats are skipped)
+  const readImage = async (rels, rId) => {
+    const rel = rels.find(r => r.id === rId);
+    const mime = rel && IMAGE_TYPES[path.posix.extname(rel.target).toLowerCase()];
+    const file = mime && zip.file(rel.target);
+    return file ? `data:${mime};base64,${await file.async('base64')}` : null;
+  };
+
+  const readBackground = async (xml, rels) => {
+    const bg = firstTag(xml, 'p:bg');
+    if (!bg) return null;
+    const blip = firstTag(bg, 'a:blip');
+    if (blip) {
+      const data = await readImage(rels, attr(blip, 'r:embed'));
+      return data ? { data } : null;
+    }
+    const color = resolveColor(firstTag(bg, 'a:solidFill') || firstTag(bg, 'p:bgRef'));
+    return color ? { color } : null;
+  };
+
+  // Non-placeholder pictures and solid rectangles (logos, bands) drawn on a master or layout
+  const readDecorations = async (xml, rels) => {
+    const tree = firstTag(xml, 'p:spTree') || '';
+    const decorations = [];
+
+    for (const pic of allTags(tree, 'p:pic')) {
+      if (firstTag(pic, 'p:ph')) continue;
+      const geometry = readGeometry(pic);
+      const data = geometry && await readImage(rels, attr(firstTag(pic, 'a:blip'), 'r:embed'));
+      if (data) decorations.push({ image: { ...geometry, data } });
+    }
+
+    for (const sp of allTags(tree, 'p:sp')) {
+      if (firstTag(sp, 'p:ph') || attr(firstTag(sp, 'a:prstGeom'), 'prst') !== 'rect') continue;
+      const geometry = readGeometry(sp);
+      const color = resolveColor(firstTag(firstTag(sp, 'p:spPr'), 'a:solidFill'));
+      if (geometry && color) decorations.push({ rect: { ...geometry, fill: { color } } });
+    }
+
+    return decorations;
+  };
+
+  const readPlaceholders = (xml) => allTags(firstTag(xml, 'p:spTree'), 'p:sp')
+    .map(sp => {
+      const ph = firstTag(sp, 'p:ph');
+      if (!ph) return null;
+      return { type: attr(ph, 'type') || 'obj', idx: attr(ph, 'idx') || '0', geometry: readGeometry(sp) };
+    })
+    .filter(Boolean);
+
+  // Master placeholders supply the geometry that layouts inherit
+  const masterPlaceholders = readPlaceholders(master);
+  const inherited = (type) => {
+    const kind = PLACEHOLDER_KINDS[type] === 'title' ? 'title' : 'body';
+    const match = masterPlaceholders.find(p => p.type === kind) || (kind === 'body' && masterPlaceholders.find(p => p.type === 'obj'));
+    return match ? match.geometry : null;
+  };
+
+  const masterBackground = await readBackground(master, masterRels);
+  const masterDecorations = await readDecorations(master, masterRels);
+
+  const layouts = [];
+  for (const rel of masterRels.filter(r => r.type.endsWith('/slideLayout'))) {
+    const xml = await read(rel.target);
+    if (!xml) continue;
+    const layoutRels = await readRels(rel.target);
+    const showMasterShapes = attr(firstTag(xml, 'p:sldLayout'), 'showMasterSp') !== '0';
+
+    const counts = { title: 0, body: 0, pic: 0 };
+    const placeholders = [];
+    for (const ph of readPlaceholders(xml)) {
+      const kind = PLACEHOLDER_KINDS[ph.type];
+      const geometry = ph.geometry || inherited(ph.type);
+      if (!kind || !geometry) continue;
+      counts[kind]++;
+      placeholders.push({
+        name: kind === 'title' ? 'title' : `${kind}${counts[kind]}`,
+        kind,
+        type: ph.type,
+        ...geometry
+      });
+    }
+
+    layouts.push({
+      id: path.posix.basename(rel.target, '.xml'),
+      name: attr(firstTag(xml, 'p:cSld'), 'name') || path.posix.basename(rel.target, '.xml'),
+      background: (await readBackground(xml, layoutRels)) || masterBackground,
+      decorations: [
+        ...(showMasterShapes ? masterDecorations : []),
+        ...(await readDecorations(xml, layoutRels))
+      ],
+      placeholders
+    });
+  }
+
+  if (layouts.length === 0) {
+    throw new Error('Invalid template: the slide master has no layouts');
+  }
+
+  return {
+    slideSize,
+    theme: {
+      background: scheme.dk2 || scheme.accent1 || '1E3A8A',
+      title: scheme.lt1 || 'FFFFFF',
+      text: scheme.dk1 || '1F2937',
+      accent: scheme.accent1 || '3B82F6',
+      headingFont,
+      bodyFont
+    },
+    textStyles: { title: titleStyle, body: bodyStyle },
+    layouts
+  };
+}
+
+// Pick a template layout for every slot by placeholder shape, preferring matching layout names
+function suggestLayoutMap(layouts) {
+  const count = (layout, kind) => layout.placeholders.filter(p => p.kind === kind).length;
+  const named = (pattern, candidates = layouts) => candidates.find(l => pattern.test(l.name));
+
+  const withTitle = layouts.filter(l => count(l, 'title') > 0);
+  const content = withTitle.filter(l => count(l, 'body') === 1 && count(l, 'pic') === 0);
+  const contentLayout = named(/content|text/i, content) || content[0] || withTitle.find(l => count(l, 'body') > 0) || withTitle[0] || layouts[0];
+
+  const titleLayout = layouts.find(l => l.placeholders.some(p => p.type === 'ctrTitle')) || named(/^title slide/i) || contentLayout;
+  const twoBody = withTitle.filter(l => count(l, 'body') >= 2);
+  const twoColumnLayout = named(/two|comparison/i, twoBody) || twoBody[0] || contentLayout;
+  const pictureLayout = withTitle.find(l => count(l, 'pic') > 0) || twoColumnLayout;
+  const sectionLayout = named(/section|header/i, withTitle) || withTitle.find(l => count(l, 'body') === 0) || titleLayout;
+  const quoteLayout = named(/quote/i, withTitle) || contentLayout;
+
+  return {
+    title: titleLayout.id,
+    'title-bullets': contentLayout.id,
+    'two-column': twoColumnLayout.id,
+    quote: quoteLayout.id,
+    'section-divider': sectionLayout.id,
+    checklist: contentLayout.id,
+    numbers: contentLayout.id,
+    'image-left': pictureLayout.id,
+    // Shape layouts are drawn over the body area of a plain content layout
+    timeline: contentLayout.id,
+    comparison: twoColumnLayout.id,
+    agenda: contentLayout.id,
+    'big-stat': contentLayout.id,
+    'card-grid': contentLayout.id,
+    process: contentLayout.id
+  };
+}
+
+module.exports = {
+  LAYOUT_SLOTS,
+  parseTemplate,
+  suggestLayoutMap
+};
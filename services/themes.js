@@ -0,0 +1,181 @@
+const fs = require('fs');
+const path = require('path');
+const { z } = require('zod');
+
+const THEME_DIR = process.env.THEME_DIR || path.join(process.cwd(), 'data', 'themes');
+
+// Fonts offered for headings and body text (installed with Office on Windows and macOS)
+const FONTS = [
+  'Arial',
+  'Calibri',
+  'Cambria',
+  'Georgia',
+  'Garamond',
+  'Helvetica',
+  'Segoe UI',
+  'Tahoma',
+  'Times New Roman',
+  'Trebuchet MS',
+  'Verdana',
+  'Courier New'
+];
+
+// Built-in color themes
+const BUILT_IN_THEMES = {
+  blue: { label: 'Blue', background: '1E3A8A', title: 'FFFFFF', text: '1F2937', accent: '3B82F6' },
+  green: { label: 'Green', background: '166534', title: 'FFFFFF', text: '1F2937', accent: '22C55E' },
+  purple: { label: 'Purple', background: '7C3AED', title: 'FFFFFF', text: '1F2937', accent: 'A855F7' },
+  red: { label: 'Red', background: 'DC2626', title: 'FFFFFF', text: '1F2937', accent: 'EF4444' },
+  orange: { label: 'Orange', background: 'EA580C', title: 'FFFFFF', text: '1F2937', accent: 'F97316' },
+  teal: { label: 'Teal', background: '0F766E', title: 'FFFFFF', text: '1F2937', accent: '14B8A6' },
+  gray: { label: 'Gray', background: '4B5563', title: 'FFFFFF', text: '1F2937', accent: '6B7280' }
+};
+
+const DEFAULT_FONT = 'Arial';
+
+// Hex colors are accepted with or without '#' and stored as 'RRGGBB' for pptxgenjs
+const hexColor = z.string()
+  .regex(/^#?[0-9a-fA-F]{6}$/, 'must be a 6-digit hex color like #1E3A8A')
+  .transform(v => v.replace('#', '').toUpperCase());
+
+const themeSchema = z.object({
+  label: z.string().trim().min(1).max(40).optional(),
+  background: hexColor,
+  title: hexColor,
+  text: hexColor,
+  accent: hexColor,
+  headingFont: z.enum(FONTS).default(DEFAULT_FONT),
+  bodyFont: z.enum(FONTS).default(DEFAULT_FONT)
+});
+
+const savedThemeSchema = themeSchema.extend({
+  name: z.string().regex(/^[a-z0-9][a-z0-9-]{1,39}$/, 'must be 2-40 lowercase letters, digits or dashes')
+});
+
+// Saved themes can be used by everyone, but only replaced by the user who saved them (`userId`,
+// null for anonymous requests and for themes saved before owners were recorded)
+const ownedBy = (theme, userId) => (theme.userId || null) === (userId || null);
+
+// Saved themes (with their owner), keyed by name, loaded from THEME_DIR/*.json
+let savedThemes = null;
+
+function loadSavedThemes() {
+  savedThemes = {};
+  if (!fs.existsSync(THEME_DIR)) {
+    return savedThemes;
+  }
+
+  for (const file of fs.readdirSync(THEME_DIR).filter(f => f.endsWith('.json'))) {
+    try {
+      const raw = JSON.parse(fs.readFileSync(path.join(THEME_DIR, file), 'utf8'));
+      const result = savedThemeSchema.safeParse({ name: path.basename(file, '.json'), ...raw });
+      if (!result.success || Object.hasOwn(BUILT_IN_THEMES, result.data.name)) {
+        console.warn(`Skipping invalid theme file ${file}`);
+        continue;
+      }
+      savedThemes[result.data.name] = { ...result.data, userId: raw.userId || null };
+    } catch (error) {
+      console.warn(`Failed to load theme file ${file}:`, error.message);
+    }
+  }
+
+  console.log(`Loaded ${Object.keys(savedThemes).length} saved theme(s) from ${THEME_DIR}`);
+  return savedThemes;
+}
+
+function getSavedThemes() {
+  return savedThemes || loadSavedThemes();
+}
+
+// Built-in or saved theme by name, or null. Only own keys count, so names such as "constructor"
+// are not mistaken for themes.
+function namedTheme(name) {
+  if (Object.hasOwn(BUILT_IN_THEMES, name)) {
+    return BUILT_IN_THEMES[name];
+  }
+  const saved = getSavedThemes();
+  return Object.hasOwn(saved, name) ? saved[name] : null;
+}
+
+// All named themes (built-in first), as returned by GET /themes; `editable` tells whether `userId`
+// may replace a saved theme
+function listThemes(userId) {
+  const builtIn = Object.entries(BUILT_IN_THEMES).map(([name, theme]) => ({
+    name,
+    builtIn: true,
+    headingFont: DEFAULT_FONT,
+    bodyFont: DEFAULT_FONT,
+    ...theme
+  }));
+  const saved = Object.values(getSavedThemes()).map(({ userId: owner, ...theme }) => ({
+    builtIn: false,
+    ...theme,
+    editable: ownedBy({ userId: owner }, userId)
+  }));
+  return [...builtIn, ...saved];
+}
+
+// Validate a theme reference: a built-in or saved theme name, or an inline custom theme object
+function validateTheme(colorTheme) {
+  if (colorTheme === undefined || colorTheme === null || colorTheme === '') {
+    return [];
+  }
+
+  if (typeof colorTheme === 'string') {
+    return namedTheme(colorTheme) ? [] : ['Invalid color theme'];
+  }
+
+  const result = themeSchema.safeParse(colorTheme);
+  if (result.success) {
+    return [];
+  }
+  return result.error.issues.map(issue => `Invalid color theme ${issue.path.join('.')}: ${issue.message}`);
+}
+
+// Resolve a (validated) theme reference to a full theme; unknown names fall back to blue
+function resolveTheme(colorTheme) {
+  if (colorTheme && typeof colorTheme === 'object') {
+    const result = themeSchema.safeParse(colorTheme);
+    if (result.success) {
+      return result.data;
+    }
+  }
+
+  const named = namedTheme(colorTheme) || BUILT_IN_THEMES.blue;
+  return { headingFont: DEFAULT_FONT, bodyFont: DEFAULT_FONT, ...named };
+}
+
+// Save a named custom theme for `userId` to THEME_DIR; returns { theme } or { errors }, with
+// `forbidden` set when the name belongs to another user's theme
+function saveTheme(input, userId = null) {
+  const result = savedThemeSchema.safeParse(input);
+  if (!result.success) {
+    return { errors: result.error.issues.map(issue => `${issue.path.join('.')}: ${issue.message}`) };
+  }
+
+  const theme = result.data;
+  if (Object.hasOwn(BUILT_IN_THEMES, theme.name)) {
+    return { errors: [`"${theme.name}" is a built-in theme name`] };
+  }
+
+  const existing = namedTheme(theme.name);
+  if (existing && !ownedBy(existing, userId)) {
+    return { errors: [`Theme "${theme.name}" belongs to another user`], forbidden: true };
+  }
+
+  fs.mkdirSync(THEME_DIR, { recursive: true });
+  const { name, ...fields } = theme;
+  fs.writeFileSync(path.join(THEME_DIR, `${name}.json`), JSON.stringify({ ...fields, userId: userId || null }, null, 2));
+  getSavedThemes()[name] = { ...theme, userId: userId || null };
+
+  return { theme: { builtIn: false, ...theme, editable: true } };
+}
+
+module.exports = {
+  FONTS,
+  BUILT_IN_THEMES,
+  listThemes,
+  validateTheme,
+  resolveTheme,
+  saveTheme
+};
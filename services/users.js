@@ -0,0 +1,271 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+const { z } = require('zod');
+
+const USER_DIR = process.env.USER_DIR || path.join(process.cwd(), 'data', 'users');
+
+// Web sessions are HMAC-signed tokens; without AUTH_SECRET they stop working when the server restarts
+const AUTH_SECRET = process.env.AUTH_SECRET || crypto.randomBytes(32).toString('hex');
+const SESSION_TTL_MS = (Number(process.env.SESSION_TTL_DAYS) || 7) * 24 * 60 * 60 * 1000;
+
+// API keys look like "ppt_<40 hex chars>"; only their SHA-256 hash is stored
+const API_KEY_PREFIX = 'ppt_';
+const MAX_API_KEYS = 10;
+
+// API key use is recorded in memory and written to the user's file at most once per interval,
+// so requests made with a key don't rewrite the file every time
+const LAST_USED_WRITE_MS = 60 * 1000;
+
+// Checked instead of a real hash when nobody has the email, so failed logins take as long either way
+const DUMMY_PASSWORD_HASH = `${'0'.repeat(32)}:${'0'.repeat(128)}`;
+
+const scrypt = promisify(crypto.scrypt);
+
+const credentialsSchema = z.object({
+  email: z.string().trim().toLowerCase().email('must be a valid email address').max(200),
+  password: z.string().min(8, 'must be at least 8 characters').max(200)
+});
+
+const signupSchema = credentialsSchema.extend({
+  name: z.string().trim().min(1).max(80).optional()
+});
+
+const apiKeySchema = z.object({
+  name: z.string().trim().min(1, 'is required').max(60)
+});
+
+const issues = (error) => error.issues.map(issue => `${issue.path.join('.')}: ${issue.message}`);
+
+const userPath = (id) => path.join(USER_DIR, `${String(id).replace(/[^\w\-]/g, '')}.json`);
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+// Registered users, keyed by id, loaded from USER_DIR/*.json
+let savedUsers = null;
+
+function getSavedUsers() {
+  if (savedUsers) {
+    return savedUsers;
+  }
+
+  savedUsers = {};
+  if (!fs.existsSync(USER_DIR)) {
+    return savedUsers;
+  }
+
+  for (const file of fs.readdirSync(USER_DIR).filter(f => f.endsWith('.json'))) {
+    try {
+      const user = JSON.parse(fs.readFileSync(path.join(USER_DIR, file), 'utf8'));
+      savedUsers[user.id] = user;
+    } catch (error) {
+      console.warn(`Failed to load user file ${file}:`, error.message);
+    }
+  }
+
+  console.log(`Loaded ${Object.keys(savedUsers).length} user(s) from ${USER_DIR}`);
+  return savedUsers;
+}
+
+function writeUser(user) {
+  fs.mkdirSync(USER_DIR, { recursive: true });
+  // Write then rename so a crash never leaves a half-written account
+  const tmp = `${userPath(user.id)}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(user, null, 2));
+  fs.renameSync(tmp, userPath(user.id));
+  getSavedUsers()[user.id] = user;
+}
+
+// Ids of users whose API key use is waiting to be written
+const pendingLastUsed = new Set();
+
+function scheduleLastUsedWrite(userId) {
+  if (pendingLastUsed.has(userId)) {
+    return;
+  }
+  pendingLastUsed.add(userId);
+  setTimeout(() => {
+    pendingLastUsed.delete(userId);
+    try {
+      writeUser(getSavedUsers()[userId]);
+    } catch (error) {
+      console.warn(`Failed to record API key use for user ${userId}:`, error.message);
+    }
+  }, LAST_USED_WRITE_MS).unref();
+}
+
+const findByEmail = (email) => Object.values(getSavedUsers()).find(u => u.email === email) || null;
+
+// Public view of an API key: never the key or its hash
+const describeApiKey = (apiKey) => ({
+  id: apiKey.id,
+  name: apiKey.name,
+  prefix: apiKey.prefix,
+  createdAt: apiKey.createdAt,
+  lastUsedAt: apiKey.lastUsedAt || null
+});
+
+// Public view of a user
+function describeUser(user) {
+  return {
+    id: user.id,
+    email: user.email,
+    name: user.name,
+    quota: user.quota || null,
+    createdAt: user.createdAt
+  };
+}
+
+async function hashPassword(password, salt = crypto.randomBytes(16).toString('hex')) {
+  const hash = await scrypt(password, salt, 64);
+  return `${salt}:${hash.toString('hex')}`;
+}
+
+async function checkPassword(password, stored) {
+  const [salt, hash = ''] = stored.split(':');
+  const candidate = await scrypt(password, salt, 64);
+  const expected = Buffer.from(hash, 'hex');
+  return candidate.length === expected.length && crypto.timingSafeEqual(candidate, expected);
+}
+
+const sign = (payload) => crypto.createHmac('sha256', AUTH_SECRET).update(payload).digest('base64url');
+
+// Session token for the web app: base64url({ sub, exp }) plus its signature
+function createSession(user) {
+  const payload = Buffer.from(JSON.stringify({ sub: user.id, exp: Date.now() + SESSION_TTL_MS })).toString('base64url');
+  return `${payload}.${sign(payload)}`;
+}
+
+// The user a session token belongs to, or null if it is forged, expired or the user is gone
+function verifySession(token) {
+  const [payload, signature] = String(token).split('.');
+  if (!payload || !signature) {
+    return null;
+  }
+
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  try {
+    const { sub, exp } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    return exp > Date.now() ? getSavedUsers()[sub] || null : null;
+  } catch {
+    return null;
+  }
+}
+
+// Create an account; returns { user, token } or { errors }
+async function signup(input) {
+  const result = signupSchema.safeParse(input);
+  if (!result.success) {
+    return { errors: issues(result.error) };
+  }
+
+  const { email, password, name } = result.data;
+  if (findByEmail(email)) {
+    return { errors: ['An account with this email already exists'] };
+  }
+
+  const user = {
+    id: crypto.randomUUID(),
+    email,
+    name: name || email.split('@')[0],
+    passwordHash: await hashPassword(password),
+    // Requests per quota window; null uses QUOTA_REQUESTS
+    quota: null,
+    apiKeys: [],
+    createdAt: new Date().toISOString()
+  };
+  writeUser(user);
+
+  return { user: describeUser(user), token: createSession(user) };
+}
+
+// Check an email and password; returns { user, token } or { errors }
+async function login(input) {
+  const result = credentialsSchema.safeParse(input);
+  if (!result.success) {
+    return { errors: issues(result.error) };
+  }
+
+  const user = findByEmail(result.data.email);
+  const valid = await checkPassword(result.data.password, user ? user.passwordHash : DUMMY_PASSWORD_HASH);
+  if (!user || !valid) {
+    return { errors: ['Incorrect email or password'] };
+  }
+
+  return { user: describeUser(user), token: createSession(user) };
+}
+
+function listApiKeys(user) {
+  return user.apiKeys.map(describeApiKey);
+}
+
+// Issue a new API key; the key itself is only returned here. Returns { apiKey, key } or { errors }
+function createApiKey(user, input) {
+  const result = apiKeySchema.safeParse(input);
+  if (!result.success) {
+    return { errors: issues(result.error) };
+  }
+  if (user.apiKeys.length >= MAX_API_KEYS) {
+    return { errors: [`At most ${MAX_API_KEYS} API keys per user; revoke one first`] };
+  }
+
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(20).toString('hex')}`;
+  const apiKey = {
+    id: crypto.randomUUID(),
+    name: result.data.name,
+    prefix: key.slice(0, API_KEY_PREFIX.length + 6),
+    hash: hashKey(key),
+    createdAt: new Date().toISOString(),
+    lastUsedAt: null
+  };
+  writeUser({ ...user, apiKeys: [...user.apiKeys, apiKey] });
+
+  return { apiKey: describeApiKey(apiKey), key };
+}
+
+// Returns false if the user has no such key
+function revokeApiKey(user, keyId) {
+  if (!user.apiKeys.some(k => k.id === keyId)) {
+    return false;
+  }
+  writeUser({ ...user, apiKeys: user.apiKeys.filter(k => k.id !== keyId) });
+  return true;
+}
+
+// The user an API key belongs to (recording when it was last used), or null
+function verifyApiKey(key) {
+  const hash = hashKey(String(key));
+  for (const user of Object.values(getSavedUsers())) {
+    const apiKey = user.apiKeys.find(k => k.hash === hash);
+    if (apiKey) {
+      const updated = {
+        ...user,
+        apiKeys: user.apiKeys.map(k => (k === apiKey ? { ...k, lastUsedAt: new Date().toISOString() } : k))
+      };
+      getSavedUsers()[user.id] = updated;
+      scheduleLastUsedWrite(user.id);
+      return updated;
+    }
+  }
+  return null;
+}
+
+const isApiKey = (credential) => String(credential).startsWith(API_KEY_PREFIX);
+
+module.exports = {
+  describeUser,
+  signup,
+  login,
+  verifySession,
+  listApiKeys,
+  createApiKey,
+  revokeApiKey,
+  verifyApiKey,
+  isApiKey
+};
@@ -0,0 +1,98 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const JSZip = require('jszip');
+const { parseDataFile } = require('../services/data/parse');
+const { untracedNumbers, traceableNumbers } = require('../services/data/index');
+
+const cells = (sheet) => sheet.rows.map(row => row.cells);
+
+// Minimal .xlsx with one worksheet; `styles` is the cellXfs/numFmts part of xl/styles.xml
+async function buildXlsx({ sheetXml, sharedStrings = [], styles = '' }) {
+  const zip = new JSZip();
+  zip.file('xl/workbook.xml', '<workbook><sheets><sheet name="Sales &amp; costs" sheetId="1" r:id="rId1"/></sheets></workbook>');
+  zip.file('xl/_rels/workbook.xml.rels', '<Relationships><Relationship Id="rId1" Target="worksheets/sheet1.xml"/></Relationships>');
+  zip.file('xl/sharedStrings.xml', `<sst>${sharedStrings.map(s => `<si><t>${s}</t></si>`).join('')}</sst>`);
+  zip.file('xl/styles.xml', `<styleSheet>${styles}</styleSheet>`);
+  zip.file('xl/worksheets/sheet1.xml', `<worksheet><sheetData>${sheetXml}</sheetData></worksheet>`);
+  return zip.generateAsync({ type: 'nodebuffer' });
+}
+
+test('parseCsv reads quoted fields with separators, doubled quotes and line breaks', async () => {
+  const csv = 'Name,Note,Amount\r\n"Smith, J.","said ""hi""\nthen left",12\r\nLee,,3.5\r\n';
+  const [sheet] = await parseDataFile('people.csv', Buffer.from(csv));
+
+  assert.equal(sheet.name, null);
+  assert.deepEqual(cells(sheet), [
+    ['Name', 'Note', 'Amount'],
+    ['Smith, J.', 'said "hi"\nthen left', '12'],
+    ['Lee', '', '3.5']
+  ]);
+});
+
+test('parseCsv guesses semicolon and tab delimiters from the first line', async () => {
+  const [semicolons] = await parseDataFile('eu.csv', Buffer.from('Region;Revenue\nNorth;1,5\n'));
+  assert.deepEqual(cells(semicolons), [['Region', 'Revenue'], ['North', '1,5']]);
+
+  const [tabs] = await parseDataFile('export.csv', Buffer.from('Region\tRevenue\nSouth\t7\n'));
+  assert.deepEqual(cells(tabs), [['Region', 'Revenue'], ['South', '7']]);
+});
+
+test('parseCsv strips a byte order mark and skips empty rows, keeping row numbers', async () => {
+  const [sheet] = await parseDataFile('bom.csv', Buffer.from('﻿Year,Total\n\n2024,10\n'));
+
+  assert.deepEqual(cells(sheet)[0], ['Year', 'Total']);
+  assert.deepEqual(sheet.rows.map(row => row.number), [1, 3]);
+});
+
+test('parseXlsx reads shared strings, inline strings, numbers and booleans', async () => {
+  const buffer = await buildXlsx({
+    sharedStrings: ['Product', 'Units', 'Fish &amp; chips'],
+    sheetXml: [
+      '<row r="1"><c r="A1" t="s"><v>0</v></c><c r="B1" t="s"><v>1</v></c><c r="C1" t="inlineStr"><is><r><t>In </t></r><r><t>stock</t></r></is></c></row>',
+      '<row r="2"><c r="A2" t="s"><v>2</v></c><c r="B2"><v>0.30000000000000004</v></c><c r="C2" t="b"><v>1</v></c></row>',
+      '<row r="4"><c r="B4"><v>12</v></c></row>'
+    ].join('')
+  });
+  const [sheet] = await parseDataFile('stock.xlsx', buffer);
+
+  assert.equal(sheet.name, 'Sales & costs');
+  assert.deepEqual(cells(sheet), [
+    ['Product', 'Units', 'In stock'],
+    ['Fish & chips', '0.3', 'TRUE'],
+    ['', '12']
+  ]);
+  assert.deepEqual(sheet.rows.map(row => row.number), [1, 2, 4]);
+});
+
+test('parseXlsx turns cells with built-in and custom date formats into dates', async () => {
+  const buffer = await buildXlsx({
+    styles: [
+      '<numFmts><numFmt numFmtId="164" formatCode="yyyy\\-mm"/><numFmt numFmtId="165" formatCode="&quot;Day&quot; 0"/></numFmts>',
+      '<cellXfs><xf numFmtId="0"/><xf numFmtId="14"/><xf numFmtId="164"/><xf numFmtId="165"/></cellXfs>'
+    ].join(''),
+    sheetXml: '<row r="1"><c r="A1" s="1"><v>45292</v></c><c r="B1" s="2"><v>45323</v></c><c r="C1" s="3"><v>7</v></c><c r="D1" s="0"><v>45292</v></c></row>'
+  });
+  const [sheet] = await parseDataFile('dates.xlsx', buffer);
+
+  assert.deepEqual(cells(sheet), [['2024-01-01', '2024-02-01', '7', '45292']]);
+});
+
+test('parseDataFile rejects other file types and broken workbooks', async () => {
+  await assert.rejects(parseDataFile('notes.txt', Buffer.from('x')), /supported types are \.csv, \.xlsx/);
+  await assert.rejects(parseDataFile('broken.xlsx', Buffer.from('not a zip')), /could not read it/);
+});
+
+test('untracedNumbers accepts figures rounded from the data and small counts', () => {
+  const allowed = traceableNumbers({ csv: 'Region,Revenue\nNorth,1234567\nSouth,45.8', facts: ['Total: 1280367'] });
+
+  assert.deepEqual(untracedNumbers('North made 1.2M, about 1,234,567 in total', allowed), []);
+  assert.deepEqual(untracedNumbers('South grew to 46% while 3 regions held steady', allowed), []);
+  assert.deepEqual(untracedNumbers('Revenue reached 1.28 million', allowed), []);
+});
+
+test('untracedNumbers reports figures that are not in the data', () => {
+  const allowed = traceableNumbers({ csv: 'Region,Revenue\nNorth,1234567', facts: [] });
+
+  assert.deepEqual(untracedNumbers('North made 1.5M and South 980', allowed), ['1.5M', '980']);
+  assert.deepEqual(untracedNumbers('A 12.5% margin', allowed), ['12.5']);
+});
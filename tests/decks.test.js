@@ -0,0 +1,65 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const deckDir = fs.mkdtempSync(path.join(os.tmpdir(), 'decks-test-'));
+process.env.DECK_DIR = deckDir;
+
+// A deck saved before the per-user index existed
+fs.writeFileSync(path.join(deckDir, 'legacy.json'), JSON.stringify({
+  id: 'legacy',
+  userId: 'alice',
+  name: 'Old deck',
+  topic: 'Old deck',
+  source: 'generate',
+  format: 'pptx',
+  inputs: {},
+  theme: { colorTheme: 'blue', brandKit: null, template: null },
+  outline: { title: 'Old deck', slides: [] },
+  imageAttributions: [],
+  slideCount: 0,
+  fileSize: 2,
+  createdAt: '2024-01-01T00:00:00.000Z'
+}));
+fs.writeFileSync(path.join(deckDir, 'legacy.bin'), 'PK');
+
+const { saveDeck, listDecks, getDeck, deleteDeck } = require('../services/decks');
+
+after(() => fs.rmSync(deckDir, { recursive: true, force: true }));
+
+const save = (userId, title) => saveDeck({
+  source: 'render',
+  userId,
+  topic: title,
+  options: { colorTheme: 'teal', format: 'pdf' },
+  outline: { title, slides: [{ slideTitle: 'One', bulletPoints: [] }] },
+  file: Buffer.from('%PDF')
+});
+
+test('each user lists only their own decks, newest first, including decks saved before the index', async () => {
+  const first = await save('alice', 'First');
+  const second = await save('alice', 'Second');
+  const other = await save('bob', 'Other');
+  const anonymous = await save(null, 'Anonymous');
+
+  const alice = (await listDecks('alice')).map(d => d.id);
+  assert.deepEqual([...alice].sort(), [first.id, second.id, 'legacy'].sort());
+  assert.equal(alice[2], 'legacy');
+  assert.deepEqual(await listDecks('bob'), [other]);
+  assert.deepEqual(await listDecks(null), [anonymous]);
+  assert.deepEqual(await listDecks('carol'), []);
+
+  assert.equal((await getDeck(first.id, 'alice')).outline.title, 'First');
+  assert.equal(await getDeck(first.id, 'bob'), null);
+});
+
+test('deleted decks leave the listing', async () => {
+  const deck = await save('dave', 'Temporary');
+
+  assert.equal(await deleteDeck(deck.id, 'erin'), false);
+  assert.equal(await deleteDeck(deck.id, 'dave'), true);
+  assert.deepEqual(await listDecks('dave'), []);
+  assert.equal(fs.existsSync(path.join(deckDir, `${deck.id}.json`)), false);
+});
@@ -0,0 +1,86 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// About 1 KB of cache, so a few small images are enough to evict
+const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'image-cache-test-'));
+process.env.IMAGE_CACHE_DIR = cacheDir;
+process.env.IMAGE_CACHE_MB = String(1000 / (1024 * 1024));
+
+const { cachedSearch, cachedImage } = require('../services/images/cache');
+
+after(() => fs.rmSync(cacheDir, { recursive: true, force: true }));
+
+// PNG data URL of `bytes` bytes
+const pngData = (bytes, fill) => `data:image/png;base64,${Buffer.alloc(bytes, fill).toString('base64')}`;
+const cachedImages = () => fs.readdirSync(cacheDir).filter(file => file.startsWith('image-')).length;
+
+test('searches are cached by provider and normalized query', async () => {
+  let calls = 0;
+  const search = async () => {
+    calls++;
+    return [{ url: 'https://images.example.com/1.jpg' }];
+  };
+
+  assert.deepEqual(await cachedSearch('unsplash', 'Technology!', search), [{ url: 'https://images.example.com/1.jpg' }]);
+  assert.deepEqual(await cachedSearch('unsplash', 'technology', search), [{ url: 'https://images.example.com/1.jpg' }]);
+  assert.equal(calls, 1);
+
+  await cachedSearch('pexels', 'technology', search);
+  assert.equal(calls, 2);
+});
+
+test('lookups in flight for the same key share one request', async () => {
+  let calls = 0;
+  const search = () => new Promise((resolve) => {
+    calls++;
+    setTimeout(() => resolve([]), 20);
+  });
+
+  await Promise.all([cachedSearch('unsplash', 'teamwork', search), cachedSearch('unsplash', 'Teamwork', search)]);
+  assert.equal(calls, 1);
+});
+
+test('downloaded images are served from the cache', async () => {
+  let downloads = 0;
+  const download = async () => {
+    downloads++;
+    return pngData(100, 1);
+  };
+
+  assert.equal(await cachedImage('https://images.example.com/a.png', download), pngData(100, 1));
+  assert.equal(await cachedImage('https://images.example.com/a.png', download), pngData(100, 1));
+  assert.equal(downloads, 1);
+});
+
+test('the least recently used images are evicted once the cache is full', async () => {
+  const urls = ['b', 'c', 'd'].map(name => `https://images.example.com/${name}.png`);
+  const downloads = [];
+  const fetchImage = (url, fill) => cachedImage(url, async () => {
+    downloads.push(url);
+    return pngData(400, fill);
+  });
+
+  await fetchImage(urls[0], 2);
+  await fetchImage(urls[1], 3);
+  // Using b again makes c the least recently used one
+  await fetchImage(urls[0], 2);
+  await fetchImage(urls[2], 4);
+
+  assert.equal(cachedImages(), 2);
+  await fetchImage(urls[0], 2);
+  await fetchImage(urls[2], 4);
+  assert.deepEqual(downloads, urls);
+
+  await fetchImage(urls[1], 3);
+  assert.deepEqual(downloads, [...urls, urls[1]]);
+});
+
+test('download failures are not cached', async () => {
+  await assert.rejects(cachedImage('https://images.example.com/e.png', async () => {
+    throw new Error('timeout');
+  }), /timeout/);
+  assert.equal(await cachedImage('https://images.example.com/e.png', async () => pngData(10, 5)), pngData(10, 5));
+});
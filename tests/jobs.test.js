@@ -0,0 +1,96 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Offline pipeline: fixture outlines, no image providers, everything stored in a temporary directory
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jobs-test-'));
+const jobDir = path.join(dataDir, 'jobs');
+Object.assign(process.env, {
+  LLM_PROVIDER: 'fixture',
+  JOB_STORE: 'file',
+  JOB_STORE_DIR: jobDir,
+  JOB_CONCURRENCY: '1',
+  DECK_DIR: path.join(dataDir, 'decks'),
+  IMAGE_CACHE_MB: '0'
+});
+for (const name of ['LLM_FIXTURE_FILE', 'UNSPLASH_ACCESS_KEY', 'PEXELS_API_KEY', 'LOCAL_IMAGE_DIR']) {
+  delete process.env[name];
+}
+
+// A job that was running when the server stopped
+fs.mkdirSync(jobDir, { recursive: true });
+fs.writeFileSync(path.join(jobDir, 'interrupted.json'), JSON.stringify({ id: 'interrupted', type: 'generate', status: 'running' }));
+
+const { getJobQueue } = require('../services/jobs');
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+// Poll a job until it has finished
+async function finished(queue, id) {
+  for (let i = 0; i < 200; i++) {
+    const job = await queue.get(id);
+    if (job.status === 'completed' || job.status === 'failed') return job;
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  throw new Error(`Job ${id} did not finish`);
+}
+
+const options = { slideCount: 3, presentationStyle: 'professional', audienceLevel: 'general', includeConclusion: true };
+
+test('jobs interrupted by a restart are marked as failed', async () => {
+  const queue = getJobQueue();
+  await queue.enqueue('outline', { topic: 'Recovery', options });
+
+  const job = await queue.get('interrupted');
+  assert.equal(job.status, 'failed');
+  assert.equal(job.error, 'Server restarted before the job finished');
+});
+
+test('outline jobs complete with the outline as their result', async () => {
+  const queue = getJobQueue();
+  const job = await queue.enqueue('outline', { topic: 'Solar power', options });
+  assert.equal(job.status, 'queued');
+
+  const done = await finished(queue, job.id);
+  assert.equal(done.status, 'completed');
+  assert.equal(done.progress.percent, 100);
+  assert.equal(done.hasFile, false);
+  assert.equal(done.result.topic, 'Solar power');
+  assert.equal(done.result.outline.slides.length, 3);
+  assert.equal(await queue.getFile(job.id), null);
+});
+
+test('render jobs store the deck file', async () => {
+  const queue = getJobQueue();
+  const outline = {
+    title: 'Wind power',
+    slides: [{ slideTitle: 'Why wind', bulletPoints: ['Cheap', 'Clean'], layout: 'title-bullets' }]
+  };
+  const job = await queue.enqueue('render', { topic: 'Wind power', outline, colorTheme: 'green' });
+
+  const done = await finished(queue, job.id);
+  assert.equal(done.status, 'completed');
+  assert.equal(done.hasFile, true);
+  assert.equal(done.name, 'Wind power');
+
+  const file = await queue.getFile(job.id);
+  // A .pptx is a zip archive
+  assert.equal(file.subarray(0, 2).toString(), 'PK');
+});
+
+test('failed jobs record the error and the queue keeps going', async () => {
+  const queue = getJobQueue();
+  const failing = await queue.enqueue('render', { topic: 'Broken', outline: null });
+  const next = await queue.enqueue('outline', { topic: 'Next', options });
+
+  const failed = await finished(queue, failing.id);
+  assert.equal(failed.status, 'failed');
+  assert.ok(failed.error);
+  assert.equal((await finished(queue, next.id)).status, 'completed');
+});
+
+test('unknown job types are rejected', async () => {
+  await assert.rejects(getJobQueue().enqueue('print', {}), /Invalid job type "print"/);
+});
@@ -0,0 +1,35 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { drawPresentation } = require('../services/renderer');
+const { createSlideRecorder } = require('../services/export/recorder');
+const { MAX_LAYOUT_ITEMS } = require('../services/outlineSchema');
+
+const SLIDE_H = 5.625;
+
+const items = (make) => Array.from({ length: MAX_LAYOUT_ITEMS }, (_, i) => make(i + 1));
+const chart = { type: 'bar', title: 'Revenue', labels: ['Q1', 'Q2', 'Q3'], values: [10, 12, 15] };
+
+test('structured layouts with the most items and charts under the text stay on the slide', () => {
+  const recorder = createSlideRecorder();
+  drawPresentation(recorder, {
+    title: 'Layouts',
+    slides: [
+      { slideTitle: 'Roadmap', layout: 'timeline', bulletPoints: [], timeline: items(n => ({ label: `Q${n}`, title: `Milestone ${n}`, detail: 'What ships then' })) },
+      { slideTitle: 'Team', layout: 'card-grid', bulletPoints: [], cards: items(n => ({ title: `Person ${n}`, subtitle: 'Role', text: 'What they work on' })) },
+      { slideTitle: 'How it works', layout: 'process', bulletPoints: [], steps: items(n => ({ title: `Step ${n}`, detail: 'What happens' })) },
+      { slideTitle: 'Revenue', layout: 'title-bullets', bulletPoints: ['Growing'], chart },
+      { slideTitle: 'Numbers', layout: 'numbers', bulletPoints: ['Growing'], chart },
+      { slideTitle: 'Tasks', layout: 'checklist', bulletPoints: ['Done'], chart },
+      { slideTitle: 'Quote', layout: 'quote', bulletPoints: ['Growth is a habit'], chart }
+    ]
+  }, { colorTheme: 'blue', creditsSlide: false });
+
+  for (const slide of recorder.slides.slice(1)) {
+    for (const item of slide.items) {
+      const { y, h } = item.options || {};
+      if (typeof y !== 'number' || typeof h !== 'number') continue;
+      assert.ok(y + h <= SLIDE_H + 1e-9, `${item.type} "${item.text || ''}" ends at ${y + h} in`);
+    }
+  }
+  assert.equal(recorder.slides.filter(slide => slide.items.some(item => item.type === 'chart')).length, 4);
+});
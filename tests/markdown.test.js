@@ -0,0 +1,87 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseMarkdownDeck, outlineToMarkdown } = require('../services/markdown');
+
+const outline = {
+  title: 'Quarterly review',
+  subtitle: 'Sales and outlook',
+  slides: [
+    {
+      slideTitle: 'Highlights',
+      layout: 'title-bullets',
+      bulletPoints: ['Revenue up 12%', 'Two new regions'],
+      speakerNotes: 'Open with the headline numbers.'
+    },
+    {
+      slideTitle: 'By region',
+      layout: 'two-column',
+      bulletPoints: ['North leads', 'South | West close behind'],
+      table: { headers: ['Region', 'Revenue'], rows: [['North', '1.2M'], ['South | West', '0.9M']] }
+    },
+    {
+      slideTitle: 'Trend',
+      layout: 'numbers',
+      bulletPoints: ['Steady growth'],
+      chart: { type: 'line', title: 'Revenue', labels: ['Q1', 'Q2', 'Q3'], values: [10, 12, 15] }
+    },
+    {
+      slideTitle: 'Mix',
+      layout: 'title-bullets',
+      bulletPoints: ['Online overtook retail'],
+      chart: {
+        type: 'bar',
+        stacked: true,
+        labels: ['2023', '2024'],
+        series: [{ name: 'Online', values: [4, 6] }, { name: 'Retail', values: [5, 4] }]
+      }
+    },
+    {
+      slideTitle: 'Milestones',
+      layout: 'timeline',
+      bulletPoints: [],
+      timeline: [{ label: 'Q1', title: 'Launch' }, { label: 'Q3', title: 'Expansion', detail: 'Two regions' }]
+    },
+    {
+      slideTitle: 'Renewals',
+      layout: 'big-stat',
+      bulletPoints: ['Highest rate so far'],
+      stat: { value: '92%', label: 'of customers renewed' }
+    }
+  ]
+};
+
+test('outlineToMarkdown output parses back into the same outline', () => {
+  const { outline: parsed, options, errors } = parseMarkdownDeck(outlineToMarkdown(outline, { colorTheme: 'teal' }));
+
+  assert.deepEqual(errors, []);
+  assert.deepEqual(options, { colorTheme: 'teal' });
+  assert.deepEqual(parsed, outline);
+});
+
+test('inline themes and brand kits survive the round trip', () => {
+  const colorTheme = { label: 'Acme', background: '112233', title: 'FFFFFF', text: '1F2937', accent: 'FF6600' };
+  const brandKit = { label: 'Acme', logo: null, logoPosition: 'bottom-left', footerText: 'Acme: internal', showDate: true, showSlideNumbers: false };
+  const markdown = outlineToMarkdown(outline, { colorTheme, brandKit, template: 'corporate' });
+
+  assert.doesNotMatch(markdown, /\[object Object\]/);
+  const { options, errors } = parseMarkdownDeck(markdown);
+  assert.deepEqual(errors, []);
+  assert.deepEqual(options, { colorTheme, brandKit, template: 'corporate' });
+});
+
+test('parseMarkdownDeck infers layouts and reports misplaced blocks', () => {
+  const { outline: parsed } = parseMarkdownDeck([
+    '# Deck',
+    '## Plan',
+    '```steps',
+    '[{"title":"Plan"},{"title":"Build"}]',
+    '```',
+    '## Done',
+    '- [x] Shipped'
+  ].join('\n'));
+  assert.deepEqual(parsed.slides.map(s => s.layout), ['process', 'checklist']);
+
+  const { errors } = parseMarkdownDeck('```stat\n{"value":"1","label":"x"}\n```\n## Slide\n- point');
+  assert.equal(errors.length, 1);
+  assert.match(errors[0], /stat blocks must come after a ## slide heading/);
+});
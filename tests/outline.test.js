@@ -0,0 +1,99 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LLM_PROVIDER = 'fixture';
+delete process.env.LLM_FIXTURE_FILE;
+
+const { getProvider } = require('../services/llm');
+const { getPresentationOutline } = require('../services/outline');
+
+const slide = (n) => ({
+  slideTitle: `Part ${n}`,
+  bulletPoints: ['First point', 'Second point', 'Third point', 'Fourth point'],
+  layout: 'title-bullets',
+  visualHint: 'business',
+  speakerNotes: `Talk about part ${n}.`
+});
+
+// Answer the outline requests with `replies` in turn, recording the prompts
+function scriptProvider(replies) {
+  const prompts = [];
+  mock.method(getProvider(), 'generateText', async (prompt) => {
+    prompts.push(prompt);
+    const reply = replies[Math.min(prompts.length, replies.length) - 1];
+    return typeof reply === 'string' ? reply : JSON.stringify(reply);
+  });
+  return prompts;
+}
+
+afterEach(() => mock.restoreAll());
+
+test('a valid answer is used as it is', async () => {
+  const prompts = scriptProvider([{ title: 'Deck', slides: [slide(1), slide(2)] }]);
+
+  const outline = await getPresentationOutline('Testing', { slideCount: 2 });
+
+  assert.equal(prompts.length, 1);
+  assert.equal(outline.title, 'Deck');
+  assert.deepEqual(outline.slides.map(s => s.slideTitle), ['Part 1', 'Part 2']);
+});
+
+test('malformed JSON is sent back with the parse error and the previous answer', async () => {
+  const prompts = scriptProvider([
+    'Here you go: {"title": "Deck", "slides": [}',
+    { title: 'Deck', slides: [slide(1), slide(2)] }
+  ]);
+
+  const outline = await getPresentationOutline('Testing', { slideCount: 2 });
+
+  assert.equal(prompts.length, 2);
+  assert.match(prompts[1], /^Your previous answer did not match the required JSON format/);
+  assert.match(prompts[1], /Failed to parse extracted JSON/);
+  assert.match(prompts[1], /Here you go/);
+  assert.equal(outline.slides.length, 2);
+});
+
+test('schema errors are listed in the repair prompt', async () => {
+  const broken = { ...slide(2), bulletPoints: 'one, two, three' };
+  const prompts = scriptProvider([
+    { title: 'Deck', slides: [slide(1), broken] },
+    { title: 'Deck', slides: [slide(1), slide(2)] }
+  ]);
+
+  await getPresentationOutline('Testing', { slideCount: 2 });
+
+  assert.equal(prompts.length, 2);
+  assert.match(prompts[1], /- Slide 2 bulletPoints: bulletPoints must be a JSON array of separate strings/);
+});
+
+test('missing slides are asked for and extra slides are dropped', async () => {
+  const prompts = scriptProvider([
+    { title: 'Deck', slides: [slide(1)] },
+    { title: 'Deck', slides: [slide(1), slide(2), slide(3)] }
+  ]);
+
+  const outline = await getPresentationOutline('Testing', { slideCount: 2 });
+
+  assert.match(prompts[1], /expected exactly 2 slides but received 1/);
+  assert.deepEqual(outline.slides.map(s => s.slideTitle), ['Part 1', 'Part 2']);
+});
+
+test('generation fails after the repair attempts instead of padding the deck', async () => {
+  const prompts = scriptProvider([{ title: 'Deck', slides: [] }]);
+
+  await assert.rejects(
+    getPresentationOutline('Testing', { slideCount: 2 }),
+    /failed schema validation after repair attempts: slides: expected exactly 2 slides but received 0/
+  );
+  assert.equal(prompts.length, 3);
+});
+
+test('provider failures are not repaired', async () => {
+  const provider = getProvider();
+  mock.method(provider, 'generateText', async () => {
+    throw Object.assign(new Error('invalid API key'), { status: 401 });
+  });
+
+  await assert.rejects(getPresentationOutline('Testing', { slideCount: 2 }), /invalid API key/);
+  assert.equal(provider.generateText.mock.callCount(), 1);
+});
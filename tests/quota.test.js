@@ -0,0 +1,69 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The quota and user store read their settings when they are first required
+const userDir = fs.mkdtempSync(path.join(os.tmpdir(), 'quota-test-'));
+process.env.USER_DIR = userDir;
+process.env.QUOTA_REQUESTS = '2';
+delete process.env.AUTH_REQUIRED;
+
+const express = require('express');
+const { authenticate, requireUser, quota } = require('../middleware/auth');
+const { signup, createApiKey } = require('../services/users');
+
+let server;
+let baseUrl;
+
+before(async () => {
+  const app = express();
+  app.use(authenticate);
+  app.post('/work', requireUser, quota, (req, res) => res.status(200).json({ user: req.user.email }));
+  await new Promise((resolve) => {
+    server = app.listen(0, resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+  fs.rmSync(userDir, { recursive: true, force: true });
+});
+
+const post = (headers = {}) => fetch(`${baseUrl}/work`, { method: 'POST', headers });
+const bearer = (token) => ({ Authorization: `Bearer ${token}` });
+
+test('requests without valid credentials are rejected', async () => {
+  assert.equal((await post()).status, 401);
+  assert.equal((await post(bearer('not-a-token'))).status, 401);
+  assert.equal((await post({ 'X-API-Key': 'ppt_unknown' })).status, 401);
+});
+
+test('each user gets QUOTA_REQUESTS requests per window', async () => {
+  const alice = await signup({ email: 'alice@example.com', password: 'password-1' });
+  const bob = await signup({ email: 'bob@example.com', password: 'password-2' });
+
+  const first = await post(bearer(alice.token));
+  assert.equal(first.status, 200);
+  assert.match(first.headers.get('ratelimit'), /limit=2, remaining=1/);
+  assert.equal((await post(bearer(alice.token))).status, 200);
+
+  const over = await post(bearer(alice.token));
+  assert.equal(over.status, 429);
+  assert.deepEqual(await over.json(), { error: 'Quota exceeded, please try again later.' });
+
+  // Another user's requests are counted separately
+  assert.equal((await post(bearer(bob.token))).status, 200);
+});
+
+test('API keys share their user quota', async () => {
+  const { user, token } = await signup({ email: 'carol@example.com', password: 'password-3' });
+  const saved = JSON.parse(fs.readFileSync(path.join(userDir, `${user.id}.json`), 'utf8'));
+  const { key } = createApiKey(saved, { name: 'ci' });
+
+  assert.equal((await post(bearer(token))).status, 200);
+  assert.equal((await post({ 'X-API-Key': key })).status, 200);
+  assert.equal((await post(bearer(key))).status, 429);
+});
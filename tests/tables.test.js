@@ -0,0 +1,73 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { drawPresentation } = require('../services/renderer');
+const { createSlideRecorder } = require('../services/export/recorder');
+
+const SLIDE_H = 5.625;
+
+// Record a two-column slide with `table` in its right column and return the slides with their tables
+function draw(table, slide = {}) {
+  const recorder = createSlideRecorder();
+  drawPresentation(recorder, {
+    title: 'Tables',
+    slides: [{ slideTitle: 'Results', bulletPoints: ['Summary'], layout: 'two-column', table, ...slide }]
+  }, { colorTheme: 'blue', creditsSlide: false });
+
+  return recorder.slides.map(s => ({
+    texts: s.items.filter(item => item.type === 'text').map(item => item.text),
+    tables: s.items.filter(item => item.type === 'table'),
+    notes: s.notes
+  }));
+}
+
+const cellText = (row) => row.map(cell => cell.text);
+
+test('a short table fits on its slide at the largest text size', () => {
+  const slides = draw({ headers: ['Region', 'Revenue'], rows: [['North', '1,200'], ['South', '$980'], ['West', '12%']] });
+  const tables = slides.flatMap(s => s.tables);
+
+  assert.equal(tables.length, 1);
+  const [{ rows, options }] = tables;
+  assert.equal(options.fontSize, 14);
+  assert.deepEqual(rows.map(cellText), [['Region', 'Revenue'], ['North', '1,200'], ['South', '$980'], ['West', '12%']]);
+  assert.equal(options.rowH.length, 4);
+  assert.ok(Math.abs(options.colW.reduce((sum, w) => sum + w, 0) - options.w) < 1e-9);
+});
+
+test('header rows use the theme colors, body rows are striped and numbers are right-aligned', () => {
+  const [{ rows }] = draw({ headers: ['Region', 'Revenue'], rows: [['North', '1,200'], ['South', '980'], ['West', '']] })
+    .flatMap(s => s.tables);
+
+  assert.equal(rows[0][0].options.bold, true);
+  assert.equal(rows[0][0].options.fill.color, '1E3A8A');
+  assert.equal(rows[1][0].options.fill.color, 'FFFFFF');
+  assert.notEqual(rows[2][0].options.fill.color, 'FFFFFF');
+  assert.deepEqual(rows[1].map(cell => cell.options.align), ['left', 'right']);
+});
+
+test('long tables continue on "(cont.)" slides that repeat the header row', () => {
+  const rows = Array.from({ length: 40 }, (_, i) => [`Item ${i + 1}`, String((i + 1) * 10)]);
+  const slides = draw({ headers: ['Item', 'Units'], rows }, { sources: [{ document: 'stock.csv', location: 'rows 2-41' }] });
+
+  const continued = slides.filter(s => s.texts.includes('Results (cont.)'));
+  assert.ok(continued.length >= 1);
+
+  const tables = slides.flatMap(s => s.tables);
+  assert.equal(tables.length, continued.length + 1);
+  for (const table of tables) {
+    assert.deepEqual(cellText(table.rows[0]), ['Item', 'Units']);
+    assert.equal(table.options.fontSize, 10);
+    assert.ok(table.options.y + table.options.h <= SLIDE_H - 0.25 + 1e-9, 'table stays clear of the bottom edge');
+  }
+  assert.deepEqual(tables.flatMap(table => table.rows.slice(1).map(cellText)), rows);
+  assert.ok(continued.every(s => /stock\.csv/.test(s.notes)));
+});
+
+test('tables that almost fit shrink the text before they are split', () => {
+  const rows = Array.from({ length: 12 }, (_, i) => [`Item ${i + 1}`, String(i + 1)]);
+  const tables = draw({ headers: ['Item', 'Units'], rows }).flatMap(s => s.tables);
+
+  assert.equal(tables.length, 1);
+  assert.ok(tables[0].options.fontSize < 14);
+  assert.equal(tables[0].rows.length, 13);
+});
@@ -0,0 +1,127 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const JSZip = require('jszip');
+const { parseTemplate, suggestLayoutMap } = require('../services/templates/parser');
+
+const EMU = 914400;
+const REL = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+// 1x1 transparent PNG
+const PNG = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==', 'base64');
+
+const xfrm = ({ x, y, w, h }) => `<p:spPr><a:xfrm><a:off x="${x * EMU}" y="${y * EMU}"/><a:ext cx="${w * EMU}" cy="${h * EMU}"/></a:xfrm></p:spPr>`;
+const placeholder = (type, idx, box) => `<p:sp><p:nvSpPr><p:nvPr><p:ph${type ? ` type="${type}"` : ''} idx="${idx}"/></p:nvPr></p:nvSpPr>${box ? xfrm(box) : '<p:spPr/>'}</p:sp>`;
+const rels = (entries) => `<Relationships>${entries.map(([id, type, target]) => `<Relationship Id="${id}" Type="${REL}/${type}" Target="${target}"/>`).join('')}</Relationships>`;
+const layout = (name, shapes, extra = '') => `<p:sldLayout${extra}><p:cSld name="${name}"><p:spTree>${shapes.join('')}</p:spTree></p:cSld></p:sldLayout>`;
+
+// Widescreen template: a logo and a band on the master, and four layouts, one of which has no
+// geometry of its own and inherits the master's placeholders
+async function buildTemplate() {
+  const zip = new JSZip();
+  zip.file('ppt/presentation.xml', `<p:presentation><p:sldSz cx="${13.333 * EMU}" cy="${7.5 * EMU}"/></p:presentation>`);
+  zip.file('ppt/_rels/presentation.xml.rels', rels([['rId1', 'slideMaster', 'slideMasters/slideMaster1.xml']]));
+  zip.file('ppt/theme/theme1.xml', [
+    '<a:theme><a:themeElements><a:clrScheme name="Corp">',
+    '<a:dk1><a:sysClr val="windowText" lastClr="000000"/></a:dk1><a:lt1><a:srgbClr val="ffffff"/></a:lt1>',
+    '<a:dk2><a:srgbClr val="0B2545"/></a:dk2><a:lt2><a:srgbClr val="EEF4ED"/></a:lt2><a:accent1><a:srgbClr val="E4572E"/></a:accent1>',
+    '</a:clrScheme><a:fontScheme name="Corp"><a:majorFont><a:latin typeface="Georgia"/></a:majorFont>',
+    '<a:minorFont><a:latin typeface="Verdana"/></a:minorFont></a:fontScheme></a:themeElements></a:theme>'
+  ].join(''));
+  zip.file('ppt/slideMasters/slideMaster1.xml', [
+    '<p:sldMaster><p:cSld><p:bg><p:bgPr><a:solidFill><a:schemeClr val="bg2"/></a:solidFill></p:bgPr></p:bg><p:spTree>',
+    placeholder('title', 0, { x: 0.5, y: 0.4, w: 12.3, h: 1.2 }),
+    placeholder('body', 1, { x: 0.5, y: 1.8, w: 12.3, h: 5 }),
+    `<p:pic><p:nvPicPr/><p:blipFill><a:blip r:embed="rId3"/></p:blipFill>${xfrm({ x: 12, y: 6.8, w: 1, h: 0.5 })}</p:pic>`,
+    `<p:sp><p:nvSpPr><p:nvPr/></p:nvSpPr>${xfrm({ x: 0, y: 7.3, w: 13.333, h: 0.2 }).replace('</p:spPr>', '<a:prstGeom prst="rect"/><a:solidFill><a:schemeClr val="accent1"/></a:solidFill></p:spPr>')}</p:sp>`,
+    '</p:spTree></p:cSld><p:clrMap bg1="lt1" tx1="dk1" bg2="lt2" tx2="dk2"/>',
+    '<p:txStyles><p:titleStyle><a:lvl1pPr><a:defRPr sz="4000"><a:solidFill><a:schemeClr val="tx2"/></a:solidFill></a:defRPr></a:lvl1pPr></p:titleStyle>',
+    '<p:bodyStyle><a:lvl1pPr><a:defRPr sz="2000"/></a:lvl1pPr></p:bodyStyle></p:txStyles></p:sldMaster>'
+  ].join(''));
+  zip.file('ppt/slideMasters/_rels/slideMaster1.xml.rels', rels([
+    ['rId1', 'slideLayout', '../slideLayouts/slideLayout1.xml'],
+    ['rId2', 'slideLayout', '../slideLayouts/slideLayout2.xml'],
+    ['rId4', 'slideLayout', '../slideLayouts/slideLayout3.xml'],
+    ['rId5', 'slideLayout', '../slideLayouts/slideLayout4.xml'],
+    ['rId6', 'theme', '../theme/theme1.xml'],
+    ['rId3', 'image', '../media/logo.png']
+  ]));
+  zip.file('ppt/media/logo.png', PNG);
+  zip.file('ppt/slideLayouts/slideLayout1.xml', layout('Title Slide', [
+    placeholder('ctrTitle', 0, { x: 1, y: 2, w: 11.3, h: 1.5 }),
+    placeholder('subTitle', 1, { x: 1, y: 3.7, w: 11.3, h: 1 })
+  ], ' showMasterSp="0"'));
+  zip.file('ppt/slideLayouts/slideLayout2.xml', layout('Title and Content', [placeholder('title', 0), placeholder(null, 1)]));
+  zip.file('ppt/slideLayouts/slideLayout3.xml', layout('Two Content', [
+    placeholder('title', 0),
+    placeholder(null, 1, { x: 0.5, y: 1.8, w: 6, h: 5 }),
+    placeholder(null, 2, { x: 6.8, y: 1.8, w: 6, h: 5 })
+  ]));
+  zip.file('ppt/slideLayouts/slideLayout4.xml', layout('Picture with Caption', [
+    placeholder('title', 0, { x: 0.5, y: 0.4, w: 5, h: 1 }),
+    placeholder('pic', 1, { x: 6, y: 0.5, w: 6.8, h: 6.5 }),
+    placeholder('body', 2, { x: 0.5, y: 1.6, w: 5, h: 5 })
+  ]));
+  return zip.generateAsync({ type: 'nodebuffer' });
+}
+
+test('parseTemplate reads the slide size, theme colors and fonts and text styles', async () => {
+  const template = await parseTemplate(await buildTemplate());
+
+  assert.deepEqual(template.slideSize, { w: 13.333, h: 7.5 });
+  assert.deepEqual(template.theme, {
+    background: '0B2545',
+    title: 'FFFFFF',
+    text: '000000',
+    accent: 'E4572E',
+    headingFont: 'Georgia',
+    bodyFont: 'Verdana'
+  });
+  assert.deepEqual(template.textStyles, {
+    title: { fontSize: 40, color: '0B2545' },
+    body: { fontSize: 20, color: undefined }
+  });
+});
+
+test('parseTemplate reads layouts with their placeholders, inheriting the master geometry', async () => {
+  const { layouts } = await parseTemplate(await buildTemplate());
+
+  assert.deepEqual(layouts.map(l => [l.id, l.name]), [
+    ['slideLayout1', 'Title Slide'],
+    ['slideLayout2', 'Title and Content'],
+    ['slideLayout3', 'Two Content'],
+    ['slideLayout4', 'Picture with Caption']
+  ]);
+  assert.deepEqual(layouts[1].placeholders, [
+    { name: 'title', kind: 'title', type: 'title', x: 0.5, y: 0.4, w: 12.3, h: 1.2 },
+    { name: 'body1', kind: 'body', type: 'obj', x: 0.5, y: 1.8, w: 12.3, h: 5 }
+  ]);
+  assert.deepEqual(layouts[3].placeholders.map(p => p.name), ['title', 'pic1', 'body1']);
+});
+
+test('parseTemplate carries the master background and artwork, unless a layout hides it', async () => {
+  const { layouts } = await parseTemplate(await buildTemplate());
+
+  assert.deepEqual(layouts[1].background, { color: 'EEF4ED' });
+  assert.deepEqual(layouts[1].decorations.map(d => Object.keys(d)[0]), ['image', 'rect']);
+  assert.match(layouts[1].decorations[0].image.data, /^data:image\/png;base64,/);
+  assert.deepEqual(layouts[1].decorations[1].rect, { x: 0, y: 7.3, w: 13.333, h: 0.2, fill: { color: 'E4572E' } });
+  assert.deepEqual(layouts[0].decorations, []);
+});
+
+test('suggestLayoutMap picks layouts by placeholders and names', async () => {
+  const { layouts } = await parseTemplate(await buildTemplate());
+  const map = suggestLayoutMap(layouts);
+
+  assert.equal(map.title, 'slideLayout1');
+  assert.equal(map['title-bullets'], 'slideLayout2');
+  assert.equal(map['two-column'], 'slideLayout3');
+  assert.equal(map['image-left'], 'slideLayout4');
+  assert.equal(map.quote, 'slideLayout2');
+});
+
+test('parseTemplate rejects files that are not presentations', async () => {
+  await assert.rejects(parseTemplate(Buffer.from('hello')), /not a \.pptx \(zip\) archive/);
+
+  const zip = new JSZip();
+  zip.file('word/document.xml', '<w:document/>');
+  await assert.rejects(parseTemplate(await zip.generateAsync({ type: 'nodebuffer' })), /ppt\/presentation\.xml is missing/);
+});
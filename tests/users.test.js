@@ -0,0 +1,50 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const userDir = fs.mkdtempSync(path.join(os.tmpdir(), 'users-test-'));
+process.env.USER_DIR = userDir;
+
+// An account whose stored hash is cut short
+fs.writeFileSync(path.join(userDir, 'legacy.json'), JSON.stringify({
+  id: 'legacy',
+  email: 'legacy@example.com',
+  name: 'legacy',
+  passwordHash: 'abcd:1234',
+  apiKeys: []
+}));
+
+const { signup, login, createApiKey, listApiKeys, verifyApiKey } = require('../services/users');
+
+after(() => fs.rmSync(userDir, { recursive: true, force: true }));
+
+const userFile = (id) => path.join(userDir, `${id}.json`);
+
+test('API key use is recorded without rewriting the user file on every request', async () => {
+  const { user } = await signup({ email: 'dave@example.com', password: 'password-4' });
+  const { key } = createApiKey(JSON.parse(fs.readFileSync(userFile(user.id), 'utf8')), { name: 'ci' });
+  const written = fs.readFileSync(userFile(user.id), 'utf8');
+
+  const found = verifyApiKey(key);
+  assert.equal(found.id, user.id);
+  assert.ok(listApiKeys(found)[0].lastUsedAt);
+  assert.equal(verifyApiKey(key).id, user.id);
+
+  assert.equal(fs.readFileSync(userFile(user.id), 'utf8'), written);
+  assert.equal(verifyApiKey('ppt_unknown'), null);
+});
+
+test('login gives the same answer for unknown emails, wrong passwords and malformed hashes', async () => {
+  const { user } = await signup({ email: 'erin@example.com', password: 'password-5' });
+  assert.equal((await login({ email: 'Erin@example.com', password: 'password-5' })).user.id, user.id);
+
+  for (const credentials of [
+    { email: 'erin@example.com', password: 'password-6' },
+    { email: 'nobody@example.com', password: 'password-5' },
+    { email: 'legacy@example.com', password: 'password-5' }
+  ]) {
+    assert.deepEqual(await login(credentials), { errors: ['Incorrect email or password'] });
+  }
+});